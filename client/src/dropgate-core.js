@@ -3,7 +3,16 @@ var DEFAULT_CHUNK_SIZE = 5 * 1024 * 1024;
 var AES_GCM_IV_BYTES = 12;
 var AES_GCM_TAG_BYTES = 16;
 var ENCRYPTION_OVERHEAD_PER_CHUNK = AES_GCM_IV_BYTES + AES_GCM_TAG_BYTES;
+var ENCRYPTION_FORMAT_VERSION = 2;
+var STREAM_HEADER_BYTES = 16;
+var STREAM_NONCE_PREFIX_BYTES = 7;
+var MAX_FILE_MESSAGE_LENGTH = 1e3;
+var MAX_THUMBNAIL_DATA_URL_LENGTH = 48 * 1024;
+var MAX_UPLOAD_CONCURRENCY = 8;
 var MAX_IN_MEMORY_DOWNLOAD_BYTES = 100 * 1024 * 1024;
+var PASSPHRASE_KDF_ITERATIONS = 6e5;
+var PASSPHRASE_SALT_BYTES = 16;
+var MAX_P2P_MANIFEST_FILES = 1e4;
 
 // src/errors.ts
 var DropgateError = class extends Error {
@@ -37,6 +46,11 @@ var DropgateProtocolError = class extends DropgateError {
     super(message, { ...opts, code: opts.code || "PROTOCOL_ERROR" });
   }
 };
+var DropgateIntegrityError = class extends DropgateError {
+  constructor(message, opts = {}) {
+    super(message, { ...opts, code: opts.code || "INTEGRITY_CHECK_FAILED" });
+  }
+};
 var DropgateAbortError = class extends DropgateError {
   constructor(message = "Operation aborted") {
     super(message, { code: "ABORT_ERROR" });
@@ -197,13 +211,12 @@ function makeAbortSignal(parentSignal, timeoutMs) {
       controller.abort(reason);
     }
   };
+  const onParentAbort = () => abort(parentSignal?.reason);
   if (parentSignal) {
     if (parentSignal.aborted) {
       abort(parentSignal.reason);
     } else {
-      parentSignal.addEventListener("abort", () => abort(parentSignal.reason), {
-        once: true
-      });
+      parentSignal.addEventListener("abort", onParentAbort, { once: true });
     }
   }
   if (Number.isFinite(timeoutMs) && timeoutMs > 0) {
@@ -215,6 +228,7 @@ function makeAbortSignal(parentSignal, timeoutMs) {
     signal: controller.signal,
     cleanup: () => {
       if (timeoutId) clearTimeout(timeoutId);
+      parentSignal?.removeEventListener("abort", onParentAbort);
     }
   };
 }
@@ -236,7 +250,7 @@ async function fetchJson(fetchFn, url, opts = {}) {
 }
 
 // src/crypto/decrypt.ts
-async function importKeyFromBase64(cryptoObj, keyB64, base64) {
+async function importKeyFromBase64(cryptoObj, keyB64, base64, usages = ["decrypt"]) {
   const adapter = base64 || getDefaultBase64();
   const keyBytes = adapter.decode(keyB64);
   const keyBuffer = new Uint8Array(keyBytes).buffer;
@@ -245,7 +259,7 @@ async function importKeyFromBase64(cryptoObj, keyB64, base64) {
     keyBuffer,
     { name: "AES-GCM" },
     true,
-    ["decrypt"]
+    usages
   );
 }
 async function decryptChunk(cryptoObj, encryptedData, key) {
@@ -263,6 +277,24 @@ async function decryptFilenameFromBase64(cryptoObj, encryptedFilenameB64, key, b
   const decryptedBuffer = await decryptChunk(cryptoObj, encryptedBytes, key);
   return new TextDecoder().decode(decryptedBuffer);
 }
+async function decryptJsonFromBase64(cryptoObj, encryptedB64, key, base64) {
+  const adapter = base64 || getDefaultBase64();
+  const decryptedBuffer = await decryptChunk(cryptoObj, adapter.decode(encryptedB64), key);
+  return JSON.parse(new TextDecoder().decode(decryptedBuffer));
+}
+async function decryptFileDetailsFromBase64(cryptoObj, encryptedB64, key, base64) {
+  const value = await decryptJsonFromBase64(cryptoObj, encryptedB64, key, base64);
+  const raw = value && typeof value === "object" ? value : {};
+  const details = {};
+  if (typeof raw.mimeType === "string" && raw.mimeType.length <= 255) details.mimeType = raw.mimeType;
+  if (Number.isFinite(raw.lastModified)) details.lastModified = raw.lastModified;
+  if (typeof raw.message === "string" && raw.message.length <= MAX_FILE_MESSAGE_LENGTH) details.message = raw.message;
+  if (isThumbnailDataUrl(raw.thumbnail)) details.thumbnail = raw.thumbnail;
+  return details;
+}
+function isThumbnailDataUrl(value) {
+  return typeof value === "string" && value.length <= MAX_THUMBNAIL_DATA_URL_LENGTH && /^data:image\/(png|jpeg|gif|webp);base64,[A-Za-z0-9+/]+={0,2}$/.test(value);
+}
 
 // src/crypto/index.ts
 async function sha256Hex(cryptoObj, data) {
@@ -302,15 +334,632 @@ async function encryptFilenameToBase64(cryptoObj, filename, key) {
   const buf = await blob.arrayBuffer();
   return arrayBufferToBase64(buf);
 }
+async function encryptJsonToBase64(cryptoObj, value, key) {
+  const bytes = new TextEncoder().encode(JSON.stringify(value));
+  const blob = await encryptToBlob(cryptoObj, bytes.buffer, key);
+  return arrayBufferToBase64(await blob.arrayBuffer());
+}
+
+// src/crypto/stream.ts
+var STREAM_MAGIC = [68, 71, 83, 69];
+function createStreamHeader(cryptoObj, chunkSize) {
+  const bytes = new Uint8Array(STREAM_HEADER_BYTES);
+  bytes.set(STREAM_MAGIC, 0);
+  bytes[4] = ENCRYPTION_FORMAT_VERSION;
+  new DataView(bytes.buffer).setUint32(5, chunkSize);
+  bytes.set(cryptoObj.getRandomValues(new Uint8Array(STREAM_NONCE_PREFIX_BYTES)), 9);
+  return parseStreamHeader(bytes);
+}
+function parseStreamHeader(bytes) {
+  if (bytes.length !== STREAM_HEADER_BYTES || STREAM_MAGIC.some((b, i) => bytes[i] !== b)) {
+    throw new DropgateError("File does not start with a valid encryption header.", { code: "DECRYPT_FAILED" });
+  }
+  if (bytes[4] !== ENCRYPTION_FORMAT_VERSION) {
+    throw new DropgateError(`Unsupported encryption format version ${bytes[4]}.`, { code: "DECRYPT_FAILED" });
+  }
+  const chunkSize = new DataView(bytes.buffer, bytes.byteOffset, bytes.length).getUint32(5);
+  if (chunkSize === 0) {
+    throw new DropgateError("Encryption header has an invalid chunk size.", { code: "DECRYPT_FAILED" });
+  }
+  const copy = new Uint8Array(bytes);
+  return { bytes: copy, version: copy[4], chunkSize, noncePrefix: copy.slice(9) };
+}
+function chunkParams(header, index, isFinal) {
+  const position = new Uint8Array(5);
+  new DataView(position.buffer).setUint32(0, index);
+  position[4] = isFinal ? 1 : 0;
+  const iv = new Uint8Array(AES_GCM_IV_BYTES);
+  iv.set(header.noncePrefix, 0);
+  iv.set(position, STREAM_NONCE_PREFIX_BYTES);
+  const additionalData = new Uint8Array(header.bytes.length + position.length);
+  additionalData.set(header.bytes, 0);
+  additionalData.set(position, header.bytes.length);
+  return { iv, additionalData };
+}
+async function encryptStreamChunk(cryptoObj, key, header, index, isFinal, data) {
+  const { iv, additionalData } = chunkParams(header, index, isFinal);
+  const encrypted = await cryptoObj.subtle.encrypt({ name: "AES-GCM", iv, additionalData }, key, data);
+  return new Blob([iv, new Uint8Array(encrypted)]);
+}
+async function decryptStreamChunk(cryptoObj, key, header, index, isFinal, encryptedData) {
+  const { iv, additionalData } = chunkParams(header, index, isFinal);
+  return cryptoObj.subtle.decrypt(
+    { name: "AES-GCM", iv, additionalData },
+    key,
+    encryptedData.slice(AES_GCM_IV_BYTES)
+  );
+}
+
+// src/crypto/integrity.ts
+var HASH_PATTERN = /^[a-f0-9]{64}$/;
+async function computeRoot(cryptoObj, chunkHashes) {
+  const bytes = new Uint8Array(chunkHashes.length * 32);
+  chunkHashes.forEach((hash, i) => {
+    for (let b = 0; b < 32; b++) {
+      bytes[i * 32 + b] = parseInt(hash.slice(b * 2, b * 2 + 2), 16);
+    }
+  });
+  return sha256Hex(cryptoObj, bytes.buffer);
+}
+async function createIntegrityManifest(cryptoObj, chunkSize, chunkHashes) {
+  return {
+    algorithm: "SHA-256",
+    chunkSize,
+    chunks: chunkHashes,
+    root: await computeRoot(cryptoObj, chunkHashes)
+  };
+}
+function assertIntegrityManifest(value) {
+  const manifest = value;
+  const valid = Boolean(manifest) && manifest.algorithm === "SHA-256" && Number.isInteger(manifest.chunkSize) && manifest.chunkSize > 0 && Array.isArray(manifest.chunks) && manifest.chunks.every((h) => typeof h === "string" && HASH_PATTERN.test(h)) && typeof manifest.root === "string" && HASH_PATTERN.test(manifest.root);
+  if (!valid) {
+    throw new DropgateIntegrityError("The file's integrity manifest is malformed.");
+  }
+}
+async function encryptIntegrityManifest(cryptoObj, manifest, key) {
+  return encryptJsonToBase64(cryptoObj, manifest, key);
+}
+async function decryptIntegrityManifest(cryptoObj, encryptedB64, key, base64) {
+  let manifest;
+  try {
+    manifest = await decryptJsonFromBase64(cryptoObj, encryptedB64, key, base64);
+  } catch (err) {
+    throw new DropgateIntegrityError("The file's integrity manifest could not be decrypted.", { cause: err });
+  }
+  assertIntegrityManifest(manifest);
+  return manifest;
+}
+function createIntegrityVerifier(cryptoObj, manifest, onChunk) {
+  const { chunkSize, chunks } = manifest;
+  let buffer = new Uint8Array(chunkSize);
+  let filled = 0;
+  let chunkIndex = 0;
+  const flush = async () => {
+    if (chunkIndex >= chunks.length) {
+      throw new DropgateIntegrityError("The file is longer than its integrity manifest.");
+    }
+    const chunk = filled === buffer.length ? buffer : buffer.slice(0, filled);
+    const hash = await sha256Hex(cryptoObj, chunk.buffer);
+    if (hash !== chunks[chunkIndex]) {
+      throw new DropgateIntegrityError(`Chunk ${chunkIndex + 1} of the file does not match its integrity manifest.`, {
+        details: { chunkIndex }
+      });
+    }
+    chunkIndex++;
+    buffer = new Uint8Array(chunkSize);
+    filled = 0;
+    await onChunk(chunk);
+  };
+  return {
+    write: async (data) => {
+      let offset = 0;
+      while (offset < data.length) {
+        const length = Math.min(data.length - offset, chunkSize - filled);
+        buffer.set(data.subarray(offset, offset + length), filled);
+        filled += length;
+        offset += length;
+        if (filled === chunkSize) await flush();
+      }
+    },
+    finish: async () => {
+      if (filled > 0) await flush();
+      if (chunkIndex !== chunks.length) {
+        throw new DropgateIntegrityError("The file is shorter than its integrity manifest.", {
+          details: { chunkIndex }
+        });
+      }
+      if (await computeRoot(cryptoObj, chunks) !== manifest.root) {
+        throw new DropgateIntegrityError("The file's integrity manifest does not match its root hash.");
+      }
+    }
+  };
+}
+
+// src/crypto/keyexchange.ts
+var DIGIT_WORDS = ["zero", "one", "two", "three", "four", "five", "six", "seven", "eight", "nine"];
+var SAS_EMOJI = [
+  ["\u{1F436}", "Dog"],
+  ["\u{1F431}", "Cat"],
+  ["\u{1F981}", "Lion"],
+  ["\u{1F40E}", "Horse"],
+  ["\u{1F984}", "Unicorn"],
+  ["\u{1F437}", "Pig"],
+  ["\u{1F418}", "Elephant"],
+  ["\u{1F430}", "Rabbit"],
+  ["\u{1F43C}", "Panda"],
+  ["\u{1F413}", "Rooster"],
+  ["\u{1F427}", "Penguin"],
+  ["\u{1F422}", "Turtle"],
+  ["\u{1F41F}", "Fish"],
+  ["\u{1F419}", "Octopus"],
+  ["\u{1F98B}", "Butterfly"],
+  ["\u{1F337}", "Flower"],
+  ["\u{1F333}", "Tree"],
+  ["\u{1F335}", "Cactus"],
+  ["\u{1F344}", "Mushroom"],
+  ["\u{1F30F}", "Globe"],
+  ["\u{1F319}", "Moon"],
+  ["\u2601\uFE0F", "Cloud"],
+  ["\u{1F525}", "Fire"],
+  ["\u{1F34C}", "Banana"],
+  ["\u{1F34E}", "Apple"],
+  ["\u{1F353}", "Strawberry"],
+  ["\u{1F33D}", "Corn"],
+  ["\u{1F355}", "Pizza"],
+  ["\u{1F382}", "Cake"],
+  ["\u2764\uFE0F", "Heart"],
+  ["\u{1F600}", "Smiley"],
+  ["\u{1F916}", "Robot"],
+  ["\u{1F3A9}", "Hat"],
+  ["\u{1F453}", "Glasses"],
+  ["\u{1F527}", "Spanner"],
+  ["\u{1F385}", "Santa"],
+  ["\u{1F44D}", "Thumbs Up"],
+  ["\u2602\uFE0F", "Umbrella"],
+  ["\u231B", "Hourglass"],
+  ["\u23F0", "Clock"],
+  ["\u{1F381}", "Gift"],
+  ["\u{1F4A1}", "Light Bulb"],
+  ["\u{1F4D5}", "Book"],
+  ["\u270F\uFE0F", "Pencil"],
+  ["\u{1F4CE}", "Paperclip"],
+  ["\u2702\uFE0F", "Scissors"],
+  ["\u{1F512}", "Lock"],
+  ["\u{1F511}", "Key"],
+  ["\u{1F528}", "Hammer"],
+  ["\u260E\uFE0F", "Telephone"],
+  ["\u{1F3C1}", "Flag"],
+  ["\u{1F682}", "Train"],
+  ["\u{1F6B2}", "Bicycle"],
+  ["\u2708\uFE0F", "Aeroplane"],
+  ["\u{1F680}", "Rocket"],
+  ["\u{1F3C6}", "Trophy"],
+  ["\u26BD", "Ball"],
+  ["\u{1F3B8}", "Guitar"],
+  ["\u{1F3BA}", "Trumpet"],
+  ["\u{1F514}", "Bell"],
+  ["\u2693", "Anchor"],
+  ["\u{1F3A7}", "Headphones"],
+  ["\u{1F4C1}", "Folder"],
+  ["\u{1F4CC}", "Pin"]
+];
+var PUBLIC_KEY_BYTES = 65;
+async function generateKeyExchangeKeys(cryptoObj) {
+  const pair = await cryptoObj.subtle.generateKey({ name: "ECDH", namedCurve: "P-256" }, false, ["deriveBits"]);
+  const publicKey = new Uint8Array(await cryptoObj.subtle.exportKey("raw", pair.publicKey));
+  return { privateKey: pair.privateKey, publicKey };
+}
+async function deriveTransferSecrets(cryptoObj, ownKeys, peerPublicKey, isSender) {
+  let sharedBits;
+  try {
+    if (peerPublicKey.length !== PUBLIC_KEY_BYTES) throw new Error("Unexpected key length.");
+    const peerKey = await cryptoObj.subtle.importKey(
+      "raw",
+      peerPublicKey.slice(),
+      { name: "ECDH", namedCurve: "P-256" },
+      false,
+      []
+    );
+    sharedBits = await cryptoObj.subtle.deriveBits({ name: "ECDH", public: peerKey }, ownKeys.privateKey, 256);
+  } catch (err) {
+    throw new DropgateError("The peer sent an invalid encryption key.", { code: "KEY_EXCHANGE_FAILED", cause: err });
+  }
+  const [senderKey, receiverKey] = isSender ? [ownKeys.publicKey, peerPublicKey] : [peerPublicKey, ownKeys.publicKey];
+  const salt = new Uint8Array(senderKey.length + receiverKey.length);
+  salt.set(senderKey, 0);
+  salt.set(receiverKey, senderKey.length);
+  const material = await cryptoObj.subtle.importKey("raw", sharedBits, "HKDF", false, ["deriveKey", "deriveBits"]);
+  const encoder = new TextEncoder();
+  const key = await cryptoObj.subtle.deriveKey(
+    { name: "HKDF", hash: "SHA-256", salt, info: encoder.encode("dropgate-p2p-key") },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+  const sasBytes = new Uint8Array(await cryptoObj.subtle.deriveBits(
+    { name: "HKDF", hash: "SHA-256", salt, info: encoder.encode("dropgate-p2p-sas") },
+    material,
+    80
+  ));
+  return { key, authString: toShortAuthString(sasBytes) };
+}
+function toShortAuthString(bytes) {
+  let bits = 0;
+  for (let i = 0; i < 5; i++) bits = bits * 256 + bytes[i];
+  const emoji = Array.from({ length: 6 }, (_, i) => {
+    const [symbol, name] = SAS_EMOJI[Math.floor(bits / 2 ** (34 - i * 6)) % 64];
+    return { symbol, name };
+  });
+  const number = new DataView(bytes.buffer, bytes.byteOffset + 6, 4).getUint32(0) % 1e6;
+  const words = String(number).padStart(6, "0").split("").map((d) => DIGIT_WORDS[Number(d)]);
+  return { words, emoji };
+}
+
+// src/crypto/passphrase.ts
+async function derivePassphraseKeys(cryptoObj, passphrase, salt, iterations) {
+  const material = await cryptoObj.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(passphrase),
+    "PBKDF2",
+    false,
+    ["deriveBits"]
+  );
+  const bits = new Uint8Array(await cryptoObj.subtle.deriveBits(
+    { name: "PBKDF2", hash: "SHA-256", salt: new Uint8Array(salt).buffer, iterations },
+    material,
+    512
+  ));
+  const wrappingKey = await cryptoObj.subtle.importKey(
+    "raw",
+    bits.slice(0, 32).buffer,
+    { name: "AES-KW" },
+    false,
+    ["wrapKey", "unwrapKey"]
+  );
+  return { wrappingKey, authKey: bits.slice(32) };
+}
+async function wrapKeyWithPassphrase(cryptoObj, key, passphrase, iterations = PASSPHRASE_KDF_ITERATIONS, base64) {
+  const salt = cryptoObj.getRandomValues(new Uint8Array(PASSPHRASE_SALT_BYTES));
+  const { wrappingKey, authKey } = await derivePassphraseKeys(cryptoObj, passphrase, salt, iterations);
+  const wrappedKey = await cryptoObj.subtle.wrapKey("raw", key, wrappingKey, "AES-KW");
+  return {
+    salt: bytesToBase64(salt, base64),
+    iterations,
+    wrappedKey: bytesToBase64(new Uint8Array(wrappedKey), base64),
+    authKey: bytesToBase64(authKey, base64)
+  };
+}
+async function unwrapKeyToBase64(cryptoObj, wrappedKeyB64, wrappingKey, base64) {
+  const key = await cryptoObj.subtle.unwrapKey(
+    "raw",
+    new Uint8Array(base64ToBytes(wrappedKeyB64, base64)).buffer,
+    wrappingKey,
+    "AES-KW",
+    { name: "AES-GCM" },
+    true,
+    ["decrypt"]
+  );
+  const raw = await cryptoObj.subtle.exportKey("raw", key);
+  return bytesToBase64(new Uint8Array(raw), base64);
+}
+
+// src/zip/index.ts
+var SIG_LOCAL_HEADER = 67324752;
+var SIG_DATA_DESCRIPTOR = 134695760;
+var SIG_CENTRAL_HEADER = 33639248;
+var SIG_ZIP64_EOCD = 101075792;
+var SIG_ZIP64_LOCATOR = 117853008;
+var SIG_EOCD = 101010256;
+var FLAGS = 2056;
+var VERSION_DEFAULT = 20;
+var VERSION_ZIP64 = 45;
+var MAX_UINT16 = 65535;
+var MAX_UINT32 = 4294967295;
+var CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 3988292384 ^ c >>> 1 : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+function crc32(data, crc = 0) {
+  let c = (crc ^ MAX_UINT32) >>> 0;
+  for (let i = 0; i < data.length; i++) {
+    c = CRC_TABLE[(c ^ data[i]) & 255] ^ c >>> 8;
+  }
+  return (c ^ MAX_UINT32) >>> 0;
+}
+function toDosDateTime(timestamp) {
+  const d = new Date(timestamp);
+  const year = Math.min(Math.max(d.getFullYear(), 1980), 2107);
+  return {
+    dosTime: d.getHours() << 11 | d.getMinutes() << 5 | d.getSeconds() >> 1,
+    dosDate: year - 1980 << 9 | d.getMonth() + 1 << 5 | d.getDate()
+  };
+}
+function setUint64(view, offset, value) {
+  view.setUint32(offset, value % 4294967296, true);
+  view.setUint32(offset + 4, Math.floor(value / 4294967296), true);
+}
+function sanitizeEntryName(name) {
+  const parts = String(name || "").replace(/\\/g, "/").split("/").filter((part) => part && part !== "." && part !== "..");
+  return parts.join("/") || "file";
+}
+var ZipWriter = class {
+  /**
+   * Create a new ZipWriter.
+   * @param onData - Receives archive bytes in order as they are produced.
+   */
+  constructor(onData) {
+    this.entries = [];
+    this.usedNames = /* @__PURE__ */ new Set();
+    this.encoder = new TextEncoder();
+    this.current = null;
+    this.offset = 0;
+    this.finished = false;
+    if (typeof onData !== "function") {
+      throw new DropgateValidationError("ZipWriter requires an onData callback.");
+    }
+    this.onData = onData;
+  }
+  /** Total number of archive bytes emitted so far. */
+  get bytesWritten() {
+    return this.offset;
+  }
+  /**
+   * Start a new entry. Any open entry must be ended first.
+   * Duplicate names get a numeric suffix ("a.txt" becomes "a (1).txt").
+   * @param name - Entry name; "/" may be used for folders.
+   * @param opts - Entry options.
+   * @returns The name actually used in the archive.
+   */
+  async startFile(name, opts = {}) {
+    if (this.finished) {
+      throw new DropgateValidationError("ZIP archive is already finished.");
+    }
+    if (this.current) {
+      throw new DropgateValidationError("Previous ZIP entry has not been ended.");
+    }
+    const entryName = this.uniqueName(sanitizeEntryName(name));
+    const nameBytes = this.encoder.encode(entryName);
+    const { dosTime, dosDate } = toDosDateTime(
+      Number.isFinite(opts.lastModified) ? opts.lastModified : Date.now()
+    );
+    this.current = { nameBytes, dosTime, dosDate, offset: this.offset, crc: 0, size: 0 };
+    const header = new Uint8Array(30 + nameBytes.length);
+    const view = new DataView(header.buffer);
+    view.setUint32(0, SIG_LOCAL_HEADER, true);
+    view.setUint16(4, VERSION_DEFAULT, true);
+    view.setUint16(6, FLAGS, true);
+    view.setUint16(8, 0, true);
+    view.setUint16(10, dosTime, true);
+    view.setUint16(12, dosDate, true);
+    view.setUint16(26, nameBytes.length, true);
+    header.set(nameBytes, 30);
+    await this.emit(header);
+    return entryName;
+  }
+  /**
+   * Append data to the current entry.
+   * @param chunk - File bytes.
+   */
+  async write(chunk) {
+    if (!this.current) {
+      throw new DropgateValidationError("No ZIP entry has been started.");
+    }
+    if (chunk.length === 0) return;
+    this.current.crc = crc32(chunk, this.current.crc);
+    this.current.size += chunk.length;
+    await this.emit(chunk);
+  }
+  /**
+   * End the current entry by writing its data descriptor.
+   */
+  async endFile() {
+    const entry = this.current;
+    if (!entry) {
+      throw new DropgateValidationError("No ZIP entry has been started.");
+    }
+    const zip64 = entry.size >= MAX_UINT32;
+    const descriptor = new Uint8Array(zip64 ? 24 : 16);
+    const view = new DataView(descriptor.buffer);
+    view.setUint32(0, SIG_DATA_DESCRIPTOR, true);
+    view.setUint32(4, entry.crc, true);
+    if (zip64) {
+      setUint64(view, 8, entry.size);
+      setUint64(view, 16, entry.size);
+    } else {
+      view.setUint32(8, entry.size, true);
+      view.setUint32(12, entry.size, true);
+    }
+    this.current = null;
+    this.entries.push(entry);
+    await this.emit(descriptor);
+  }
+  /**
+   * Write the central directory and close the archive.
+   * @returns Total size of the archive in bytes.
+   */
+  async finish() {
+    if (this.current) {
+      await this.endFile();
+    }
+    if (this.finished) return this.offset;
+    this.finished = true;
+    const cdOffset = this.offset;
+    for (const entry of this.entries) {
+      await this.emit(this.centralHeader(entry));
+    }
+    const cdSize = this.offset - cdOffset;
+    const count = this.entries.length;
+    if (count >= MAX_UINT16 || cdOffset >= MAX_UINT32 || cdSize >= MAX_UINT32) {
+      const zip64EocdOffset = this.offset;
+      const record = new Uint8Array(56 + 20);
+      const view2 = new DataView(record.buffer);
+      view2.setUint32(0, SIG_ZIP64_EOCD, true);
+      setUint64(view2, 4, 44);
+      view2.setUint16(12, VERSION_ZIP64, true);
+      view2.setUint16(14, VERSION_ZIP64, true);
+      setUint64(view2, 24, count);
+      setUint64(view2, 32, count);
+      setUint64(view2, 40, cdSize);
+      setUint64(view2, 48, cdOffset);
+      view2.setUint32(56, SIG_ZIP64_LOCATOR, true);
+      setUint64(view2, 64, zip64EocdOffset);
+      view2.setUint32(72, 1, true);
+      await this.emit(record);
+    }
+    const eocd = new Uint8Array(22);
+    const view = new DataView(eocd.buffer);
+    view.setUint32(0, SIG_EOCD, true);
+    view.setUint16(8, Math.min(count, MAX_UINT16), true);
+    view.setUint16(10, Math.min(count, MAX_UINT16), true);
+    view.setUint32(12, Math.min(cdSize, MAX_UINT32), true);
+    view.setUint32(16, Math.min(cdOffset, MAX_UINT32), true);
+    await this.emit(eocd);
+    return this.offset;
+  }
+  centralHeader(entry) {
+    const sizeOverflow = entry.size >= MAX_UINT32;
+    const offsetOverflow = entry.offset >= MAX_UINT32;
+    const extraLength = sizeOverflow || offsetOverflow ? 4 + (sizeOverflow ? 16 : 0) + (offsetOverflow ? 8 : 0) : 0;
+    const header = new Uint8Array(46 + entry.nameBytes.length + extraLength);
+    const view = new DataView(header.buffer);
+    view.setUint32(0, SIG_CENTRAL_HEADER, true);
+    view.setUint16(4, VERSION_ZIP64, true);
+    view.setUint16(6, extraLength ? VERSION_ZIP64 : VERSION_DEFAULT, true);
+    view.setUint16(8, FLAGS, true);
+    view.setUint16(10, 0, true);
+    view.setUint16(12, entry.dosTime, true);
+    view.setUint16(14, entry.dosDate, true);
+    view.setUint32(16, entry.crc, true);
+    view.setUint32(20, sizeOverflow ? MAX_UINT32 : entry.size, true);
+    view.setUint32(24, sizeOverflow ? MAX_UINT32 : entry.size, true);
+    view.setUint16(28, entry.nameBytes.length, true);
+    view.setUint16(30, extraLength, true);
+    view.setUint32(42, offsetOverflow ? MAX_UINT32 : entry.offset, true);
+    header.set(entry.nameBytes, 46);
+    if (extraLength) {
+      let pos = 46 + entry.nameBytes.length;
+      view.setUint16(pos, 1, true);
+      view.setUint16(pos + 2, extraLength - 4, true);
+      pos += 4;
+      if (sizeOverflow) {
+        setUint64(view, pos, entry.size);
+        setUint64(view, pos + 8, entry.size);
+        pos += 16;
+      }
+      if (offsetOverflow) {
+        setUint64(view, pos, entry.offset);
+      }
+    }
+    return header;
+  }
+  uniqueName(name) {
+    const slash = name.lastIndexOf("/");
+    const dot = name.lastIndexOf(".");
+    const hasExt = dot > slash + 1;
+    const base = hasExt ? name.slice(0, dot) : name;
+    const ext = hasExt ? name.slice(dot) : "";
+    let candidate = name;
+    for (let i = 1; this.usedNames.has(candidate.toLowerCase()); i++) {
+      candidate = `${base} (${i})${ext}`;
+    }
+    this.usedNames.add(candidate.toLowerCase());
+    return candidate;
+  }
+  async emit(bytes) {
+    this.offset += bytes.length;
+    await this.onData(bytes);
+  }
+};
+
+// src/adapters/storage.ts
+function getUploadStateKey(file) {
+  const lastModified = Number.isFinite(file?.lastModified) ? file.lastModified : 0;
+  return `dropgate:upload:${file?.name ?? "file"}:${file?.size ?? 0}:${lastModified}`;
+}
+function createMemoryUploadStateStore() {
+  const entries = /* @__PURE__ */ new Map();
+  return {
+    get: (key) => entries.get(key) ?? null,
+    set: (key, state) => {
+      entries.set(key, { ...state });
+    },
+    delete: (key) => {
+      entries.delete(key);
+    }
+  };
+}
+function createWebStorageUploadStateStore(storage) {
+  return {
+    get: (key) => {
+      const raw = storage.getItem(key);
+      if (!raw) return null;
+      try {
+        const parsed = JSON.parse(raw);
+        return parsed && parsed.version === 1 && typeof parsed.uploadId === "string" ? parsed : null;
+      } catch {
+        return null;
+      }
+    },
+    set: (key, state) => {
+      storage.setItem(key, JSON.stringify(state));
+    },
+    delete: (key) => {
+      storage.removeItem(key);
+    }
+  };
+}
 
 // src/client/DropgateClient.ts
-function estimateTotalUploadSizeBytes(fileSizeBytes, totalChunks, isEncrypted) {
+function resolveRetry(retry = {}) {
+  return {
+    retries: Number.isFinite(retry.retries) ? retry.retries : 5,
+    backoffMs: Number.isFinite(retry.backoffMs) ? retry.backoffMs : 1e3,
+    maxBackoffMs: Number.isFinite(retry.maxBackoffMs) ? retry.maxBackoffMs : 3e4
+  };
+}
+function resolveConcurrency(concurrency = 1) {
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new DropgateValidationError("Upload concurrency must be a positive integer.");
+  }
+  return Math.min(concurrency, MAX_UPLOAD_CONCURRENCY);
+}
+function assertScanCleared(scanStatus) {
+  if (scanStatus === "scanning") {
+    throw new DropgateProtocolError("This file is still being scanned for viruses. Try again shortly.", { code: "FILE_SCANNING" });
+  }
+  if (scanStatus === "infected" || scanStatus === "failed") {
+    throw new DropgateProtocolError("This file was blocked by the server's virus scanner.", { code: "FILE_BLOCKED" });
+  }
+}
+function estimateTotalUploadSizeBytes(fileSizeBytes, totalChunks, isEncrypted, encryptionVersion = ENCRYPTION_FORMAT_VERSION) {
   const base = Number(fileSizeBytes) || 0;
   if (!isEncrypted) return base;
-  return base + (Number(totalChunks) || 0) * ENCRYPTION_OVERHEAD_PER_CHUNK;
+  const header = encryptionVersion >= 2 ? STREAM_HEADER_BYTES : 0;
+  return base + header + (Number(totalChunks) || 0) * ENCRYPTION_OVERHEAD_PER_CHUNK;
+}
+function describeFile(file, message, thumbnail) {
+  const details = {
+    ...file.type ? { mimeType: file.type } : {},
+    ...Number.isFinite(file.lastModified) ? { lastModified: file.lastModified } : {},
+    ...message ? { message } : {},
+    ...thumbnail ? { thumbnail } : {}
+  };
+  return Object.keys(details).length > 0 ? details : null;
+}
+function resolveEncryptionVersion(serverInfo) {
+  const versions = serverInfo?.capabilities?.upload?.encryptionVersions;
+  return Array.isArray(versions) && versions.includes(ENCRYPTION_FORMAT_VERSION) ? ENCRYPTION_FORMAT_VERSION : 1;
 }
 async function getServerInfo(opts) {
-  const { host, port, secure, timeoutMs = 5e3, signal, fetchFn: customFetch } = opts;
+  const { host, port, secure, timeoutMs = 5e3, signal, fetchFn: customFetch, apiKey } = opts;
   const fetchFn = customFetch || getDefaultFetch();
   if (!fetchFn) {
     throw new DropgateValidationError("No fetch() implementation found.");
@@ -324,7 +973,10 @@ async function getServerInfo(opts) {
         method: "GET",
         timeoutMs,
         signal,
-        headers: { Accept: "application/json" }
+        headers: {
+          Accept: "application/json",
+          ...apiKey ? { Authorization: `Bearer ${apiKey}` } : {}
+        }
       }
     );
     if (res.ok && json && typeof json === "object" && "version" in json) {
@@ -366,6 +1018,7 @@ var DropgateClient = class {
     this.cryptoObj = cryptoObj;
     this.base64 = opts.base64 || getDefaultBase64();
     this.logger = opts.logger || null;
+    this.apiKey = opts.apiKey || null;
   }
   /**
    * Resolve a user-entered sharing code or URL via the server.
@@ -413,7 +1066,11 @@ var DropgateClient = class {
     let baseUrl;
     let serverInfo;
     try {
-      const result = await getServerInfo({ ...opts, fetchFn: this.fetchFn });
+      const result = await getServerInfo({
+        ...opts,
+        apiKey: opts.apiKey ?? this.apiKey ?? void 0,
+        fetchFn: this.fetchFn
+      });
       baseUrl = result.baseUrl;
       serverInfo = result.serverInfo;
     } catch (err) {
@@ -455,6 +1112,18 @@ var DropgateClient = class {
       baseUrl
     };
   }
+  /**
+   * Resolve the chunk size to upload with on a server.
+   * The client's chunk size is clamped to the sizes the server accepts. Servers that do not
+   * advertise any only accept the default chunk size.
+   * @param serverInfo - Server info from getServerInfo() or checkCompatibility().
+   * @returns Chunk size in bytes.
+   */
+  resolveChunkSize(serverInfo) {
+    const bounds = serverInfo?.capabilities?.upload?.chunkSize;
+    if (!bounds) return DEFAULT_CHUNK_SIZE;
+    return Math.min(Math.max(Math.floor(this.chunkSize), bounds.min), bounds.max);
+  }
   /**
    * Validate file and upload settings against server capabilities.
    * @param opts - Validation options containing file, settings, and server info.
@@ -462,11 +1131,14 @@ var DropgateClient = class {
    * @throws {DropgateValidationError} If any validation check fails.
    */
   validateUploadInputs(opts) {
-    const { file, lifetimeMs, encrypt, serverInfo } = opts;
+    const { file, lifetimeMs, encrypt, passphrase, webhook, message, thumbnail, serverInfo } = opts;
     const caps = serverInfo?.capabilities?.upload;
     if (!caps || !caps.enabled) {
       throw new DropgateValidationError("Server does not support file uploads.");
     }
+    if (caps.authRequired && caps.authenticated !== true) {
+      throw caps.authenticated === false ? new DropgateValidationError("The server rejected the API key.", { code: "AUTH_FAILED" }) : new DropgateValidationError("This server requires an API key to upload.", { code: "AUTH_REQUIRED" });
+    }
     const fileSize = Number(file?.size || 0);
     if (!file || !Number.isFinite(fileSize) || fileSize <= 0) {
       throw new DropgateValidationError("File is missing or invalid.");
@@ -474,11 +1146,12 @@ var DropgateClient = class {
     const maxMB = Number(caps.maxSizeMB);
     if (Number.isFinite(maxMB) && maxMB > 0) {
       const limitBytes = maxMB * 1e3 * 1e3;
-      const totalChunks = Math.ceil(fileSize / this.chunkSize);
+      const totalChunks = Math.ceil(fileSize / this.resolveChunkSize(serverInfo));
       const estimatedBytes = estimateTotalUploadSizeBytes(
         fileSize,
         totalChunks,
-        Boolean(encrypt)
+        Boolean(encrypt),
+        resolveEncryptionVersion(serverInfo)
       );
       if (estimatedBytes > limitBytes) {
         const msg = encrypt ? `File too large once encryption overhead is included. Server limit: ${maxMB} MB.` : `File too large. Server limit: ${maxMB} MB.`;
@@ -510,6 +1183,36 @@ var DropgateClient = class {
         "End-to-end encryption is not supported on this server."
       );
     }
+    if (passphrase !== void 0) {
+      if (typeof passphrase !== "string" || passphrase.length === 0) {
+        throw new DropgateValidationError("Passphrase must be a non-empty string.");
+      }
+      if (!encrypt) {
+        throw new DropgateValidationError("A passphrase can only be used with end-to-end encryption.");
+      }
+      if (!caps.passphrase) {
+        throw new DropgateValidationError("Passphrase-protected links are not supported on this server.");
+      }
+    }
+    if (webhook !== void 0 && !caps.webhooks) {
+      throw new DropgateValidationError("This server does not accept upload webhooks.");
+    }
+    if (message !== void 0 || thumbnail !== void 0) {
+      if (message !== void 0 && (typeof message !== "string" || message.length > MAX_FILE_MESSAGE_LENGTH)) {
+        throw new DropgateValidationError(`Message must be a string of at most ${MAX_FILE_MESSAGE_LENGTH} characters.`);
+      }
+      if (thumbnail !== void 0 && !isThumbnailDataUrl(thumbnail)) {
+        throw new DropgateValidationError(
+          `Thumbnail must be a PNG, JPEG, GIF or WebP data URL of at most ${MAX_THUMBNAIL_DATA_URL_LENGTH / 1024} KiB.`
+        );
+      }
+      if (!encrypt) {
+        throw new DropgateValidationError("A message or thumbnail can only be sent with end-to-end encryption.");
+      }
+      if (!caps.encryptedMetadata) {
+        throw new DropgateValidationError("This server cannot store messages or thumbnails with files.");
+      }
+    }
     return true;
   }
   /**
@@ -530,240 +1233,1026 @@ var DropgateClient = class {
       lifetimeMs,
       encrypt,
       maxDownloads,
+      passphrase,
+      webhook,
+      message,
+      thumbnail,
       filenameOverride,
       onProgress,
       onCancel,
       signal,
+      stateStore,
+      stateKey,
       timeouts = {},
-      retry = {}
+      retry = {},
+      concurrency
     } = opts;
-    const internalController = signal ? null : new AbortController();
-    const effectiveSignal = signal || internalController?.signal;
-    let uploadState = "initializing";
-    let currentUploadId = null;
-    let currentBaseUrl = null;
-    const uploadPromise = (async () => {
-      try {
-        const progress = (evt) => {
-          try {
-            if (onProgress) onProgress(evt);
-          } catch {
-          }
-        };
-        if (!this.cryptoObj?.subtle) {
-          throw new DropgateValidationError(
-            "Web Crypto API not available (crypto.subtle)."
-          );
-        }
-        const fileSizeBytes = file.size;
-        progress({ phase: "server-info", text: "Checking server...", percent: 0, processedBytes: 0, totalBytes: fileSizeBytes });
-        const compat = await this.checkCompatibility({
-          host,
-          port,
-          secure,
-          timeoutMs: timeouts.serverInfoMs ?? 5e3,
-          signal: effectiveSignal
-        });
-        const { baseUrl, serverInfo } = compat;
-        progress({ phase: "server-compat", text: compat.message, percent: 0, processedBytes: 0, totalBytes: fileSizeBytes });
-        if (!compat.compatible) {
-          throw new DropgateValidationError(compat.message);
-        }
-        const filename = filenameOverride ?? file.name ?? "file";
-        const serverSupportsE2EE = Boolean(serverInfo?.capabilities?.upload?.e2ee);
-        const effectiveEncrypt = encrypt ?? serverSupportsE2EE;
-        if (!effectiveEncrypt) {
-          validatePlainFilename(filename);
-        }
-        this.validateUploadInputs({ file, lifetimeMs, encrypt: effectiveEncrypt, serverInfo });
-        let cryptoKey = null;
-        let keyB64 = null;
-        let transmittedFilename = filename;
-        if (effectiveEncrypt) {
-          progress({ phase: "crypto", text: "Generating encryption key...", percent: 0, processedBytes: 0, totalBytes: fileSizeBytes });
-          try {
-            cryptoKey = await generateAesGcmKey(this.cryptoObj);
-            keyB64 = await exportKeyBase64(this.cryptoObj, cryptoKey);
-            transmittedFilename = await encryptFilenameToBase64(
-              this.cryptoObj,
-              filename,
-              cryptoKey
-            );
-          } catch (err) {
-            throw new DropgateError("Failed to prepare encryption.", {
-              code: "CRYPTO_PREP_FAILED",
-              cause: err
-            });
-          }
+    const chunkConcurrency = resolveConcurrency(concurrency);
+    const effectiveStateKey = stateStore ? stateKey ?? getUploadStateKey(file) : null;
+    return this.startUploadSession({ signal, onCancel }, async (session) => {
+      const progress = (evt) => {
+        try {
+          if (onProgress) onProgress(evt);
+        } catch {
         }
-        const totalChunks = Math.ceil(file.size / this.chunkSize);
-        const totalUploadSize = estimateTotalUploadSizeBytes(
-          file.size,
-          totalChunks,
-          effectiveEncrypt
+      };
+      if (!this.cryptoObj?.subtle) {
+        throw new DropgateValidationError(
+          "Web Crypto API not available (crypto.subtle)."
         );
-        progress({ phase: "init", text: "Reserving server storage...", percent: 0, processedBytes: 0, totalBytes: fileSizeBytes });
-        const initPayload = {
-          filename: transmittedFilename,
-          lifetime: lifetimeMs,
-          isEncrypted: effectiveEncrypt,
-          totalSize: totalUploadSize,
-          totalChunks,
-          ...maxDownloads !== void 0 ? { maxDownloads } : {}
-        };
-        const initRes = await fetchJson(this.fetchFn, `${baseUrl}/upload/init`, {
-          method: "POST",
-          timeoutMs: timeouts.initMs ?? 15e3,
-          signal: effectiveSignal,
-          headers: {
-            "Content-Type": "application/json",
-            Accept: "application/json"
-          },
-          body: JSON.stringify(initPayload)
-        });
-        if (!initRes.res.ok) {
-          const errorJson = initRes.json;
-          const msg = errorJson?.error || `Server initialisation failed: ${initRes.res.status}`;
-          throw new DropgateProtocolError(msg, {
-            details: initRes.json || initRes.text
-          });
-        }
-        const initJson = initRes.json;
-        const uploadId = initJson?.uploadId;
-        if (!uploadId || typeof uploadId !== "string") {
-          throw new DropgateProtocolError(
-            "Server did not return a valid uploadId."
+      }
+      const fileSizeBytes = file.size;
+      progress({ phase: "server-info", text: "Checking server...", percent: 0, processedBytes: 0, totalBytes: fileSizeBytes });
+      const compat = await this.checkCompatibility({
+        host,
+        port,
+        secure,
+        timeoutMs: timeouts.serverInfoMs ?? 5e3,
+        signal: session.signal
+      });
+      const { baseUrl, serverInfo } = compat;
+      progress({ phase: "server-compat", text: compat.message, percent: 0, processedBytes: 0, totalBytes: fileSizeBytes });
+      if (!compat.compatible) {
+        throw new DropgateValidationError(compat.message);
+      }
+      const filename = filenameOverride ?? file.name ?? "file";
+      const serverSupportsE2EE = Boolean(serverInfo?.capabilities?.upload?.e2ee);
+      const effectiveEncrypt = encrypt ?? serverSupportsE2EE;
+      if (!effectiveEncrypt) {
+        validatePlainFilename(filename);
+      }
+      this.validateUploadInputs({ file, lifetimeMs, encrypt: effectiveEncrypt, passphrase, webhook, message, thumbnail, serverInfo });
+      let cryptoKey = null;
+      let keyB64 = null;
+      let transmittedFilename = filename;
+      let encryptedMetadata = null;
+      let passphraseLock = null;
+      if (effectiveEncrypt) {
+        progress({ phase: "crypto", text: "Generating encryption key...", percent: 0, processedBytes: 0, totalBytes: fileSizeBytes });
+        try {
+          cryptoKey = await generateAesGcmKey(this.cryptoObj);
+          keyB64 = await exportKeyBase64(this.cryptoObj, cryptoKey);
+          transmittedFilename = await encryptFilenameToBase64(
+            this.cryptoObj,
+            filename,
+            cryptoKey
           );
-        }
-        currentUploadId = uploadId;
-        currentBaseUrl = baseUrl;
-        uploadState = "uploading";
-        const retries = Number.isFinite(retry.retries) ? retry.retries : 5;
-        const baseBackoffMs = Number.isFinite(retry.backoffMs) ? retry.backoffMs : 1e3;
-        const maxBackoffMs = Number.isFinite(retry.maxBackoffMs) ? retry.maxBackoffMs : 3e4;
-        for (let i = 0; i < totalChunks; i++) {
-          if (effectiveSignal?.aborted) {
-            throw effectiveSignal.reason || new DropgateAbortError();
-          }
-          const start = i * this.chunkSize;
-          const end = Math.min(start + this.chunkSize, file.size);
-          let chunkBlob = file.slice(start, end);
-          const percentComplete = i / totalChunks * 100;
-          const processedBytes = i * this.chunkSize;
-          progress({
-            phase: "chunk",
-            text: `Uploading chunk ${i + 1} of ${totalChunks}...`,
-            percent: percentComplete,
-            processedBytes,
-            totalBytes: fileSizeBytes,
-            chunkIndex: i,
-            totalChunks
-          });
-          const chunkBuffer = await chunkBlob.arrayBuffer();
-          let uploadBlob;
-          if (effectiveEncrypt && cryptoKey) {
-            uploadBlob = await encryptToBlob(this.cryptoObj, chunkBuffer, cryptoKey);
-          } else {
-            uploadBlob = new Blob([chunkBuffer]);
-          }
-          if (uploadBlob.size > DEFAULT_CHUNK_SIZE + 1024) {
-            throw new DropgateValidationError(
-              "Chunk too large (client-side). Check chunk size settings."
-            );
+          const details = describeFile(file, message, thumbnail);
+          if (details && serverInfo?.capabilities?.upload?.encryptedMetadata) {
+            encryptedMetadata = await encryptJsonToBase64(this.cryptoObj, details, cryptoKey);
           }
-          const toHash = await uploadBlob.arrayBuffer();
-          const hashHex = await sha256Hex(this.cryptoObj, toHash);
-          const headers = {
-            "Content-Type": "application/octet-stream",
-            "X-Upload-ID": uploadId,
-            "X-Chunk-Index": String(i),
-            "X-Chunk-Hash": hashHex
-          };
-          const chunkUrl = `${baseUrl}/upload/chunk`;
-          await this.attemptChunkUpload(
-            chunkUrl,
-            {
-              method: "POST",
-              headers,
-              body: uploadBlob
-            },
-            {
-              retries,
-              backoffMs: baseBackoffMs,
-              maxBackoffMs,
-              timeoutMs: timeouts.chunkMs ?? 6e4,
-              signal: effectiveSignal,
-              progress,
-              chunkIndex: i,
-              totalChunks,
-              chunkSize: this.chunkSize,
-              fileSizeBytes
-            }
-          );
-        }
-        progress({ phase: "complete", text: "Finalising upload...", percent: 100, processedBytes: fileSizeBytes, totalBytes: fileSizeBytes });
-        uploadState = "completing";
-        const completeRes = await fetchJson(
-          this.fetchFn,
-          `${baseUrl}/upload/complete`,
-          {
-            method: "POST",
-            timeoutMs: timeouts.completeMs ?? 3e4,
-            signal: effectiveSignal,
-            headers: {
-              "Content-Type": "application/json",
-              Accept: "application/json"
-            },
-            body: JSON.stringify({ uploadId })
+          if (passphrase !== void 0) {
+            passphraseLock = await wrapKeyWithPassphrase(this.cryptoObj, cryptoKey, passphrase, void 0, this.base64);
           }
-        );
-        if (!completeRes.res.ok) {
-          const errorJson = completeRes.json;
-          const msg = errorJson?.error || "Finalisation failed.";
-          throw new DropgateProtocolError(msg, {
-            details: completeRes.json || completeRes.text
+        } catch (err) {
+          throw new DropgateError("Failed to prepare encryption.", {
+            code: "CRYPTO_PREP_FAILED",
+            cause: err
           });
         }
-        const completeJson = completeRes.json;
-        const fileId = completeJson?.id;
-        if (!fileId || typeof fileId !== "string") {
-          throw new DropgateProtocolError(
-            "Server did not return a valid file id."
-          );
-        }
-        let downloadUrl = `${baseUrl}/${fileId}`;
-        if (effectiveEncrypt && keyB64) {
-          downloadUrl += `#${keyB64}`;
-        }
-        progress({ phase: "done", text: "Upload successful!", percent: 100, processedBytes: fileSizeBytes, totalBytes: fileSizeBytes });
-        uploadState = "completed";
-        return {
-          downloadUrl,
-          fileId,
+      }
+      const chunkSize = this.resolveChunkSize(serverInfo);
+      const totalChunks = Math.ceil(file.size / chunkSize);
+      const streamHeader = effectiveEncrypt && resolveEncryptionVersion(serverInfo) >= 2 ? createStreamHeader(this.cryptoObj, chunkSize) : null;
+      const totalUploadSize = estimateTotalUploadSizeBytes(
+        file.size,
+        totalChunks,
+        effectiveEncrypt,
+        streamHeader ? streamHeader.version : 1
+      );
+      progress({ phase: "init", text: "Reserving server storage...", percent: 0, processedBytes: 0, totalBytes: fileSizeBytes });
+      const initPayload = {
+        filename: transmittedFilename,
+        lifetime: lifetimeMs,
+        isEncrypted: effectiveEncrypt,
+        totalSize: totalUploadSize,
+        totalChunks,
+        chunkSize,
+        ...streamHeader ? { encryptionVersion: streamHeader.version } : {},
+        ...encryptedMetadata ? { encryptedMetadata } : {},
+        ...maxDownloads !== void 0 ? { maxDownloads } : {},
+        ...passphraseLock ? { passphrase: passphraseLock } : {},
+        ...webhook ? { webhook } : {}
+      };
+      const uploadId = await this.initUpload(baseUrl, initPayload, timeouts.initMs ?? 15e3, session.signal);
+      session.setTarget(uploadId, baseUrl);
+      session.setStatus("uploading");
+      if (stateStore && effectiveStateKey && serverInfo?.capabilities?.upload?.resumable) {
+        session.addCancelHook(() => this.clearUploadState(stateStore, effectiveStateKey));
+        await this.saveUploadState(stateStore, effectiveStateKey, {
+          version: 1,
           uploadId,
           baseUrl,
-          ...effectiveEncrypt && keyB64 ? { keyB64 } : {}
-        };
-      } catch (err) {
-        if (err instanceof Error && (err.name === "AbortError" || err.message?.includes("abort"))) {
-          uploadState = "cancelled";
-          onCancel?.();
-        } else {
-          uploadState = "error";
-        }
-        throw err;
-      }
-    })();
-    const callCancelEndpoint = async (uploadId, baseUrl) => {
-      try {
-        await fetchJson(this.fetchFn, `${baseUrl}/upload/cancel`, {
-          method: "POST",
-          timeoutMs: 5e3,
-          headers: {
-            "Content-Type": "application/json",
-            Accept: "application/json"
-          },
-          body: JSON.stringify({ uploadId })
+          fileName: file.name,
+          fileSize: file.size,
+          ...Number.isFinite(file.lastModified) ? { fileLastModified: file.lastModified } : {},
+          chunkSize,
+          totalChunks,
+          isEncrypted: effectiveEncrypt,
+          ...effectiveEncrypt && keyB64 ? { keyB64 } : {},
+          ...streamHeader ? { streamHeaderB64: this.base64.encode(streamHeader.bytes) } : {},
+          ...passphraseLock ? { passphraseProtected: true } : {},
+          createdAt: Date.now()
+        });
+      }
+      const plainHashes = await this.uploadChunks({
+        file,
+        baseUrl,
+        uploadId,
+        chunkIndexes: Array.from({ length: totalChunks }, (_, i) => i),
+        totalChunks,
+        chunkSize,
+        cryptoKey,
+        streamHeader,
+        signal: session.signal,
+        timeouts,
+        retry,
+        concurrency: chunkConcurrency,
+        progress
+      });
+      progress({ phase: "complete", text: "Finalising upload...", percent: 100, processedBytes: fileSizeBytes, totalBytes: fileSizeBytes });
+      session.setStatus("completing");
+      const encryptedIntegrity = cryptoKey ? await this.sealIntegrityManifest(file, chunkSize, totalChunks, plainHashes, cryptoKey) : void 0;
+      const { id: fileId, ownerToken } = await this.completeUpload(
+        baseUrl,
+        uploadId,
+        timeouts.completeMs ?? 3e4,
+        session.signal,
+        "file",
+        encryptedIntegrity
+      );
+      if (stateStore && effectiveStateKey) {
+        await this.clearUploadState(stateStore, effectiveStateKey);
+      }
+      let downloadUrl = `${baseUrl}/${fileId}`;
+      if (effectiveEncrypt && keyB64 && !passphraseLock) {
+        downloadUrl += `#${keyB64}`;
+      }
+      progress({ phase: "done", text: "Upload successful!", percent: 100, processedBytes: fileSizeBytes, totalBytes: fileSizeBytes });
+      session.setStatus("completed");
+      return {
+        downloadUrl,
+        fileId,
+        uploadId,
+        baseUrl,
+        ...effectiveEncrypt && keyB64 && !passphraseLock ? { keyB64 } : {},
+        ...ownerToken ? { ownerToken } : {}
+      };
+    });
+  }
+  /**
+   * Resume an interrupted upload from state saved by uploadFile().
+   * Asks the server which chunks it already holds and only sends the rest.
+   * The saved state is removed once the upload completes or the server
+   * reports that the session has expired.
+   * @param opts - Resume options including the original file and state store.
+   * @returns Upload session, as returned by uploadFile().
+   * @throws {DropgateValidationError} If there is no saved state or the file does not match it.
+   * @throws {DropgateNetworkError} If the server cannot be reached.
+   * @throws {DropgateProtocolError} If the server returns an error or the session has expired.
+   * @throws {DropgateAbortError} If the upload is cancelled.
+   */
+  async resumeUpload(opts) {
+    const {
+      host,
+      port,
+      secure,
+      file,
+      stateStore,
+      stateKey,
+      onProgress,
+      onCancel,
+      signal,
+      timeouts = {},
+      retry = {},
+      concurrency
+    } = opts;
+    if (!stateStore) {
+      throw new DropgateValidationError("resumeUpload requires a stateStore.");
+    }
+    const chunkConcurrency = resolveConcurrency(concurrency);
+    const effectiveStateKey = stateKey ?? getUploadStateKey(file);
+    return this.startUploadSession({ signal, onCancel }, async (session) => {
+      session.addCancelHook(() => this.clearUploadState(stateStore, effectiveStateKey));
+      const progress = (evt) => {
+        try {
+          if (onProgress) onProgress(evt);
+        } catch {
+        }
+      };
+      if (!this.cryptoObj?.subtle) {
+        throw new DropgateValidationError(
+          "Web Crypto API not available (crypto.subtle)."
+        );
+      }
+      const fileSizeBytes = file.size;
+      const state = await stateStore.get(effectiveStateKey);
+      if (!state) {
+        throw new DropgateValidationError("No saved upload found for this file.", {
+          code: "UPLOAD_STATE_NOT_FOUND"
+        });
+      }
+      const lastModifiedMismatch = Number.isFinite(state.fileLastModified) && Number.isFinite(file.lastModified) && state.fileLastModified !== file.lastModified;
+      if (state.fileName !== file.name || state.fileSize !== file.size || lastModifiedMismatch) {
+        throw new DropgateValidationError("The selected file does not match the saved upload.", {
+          code: "UPLOAD_STATE_MISMATCH"
+        });
+      }
+      progress({ phase: "server-info", text: "Checking server...", percent: 0, processedBytes: 0, totalBytes: fileSizeBytes });
+      const compat = await this.checkCompatibility({
+        host,
+        port,
+        secure,
+        timeoutMs: timeouts.serverInfoMs ?? 5e3,
+        signal: session.signal
+      });
+      const { baseUrl, serverInfo } = compat;
+      progress({ phase: "server-compat", text: compat.message, percent: 0, processedBytes: 0, totalBytes: fileSizeBytes });
+      if (!compat.compatible) {
+        throw new DropgateValidationError(compat.message);
+      }
+      if (state.baseUrl !== baseUrl) {
+        throw new DropgateValidationError("The saved upload belongs to a different server.", {
+          code: "UPLOAD_STATE_MISMATCH"
+        });
+      }
+      if (!serverInfo?.capabilities?.upload?.resumable) {
+        throw new DropgateValidationError("Server does not support resuming uploads.");
+      }
+      progress({ phase: "resume", text: "Checking upload progress...", percent: 0, processedBytes: 0, totalBytes: fileSizeBytes });
+      const statusRes = await fetchJson(this.fetchFn, `${baseUrl}/upload/status`, {
+        method: "POST",
+        timeoutMs: timeouts.statusMs ?? 15e3,
+        signal: session.signal,
+        headers: {
+          "Content-Type": "application/json",
+          Accept: "application/json",
+          "X-Upload-ID": state.uploadId
+        },
+        body: JSON.stringify({ uploadId: state.uploadId })
+      });
+      if (statusRes.res.status === 404 || statusRes.res.status === 410) {
+        await this.clearUploadState(stateStore, effectiveStateKey);
+        throw new DropgateProtocolError("Upload session has expired. Please start the upload again.", {
+          code: "UPLOAD_SESSION_EXPIRED",
+          details: statusRes.json || statusRes.text
+        });
+      }
+      if (!statusRes.res.ok) {
+        const errorJson = statusRes.json;
+        const msg = errorJson?.error || `Upload status request failed: ${statusRes.res.status}`;
+        throw new DropgateProtocolError(msg, {
+          details: statusRes.json || statusRes.text
+        });
+      }
+      const statusJson = statusRes.json;
+      if (!Array.isArray(statusJson?.receivedChunks)) {
+        throw new DropgateProtocolError("Server returned an invalid upload status.");
+      }
+      const received = new Set(statusJson.receivedChunks);
+      const missingChunks = [];
+      for (let i = 0; i < state.totalChunks; i++) {
+        if (!received.has(i)) missingChunks.push(i);
+      }
+      session.setTarget(state.uploadId, baseUrl);
+      session.setStatus("uploading");
+      let cryptoKey = null;
+      let streamHeader = null;
+      if (state.isEncrypted) {
+        if (!state.keyB64) {
+          throw new DropgateValidationError("Saved upload is missing its encryption key.");
+        }
+        try {
+          cryptoKey = await importKeyFromBase64(this.cryptoObj, state.keyB64, this.base64, ["encrypt", "decrypt"]);
+          if (state.streamHeaderB64) streamHeader = parseStreamHeader(this.base64.decode(state.streamHeaderB64));
+        } catch (err) {
+          throw new DropgateError("Failed to restore encryption key.", {
+            code: "CRYPTO_PREP_FAILED",
+            cause: err
+          });
+        }
+      }
+      const plainHashes = await this.uploadChunks({
+        file,
+        baseUrl,
+        uploadId: state.uploadId,
+        chunkIndexes: missingChunks,
+        totalChunks: state.totalChunks,
+        chunkSize: state.chunkSize,
+        cryptoKey,
+        streamHeader,
+        signal: session.signal,
+        timeouts,
+        retry,
+        concurrency: chunkConcurrency,
+        progress
+      });
+      progress({ phase: "complete", text: "Finalising upload...", percent: 100, processedBytes: fileSizeBytes, totalBytes: fileSizeBytes });
+      session.setStatus("completing");
+      const encryptedIntegrity = cryptoKey ? await this.sealIntegrityManifest(file, state.chunkSize, state.totalChunks, plainHashes, cryptoKey) : void 0;
+      const { id: fileId, ownerToken } = await this.completeUpload(
+        baseUrl,
+        state.uploadId,
+        timeouts.completeMs ?? 3e4,
+        session.signal,
+        "file",
+        encryptedIntegrity
+      );
+      await this.clearUploadState(stateStore, effectiveStateKey);
+      const linkKeyB64 = state.isEncrypted && !state.passphraseProtected ? state.keyB64 : void 0;
+      let downloadUrl = `${baseUrl}/${fileId}`;
+      if (linkKeyB64) {
+        downloadUrl += `#${linkKeyB64}`;
+      }
+      progress({ phase: "done", text: "Upload successful!", percent: 100, processedBytes: fileSizeBytes, totalBytes: fileSizeBytes });
+      session.setStatus("completed");
+      return {
+        downloadUrl,
+        fileId,
+        uploadId: state.uploadId,
+        baseUrl,
+        ...linkKeyB64 ? { keyB64: linkKeyB64 } : {},
+        ...ownerToken ? { ownerToken } : {}
+      };
+    });
+  }
+  /**
+   * Upload several files as a bundle that shares a single download link.
+   * All files are encrypted with the same key when encryption is enabled.
+   * @param opts - Upload options including the files, server target, and settings.
+   * @returns Upload session resolving to the bundle's download URL and file identifiers.
+   * @throws {DropgateValidationError} If input validation fails.
+   * @throws {DropgateNetworkError} If the server cannot be reached.
+   * @throws {DropgateProtocolError} If the server returns an error.
+   * @throws {DropgateAbortError} If the upload is cancelled.
+   */
+  async uploadFiles(opts) {
+    const {
+      host,
+      port,
+      secure,
+      files,
+      lifetimeMs,
+      encrypt,
+      maxDownloads,
+      passphrase,
+      webhook,
+      onProgress,
+      onCancel,
+      signal,
+      timeouts = {},
+      retry = {},
+      concurrency
+    } = opts;
+    if (!Array.isArray(files) || files.length === 0) {
+      throw new DropgateValidationError("At least one file is required.");
+    }
+    const chunkConcurrency = resolveConcurrency(concurrency);
+    return this.startUploadSession({ signal, onCancel }, async (session) => {
+      const progress = (evt) => {
+        try {
+          if (onProgress) onProgress(evt);
+        } catch {
+        }
+      };
+      if (!this.cryptoObj?.subtle) {
+        throw new DropgateValidationError(
+          "Web Crypto API not available (crypto.subtle)."
+        );
+      }
+      const totalFiles = files.length;
+      const totalBytes = files.reduce((sum, f) => sum + (Number(f?.size) || 0), 0);
+      progress({ phase: "server-info", text: "Checking server...", percent: 0, processedBytes: 0, totalBytes, totalFiles });
+      const compat = await this.checkCompatibility({
+        host,
+        port,
+        secure,
+        timeoutMs: timeouts.serverInfoMs ?? 5e3,
+        signal: session.signal
+      });
+      const { baseUrl, serverInfo } = compat;
+      progress({ phase: "server-compat", text: compat.message, percent: 0, processedBytes: 0, totalBytes, totalFiles });
+      if (!compat.compatible) {
+        throw new DropgateValidationError(compat.message);
+      }
+      const serverSupportsE2EE = Boolean(serverInfo?.capabilities?.upload?.e2ee);
+      const effectiveEncrypt = encrypt ?? serverSupportsE2EE;
+      const filenames = files.map((file, i) => file?.name || `file-${i + 1}`);
+      for (let i = 0; i < totalFiles; i++) {
+        if (!effectiveEncrypt) {
+          validatePlainFilename(filenames[i]);
+        }
+        this.validateUploadInputs({ file: files[i], lifetimeMs, encrypt: effectiveEncrypt, passphrase, webhook, serverInfo });
+      }
+      let cryptoKey = null;
+      let keyB64 = null;
+      let transmittedFilenames = filenames;
+      const encryptedMetadata = files.map(() => null);
+      let passphraseLock = null;
+      if (effectiveEncrypt) {
+        progress({ phase: "crypto", text: "Generating encryption key...", percent: 0, processedBytes: 0, totalBytes, totalFiles });
+        try {
+          cryptoKey = await generateAesGcmKey(this.cryptoObj);
+          keyB64 = await exportKeyBase64(this.cryptoObj, cryptoKey);
+          transmittedFilenames = [];
+          for (const filename of filenames) {
+            transmittedFilenames.push(await encryptFilenameToBase64(this.cryptoObj, filename, cryptoKey));
+          }
+          if (serverInfo?.capabilities?.upload?.encryptedMetadata) {
+            for (let i = 0; i < totalFiles; i++) {
+              const details = describeFile(files[i]);
+              if (details) encryptedMetadata[i] = await encryptJsonToBase64(this.cryptoObj, details, cryptoKey);
+            }
+          }
+          if (passphrase !== void 0) {
+            passphraseLock = await wrapKeyWithPassphrase(this.cryptoObj, cryptoKey, passphrase, void 0, this.base64);
+          }
+        } catch (err) {
+          throw new DropgateError("Failed to prepare encryption.", {
+            code: "CRYPTO_PREP_FAILED",
+            cause: err
+          });
+        }
+      }
+      progress({ phase: "init", text: "Creating bundle...", percent: 0, processedBytes: 0, totalBytes, totalFiles });
+      const bundleRes = await fetchJson(this.fetchFn, `${baseUrl}/upload/bundle/init`, {
+        method: "POST",
+        timeoutMs: timeouts.initMs ?? 15e3,
+        signal: session.signal,
+        headers: {
+          "Content-Type": "application/json",
+          Accept: "application/json",
+          ...this.authHeaders()
+        },
+        body: JSON.stringify({
+          lifetime: lifetimeMs,
+          isEncrypted: effectiveEncrypt,
+          fileCount: totalFiles,
+          ...maxDownloads !== void 0 ? { maxDownloads } : {},
+          ...passphraseLock ? { passphrase: passphraseLock } : {},
+          ...webhook ? { webhook } : {}
+        })
+      });
+      if (!bundleRes.res.ok) {
+        const errorJson = bundleRes.json;
+        const msg = errorJson?.error || `Bundle initialisation failed: ${bundleRes.res.status}`;
+        throw new DropgateProtocolError(msg, {
+          code: bundleRes.res.status === 401 ? "AUTH_FAILED" : void 0,
+          details: bundleRes.json || bundleRes.text
+        });
+      }
+      const uploadBundleId = bundleRes.json?.bundleId;
+      if (!uploadBundleId || typeof uploadBundleId !== "string") {
+        throw new DropgateProtocolError("Server did not return a valid bundleId.");
+      }
+      session.addCancelHook(async () => {
+        await fetchJson(this.fetchFn, `${baseUrl}/upload/bundle/cancel`, {
+          method: "POST",
+          timeoutMs: 5e3,
+          headers: {
+            "Content-Type": "application/json",
+            Accept: "application/json"
+          },
+          body: JSON.stringify({ bundleId: uploadBundleId })
+        });
+      });
+      session.setStatus("uploading");
+      const uploadedFiles = [];
+      const chunkSize = this.resolveChunkSize(serverInfo);
+      const encryptionVersion = resolveEncryptionVersion(serverInfo);
+      let bytesBefore = 0;
+      for (let f = 0; f < totalFiles; f++) {
+        const file = files[f];
+        const fileProgress = (evt) => {
+          const processedBytes = bytesBefore + (evt.processedBytes || 0);
+          progress({
+            ...evt,
+            text: `File ${f + 1} of ${totalFiles}: ${evt.text ?? ""}`,
+            percent: totalBytes > 0 ? processedBytes / totalBytes * 100 : 0,
+            processedBytes,
+            totalBytes,
+            fileIndex: f,
+            totalFiles
+          });
+        };
+        const totalChunks = Math.ceil(file.size / chunkSize);
+        const streamHeader = effectiveEncrypt && encryptionVersion >= 2 ? createStreamHeader(this.cryptoObj, chunkSize) : null;
+        const uploadId = await this.initUpload(
+          baseUrl,
+          {
+            bundleId: uploadBundleId,
+            filename: transmittedFilenames[f],
+            isEncrypted: effectiveEncrypt,
+            totalSize: estimateTotalUploadSizeBytes(file.size, totalChunks, effectiveEncrypt, streamHeader ? streamHeader.version : 1),
+            totalChunks,
+            chunkSize,
+            ...streamHeader ? { encryptionVersion: streamHeader.version } : {},
+            ...encryptedMetadata[f] ? { encryptedMetadata: encryptedMetadata[f] } : {}
+          },
+          timeouts.initMs ?? 15e3,
+          session.signal
+        );
+        session.setTarget(uploadId, baseUrl);
+        const plainHashes = await this.uploadChunks({
+          file,
+          baseUrl,
+          uploadId,
+          chunkIndexes: Array.from({ length: totalChunks }, (_, i) => i),
+          totalChunks,
+          chunkSize,
+          cryptoKey,
+          streamHeader,
+          signal: session.signal,
+          timeouts,
+          retry,
+          concurrency: chunkConcurrency,
+          progress: fileProgress
+        });
+        const encryptedIntegrity = cryptoKey ? await this.sealIntegrityManifest(file, chunkSize, totalChunks, plainHashes, cryptoKey) : void 0;
+        const { id: fileId } = await this.completeUpload(
+          baseUrl,
+          uploadId,
+          timeouts.completeMs ?? 3e4,
+          session.signal,
+          "file",
+          encryptedIntegrity
+        );
+        uploadedFiles.push({ fileId, name: filenames[f] });
+        bytesBefore += file.size;
+      }
+      progress({ phase: "complete", text: "Finalising bundle...", percent: 100, processedBytes: totalBytes, totalBytes, totalFiles });
+      session.setStatus("completing");
+      const { id: bundleId, ownerToken } = await this.completeUpload(baseUrl, uploadBundleId, timeouts.completeMs ?? 3e4, session.signal, "bundle");
+      let downloadUrl = `${baseUrl}/${bundleId}`;
+      if (effectiveEncrypt && keyB64 && !passphraseLock) {
+        downloadUrl += `#${keyB64}`;
+      }
+      progress({ phase: "done", text: "Upload successful!", percent: 100, processedBytes: totalBytes, totalBytes, totalFiles });
+      session.setStatus("completed");
+      return {
+        downloadUrl,
+        bundleId,
+        baseUrl,
+        files: uploadedFiles,
+        ...effectiveEncrypt && keyB64 && !passphraseLock ? { keyB64 } : {},
+        ...ownerToken ? { ownerToken } : {}
+      };
+    });
+  }
+  /**
+   * Fetch metadata for a shared file or bundle.
+   * For bundles, `files` lists the member files, each of which can be passed to downloadFile().
+   * @param fileId - The file or bundle ID.
+   * @param opts - Server target and request options.
+   * @returns The file metadata (filenames are still encrypted for encrypted files).
+   * @throws {DropgateNetworkError} If the server cannot be reached.
+   * @throws {DropgateProtocolError} If the file does not exist or the server returns an error.
+   */
+  async getFileMetadata(fileId, opts) {
+    const { timeoutMs = 5e3, signal } = opts;
+    if (!fileId || typeof fileId !== "string") {
+      throw new DropgateValidationError("File ID is required.");
+    }
+    const compat = await this.checkCompatibility(opts);
+    if (!compat.compatible) {
+      throw new DropgateValidationError(compat.message);
+    }
+    return this.fetchFileMetadata(compat.baseUrl, fileId, timeoutMs, signal);
+  }
+  /**
+   * Delete an upload (file or bundle) before it expires.
+   * @param opts - Server target, file ID and the owner token returned by the upload.
+   * @throws {DropgateValidationError} If input validation fails.
+   * @throws {DropgateProtocolError} If the token is rejected or the file no longer exists.
+   */
+  async deleteUpload(opts) {
+    await this.sendOwnerRequest("DELETE", opts);
+  }
+  /**
+   * Change the lifetime or download limit of an upload (file or bundle).
+   * Calling it without changes returns the current settings.
+   * @param opts - Server target, file ID, owner token and the settings to change.
+   * @returns The upload's settings after the change.
+   * @throws {DropgateValidationError} If input validation fails.
+   * @throws {DropgateProtocolError} If the token is rejected, the change exceeds server limits,
+   * or the file no longer exists.
+   */
+  async updateUpload(opts) {
+    const { lifetimeMs, maxDownloads } = opts;
+    if (lifetimeMs !== void 0 && (!Number.isInteger(lifetimeMs) || lifetimeMs < 0)) {
+      throw new DropgateValidationError("Invalid lifetime. Must be a non-negative integer (milliseconds).");
+    }
+    if (maxDownloads !== void 0 && (!Number.isInteger(maxDownloads) || maxDownloads < 0)) {
+      throw new DropgateValidationError("Invalid maxDownloads. Must be a non-negative integer.");
+    }
+    return await this.sendOwnerRequest("PATCH", opts, { lifetime: lifetimeMs, maxDownloads });
+  }
+  /**
+   * Unlock a passphrase-protected share and return its decryption key.
+   * The key can then be passed as `keyB64` to downloadFile() or downloadBundleAsZip(),
+   * or used to decrypt the filenames of a bundle's files.
+   * @param opts - Server target, share ID and passphrase.
+   * @returns The base64-encoded decryption key.
+   * @throws {DropgateValidationError} If input validation fails or the share has no passphrase.
+   * @throws {DropgateProtocolError} If the passphrase is wrong (PASSPHRASE_INCORRECT) or
+   * the share is temporarily locked after too many attempts (PASSPHRASE_LOCKED).
+   */
+  async unlockWithPassphrase(opts) {
+    const { fileId, passphrase, timeoutMs = 5e3, signal } = opts;
+    if (!fileId || typeof fileId !== "string") {
+      throw new DropgateValidationError("File ID is required.");
+    }
+    if (!passphrase || typeof passphrase !== "string") {
+      throw new DropgateValidationError("Passphrase is required.", { code: "PASSPHRASE_REQUIRED" });
+    }
+    const compat = await this.checkCompatibility(opts);
+    if (!compat.compatible) {
+      throw new DropgateValidationError(compat.message);
+    }
+    const metadata = await this.fetchFileMetadata(compat.baseUrl, fileId, timeoutMs, signal);
+    if (!metadata.passphrase) {
+      throw new DropgateValidationError("This share is not passphrase-protected.", { code: "PASSPHRASE_NOT_SET" });
+    }
+    return this.unlockKey(compat.baseUrl, fileId, metadata.passphrase, passphrase, timeoutMs, signal);
+  }
+  /**
+   * Download a file from the server with optional decryption.
+   *
+   * **Important:** For large files, you must provide an `onData` callback to stream
+   * data incrementally. Without it, the entire file is buffered in memory, which will
+   * cause memory exhaustion for large files. Files exceeding 100MB without an `onData`
+   * callback will throw a validation error.
+   *
+   * @param opts - Download options including file ID, server target, and optional key.
+   * @param opts.onData - Streaming callback that receives data chunks. Required for files > 100MB.
+   * @returns Download result containing filename and received bytes.
+   * @throws {DropgateValidationError} If input validation fails or file is too large without onData.
+   * @throws {DropgateNetworkError} If the server cannot be reached.
+   * @throws {DropgateProtocolError} If the server returns an error.
+   * @throws {DropgateIntegrityError} If the content does not match the file's integrity manifest.
+   * @throws {DropgateAbortError} If the download is cancelled.
+   */
+  async downloadFile(opts) {
+    const {
+      host,
+      port,
+      secure,
+      fileId,
+      keyB64,
+      passphrase,
+      onPassphrase,
+      onProgress,
+      onData,
+      signal,
+      timeoutMs = 6e4,
+      retry,
+      confirm = false
+    } = opts;
+    const progress = (evt) => {
+      try {
+        if (onProgress) onProgress(evt);
+      } catch {
+      }
+    };
+    if (!fileId || typeof fileId !== "string") {
+      throw new DropgateValidationError("File ID is required.");
+    }
+    progress({ phase: "server-info", text: "Checking server...", processedBytes: 0, totalBytes: 0, percent: 0 });
+    const compat = await this.checkCompatibility({
+      host,
+      port,
+      secure,
+      timeoutMs,
+      signal
+    });
+    const { baseUrl } = compat;
+    progress({ phase: "server-compat", text: compat.message, processedBytes: 0, totalBytes: 0, percent: 0 });
+    if (!compat.compatible) {
+      throw new DropgateValidationError(compat.message);
+    }
+    progress({ phase: "metadata", text: "Fetching file info...", processedBytes: 0, totalBytes: 0, percent: 0 });
+    const metadata = await this.fetchFileMetadata(baseUrl, fileId, timeoutMs, signal);
+    if (metadata.isBundle) {
+      throw new DropgateValidationError(
+        "This link is a bundle of files. Use downloadBundleAsZip() or download each file by its ID.",
+        { code: "BUNDLE_NOT_DOWNLOADABLE" }
+      );
+    }
+    assertScanCleared(metadata.scanStatus);
+    const isEncrypted = Boolean(metadata.isEncrypted);
+    const totalBytes = metadata.sizeBytes || 0;
+    if (!onData && totalBytes > MAX_IN_MEMORY_DOWNLOAD_BYTES) {
+      const sizeMB = Math.round(totalBytes / (1024 * 1024));
+      const limitMB = Math.round(MAX_IN_MEMORY_DOWNLOAD_BYTES / (1024 * 1024));
+      throw new DropgateValidationError(
+        `File is too large (${sizeMB}MB) to download without streaming. Provide an onData callback to stream files larger than ${limitMB}MB.`
+      );
+    }
+    const effectiveKeyB64 = isEncrypted && !keyB64 && metadata.passphrase ? await this.unlockShare(baseUrl, fileId, metadata.passphrase, { passphrase, onPassphrase, timeoutMs, signal }) : keyB64;
+    let filename;
+    let cryptoKey;
+    let details;
+    if (isEncrypted) {
+      if (!effectiveKeyB64) {
+        throw new DropgateValidationError("Decryption key is required for encrypted files.");
+      }
+      if (!this.cryptoObj?.subtle) {
+        throw new DropgateValidationError("Web Crypto API not available for decryption.");
+      }
+      progress({ phase: "decrypting", text: "Preparing decryption...", processedBytes: 0, totalBytes: 0, percent: 0 });
+      try {
+        cryptoKey = await importKeyFromBase64(this.cryptoObj, effectiveKeyB64, this.base64);
+        filename = await decryptFilenameFromBase64(
+          this.cryptoObj,
+          metadata.encryptedFilename,
+          cryptoKey,
+          this.base64
+        );
+      } catch (err) {
+        throw new DropgateError("Failed to decrypt filename. Invalid key or corrupted data.", {
+          code: "DECRYPT_FILENAME_FAILED",
+          cause: err
+        });
+      }
+      if (metadata.encryptedMetadata) {
+        try {
+          details = await decryptFileDetailsFromBase64(this.cryptoObj, metadata.encryptedMetadata, cryptoKey, this.base64);
+        } catch (err) {
+          throw new DropgateError("Failed to decrypt the file details. Invalid key or corrupted data.", {
+            code: "DECRYPT_METADATA_FAILED",
+            cause: err
+          });
+        }
+      }
+    } else {
+      filename = metadata.filename || "file";
+    }
+    const manifest = await this.loadIntegrityManifest(metadata, isEncrypted, cryptoKey);
+    progress({ phase: "downloading", text: "Starting download...", percent: 0, processedBytes: 0, totalBytes });
+    const dataChunks = [];
+    const collectData = !onData;
+    const deliver = async (chunk) => {
+      if (collectData) {
+        dataChunks.push(chunk);
+      } else {
+        await onData(chunk);
+      }
+    };
+    const verifier = manifest ? createIntegrityVerifier(this.cryptoObj, manifest, deliver) : null;
+    const { receivedBytes, downloadToken } = await this.streamFileContent({
+      baseUrl,
+      fileId,
+      cryptoKey,
+      chunkSize: metadata.chunkSize,
+      encryptionVersion: metadata.encryptionVersion,
+      totalBytes,
+      signal,
+      timeoutMs,
+      retry: resolveRetry(retry),
+      confirm,
+      progress,
+      onChunk: (chunk) => verifier ? verifier.write(chunk) : deliver(chunk)
+    });
+    await verifier?.finish();
+    const confirmed = downloadToken ? await this.confirmDownload(baseUrl, fileId, downloadToken, timeoutMs, signal) : false;
+    progress({ phase: "complete", text: "Download complete!", percent: 100, processedBytes: receivedBytes, totalBytes });
+    let data;
+    if (collectData && dataChunks.length > 0) {
+      const totalLength = dataChunks.reduce((sum, chunk) => sum + chunk.length, 0);
+      data = new Uint8Array(totalLength);
+      let offset = 0;
+      for (const chunk of dataChunks) {
+        data.set(chunk, offset);
+        offset += chunk.length;
+      }
+    }
+    return {
+      filename,
+      receivedBytes,
+      wasEncrypted: isEncrypted,
+      integrityVerified: Boolean(verifier),
+      ...details ? { details } : {},
+      ...confirm ? { confirmed } : {},
+      ...data ? { data } : {}
+    };
+  }
+  /**
+   * Download every file in a bundle as one ZIP archive.
+   * Files are fetched one at a time, decrypted locally (for encrypted shares) and
+   * written into the archive as they arrive, so neither the server nor memory
+   * ever holds the complete plaintext archive.
+   * @param opts - Download options including bundle ID, server target, and optional key.
+   * @param opts.onData - Streaming callback that receives the archive bytes.
+   * @returns Download result containing the archive entry names and sizes.
+   * @throws {DropgateValidationError} If input validation fails.
+   * @throws {DropgateIntegrityError} If a file does not match its integrity manifest.
+   * @throws {DropgateNetworkError} If the server cannot be reached.
+   * @throws {DropgateProtocolError} If the server returns an error.
+   * @throws {DropgateAbortError} If the download is cancelled.
+   */
+  async downloadBundleAsZip(opts) {
+    const {
+      host,
+      port,
+      secure,
+      fileId,
+      keyB64,
+      passphrase,
+      onPassphrase,
+      onProgress,
+      onData,
+      signal,
+      timeoutMs = 6e4,
+      retry
+    } = opts;
+    const progress = (evt) => {
+      try {
+        if (onProgress) onProgress(evt);
+      } catch {
+      }
+    };
+    if (!fileId || typeof fileId !== "string") {
+      throw new DropgateValidationError("File ID is required.");
+    }
+    if (typeof onData !== "function") {
+      throw new DropgateValidationError("An onData callback is required to receive the ZIP archive.");
+    }
+    progress({ phase: "server-info", text: "Checking server...", processedBytes: 0, totalBytes: 0, percent: 0 });
+    const compat = await this.checkCompatibility({
+      host,
+      port,
+      secure,
+      timeoutMs,
+      signal
+    });
+    const { baseUrl } = compat;
+    progress({ phase: "server-compat", text: compat.message, processedBytes: 0, totalBytes: 0, percent: 0 });
+    if (!compat.compatible) {
+      throw new DropgateValidationError(compat.message);
+    }
+    progress({ phase: "metadata", text: "Fetching file info...", processedBytes: 0, totalBytes: 0, percent: 0 });
+    const metadata = await this.fetchFileMetadata(baseUrl, fileId, timeoutMs, signal);
+    const isEncrypted = Boolean(metadata.isEncrypted);
+    const members = metadata.isBundle ? metadata.files || [] : [{
+      id: fileId,
+      sizeBytes: metadata.sizeBytes,
+      filename: metadata.filename,
+      encryptedFilename: metadata.encryptedFilename,
+      encryptedMetadata: metadata.encryptedMetadata,
+      chunkSize: metadata.chunkSize,
+      encryptionVersion: metadata.encryptionVersion,
+      scanStatus: metadata.scanStatus,
+      integrity: metadata.integrity,
+      encryptedIntegrity: metadata.encryptedIntegrity
+    }];
+    for (const member of members) assertScanCleared(member.scanStatus);
+    const totalBytes = members.reduce((sum, m) => sum + (m.sizeBytes || 0), 0);
+    const effectiveKeyB64 = isEncrypted && !keyB64 && metadata.passphrase ? await this.unlockShare(baseUrl, fileId, metadata.passphrase, { passphrase, onPassphrase, timeoutMs, signal }) : keyB64;
+    let cryptoKey;
+    const filenames = [];
+    const modifiedTimes = [];
+    if (isEncrypted) {
+      if (!effectiveKeyB64) {
+        throw new DropgateValidationError("Decryption key is required for encrypted files.");
+      }
+      if (!this.cryptoObj?.subtle) {
+        throw new DropgateValidationError("Web Crypto API not available for decryption.");
+      }
+      progress({ phase: "decrypting", text: "Preparing decryption...", processedBytes: 0, totalBytes: 0, percent: 0 });
+      try {
+        cryptoKey = await importKeyFromBase64(this.cryptoObj, effectiveKeyB64, this.base64);
+        for (const member of members) {
+          filenames.push(await decryptFilenameFromBase64(this.cryptoObj, member.encryptedFilename, cryptoKey, this.base64));
+        }
+      } catch (err) {
+        throw new DropgateError("Failed to decrypt filename. Invalid key or corrupted data.", {
+          code: "DECRYPT_FILENAME_FAILED",
+          cause: err
+        });
+      }
+      try {
+        for (const member of members) {
+          const details = member.encryptedMetadata ? await decryptFileDetailsFromBase64(this.cryptoObj, member.encryptedMetadata, cryptoKey, this.base64) : null;
+          modifiedTimes.push(details?.lastModified);
+        }
+      } catch (err) {
+        throw new DropgateError("Failed to decrypt the file details. Invalid key or corrupted data.", {
+          code: "DECRYPT_METADATA_FAILED",
+          cause: err
+        });
+      }
+    } else {
+      for (const member of members) filenames.push(member.filename || "file");
+    }
+    progress({ phase: "downloading", text: "Starting download...", percent: 0, processedBytes: 0, totalBytes });
+    const zip = new ZipWriter(onData);
+    const entryNames = [];
+    let receivedBefore = 0;
+    let integrityVerified = true;
+    for (let i = 0; i < members.length; i++) {
+      const member = members[i];
+      const manifest = await this.loadIntegrityManifest(member, isEncrypted, cryptoKey);
+      const verifier = manifest ? createIntegrityVerifier(this.cryptoObj, manifest, (chunk) => zip.write(chunk)) : null;
+      if (!verifier) integrityVerified = false;
+      entryNames.push(await zip.startFile(filenames[i], { lastModified: modifiedTimes[i] }));
+      const { receivedBytes: fileReceived } = await this.streamFileContent({
+        baseUrl,
+        fileId: member.id,
+        cryptoKey,
+        chunkSize: member.chunkSize,
+        encryptionVersion: member.encryptionVersion,
+        totalBytes: member.sizeBytes || 0,
+        signal,
+        timeoutMs,
+        retry: resolveRetry(retry),
+        progress: (evt) => {
+          const processedBytes = receivedBefore + evt.processedBytes;
+          const percent = totalBytes > 0 ? Math.round(processedBytes / totalBytes * 100) : 0;
+          progress({
+            ...evt,
+            text: `File ${i + 1} of ${members.length}: ${evt.text ?? ""}`,
+            percent,
+            processedBytes,
+            totalBytes
+          });
+        },
+        onChunk: (chunk) => verifier ? verifier.write(chunk) : zip.write(chunk)
+      });
+      await verifier?.finish();
+      await zip.endFile();
+      receivedBefore += fileReceived;
+    }
+    const archiveBytes = await zip.finish();
+    progress({ phase: "complete", text: "Download complete!", percent: 100, processedBytes: receivedBefore, totalBytes });
+    return {
+      filenames: entryNames,
+      receivedBytes: receivedBefore,
+      archiveBytes,
+      wasEncrypted: isEncrypted,
+      integrityVerified
+    };
+  }
+  /**
+   * Load the integrity manifest of a file or bundle member, decrypting it for encrypted files.
+   * @returns The manifest, or null for files stored without one.
+   * @throws {DropgateIntegrityError} If the manifest does not decrypt or is malformed.
+   */
+  async loadIntegrityManifest(metadata, isEncrypted, cryptoKey) {
+    if (cryptoKey && metadata.encryptedIntegrity) {
+      return decryptIntegrityManifest(this.cryptoObj, metadata.encryptedIntegrity, cryptoKey, this.base64);
+    }
+    if (!isEncrypted && metadata.integrity) {
+      assertIntegrityManifest(metadata.integrity);
+      return metadata.integrity;
+    }
+    return null;
+  }
+  /**
+   * Wrap an upload routine in an UploadSession with status tracking and cancellation.
+   */
+  startUploadSession(opts, run) {
+    const { signal, onCancel } = opts;
+    const internalController = signal ? null : new AbortController();
+    const effectiveSignal = signal || internalController?.signal;
+    let uploadState = "initializing";
+    let currentUploadId = null;
+    let currentBaseUrl = null;
+    const cancelHooks = [];
+    const uploadPromise = (async () => {
+      try {
+        return await run({
+          signal: effectiveSignal,
+          setStatus: (status) => {
+            uploadState = status;
+          },
+          setTarget: (uploadId, baseUrl) => {
+            currentUploadId = uploadId;
+            currentBaseUrl = baseUrl;
+          },
+          addCancelHook: (hook) => {
+            cancelHooks.push(hook);
+          }
+        });
+      } catch (err) {
+        if (err instanceof Error && (err.name === "AbortError" || err.message?.includes("abort"))) {
+          uploadState = "cancelled";
+          onCancel?.();
+        } else {
+          uploadState = "error";
+        }
+        throw err;
+      }
+    })();
+    const callCancelEndpoint = async (uploadId, baseUrl) => {
+      try {
+        await fetchJson(this.fetchFn, `${baseUrl}/upload/cancel`, {
+          method: "POST",
+          timeoutMs: 5e3,
+          headers: {
+            "Content-Type": "application/json",
+            Accept: "application/json"
+          },
+          body: JSON.stringify({ uploadId })
         });
       } catch {
       }
@@ -777,64 +2266,569 @@ var DropgateClient = class {
           callCancelEndpoint(currentUploadId, currentBaseUrl).catch(() => {
           });
         }
-        internalController?.abort(new DropgateAbortError(reason || "Upload cancelled by user."));
-      },
-      getStatus: () => uploadState
-    };
+        for (const hook of cancelHooks) {
+          hook().catch(() => {
+          });
+        }
+        internalController?.abort(new DropgateAbortError(reason || "Upload cancelled by user."));
+      },
+      getStatus: () => uploadState
+    };
+  }
+  /**
+   * Encrypt (if needed), hash and upload the given chunks, up to `concurrency` at a time.
+   * Each worker holds one chunk in memory, so memory use is bounded by the concurrency.
+   * The first chunk that fails for good aborts the others, as does cancelling the session.
+   * @returns Plaintext hashes of the uploaded chunks by index, for the integrity manifest
+   * of encrypted uploads (empty for unencrypted ones, whose manifest the server builds).
+   */
+  async uploadChunks(opts) {
+    const {
+      file,
+      baseUrl,
+      uploadId,
+      chunkIndexes,
+      totalChunks,
+      chunkSize,
+      cryptoKey,
+      streamHeader,
+      signal,
+      timeouts,
+      retry,
+      concurrency,
+      progress
+    } = opts;
+    const fileSizeBytes = file.size;
+    const { retries, backoffMs: baseBackoffMs, maxBackoffMs } = resolveRetry(retry);
+    const chunkBytes = (i) => Math.max(0, Math.min(chunkSize, fileSizeBytes - i * chunkSize));
+    let completedChunks = totalChunks - chunkIndexes.length;
+    let processedBytes = chunkIndexes.reduce((sum, i) => sum - chunkBytes(i), fileSizeBytes);
+    const currentProgress = () => ({
+      percent: completedChunks / totalChunks * 100,
+      processedBytes,
+      totalBytes: fileSizeBytes,
+      totalChunks
+    });
+    const controller = new AbortController();
+    const abortAll = () => controller.abort(signal?.reason);
+    if (signal?.aborted) abortAll();
+    else signal?.addEventListener("abort", abortAll, { once: true });
+    let next = 0;
+    let failure = null;
+    const plainHashes = [];
+    const uploadChunk = async (i) => {
+      progress({
+        phase: "chunk",
+        text: `Uploading chunk ${i + 1} of ${totalChunks}...`,
+        ...currentProgress(),
+        chunkIndex: i
+      });
+      const start = i * chunkSize;
+      const end = Math.min(start + chunkSize, file.size);
+      const chunkBlob = file.slice(start, end);
+      const chunkBuffer = await chunkBlob.arrayBuffer();
+      if (cryptoKey) plainHashes[i] = await sha256Hex(this.cryptoObj, chunkBuffer);
+      let uploadBlob;
+      if (cryptoKey && streamHeader) {
+        const encrypted = await encryptStreamChunk(this.cryptoObj, cryptoKey, streamHeader, i, i === totalChunks - 1, chunkBuffer);
+        uploadBlob = i === 0 ? new Blob([streamHeader.bytes.slice(), encrypted]) : encrypted;
+      } else if (cryptoKey) {
+        uploadBlob = await encryptToBlob(this.cryptoObj, chunkBuffer, cryptoKey);
+      } else {
+        uploadBlob = new Blob([chunkBuffer]);
+      }
+      const headerBytes = i === 0 && streamHeader ? STREAM_HEADER_BYTES : 0;
+      if (uploadBlob.size > chunkSize + ENCRYPTION_OVERHEAD_PER_CHUNK + headerBytes) {
+        throw new DropgateValidationError(
+          "Chunk too large (client-side). Check chunk size settings."
+        );
+      }
+      const toHash = await uploadBlob.arrayBuffer();
+      const hashHex = await sha256Hex(this.cryptoObj, toHash);
+      const headers = {
+        "Content-Type": "application/octet-stream",
+        "X-Upload-ID": uploadId,
+        "X-Chunk-Index": String(i),
+        "X-Chunk-Hash": hashHex
+      };
+      const chunkUrl = `${baseUrl}/upload/chunk`;
+      await this.attemptChunkUpload(
+        chunkUrl,
+        {
+          method: "POST",
+          headers,
+          body: uploadBlob
+        },
+        {
+          retries,
+          backoffMs: baseBackoffMs,
+          maxBackoffMs,
+          timeoutMs: timeouts.chunkMs ?? 6e4,
+          signal: controller.signal,
+          progress,
+          currentProgress,
+          chunkIndex: i
+        }
+      );
+      completedChunks += 1;
+      processedBytes += chunkBytes(i);
+    };
+    const worker = async () => {
+      while (next < chunkIndexes.length && !controller.signal.aborted) {
+        try {
+          await uploadChunk(chunkIndexes[next++]);
+        } catch (err) {
+          if (!controller.signal.aborted) {
+            failure = err;
+            controller.abort();
+          }
+        }
+      }
+    };
+    try {
+      const workers = Math.min(concurrency, chunkIndexes.length);
+      await Promise.all(Array.from({ length: workers }, () => worker()));
+    } finally {
+      signal?.removeEventListener("abort", abortAll);
+    }
+    if (signal?.aborted) {
+      throw signal.reason || new DropgateAbortError();
+    }
+    if (failure) throw failure;
+    return plainHashes;
+  }
+  /**
+   * Build the integrity manifest of an encrypted upload and encrypt it with the file key.
+   * Chunks missing from `plainHashes` (sent before a resume) are hashed from the file.
+   */
+  async sealIntegrityManifest(file, chunkSize, totalChunks, plainHashes, cryptoKey) {
+    const chunkHashes = [];
+    for (let i = 0; i < totalChunks; i++) {
+      chunkHashes.push(plainHashes[i] ?? await sha256Hex(
+        this.cryptoObj,
+        await file.slice(i * chunkSize, Math.min((i + 1) * chunkSize, file.size)).arrayBuffer()
+      ));
+    }
+    const manifest = await createIntegrityManifest(this.cryptoObj, chunkSize, chunkHashes);
+    return encryptIntegrityManifest(this.cryptoObj, manifest, cryptoKey);
+  }
+  /**
+   * Authorization header for the configured API key, if any.
+   */
+  authHeaders() {
+    return this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
+  }
+  /**
+   * Reserve an upload session on the server and return its upload id.
+   */
+  async initUpload(baseUrl, payload, timeoutMs, signal) {
+    const initRes = await fetchJson(this.fetchFn, `${baseUrl}/upload/init`, {
+      method: "POST",
+      timeoutMs,
+      signal,
+      headers: {
+        "Content-Type": "application/json",
+        Accept: "application/json",
+        ...this.authHeaders()
+      },
+      body: JSON.stringify(payload)
+    });
+    if (!initRes.res.ok) {
+      const errorJson = initRes.json;
+      const msg = errorJson?.error || `Server initialisation failed: ${initRes.res.status}`;
+      throw new DropgateProtocolError(msg, {
+        code: initRes.res.status === 401 ? "AUTH_FAILED" : void 0,
+        details: initRes.json || initRes.text
+      });
+    }
+    const initJson = initRes.json;
+    const uploadId = initJson?.uploadId;
+    if (!uploadId || typeof uploadId !== "string") {
+      throw new DropgateProtocolError(
+        "Server did not return a valid uploadId."
+      );
+    }
+    return uploadId;
+  }
+  /**
+   * Finalise an upload (or bundle) session and return the new file id,
+   * along with the owner token if the server issued one.
+   * Encrypted files send their encrypted integrity manifest along.
+   */
+  async completeUpload(baseUrl, sessionId, timeoutMs, signal, kind = "file", encryptedIntegrity) {
+    const completeRes = await fetchJson(
+      this.fetchFn,
+      kind === "bundle" ? `${baseUrl}/upload/bundle/complete` : `${baseUrl}/upload/complete`,
+      {
+        method: "POST",
+        timeoutMs,
+        signal,
+        headers: {
+          "Content-Type": "application/json",
+          Accept: "application/json"
+        },
+        body: JSON.stringify(kind === "bundle" ? { bundleId: sessionId } : { uploadId: sessionId, ...encryptedIntegrity ? { encryptedIntegrity } : {} })
+      }
+    );
+    if (!completeRes.res.ok) {
+      const errorJson = completeRes.json;
+      const msg = errorJson?.error || "Finalisation failed.";
+      throw new DropgateProtocolError(msg, {
+        details: completeRes.json || completeRes.text
+      });
+    }
+    const completeJson = completeRes.json;
+    const fileId = completeJson?.id;
+    if (!fileId || typeof fileId !== "string") {
+      throw new DropgateProtocolError(
+        "Server did not return a valid file id."
+      );
+    }
+    const ownerToken = typeof completeJson?.ownerToken === "string" ? completeJson.ownerToken : void 0;
+    return { id: fileId, ...ownerToken ? { ownerToken } : {} };
+  }
+  /**
+   * Stream a stored file's content, decrypting it chunk by chunk when a key is given.
+   * If the connection drops, the download resumes with a Range request from the last
+   * byte handed to `onChunk`. For encrypted files that is always the end of a whole
+   * encrypted chunk, so decryption restarts cleanly and no data is emitted twice.
+   * Version 2 files are checked chunk by chunk against their position, and must end
+   * with their final chunk, so reordered or truncated content is rejected.
+   * @returns Bytes received from the server, and the token to confirm the download with
+   * when `confirm` was requested and the server supports it.
+   */
+  async streamFileContent(opts) {
+    const {
+      baseUrl,
+      fileId,
+      cryptoKey,
+      chunkSize,
+      encryptionVersion = 1,
+      totalBytes,
+      signal,
+      timeoutMs,
+      retry,
+      confirm,
+      progress,
+      onChunk
+    } = opts;
+    let encryptedChunkSize = (chunkSize || DEFAULT_CHUNK_SIZE) + ENCRYPTION_OVERHEAD_PER_CHUNK;
+    const isStream = encryptionVersion >= 2;
+    let streamHeader = null;
+    let chunkIndex = 0;
+    let committedBytes = 0;
+    let etag = null;
+    let downloadId = null;
+    let attemptsLeft = retry.retries;
+    let currentBackoff = retry.backoffMs;
+    const network = async (op) => {
+      try {
+        return await op();
+      } catch (err) {
+        if (err instanceof Error && err.name === "AbortError") {
+          throw new DropgateAbortError("Download cancelled.");
+        }
+        throw new DropgateNetworkError("Download interrupted.", { cause: err });
+      }
+    };
+    while (true) {
+      const { signal: downloadSignal, cleanup: downloadCleanup } = makeAbortSignal(signal, timeoutMs);
+      try {
+        const headers = {};
+        if (confirm) headers["X-Download-Confirm"] = "true";
+        if (committedBytes > 0) {
+          headers.Range = `bytes=${committedBytes}-`;
+          if (etag) headers["If-Range"] = etag;
+          if (downloadId) headers["X-Download-Id"] = downloadId;
+        }
+        const downloadRes = await network(() => this.fetchFn(`${baseUrl}/api/file/${fileId}`, {
+          method: "GET",
+          headers,
+          signal: downloadSignal
+        }));
+        if (committedBytes > 0 && downloadRes.status !== 206) {
+          throw new DropgateProtocolError(
+            `Download was interrupted and the server could not resume it (status ${downloadRes.status}).`
+          );
+        }
+        if (!downloadRes.ok) {
+          throw new DropgateProtocolError(`Download failed (status ${downloadRes.status}).`);
+        }
+        if (!downloadRes.body) {
+          throw new DropgateProtocolError("Streaming response not available.");
+        }
+        etag = etag ?? downloadRes.headers.get("ETag");
+        downloadId = downloadId ?? downloadRes.headers.get("X-Download-Id");
+        const reader = downloadRes.body.getReader();
+        if (cryptoKey) {
+          const pendingChunks = [];
+          let pendingLength = 0;
+          const takePending = (length) => {
+            let buffer = pendingChunks[0];
+            if (pendingChunks.length > 1) {
+              buffer = new Uint8Array(pendingLength);
+              let offset = 0;
+              for (const chunk of pendingChunks) {
+                buffer.set(chunk, offset);
+                offset += chunk.length;
+              }
+            }
+            pendingChunks.length = 0;
+            pendingLength = 0;
+            if (buffer.length > length) {
+              pendingChunks.push(buffer.subarray(length));
+              pendingLength = buffer.length - length;
+            }
+            return buffer.subarray(0, length);
+          };
+          const decrypt = async (encryptedChunk, isFinal) => {
+            if (!streamHeader) return new Uint8Array(await decryptChunk(this.cryptoObj, encryptedChunk, cryptoKey));
+            try {
+              return new Uint8Array(await decryptStreamChunk(this.cryptoObj, cryptoKey, streamHeader, chunkIndex, isFinal, encryptedChunk));
+            } catch (err) {
+              throw new DropgateError("Failed to decrypt the file. It was modified, reordered or truncated.", {
+                code: "DECRYPT_FAILED",
+                cause: err
+              });
+            }
+          };
+          while (true) {
+            if (signal?.aborted) {
+              throw new DropgateAbortError("Download cancelled.");
+            }
+            const { done, value } = await network(() => reader.read());
+            if (done) break;
+            pendingChunks.push(value);
+            pendingLength += value.length;
+            if (isStream && !streamHeader) {
+              if (pendingLength < STREAM_HEADER_BYTES) continue;
+              streamHeader = parseStreamHeader(takePending(STREAM_HEADER_BYTES));
+              encryptedChunkSize = streamHeader.chunkSize + ENCRYPTION_OVERHEAD_PER_CHUNK;
+              committedBytes += STREAM_HEADER_BYTES;
+            }
+            while (isStream ? pendingLength > encryptedChunkSize : pendingLength >= encryptedChunkSize) {
+              const decryptedData = await decrypt(takePending(encryptedChunkSize), false);
+              await onChunk(decryptedData);
+              committedBytes += encryptedChunkSize;
+              chunkIndex++;
+            }
+            const receivedBytes = committedBytes + pendingLength;
+            const percent = totalBytes > 0 ? Math.round(receivedBytes / totalBytes * 100) : 0;
+            progress({
+              phase: "decrypting",
+              text: `Downloading & decrypting... (${percent}%)`,
+              percent,
+              processedBytes: receivedBytes,
+              totalBytes
+            });
+          }
+          if (totalBytes > 0 && committedBytes + pendingLength < totalBytes) {
+            throw new DropgateNetworkError("Download ended early.");
+          }
+          if (isStream && (!streamHeader || pendingLength === 0)) {
+            throw new DropgateError("Failed to decrypt the file. It was truncated.", { code: "DECRYPT_FAILED" });
+          }
+          if (pendingLength > 0) {
+            const length = pendingLength;
+            const decryptedData = await decrypt(takePending(length), true);
+            await onChunk(decryptedData);
+            committedBytes += length;
+          }
+        } else {
+          while (true) {
+            if (signal?.aborted) {
+              throw new DropgateAbortError("Download cancelled.");
+            }
+            const { done, value } = await network(() => reader.read());
+            if (done) break;
+            await onChunk(value);
+            committedBytes += value.length;
+            const percent = totalBytes > 0 ? Math.round(committedBytes / totalBytes * 100) : 0;
+            progress({
+              phase: "downloading",
+              text: `Downloading... (${percent}%)`,
+              percent,
+              processedBytes: committedBytes,
+              totalBytes
+            });
+          }
+          if (totalBytes > 0 && committedBytes < totalBytes) {
+            throw new DropgateNetworkError("Download ended early.");
+          }
+        }
+        return { receivedBytes: committedBytes, downloadToken: downloadRes.headers.get("X-Download-Token") };
+      } catch (err) {
+        if (err instanceof DropgateNetworkError && attemptsLeft > 0 && !signal?.aborted) {
+          attemptsLeft--;
+          const percent = totalBytes > 0 ? Math.round(committedBytes / totalBytes * 100) : 0;
+          progress({
+            phase: "retry-wait",
+            text: `Connection lost. Resuming download in ${(currentBackoff / 1e3).toFixed(1)}s... (${retry.retries - attemptsLeft}/${retry.retries})`,
+            percent,
+            processedBytes: committedBytes,
+            totalBytes
+          });
+          await sleep(currentBackoff, signal).catch(() => {
+            throw new DropgateAbortError("Download cancelled.");
+          });
+          currentBackoff = Math.min(currentBackoff * 2, retry.maxBackoffMs);
+          continue;
+        }
+        if (err instanceof DropgateError) throw err;
+        if (err instanceof Error && err.name === "AbortError") {
+          throw new DropgateAbortError("Download cancelled.");
+        }
+        throw new DropgateNetworkError("Download failed.", { cause: err });
+      } finally {
+        downloadCleanup();
+      }
+    }
   }
   /**
-   * Download a file from the server with optional decryption.
-   *
-   * **Important:** For large files, you must provide an `onData` callback to stream
-   * data incrementally. Without it, the entire file is buffered in memory, which will
-   * cause memory exhaustion for large files. Files exceeding 100MB without an `onData`
-   * callback will throw a validation error.
-   *
-   * @param opts - Download options including file ID, server target, and optional key.
-   * @param opts.onData - Streaming callback that receives data chunks. Required for files > 100MB.
-   * @returns Download result containing filename and received bytes.
-   * @throws {DropgateValidationError} If input validation fails or file is too large without onData.
-   * @throws {DropgateNetworkError} If the server cannot be reached.
-   * @throws {DropgateProtocolError} If the server returns an error.
-   * @throws {DropgateAbortError} If the download is cancelled.
+   * Send a management request for an upload, authenticated by its owner token.
+   * @returns The parsed JSON response.
    */
-  async downloadFile(opts) {
-    const {
-      host,
-      port,
-      secure,
-      fileId,
-      keyB64,
-      onProgress,
-      onData,
+  async sendOwnerRequest(method, opts, body = {}) {
+    const { fileId, ownerToken, timeoutMs = 5e3, signal } = opts;
+    if (!fileId || typeof fileId !== "string") {
+      throw new DropgateValidationError("File ID is required.");
+    }
+    if (!ownerToken || typeof ownerToken !== "string") {
+      throw new DropgateValidationError("Owner token is required.");
+    }
+    const compat = await this.checkCompatibility(opts);
+    if (!compat.compatible) {
+      throw new DropgateValidationError(compat.message);
+    }
+    const { res, json } = await fetchJson(this.fetchFn, `${compat.baseUrl}/api/file/${encodeURIComponent(fileId)}`, {
+      method,
+      timeoutMs,
       signal,
-      timeoutMs = 6e4
-    } = opts;
-    const progress = (evt) => {
+      headers: {
+        "Content-Type": "application/json",
+        Accept: "application/json",
+        "X-Owner-Token": ownerToken
+      },
+      body: JSON.stringify(body)
+    });
+    if (!res.ok) {
+      const msg = json?.error || `Request failed (status ${res.status}).`;
+      if (res.status === 401 || res.status === 403) {
+        throw new DropgateProtocolError(msg, { code: "OWNER_TOKEN_INVALID", details: json });
+      }
+      if (res.status === 404) {
+        throw new DropgateProtocolError("File not found or has expired.", { code: "FILE_NOT_FOUND", details: json });
+      }
+      throw new DropgateProtocolError(msg, { details: json });
+    }
+    return json;
+  }
+  /**
+   * Get the key of a passphrase-protected share, asking again through `onPassphrase`
+   * for as long as the passphrase is wrong and the caller keeps answering.
+   */
+  async unlockShare(baseUrl, fileId, params, opts) {
+    const { onPassphrase, timeoutMs, signal } = opts;
+    let candidate = opts.passphrase;
+    let ctx = { incorrect: false };
+    for (; ; ) {
+      if (!candidate && onPassphrase) {
+        candidate = await onPassphrase(ctx) || void 0;
+      }
+      if (!candidate) {
+        throw new DropgateValidationError("A passphrase is required to download this file.", {
+          code: "PASSPHRASE_REQUIRED"
+        });
+      }
       try {
-        if (onProgress) onProgress(evt);
-      } catch {
+        return await this.unlockKey(baseUrl, fileId, params, candidate, timeoutMs, signal);
+      } catch (err) {
+        if (!onPassphrase || !(err instanceof DropgateError) || err.code !== "PASSPHRASE_INCORRECT") throw err;
+        const attemptsLeft = err.details?.attemptsLeft;
+        ctx = { incorrect: true, ...typeof attemptsLeft === "number" ? { attemptsLeft } : {} };
+        candidate = void 0;
       }
-    };
-    if (!fileId || typeof fileId !== "string") {
-      throw new DropgateValidationError("File ID is required.");
     }
-    progress({ phase: "server-info", text: "Checking server...", processedBytes: 0, totalBytes: 0, percent: 0 });
-    const compat = await this.checkCompatibility({
-      host,
-      port,
-      secure,
+  }
+  /**
+   * Prove a passphrase to the server and unwrap the key it releases.
+   * @returns The base64-encoded decryption key.
+   */
+  async unlockKey(baseUrl, fileId, params, passphrase, timeoutMs, signal) {
+    if (!this.cryptoObj?.subtle) {
+      throw new DropgateValidationError("Web Crypto API not available for decryption.");
+    }
+    let derived;
+    try {
+      derived = await derivePassphraseKeys(this.cryptoObj, passphrase, base64ToBytes(params.salt, this.base64), params.iterations);
+    } catch (err) {
+      throw new DropgateError("Failed to derive a key from the passphrase.", {
+        code: "CRYPTO_PREP_FAILED",
+        cause: err
+      });
+    }
+    const { res, json } = await fetchJson(this.fetchFn, `${baseUrl}/api/file/${encodeURIComponent(fileId)}/unlock`, {
+      method: "POST",
       timeoutMs,
-      signal
+      signal,
+      headers: {
+        "Content-Type": "application/json",
+        Accept: "application/json"
+      },
+      body: JSON.stringify({ authKey: bytesToBase64(derived.authKey, this.base64) })
     });
-    const { baseUrl } = compat;
-    progress({ phase: "server-compat", text: compat.message, processedBytes: 0, totalBytes: 0, percent: 0 });
-    if (!compat.compatible) {
-      throw new DropgateValidationError(compat.message);
+    if (!res.ok) {
+      const msg = json?.error;
+      if (res.status === 403) {
+        throw new DropgateProtocolError(msg || "Incorrect passphrase.", { code: "PASSPHRASE_INCORRECT", details: json });
+      }
+      if (res.status === 429) {
+        throw new DropgateProtocolError(msg || "Too many incorrect passphrases. Try again later.", { code: "PASSPHRASE_LOCKED", details: json });
+      }
+      if (res.status === 404) {
+        throw new DropgateProtocolError("File not found or has expired.", { code: "FILE_NOT_FOUND", details: json });
+      }
+      throw new DropgateProtocolError(msg || `Unlock failed (status ${res.status}).`, { details: json });
     }
-    progress({ phase: "metadata", text: "Fetching file info...", processedBytes: 0, totalBytes: 0, percent: 0 });
+    const wrappedKey = json?.wrappedKey;
+    if (typeof wrappedKey !== "string") {
+      throw new DropgateProtocolError("Server did not return a wrapped key.");
+    }
+    try {
+      return await unwrapKeyToBase64(this.cryptoObj, wrappedKey, derived.wrappingKey, this.base64);
+    } catch (err) {
+      throw new DropgateError("Failed to unwrap the decryption key.", {
+        code: "DECRYPT_KEY_FAILED",
+        cause: err
+      });
+    }
+  }
+  /**
+   * Tell the server a download was received intact so it is counted now.
+   * Failures are not fatal: the server counts unconfirmed downloads after a timeout.
+   * @returns True if the server accepted the confirmation.
+   */
+  async confirmDownload(baseUrl, fileId, token, timeoutMs, signal) {
+    try {
+      const { res } = await fetchJson(this.fetchFn, `${baseUrl}/api/file/${fileId}/confirm`, {
+        method: "POST",
+        timeoutMs,
+        signal,
+        headers: {
+          "Content-Type": "application/json",
+          Accept: "application/json"
+        },
+        body: JSON.stringify({ token })
+      });
+      if (!res.ok) this.logger?.("warn", `Download confirmation was rejected (status ${res.status}).`);
+      return res.ok;
+    } catch (err) {
+      this.logger?.("warn", "Failed to confirm download.", err);
+      return false;
+    }
+  }
+  async fetchFileMetadata(baseUrl, fileId, timeoutMs, signal) {
     const { signal: metaSignal, cleanup: metaCleanup } = makeAbortSignal(signal, timeoutMs);
-    let metadata;
     try {
       const metaRes = await this.fetchFn(`${baseUrl}/api/file/${fileId}/meta`, {
         method: "GET",
@@ -847,7 +2841,7 @@ var DropgateClient = class {
         }
         throw new DropgateProtocolError(`Failed to fetch file metadata (status ${metaRes.status}).`);
       }
-      metadata = await metaRes.json();
+      return await metaRes.json();
     } catch (err) {
       if (err instanceof DropgateError) throw err;
       if (err instanceof Error && err.name === "AbortError") {
@@ -857,174 +2851,20 @@ var DropgateClient = class {
     } finally {
       metaCleanup();
     }
-    const isEncrypted = Boolean(metadata.isEncrypted);
-    const totalBytes = metadata.sizeBytes || 0;
-    if (!onData && totalBytes > MAX_IN_MEMORY_DOWNLOAD_BYTES) {
-      const sizeMB = Math.round(totalBytes / (1024 * 1024));
-      const limitMB = Math.round(MAX_IN_MEMORY_DOWNLOAD_BYTES / (1024 * 1024));
-      throw new DropgateValidationError(
-        `File is too large (${sizeMB}MB) to download without streaming. Provide an onData callback to stream files larger than ${limitMB}MB.`
-      );
-    }
-    let filename;
-    let cryptoKey;
-    if (isEncrypted) {
-      if (!keyB64) {
-        throw new DropgateValidationError("Decryption key is required for encrypted files.");
-      }
-      if (!this.cryptoObj?.subtle) {
-        throw new DropgateValidationError("Web Crypto API not available for decryption.");
-      }
-      progress({ phase: "decrypting", text: "Preparing decryption...", processedBytes: 0, totalBytes: 0, percent: 0 });
-      try {
-        cryptoKey = await importKeyFromBase64(this.cryptoObj, keyB64, this.base64);
-        filename = await decryptFilenameFromBase64(
-          this.cryptoObj,
-          metadata.encryptedFilename,
-          cryptoKey,
-          this.base64
-        );
-      } catch (err) {
-        throw new DropgateError("Failed to decrypt filename. Invalid key or corrupted data.", {
-          code: "DECRYPT_FILENAME_FAILED",
-          cause: err
-        });
-      }
-    } else {
-      filename = metadata.filename || "file";
-    }
-    progress({ phase: "downloading", text: "Starting download...", percent: 0, processedBytes: 0, totalBytes });
-    const { signal: downloadSignal, cleanup: downloadCleanup } = makeAbortSignal(signal, timeoutMs);
-    let receivedBytes = 0;
-    const dataChunks = [];
-    const collectData = !onData;
+  }
+  async saveUploadState(store, key, state) {
     try {
-      const downloadRes = await this.fetchFn(`${baseUrl}/api/file/${fileId}`, {
-        method: "GET",
-        signal: downloadSignal
-      });
-      if (!downloadRes.ok) {
-        throw new DropgateProtocolError(`Download failed (status ${downloadRes.status}).`);
-      }
-      if (!downloadRes.body) {
-        throw new DropgateProtocolError("Streaming response not available.");
-      }
-      const reader = downloadRes.body.getReader();
-      if (isEncrypted && cryptoKey) {
-        const ENCRYPTED_CHUNK_SIZE = this.chunkSize + ENCRYPTION_OVERHEAD_PER_CHUNK;
-        const pendingChunks = [];
-        let pendingLength = 0;
-        const flushPending = () => {
-          if (pendingChunks.length === 0) return new Uint8Array(0);
-          if (pendingChunks.length === 1) {
-            const result2 = pendingChunks[0];
-            pendingChunks.length = 0;
-            pendingLength = 0;
-            return result2;
-          }
-          const result = new Uint8Array(pendingLength);
-          let offset = 0;
-          for (const chunk of pendingChunks) {
-            result.set(chunk, offset);
-            offset += chunk.length;
-          }
-          pendingChunks.length = 0;
-          pendingLength = 0;
-          return result;
-        };
-        while (true) {
-          if (signal?.aborted) {
-            throw new DropgateAbortError("Download cancelled.");
-          }
-          const { done, value } = await reader.read();
-          if (done) break;
-          pendingChunks.push(value);
-          pendingLength += value.length;
-          while (pendingLength >= ENCRYPTED_CHUNK_SIZE) {
-            const buffer = flushPending();
-            const encryptedChunk = buffer.subarray(0, ENCRYPTED_CHUNK_SIZE);
-            if (buffer.length > ENCRYPTED_CHUNK_SIZE) {
-              const remainder = buffer.subarray(ENCRYPTED_CHUNK_SIZE);
-              pendingChunks.push(remainder);
-              pendingLength = remainder.length;
-            }
-            const decryptedBuffer = await decryptChunk(this.cryptoObj, encryptedChunk, cryptoKey);
-            const decryptedData = new Uint8Array(decryptedBuffer);
-            if (collectData) {
-              dataChunks.push(decryptedData);
-            } else {
-              await onData(decryptedData);
-            }
-          }
-          receivedBytes += value.length;
-          const percent = totalBytes > 0 ? Math.round(receivedBytes / totalBytes * 100) : 0;
-          progress({
-            phase: "decrypting",
-            text: `Downloading & decrypting... (${percent}%)`,
-            percent,
-            processedBytes: receivedBytes,
-            totalBytes
-          });
-        }
-        if (pendingLength > 0) {
-          const buffer = flushPending();
-          const decryptedBuffer = await decryptChunk(this.cryptoObj, buffer, cryptoKey);
-          const decryptedData = new Uint8Array(decryptedBuffer);
-          if (collectData) {
-            dataChunks.push(decryptedData);
-          } else {
-            await onData(decryptedData);
-          }
-        }
-      } else {
-        while (true) {
-          if (signal?.aborted) {
-            throw new DropgateAbortError("Download cancelled.");
-          }
-          const { done, value } = await reader.read();
-          if (done) break;
-          if (collectData) {
-            dataChunks.push(value);
-          } else {
-            await onData(value);
-          }
-          receivedBytes += value.length;
-          const percent = totalBytes > 0 ? Math.round(receivedBytes / totalBytes * 100) : 0;
-          progress({
-            phase: "downloading",
-            text: `Downloading... (${percent}%)`,
-            percent,
-            processedBytes: receivedBytes,
-            totalBytes
-          });
-        }
-      }
+      await store.set(key, state);
     } catch (err) {
-      if (err instanceof DropgateError) throw err;
-      if (err instanceof Error && err.name === "AbortError") {
-        throw new DropgateAbortError("Download cancelled.");
-      }
-      throw new DropgateNetworkError("Download failed.", { cause: err });
-    } finally {
-      downloadCleanup();
+      this.logger?.("warn", "Failed to save upload state.", err);
     }
-    progress({ phase: "complete", text: "Download complete!", percent: 100, processedBytes: receivedBytes, totalBytes });
-    let data;
-    if (collectData && dataChunks.length > 0) {
-      const totalLength = dataChunks.reduce((sum, chunk) => sum + chunk.length, 0);
-      data = new Uint8Array(totalLength);
-      let offset = 0;
-      for (const chunk of dataChunks) {
-        data.set(chunk, offset);
-        offset += chunk.length;
-      }
+  }
+  async clearUploadState(store, key) {
+    try {
+      await store.delete(key);
+    } catch (err) {
+      this.logger?.("warn", "Failed to clear upload state.", err);
     }
-    return {
-      filename,
-      receivedBytes,
-      wasEncrypted: isEncrypted,
-      ...data ? { data } : {}
-    };
   }
   async attemptChunkUpload(url, fetchOptions, opts) {
     const {
@@ -1034,10 +2874,8 @@ var DropgateClient = class {
       timeoutMs,
       signal,
       progress,
-      chunkIndex,
-      totalChunks,
-      chunkSize,
-      fileSizeBytes
+      currentProgress,
+      chunkIndex
     } = opts;
     let attemptsLeft = retries;
     let currentBackoff = backoffMs;
@@ -1070,8 +2908,6 @@ var DropgateClient = class {
           throw err instanceof DropgateError ? err : new DropgateNetworkError("Chunk upload failed.", { cause: err });
         }
         const attemptNumber = maxRetries - attemptsLeft + 1;
-        const processedBytes = chunkIndex * chunkSize;
-        const percent = chunkIndex / totalChunks * 100;
         let remaining = currentBackoff;
         const tick = 100;
         while (remaining > 0) {
@@ -1079,11 +2915,8 @@ var DropgateClient = class {
           progress({
             phase: "retry-wait",
             text: `Chunk upload failed. Retrying in ${secondsLeft}s... (${attemptNumber}/${maxRetries})`,
-            percent,
-            processedBytes,
-            totalBytes: fileSizeBytes,
-            chunkIndex,
-            totalChunks
+            ...currentProgress(),
+            chunkIndex
           });
           await sleep(Math.min(tick, remaining), signal);
           remaining -= tick;
@@ -1091,11 +2924,8 @@ var DropgateClient = class {
         progress({
           phase: "retry",
           text: `Chunk upload failed. Retrying now... (${attemptNumber}/${maxRetries})`,
-          percent,
-          processedBytes,
-          totalBytes: fileSizeBytes,
-          chunkIndex,
-          totalChunks
+          ...currentProgress(),
+          chunkIndex
         });
         attemptsLeft -= 1;
         currentBackoff = Math.min(currentBackoff * 2, maxBackoffMs);
@@ -1107,6 +2937,266 @@ var DropgateClient = class {
   }
 };
 
+// src/p2p/wordlist.ts
+var P2P_CODE_WORDS = [
+  "acorn",
+  "actor",
+  "adobe",
+  "agent",
+  "album",
+  "alpha",
+  "amber",
+  "anchor",
+  "angle",
+  "apple",
+  "apron",
+  "arena",
+  "arrow",
+  "aspen",
+  "atlas",
+  "attic",
+  "autumn",
+  "badge",
+  "bagel",
+  "baker",
+  "bamboo",
+  "banjo",
+  "barley",
+  "basil",
+  "basin",
+  "beach",
+  "beacon",
+  "beaver",
+  "berry",
+  "bison",
+  "blade",
+  "blanket",
+  "blossom",
+  "bonnet",
+  "border",
+  "bottle",
+  "branch",
+  "bread",
+  "breeze",
+  "brick",
+  "bridge",
+  "bronze",
+  "brook",
+  "bucket",
+  "buffalo",
+  "bugle",
+  "bundle",
+  "butter",
+  "cabin",
+  "cactus",
+  "camel",
+  "canal",
+  "candle",
+  "canoe",
+  "canyon",
+  "carbon",
+  "carpet",
+  "castle",
+  "cedar",
+  "cello",
+  "chalk",
+  "cherry",
+  "chess",
+  "chimney",
+  "cider",
+  "circle",
+  "citrus",
+  "clover",
+  "cobalt",
+  "cocoa",
+  "comet",
+  "copper",
+  "coral",
+  "cotton",
+  "cougar",
+  "crane",
+  "crater",
+  "crayon",
+  "cricket",
+  "crown",
+  "cup",
+  "daisy",
+  "dancer",
+  "delta",
+  "denim",
+  "desert",
+  "diamond",
+  "dingo",
+  "dolphin",
+  "donkey",
+  "dragon",
+  "dream",
+  "drum",
+  "eagle",
+  "easel",
+  "echo",
+  "ember",
+  "engine",
+  "falcon",
+  "feather",
+  "fern",
+  "ferry",
+  "fiddle",
+  "finch",
+  "flame",
+  "flute",
+  "forest",
+  "fossil",
+  "fountain",
+  "fox",
+  "galaxy",
+  "garden",
+  "garlic",
+  "gecko",
+  "geyser",
+  "ginger",
+  "giraffe",
+  "glacier",
+  "globe",
+  "goose",
+  "granite",
+  "grape",
+  "gravel",
+  "guitar",
+  "hammer",
+  "harbor",
+  "harp",
+  "hazel",
+  "heron",
+  "hickory",
+  "honey",
+  "horizon",
+  "hornet",
+  "iceberg",
+  "igloo",
+  "indigo",
+  "iris",
+  "island",
+  "ivory",
+  "jacket",
+  "jaguar",
+  "jasmine",
+  "jelly",
+  "jewel",
+  "jungle",
+  "kayak",
+  "kettle",
+  "kiwi",
+  "koala",
+  "ladder",
+  "lagoon",
+  "lantern",
+  "lemon",
+  "lentil",
+  "library",
+  "lily",
+  "lime",
+  "linen",
+  "lion",
+  "lizard",
+  "lobster",
+  "locket",
+  "lotus",
+  "lunar",
+  "magnet",
+  "mango",
+  "maple",
+  "marble",
+  "meadow",
+  "melon",
+  "meteor",
+  "mint",
+  "mirror",
+  "mitten",
+  "moose",
+  "mosaic",
+  "mountain",
+  "muffin",
+  "nectar",
+  "needle",
+  "nickel",
+  "noodle",
+  "nutmeg",
+  "oasis",
+  "ocean",
+  "olive",
+  "onion",
+  "orbit",
+  "orchid",
+  "otter",
+  "owl",
+  "paddle",
+  "panda",
+  "paper",
+  "parrot",
+  "peach",
+  "pebble",
+  "pepper",
+  "piano",
+  "pillow",
+  "pine",
+  "planet",
+  "plum",
+  "pocket",
+  "pony",
+  "poppy",
+  "prairie",
+  "puzzle",
+  "quartz",
+  "quill",
+  "rabbit",
+  "radar",
+  "radish",
+  "raven",
+  "reef",
+  "ribbon",
+  "river",
+  "robin",
+  "rocket",
+  "saddle",
+  "salmon",
+  "sapphire",
+  "scarf",
+  "shell",
+  "silver",
+  "sketch",
+  "sparrow",
+  "spider",
+  "spruce",
+  "squash",
+  "stable",
+  "star",
+  "stone",
+  "sugar",
+  "summit",
+  "sunset",
+  "swan",
+  "tablet",
+  "tiger",
+  "timber",
+  "toast",
+  "tomato",
+  "topaz",
+  "tulip",
+  "tundra",
+  "turtle",
+  "velvet",
+  "violet",
+  "walnut",
+  "walrus",
+  "willow",
+  "window",
+  "winter",
+  "yacht",
+  "yogurt",
+  "zebra"
+];
+
 // src/p2p/utils.ts
 function isLocalhostHostname(hostname) {
   const host = String(hostname || "").toLowerCase();
@@ -1115,34 +3205,86 @@ function isLocalhostHostname(hostname) {
 function isSecureContextForP2P(hostname, isSecureContext) {
   return Boolean(isSecureContext) || isLocalhostHostname(hostname || "");
 }
-function generateP2PCode(cryptoObj) {
+var CLASSIC_LETTERS = "ABCDEFGHJKLMNPQRSTUVWXYZ";
+var ALPHANUMERIC_SYMBOLS = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+var CLASSIC_PATTERN = /^[A-Z]{4}-\d{4}$/;
+var ALPHANUMERIC_PATTERN = /^[A-HJ-NP-Z2-9]{4}(?:-[A-HJ-NP-Z2-9]{4})*(?:-[A-HJ-NP-Z2-9]{1,3})?$/;
+var WORDS_PATTERN = /^[a-z]+(?:-[a-z]+)*$/;
+var P2P_CODE_LENGTHS = {
+  alphanumeric: { min: 8, max: 32, default: 12 },
+  words: { min: 3, max: 12, default: 5 }
+};
+function resolveCodeLength(type, length) {
+  const bounds = P2P_CODE_LENGTHS[type];
+  if (!Number.isInteger(length)) return bounds.default;
+  return Math.min(bounds.max, Math.max(bounds.min, length));
+}
+function randomBytes(count, cryptoObj) {
   const crypto2 = cryptoObj || getDefaultCrypto();
-  const letters = "ABCDEFGHJKLMNPQRSTUVWXYZ";
+  const bytes = new Uint8Array(count);
   if (crypto2) {
-    const randomBytes = new Uint8Array(8);
-    crypto2.getRandomValues(randomBytes);
-    let letterPart = "";
-    for (let i = 0; i < 4; i++) {
-      letterPart += letters[randomBytes[i] % letters.length];
-    }
-    let numberPart = "";
-    for (let i = 4; i < 8; i++) {
-      numberPart += (randomBytes[i] % 10).toString();
-    }
-    return `${letterPart}-${numberPart}`;
+    crypto2.getRandomValues(bytes);
+  } else {
+    for (let i = 0; i < count; i++) bytes[i] = Math.floor(Math.random() * 256);
   }
-  let a = "";
-  for (let i = 0; i < 4; i++) {
-    a += letters[Math.floor(Math.random() * letters.length)];
+  return bytes;
+}
+function groupInFours(chars) {
+  return (chars.match(/.{1,4}/g) || []).join("-");
+}
+function generateP2PCode(cryptoObj, format) {
+  const type = format?.type || "classic";
+  if (type === "alphanumeric") {
+    const bytes2 = randomBytes(resolveCodeLength(type, format?.length), cryptoObj);
+    return groupInFours(Array.from(bytes2, (b) => ALPHANUMERIC_SYMBOLS[b % ALPHANUMERIC_SYMBOLS.length]).join(""));
   }
-  let b = "";
+  if (type === "words") {
+    const bytes2 = randomBytes(resolveCodeLength(type, format?.length), cryptoObj);
+    return Array.from(bytes2, (b) => P2P_CODE_WORDS[b]).join("-");
+  }
+  const bytes = randomBytes(8, cryptoObj);
+  let letterPart = "";
   for (let i = 0; i < 4; i++) {
-    b += Math.floor(Math.random() * 10);
+    letterPart += CLASSIC_LETTERS[bytes[i] % CLASSIC_LETTERS.length];
+  }
+  let numberPart = "";
+  for (let i = 4; i < 8; i++) {
+    numberPart += (bytes[i] % 10).toString();
+  }
+  return `${letterPart}-${numberPart}`;
+}
+function normalizeP2PCode(code, format) {
+  const parts = String(code || "").trim().split(/[\s._-]+/).filter(Boolean);
+  const compact = parts.join("").toUpperCase();
+  if (/^[A-Z]{4}\d{4}$/.test(compact)) {
+    return `${compact.slice(0, 4)}-${compact.slice(4)}`;
   }
-  return `${a}-${b}`;
+  const inFormat = (type) => type === "words" ? parts.join("-").toLowerCase() : groupInFours(compact);
+  if (format?.type) {
+    const expected = inFormat(format.type);
+    if (isP2PCodeLike(expected, format)) return expected;
+  }
+  const isWords = parts.length > 1 && parts.every((part) => P2P_CODE_WORDS.includes(part.toLowerCase()));
+  return inFormat(isWords ? "words" : "alphanumeric");
+}
+function isP2PCodeLike(code, format) {
+  const value = String(code || "").trim();
+  if (CLASSIC_PATTERN.test(value)) return true;
+  const type = format?.type;
+  if ((!type || type === "alphanumeric") && ALPHANUMERIC_PATTERN.test(value)) {
+    const length = value.replace(/-/g, "").length;
+    const bounds = P2P_CODE_LENGTHS.alphanumeric;
+    return type ? length === resolveCodeLength(type, format?.length) : length >= bounds.min && length <= bounds.max;
+  }
+  if ((!type || type === "words") && WORDS_PATTERN.test(value)) {
+    const length = value.split("-").length;
+    const bounds = P2P_CODE_LENGTHS.words;
+    return type ? length === resolveCodeLength(type, format?.length) : length >= bounds.min && length <= bounds.max;
+  }
+  return false;
 }
-function isP2PCodeLike(code) {
-  return /^[A-Z]{4}-\d{4}$/.test(String(code || "").trim());
+function normalizeP2PPath(path) {
+  return String(path || "").replace(/\\/g, "/").split("/").filter((part) => part && part !== "." && part !== "..").join("/");
 }
 
 // src/p2p/helpers.ts
@@ -1204,6 +3346,7 @@ function generateSessionId() {
 async function startP2PSend(opts) {
   const {
     file,
+    files,
     Peer,
     serverInfo,
     host,
@@ -1212,6 +3355,7 @@ async function startP2PSend(opts) {
     secure = false,
     iceServers,
     codeGenerator,
+    codeFormat,
     cryptoObj,
     maxAttempts = 4,
     chunkSize = 256 * 1024,
@@ -1219,17 +3363,57 @@ async function startP2PSend(opts) {
     bufferHighWaterMark = 8 * 1024 * 1024,
     bufferLowWaterMark = 2 * 1024 * 1024,
     heartbeatIntervalMs = 5e3,
+    resumable = false,
+    resumeTimeoutMs = 6e4,
+    encrypt = false,
+    confirmAuthString = false,
+    broadcast = false,
+    maxReceivers = 0,
     onCode,
     onStatus,
     onProgress,
     onComplete,
     onError,
     onDisconnect,
-    onCancel
+    onCancel,
+    onAuthString,
+    onReceiverUpdate
   } = opts;
-  if (!file) {
+  if (files !== void 0 && (!Array.isArray(files) || files.length === 0)) {
+    throw new DropgateValidationError("At least one file is required.");
+  }
+  if (!files && !file) {
     throw new DropgateValidationError("File is missing.");
   }
+  const isManifest = Boolean(files);
+  const entries = (files || [{ file }]).map((entry) => {
+    if (!entry?.file) {
+      throw new DropgateValidationError("File is missing.");
+    }
+    return { file: entry.file, path: normalizeP2PPath(entry.path || entry.file.name) };
+  });
+  if (isManifest) {
+    const seen = /* @__PURE__ */ new Set();
+    for (const { path } of entries) {
+      if (!path) {
+        throw new DropgateValidationError("Every file needs a relative path.");
+      }
+      if (seen.has(path)) {
+        throw new DropgateValidationError(`Duplicate file path: ${path}`);
+      }
+      seen.add(path);
+    }
+  }
+  if (!Number.isInteger(maxReceivers) || maxReceivers < 0) {
+    throw new DropgateValidationError("maxReceivers must be a whole number of at least 0.");
+  }
+  const totalSize = entries.reduce((sum, entry) => sum + entry.file.size, 0);
+  const transferCrypto = cryptoObj || getDefaultCrypto();
+  if (encrypt && !transferCrypto?.subtle) {
+    throw new DropgateValidationError("Encrypted transfers need Web Crypto, which is not available here.");
+  }
+  const streamHeaders = encrypt ? entries.map(() => createStreamHeader(transferCrypto, chunkSize)) : null;
+  const headerField = (index) => streamHeaders ? { header: bytesToBase64(streamHeaders[index].bytes) } : {};
   if (!Peer) {
     throw new DropgateValidationError(
       "PeerJS Peer constructor is required. Install peerjs and pass it as the Peer option."
@@ -1250,7 +3434,8 @@ async function startP2PSend(opts) {
     secure,
     iceServers: finalIceServers
   });
-  const finalCodeGenerator = codeGenerator || (() => generateP2PCode(cryptoObj));
+  const finalCodeFormat = codeFormat || p2pCaps?.codeFormat;
+  const finalCodeGenerator = codeGenerator || (() => generateP2PCode(cryptoObj, finalCodeFormat));
   const buildPeer = (id) => new Peer(id, peerOpts);
   const { peer, code } = await createPeerWithRetries({
     code: null,
@@ -1261,26 +3446,99 @@ async function startP2PSend(opts) {
   });
   const sessionId = generateSessionId();
   let state = "listening";
-  let activeConn = null;
-  let sentBytes = 0;
+  const receivers = [];
+  let current = null;
+  let completedCount = 0;
   let heartbeatTimer = null;
-  const reportProgress = (data) => {
-    const safeTotal = Number.isFinite(data.total) && data.total > 0 ? data.total : file.size;
+  const reportStatus = (evt) => {
+    if (!broadcast) onStatus?.(evt);
+  };
+  const toInfo = (rx) => ({
+    peerId: rx.peerId,
+    state: rx.state,
+    sentBytes: rx.sentBytes,
+    receivedBytes: rx.receivedBytes,
+    totalBytes: totalSize,
+    ...rx.error ? { error: rx.error } : {}
+  });
+  const setReceiverState = (rx, next) => {
+    rx.state = next;
+    if (!broadcast) state = next;
+    onReceiverUpdate?.(toInfo(rx));
+  };
+  const isDone = (rx) => rx.state === "completed" || rx.state === "cancelled" || rx.state === "closed";
+  const reportProgress = (rx, data) => {
+    const safeTotal = Number.isFinite(data.total) && data.total > 0 ? data.total : totalSize;
     const safeReceived = Math.min(Number(data.received) || 0, safeTotal || 0);
     const percent = safeTotal ? safeReceived / safeTotal * 100 : 0;
-    onProgress?.({ processedBytes: safeReceived, totalBytes: safeTotal, percent });
+    rx.receivedBytes = safeReceived;
+    onProgress?.({
+      processedBytes: safeReceived,
+      totalBytes: safeTotal,
+      percent,
+      ...broadcast ? { peerId: rx.peerId } : {}
+    });
   };
-  const safeError = (err) => {
-    if (state === "closed" || state === "completed" || state === "cancelled") return;
-    state = "closed";
-    onError?.(err);
-    cleanup();
+  const clearResumeTimer = (rx) => {
+    if (rx.resumeTimer) {
+      clearTimeout(rx.resumeTimer);
+      rx.resumeTimer = null;
+    }
+  };
+  const releaseReceiver = (rx) => {
+    clearResumeTimer(rx);
+    const conn = rx.conn;
+    rx.conn = null;
+    try {
+      conn?.close();
+    } catch {
+    }
+  };
+  const failReceiver = (rx, err) => {
+    if (isDone(rx) || isStopped()) return;
+    rx.error = err.message;
+    setReceiverState(rx, "closed");
+    if (!broadcast) {
+      onError?.(err);
+      cleanup();
+      return;
+    }
+    releaseReceiver(rx);
+  };
+  const completeReceiver = (rx) => {
+    if (rx.state !== "finishing") return;
+    setReceiverState(rx, "completed");
+    if (!broadcast) {
+      onComplete?.();
+      cleanup();
+      return;
+    }
+    completedCount++;
+    releaseReceiver(rx);
+    if (maxReceivers > 0 && completedCount >= maxReceivers) {
+      state = "completed";
+      onComplete?.();
+      cleanup();
+    }
   };
-  const safeComplete = () => {
-    if (state !== "finishing") return;
-    state = "completed";
-    onComplete?.();
-    cleanup();
+  const cancelByReceiver = (rx, message) => {
+    if (isDone(rx) || isStopped()) return;
+    setReceiverState(rx, "cancelled");
+    if (!broadcast) {
+      onCancel?.({ cancelledBy: "receiver", message });
+      cleanup();
+      return;
+    }
+    releaseReceiver(rx);
+  };
+  const disconnectReceiver = (rx) => {
+    setReceiverState(rx, "closed");
+    releaseReceiver(rx);
+    if (!broadcast) {
+      current = null;
+      state = "listening";
+      onDisconnect?.();
+    }
   };
   const cleanup = () => {
     if (heartbeatTimer) {
@@ -1290,9 +3548,12 @@ async function startP2PSend(opts) {
     if (typeof window !== "undefined") {
       window.removeEventListener("beforeunload", handleUnload);
     }
-    try {
-      activeConn?.close();
-    } catch {
+    for (const rx of receivers) {
+      clearResumeTimer(rx);
+      try {
+        rx.conn?.close();
+      } catch {
+      }
     }
     try {
       peer.destroy();
@@ -1300,76 +3561,294 @@ async function startP2PSend(opts) {
     }
   };
   const handleUnload = () => {
-    try {
-      activeConn?.send({ t: "error", message: "Sender closed the connection." });
-    } catch {
+    for (const rx of receivers) {
+      try {
+        rx.conn?.send({ t: "error", message: "Sender closed the connection." });
+      } catch {
+      }
     }
     stop();
   };
   if (typeof window !== "undefined") {
     window.addEventListener("beforeunload", handleUnload);
   }
+  const isTransferring = (rx) => rx.state === "transferring" || rx.state === "finishing" || rx.state === "reconnecting";
   const stop = () => {
     if (state === "closed" || state === "cancelled") return;
-    const wasActive = state === "transferring" || state === "finishing";
+    const wasActive = broadcast ? receivers.some(isTransferring) : current !== null && isTransferring(current);
     state = "cancelled";
-    try {
-      if (activeConn && activeConn.open) {
-        activeConn.send({ t: "cancelled", message: "Sender cancelled the transfer." });
+    for (const rx of receivers) {
+      if (isDone(rx)) continue;
+      rx.state = "cancelled";
+      try {
+        if (rx.conn && rx.conn.open) {
+          rx.conn.send({ t: "cancelled", message: "Sender cancelled the transfer." });
+        }
+      } catch {
       }
-    } catch {
     }
     if (wasActive && onCancel) {
       onCancel({ cancelledBy: "sender" });
     }
     cleanup();
   };
+  const kick = (peerId) => {
+    const rx = receivers.filter((r) => r.peerId === peerId && !isDone(r)).pop();
+    if (!rx || isStopped()) return false;
+    if (!broadcast && isTransferring(rx)) {
+      stop();
+      return true;
+    }
+    try {
+      rx.conn?.send({ t: "cancelled", message: "The sender removed you from the transfer." });
+    } catch {
+    }
+    setReceiverState(rx, "cancelled");
+    releaseReceiver(rx);
+    if (!broadcast) {
+      current = null;
+      state = "listening";
+    }
+    return true;
+  };
   const isStopped = () => state === "closed" || state === "cancelled";
-  peer.on("connection", (conn) => {
-    if (state === "closed") return;
-    if (activeConn) {
-      const isOldConnOpen = activeConn.open !== false;
-      if (isOldConnOpen && state === "transferring") {
-        try {
-          conn.send({ t: "error", message: "Transfer already in progress." });
-        } catch {
+  const isSendingOn = (rx, conn) => rx.conn === conn && (rx.state === "transferring" || rx.state === "finishing");
+  const hasFreeSlot = () => !maxReceivers || completedCount + receivers.filter(isTransferring).length < maxReceivers;
+  const startHeartbeat = () => {
+    if (heartbeatTimer || heartbeatIntervalMs <= 0) return;
+    heartbeatTimer = setInterval(() => {
+      for (const rx of receivers) {
+        if (rx.state === "negotiating" || rx.state === "transferring" || rx.state === "finishing") {
+          try {
+            rx.conn?.send({ t: "ping" });
+          } catch {
+          }
         }
-        try {
-          conn.close();
-        } catch {
+      }
+    }, heartbeatIntervalMs);
+  };
+  const waitForResume = (rx) => {
+    rx.conn = null;
+    setReceiverState(rx, "reconnecting");
+    reportStatus({ phase: "reconnecting", message: "Connection lost. Waiting for the receiver to reconnect..." });
+    clearResumeTimer(rx);
+    rx.resumeTimer = setTimeout(() => {
+      if (rx.state === "reconnecting") {
+        failReceiver(rx, new DropgateNetworkError("Receiver did not reconnect in time."));
+      }
+    }, resumeTimeoutMs);
+  };
+  const getResumePoint = (msg) => {
+    const received = Number(msg.received);
+    if (!Number.isSafeInteger(received) || received < 0 || received > totalSize) {
+      throw new DropgateValidationError("Invalid resume offset.");
+    }
+    if (!isManifest) {
+      if (streamHeaders && received % chunkSize !== 0 && received !== totalSize) {
+        throw new DropgateValidationError("Invalid resume offset.");
+      }
+      return { index: 0, offset: received, open: true };
+    }
+    const started = Number(msg.files);
+    const open = msg.fileOpen === true;
+    const index = open ? started - 1 : started;
+    if (!Number.isInteger(started) || index < 0 || index > entries.length) {
+      throw new DropgateValidationError("Invalid resume offset.");
+    }
+    const offset = received - entries.slice(0, index).reduce((sum, entry) => sum + entry.file.size, 0);
+    const maxOffset = open ? entries[index].file.size : 0;
+    if (offset < 0 || offset > maxOffset || streamHeaders && offset % chunkSize !== 0 && offset !== maxOffset) {
+      throw new DropgateValidationError("Invalid resume offset.");
+    }
+    return { index, offset, open };
+  };
+  const sendFrom = async (rx, conn, ackPromise, from) => {
+    const dc = conn._dc;
+    if (dc && Number.isFinite(bufferLowWaterMark)) {
+      try {
+        dc.bufferedAmountLowThreshold = bufferLowWaterMark;
+      } catch {
+      }
+    }
+    for (let index = from.index; index < entries.length; index++) {
+      const { file: entryFile, path } = entries[index];
+      const resumingFile = index === from.index;
+      if (isManifest && !(resumingFile && from.open)) {
+        conn.send({
+          t: "meta",
+          index,
+          path,
+          size: entryFile.size,
+          mime: entryFile.type || "application/octet-stream",
+          ...headerField(index)
+        });
+      }
+      for (let offset = resumingFile ? from.offset : 0; offset < entryFile.size; offset += chunkSize) {
+        if (!isSendingOn(rx, conn)) return;
+        const slice = entryFile.slice(offset, offset + chunkSize);
+        const plain = await slice.arrayBuffer();
+        const buf = rx.transferKey && streamHeaders ? await (await encryptStreamChunk(
+          transferCrypto,
+          rx.transferKey,
+          streamHeaders[index],
+          offset / chunkSize,
+          offset + chunkSize >= entryFile.size,
+          plain
+        )).arrayBuffer() : plain;
+        if (!isSendingOn(rx, conn)) return;
+        conn.send(buf);
+        rx.sentBytes += plain.byteLength;
+        if (dc) {
+          while (dc.bufferedAmount > bufferHighWaterMark) {
+            await new Promise((resolve) => {
+              const fallback = setTimeout(resolve, 60);
+              try {
+                dc.addEventListener(
+                  "bufferedamountlow",
+                  () => {
+                    clearTimeout(fallback);
+                    resolve();
+                  },
+                  { once: true }
+                );
+              } catch {
+              }
+            });
+          }
         }
+      }
+      if (!isSendingOn(rx, conn)) return;
+      if (isManifest) {
+        conn.send({ t: "end", index });
+      }
+    }
+    if (!isSendingOn(rx, conn)) return;
+    setReceiverState(rx, "finishing");
+    conn.send({ t: "end" });
+    const ackTimeoutMs = Number.isFinite(endAckTimeoutMs) ? Math.max(endAckTimeoutMs, Math.ceil(totalSize / (1024 * 1024)) * 1e3) : null;
+    const ackResult = await Promise.race([
+      ackPromise,
+      sleep(ackTimeoutMs || 15e3).catch(() => null)
+    ]);
+    if (!isSendingOn(rx, conn)) return;
+    if (!ackResult || typeof ackResult !== "object") {
+      throw new DropgateNetworkError("Receiver did not confirm completion.");
+    }
+    const ackData = ackResult;
+    const ackTotal = Number(ackData.total) || totalSize;
+    const ackReceived = Number(ackData.received) || 0;
+    if (ackTotal && ackReceived < ackTotal) {
+      throw new DropgateNetworkError("Receiver reported an incomplete transfer.");
+    }
+    reportProgress(rx, { received: ackReceived || ackTotal, total: ackTotal });
+    completeReceiver(rx);
+  };
+  const refuse = (conn, message) => {
+    try {
+      conn.send({ t: "error", message });
+    } catch {
+    }
+    try {
+      conn.close();
+    } catch {
+    }
+  };
+  peer.on("connection", (conn) => {
+    if (isStopped() || state === "completed") return;
+    if (!broadcast && current?.conn) {
+      const isOldConnOpen = current.conn.open !== false;
+      if (isOldConnOpen && current.state === "transferring") {
+        refuse(conn, "Transfer already in progress.");
         return;
       } else if (!isOldConnOpen) {
+        const old = current;
         try {
-          activeConn.close();
-        } catch {
-        }
-        activeConn = null;
-        state = "listening";
-        sentBytes = 0;
-      } else {
-        try {
-          conn.send({ t: "error", message: "Another receiver is already connected." });
+          old.conn?.close();
         } catch {
         }
-        try {
-          conn.close();
-        } catch {
+        if (resumable && (old.state === "transferring" || old.state === "finishing")) {
+          waitForResume(old);
+        } else {
+          old.conn = null;
+          old.state = "closed";
+          current = null;
+          state = "listening";
         }
+      } else {
+        refuse(conn, "Another receiver is already connected.");
         return;
       }
     }
-    activeConn = conn;
-    state = "negotiating";
-    onStatus?.({ phase: "waiting", message: "Connected. Waiting for receiver to accept..." });
+    if (broadcast && !hasFreeSlot() && !receivers.some((r) => r.state === "reconnecting")) {
+      refuse(conn, "This transfer has reached its receiver limit.");
+      return;
+    }
+    let resuming = !broadcast && current?.state === "reconnecting";
+    let rx;
+    if (resuming) {
+      rx = current;
+    } else {
+      rx = {
+        // @ts-expect-error - peer property exists on PeerJS DataConnection
+        peerId: String(conn.peer || `receiver-${receivers.length + 1}`),
+        sessionId: broadcast ? generateSessionId() : sessionId,
+        conn,
+        state: "negotiating",
+        sentBytes: 0,
+        receivedBytes: 0,
+        transferKey: null,
+        resumeTimer: null
+      };
+      receivers.push(rx);
+      if (!broadcast) current = rx;
+      setReceiverState(rx, "negotiating");
+      reportStatus({ phase: "waiting", message: "Connected. Waiting for receiver to accept..." });
+    }
     let readyResolve = null;
     let ackResolve = null;
+    let confirmResolve = null;
+    let ownKeys = null;
+    let confirmed = !(encrypt && confirmAuthString);
     const readyPromise = new Promise((resolve) => {
       readyResolve = resolve;
     });
     const ackPromise = new Promise((resolve) => {
       ackResolve = resolve;
     });
+    const confirmedPromise = new Promise((resolve) => {
+      confirmResolve = resolve;
+    });
+    const failTransfer = (err) => {
+      if (rx.conn === conn) failReceiver(rx, err);
+    };
+    const rejectTransfer = (reason) => {
+      if (rx.conn !== conn || isDone(rx) || isStopped()) return;
+      try {
+        conn.send({ t: "cancelled", message: reason || "Sender declined the transfer." });
+      } catch {
+      }
+      setReceiverState(rx, "cancelled");
+      if (broadcast) {
+        releaseReceiver(rx);
+      } else {
+        cleanup();
+      }
+    };
+    const completeKeyExchange = async (keys, peerPublicKey) => {
+      const secrets = await deriveTransferSecrets(transferCrypto, keys, base64ToBytes(peerPublicKey), true);
+      if (rx.conn !== conn || isStopped()) return;
+      rx.transferKey = secrets.key;
+      conn.send({ t: "key", publicKey: bytesToBase64(keys.publicKey) });
+      onAuthString?.({
+        authString: secrets.authString,
+        confirm: () => {
+          confirmed = true;
+          confirmResolve?.();
+        },
+        reject: rejectTransfer,
+        ...broadcast ? { peerId: rx.peerId } : {}
+      });
+    };
     conn.on("data", (data) => {
       if (!data || typeof data !== "object" || data instanceof ArrayBuffer || ArrayBuffer.isView(data)) {
         return;
@@ -1377,12 +3856,58 @@ async function startP2PSend(opts) {
       const msg = data;
       if (!msg.t) return;
       if (msg.t === "ready") {
-        onStatus?.({ phase: "transferring", message: "Receiver accepted. Starting transfer..." });
+        if (!confirmed) {
+          reportStatus({ phase: "confirming", message: "Receiver accepted. Confirm the security code to start..." });
+        }
         readyResolve?.();
         return;
       }
+      if (msg.t === "key") {
+        const keys = ownKeys;
+        ownKeys = null;
+        if (!keys || rx.state !== "negotiating") return;
+        completeKeyExchange(keys, String(msg.publicKey)).catch((err) => {
+          try {
+            conn.send({ t: "error", message: err.message });
+          } catch {
+          }
+          failTransfer(err);
+        });
+        return;
+      }
+      if (msg.t === "resume") {
+        const target = broadcast ? receivers.find((r) => r.state === "reconnecting" && r.sessionId === msg.sessionId) : rx;
+        if (!resumable || !target || target.state !== "reconnecting" || msg.sessionId !== target.sessionId) {
+          refuse(conn, "This transfer cannot be resumed.");
+          return;
+        }
+        let from;
+        try {
+          from = getResumePoint(msg);
+        } catch (err) {
+          refuse(conn, err.message);
+          failReceiver(target, err);
+          return;
+        }
+        if (broadcast) {
+          receivers.splice(receivers.indexOf(rx), 1);
+          rx = target;
+          resuming = true;
+        }
+        rx.conn = conn;
+        clearResumeTimer(rx);
+        rx.sentBytes = Number(msg.received);
+        setReceiverState(rx, "transferring");
+        reportStatus({ phase: "transferring", message: "Receiver reconnected. Resuming transfer..." });
+        try {
+          conn.send({ t: "resumed", received: rx.sentBytes });
+        } catch {
+        }
+        sendFrom(rx, conn, ackPromise, from).catch(failTransfer);
+        return;
+      }
       if (msg.t === "progress") {
-        reportProgress({ received: msg.received || 0, total: msg.total || 0 });
+        reportProgress(rx, { received: msg.received || 0, total: msg.total || 0 });
         return;
       }
       if (msg.t === "ack" && msg.phase === "end") {
@@ -1393,114 +3918,92 @@ async function startP2PSend(opts) {
         return;
       }
       if (msg.t === "error") {
-        safeError(new DropgateNetworkError(msg.message || "Receiver reported an error."));
+        failTransfer(new DropgateNetworkError(msg.message || "Receiver reported an error."));
         return;
       }
       if (msg.t === "cancelled") {
-        if (state === "cancelled" || state === "closed" || state === "completed") return;
-        state = "cancelled";
-        onCancel?.({ cancelledBy: "receiver", message: msg.message });
-        cleanup();
+        cancelByReceiver(rx, msg.message);
       }
     });
     conn.on("open", async () => {
       try {
-        if (isStopped()) return;
-        conn.send({
-          t: "meta",
-          sessionId,
-          name: file.name,
-          size: file.size,
-          mime: file.type || "application/octet-stream"
-        });
-        const total = file.size;
-        const dc = conn._dc;
-        if (dc && Number.isFinite(bufferLowWaterMark)) {
+        if (isStopped() || resuming) return;
+        let keyCommitment;
+        if (encrypt) {
+          const keys = await generateKeyExchangeKeys(transferCrypto);
+          keyCommitment = await sha256Hex(transferCrypto, keys.publicKey.slice().buffer);
+          if (isStopped() || resuming || rx.conn !== conn) return;
+          ownKeys = keys;
+        }
+        if (isManifest) {
+          conn.send({
+            t: "manifest",
+            sessionId: rx.sessionId,
+            resumable,
+            keyCommitment,
+            files: entries.map((entry) => ({
+              path: entry.path,
+              size: entry.file.size,
+              mime: entry.file.type || "application/octet-stream"
+            }))
+          });
+        } else {
+          conn.send({
+            t: "meta",
+            sessionId: rx.sessionId,
+            resumable,
+            name: entries[0].file.name,
+            size: entries[0].file.size,
+            mime: entries[0].file.type || "application/octet-stream",
+            keyCommitment,
+            ...headerField(0)
+          });
+        }
+        await readyPromise;
+        if (isStopped() || rx.conn !== conn) return;
+        if (encrypt && !rx.transferKey) {
           try {
-            dc.bufferedAmountLowThreshold = bufferLowWaterMark;
+            conn.send({ t: "error", message: "The sender only allows encrypted transfers." });
           } catch {
           }
+          throw new DropgateNetworkError("The receiver does not support encrypted transfers.");
         }
-        await readyPromise;
-        if (isStopped()) return;
-        if (heartbeatIntervalMs > 0) {
-          heartbeatTimer = setInterval(() => {
-            if (state === "transferring" || state === "finishing") {
-              try {
-                conn.send({ t: "ping" });
-              } catch {
-              }
-            }
-          }, heartbeatIntervalMs);
+        startHeartbeat();
+        if (!confirmed) {
+          await confirmedPromise;
+          if (isStopped() || rx.conn !== conn) return;
         }
-        state = "transferring";
-        for (let offset = 0; offset < total; offset += chunkSize) {
-          if (isStopped()) return;
-          const slice = file.slice(offset, offset + chunkSize);
-          const buf = await slice.arrayBuffer();
-          if (isStopped()) return;
-          conn.send(buf);
-          sentBytes += buf.byteLength;
-          if (dc) {
-            while (dc.bufferedAmount > bufferHighWaterMark) {
-              await new Promise((resolve) => {
-                const fallback = setTimeout(resolve, 60);
-                try {
-                  dc.addEventListener(
-                    "bufferedamountlow",
-                    () => {
-                      clearTimeout(fallback);
-                      resolve();
-                    },
-                    { once: true }
-                  );
-                } catch {
-                }
-              });
-            }
+        if (broadcast && !hasFreeSlot()) {
+          try {
+            conn.send({ t: "error", message: "This transfer has reached its receiver limit." });
+          } catch {
           }
+          throw new DropgateNetworkError("Receiver limit reached.");
         }
-        if (isStopped()) return;
-        state = "finishing";
-        conn.send({ t: "end" });
-        const ackTimeoutMs = Number.isFinite(endAckTimeoutMs) ? Math.max(endAckTimeoutMs, Math.ceil(file.size / (1024 * 1024)) * 1e3) : null;
-        const ackResult = await Promise.race([
-          ackPromise,
-          sleep(ackTimeoutMs || 15e3).catch(() => null)
-        ]);
-        if (isStopped()) return;
-        if (!ackResult || typeof ackResult !== "object") {
-          throw new DropgateNetworkError("Receiver did not confirm completion.");
-        }
-        const ackData = ackResult;
-        const ackTotal = Number(ackData.total) || file.size;
-        const ackReceived = Number(ackData.received) || 0;
-        if (ackTotal && ackReceived < ackTotal) {
-          throw new DropgateNetworkError("Receiver reported an incomplete transfer.");
-        }
-        reportProgress({ received: ackReceived || ackTotal, total: ackTotal });
-        safeComplete();
+        reportStatus({ phase: "transferring", message: "Receiver accepted. Starting transfer..." });
+        setReceiverState(rx, "transferring");
+        await sendFrom(rx, conn, ackPromise, { index: 0, offset: 0, open: false });
       } catch (err) {
-        safeError(err);
+        failTransfer(err);
       }
     });
     conn.on("error", (err) => {
-      safeError(err);
+      failTransfer(err);
     });
     conn.on("close", () => {
-      if (state === "closed" || state === "completed" || state === "cancelled") {
+      if (isStopped() || state === "completed") {
         cleanup();
         return;
       }
-      if (state === "transferring" || state === "finishing") {
-        state = "cancelled";
-        onCancel?.({ cancelledBy: "receiver" });
-        cleanup();
+      if (rx.conn !== conn || isDone(rx)) return;
+      if (rx.state === "reconnecting") {
+        rx.conn = null;
+      } else if ((rx.state === "transferring" || rx.state === "finishing") && resumable) {
+        waitForResume(rx);
+      } else if (rx.state === "transferring" || rx.state === "finishing") {
+        cancelByReceiver(rx);
       } else {
-        activeConn = null;
-        state = "listening";
-        sentBytes = 0;
-        onDisconnect?.();
+        disconnectReceiver(rx);
       }
     });
   });
@@ -1509,16 +4012,40 @@ async function startP2PSend(opts) {
     code,
     sessionId,
     stop,
+    kick,
     getStatus: () => state,
-    getBytesSent: () => sentBytes,
+    getBytesSent: () => broadcast ? receivers.reduce((sum, rx) => sum + rx.sentBytes, 0) : current?.sentBytes ?? 0,
     getConnectedPeerId: () => {
-      if (!activeConn) return null;
-      return activeConn.peer || null;
-    }
+      if (!current?.conn) return null;
+      return current.conn.peer || null;
+    },
+    getReceivers: () => receivers.map(toInfo)
   };
 }
 
 // src/p2p/receive.ts
+var RECONNECT_DELAY_MS = 2e3;
+function parseManifestFiles(value) {
+  if (!Array.isArray(value) || value.length === 0 || value.length > MAX_P2P_MANIFEST_FILES) {
+    throw new DropgateValidationError("The sender's file manifest is invalid.");
+  }
+  const seen = /* @__PURE__ */ new Set();
+  return value.map((entry) => {
+    const path = normalizeP2PPath(String(entry?.path ?? ""));
+    const size = Number(entry?.size);
+    if (!path || seen.has(path) || !Number.isSafeInteger(size) || size < 0) {
+      throw new DropgateValidationError("The sender's file manifest is invalid.");
+    }
+    seen.add(path);
+    const mime = typeof entry?.mime === "string" && entry.mime ? entry.mime.slice(0, 255) : "application/octet-stream";
+    return { path, size, mime };
+  });
+}
+function manifestName(files) {
+  const roots = new Set(files.map((f) => f.path.split("/")[0]));
+  const [root] = roots;
+  return roots.size === 1 && files.every((f) => f.path.includes("/")) ? root : "files";
+}
 async function startP2PReceive(opts) {
   const {
     code,
@@ -1531,8 +4058,14 @@ async function startP2PReceive(opts) {
     iceServers,
     autoReady = true,
     watchdogTimeoutMs = 15e3,
+    resumable = false,
+    resumeTimeoutMs = 6e4,
+    requireEncryption = false,
+    cryptoObj,
     onStatus,
     onMeta,
+    onFileStart,
+    onFileEnd,
     onData,
     onProgress,
     onComplete,
@@ -1552,7 +4085,7 @@ async function startP2PReceive(opts) {
   if (serverInfo && !p2pCaps?.enabled) {
     throw new DropgateValidationError("Direct transfer is disabled on this server.");
   }
-  const normalizedCode = String(code).trim().replace(/\s+/g, "").toUpperCase();
+  const normalizedCode = normalizeP2PCode(code, p2pCaps?.codeFormat);
   if (!isP2PCodeLike(normalizedCode)) {
     throw new DropgateValidationError("Invalid direct transfer code.");
   }
@@ -1567,23 +4100,36 @@ async function startP2PReceive(opts) {
     secure,
     iceServers: finalIceServers
   });
+  const transferCrypto = cryptoObj || getDefaultCrypto();
   const peer = new Peer(void 0, peerOpts);
   let state = "initializing";
   let total = 0;
   let received = 0;
   let currentSessionId = null;
+  let manifest = null;
+  let nextFileIndex = 0;
+  let currentFile = null;
+  let fileReceived = 0;
   let lastProgressSentAt = 0;
   const progressIntervalMs = 120;
   let writeQueue = Promise.resolve();
   let watchdogTimer = null;
   let activeConn = null;
+  let senderResumable = false;
+  let reconnectDeadline = 0;
+  let reconnectTimer = null;
+  let transferKey = null;
+  let fileHeader = null;
+  const canResume = () => resumable && senderResumable;
   const resetWatchdog = () => {
     if (watchdogTimeoutMs <= 0) return;
     if (watchdogTimer) {
       clearTimeout(watchdogTimer);
     }
     watchdogTimer = setTimeout(() => {
-      if (state === "transferring") {
+      if (state === "transferring" && canResume()) {
+        startReconnect();
+      } else if (state === "transferring") {
         safeError(new DropgateNetworkError("Connection timed out (no data received)."));
       }
     }, watchdogTimeoutMs);
@@ -1606,8 +4152,34 @@ async function startP2PReceive(opts) {
     onComplete?.(completeData);
     cleanup();
   };
+  const decryptAt = async (data, offset, size) => {
+    const header = fileHeader;
+    const length = data.byteLength - ENCRYPTION_OVERHEAD_PER_CHUNK;
+    if (!header || !transferKey || length < 0 || offset % header.chunkSize !== 0) {
+      throw new DropgateError("Received a chunk that cannot be decrypted.", { code: "DECRYPT_FAILED" });
+    }
+    try {
+      return new Uint8Array(await decryptStreamChunk(
+        transferCrypto,
+        transferKey,
+        header,
+        offset / header.chunkSize,
+        offset + length >= size,
+        data
+      ));
+    } catch (err) {
+      throw new DropgateError("A chunk failed to decrypt. It may have been altered in transit.", {
+        code: "DECRYPT_FAILED",
+        cause: err
+      });
+    }
+  };
   const cleanup = () => {
     clearWatchdog();
+    if (reconnectTimer) {
+      clearTimeout(reconnectTimer);
+      reconnectTimer = null;
+    }
     if (typeof window !== "undefined") {
       window.removeEventListener("beforeunload", handleUnload);
     }
@@ -1628,7 +4200,7 @@ async function startP2PReceive(opts) {
   }
   const stop = () => {
     if (state === "closed" || state === "cancelled") return;
-    const wasActive = state === "transferring";
+    const wasActive = state === "transferring" || state === "reconnecting";
     state = "cancelled";
     try {
       if (activeConn && activeConn.open) {
@@ -1641,55 +4213,208 @@ async function startP2PReceive(opts) {
     }
     cleanup();
   };
-  peer.on("error", (err) => {
-    safeError(err);
-  });
-  peer.on("open", () => {
-    state = "connecting";
+  const startReconnect = () => {
+    state = "reconnecting";
+    clearWatchdog();
+    reconnectDeadline = Date.now() + resumeTimeoutMs;
+    onStatus?.({ phase: "reconnecting", message: "Connection lost. Reconnecting..." });
+    const dropped = activeConn;
+    activeConn = null;
+    try {
+      dropped?.close();
+    } catch {
+    }
+    writeQueue.then(() => retryReconnect(0));
+  };
+  const retryReconnect = (delayMs = RECONNECT_DELAY_MS) => {
+    if (state !== "reconnecting" || reconnectTimer) return;
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      if (state !== "reconnecting") return;
+      if (Date.now() >= reconnectDeadline) {
+        safeError(new DropgateNetworkError("Could not reconnect to the sender."));
+        return;
+      }
+      connect();
+    }, delayMs);
+  };
+  const connect = () => {
     const conn = peer.connect(normalizedCode, { reliable: true });
     activeConn = conn;
+    let keyExchange = null;
     conn.on("open", () => {
+      if (state === "reconnecting") {
+        try {
+          conn.send({
+            t: "resume",
+            sessionId: currentSessionId,
+            received,
+            files: nextFileIndex,
+            fileOpen: currentFile !== null
+          });
+        } catch {
+        }
+        return;
+      }
       state = "negotiating";
       onStatus?.({ phase: "connected", message: "Waiting for file details..." });
     });
+    const reportFailure = (err) => {
+      try {
+        conn.send({
+          t: "error",
+          message: err?.message || "Receiver write failed."
+        });
+      } catch {
+      }
+      safeError(err);
+    };
+    const acceptSession = (sessionId) => {
+      if (currentSessionId && sessionId && sessionId !== currentSessionId) {
+        try {
+          conn.send({ t: "error", message: "Busy with another session." });
+        } catch {
+        }
+        return false;
+      }
+      if (sessionId) {
+        currentSessionId = sessionId;
+      }
+      return true;
+    };
+    const announce = (evt) => {
+      let rejected = false;
+      const sendReady = () => {
+        if (rejected) return;
+        state = "transferring";
+        resetWatchdog();
+        try {
+          conn.send({ t: "ready" });
+        } catch {
+        }
+      };
+      const reject = (reason) => {
+        if (state !== "negotiating") return;
+        rejected = true;
+        state = "cancelled";
+        try {
+          conn.send({ t: "cancelled", message: reason || "Receiver declined the transfer." });
+        } catch {
+        }
+        cleanup();
+      };
+      if (autoReady) {
+        onMeta?.({ ...evt, reject });
+        if (rejected) return;
+        onProgress?.({ processedBytes: received, totalBytes: total, percent: 0 });
+        sendReady();
+      } else {
+        onMeta?.({ ...evt, sendReady, reject });
+        if (rejected) return;
+        onProgress?.({ processedBytes: received, totalBytes: total, percent: 0 });
+      }
+    };
     conn.on("data", async (data) => {
+      if (conn !== activeConn) return;
       try {
         resetWatchdog();
         if (data && typeof data === "object" && !(data instanceof ArrayBuffer) && !ArrayBuffer.isView(data)) {
           const msg = data;
-          if (msg.t === "meta") {
-            if (currentSessionId && msg.sessionId && msg.sessionId !== currentSessionId) {
-              try {
-                conn.send({ t: "error", message: "Busy with another session." });
-              } catch {
+          if ((msg.t === "meta" || msg.t === "end") && manifest && msg.index !== void 0) {
+            const files = manifest;
+            const index = msg.index;
+            if (msg.t === "meta") {
+              if (index !== nextFileIndex || !files[index]) {
+                reportFailure(new DropgateNetworkError("Sender sent the files out of order."));
+                return;
               }
+              nextFileIndex++;
+              const header = msg.header;
+              writeQueue = writeQueue.then(async () => {
+                fileHeader = transferKey ? parseStreamHeader(base64ToBytes(String(header))) : null;
+                currentFile = { index, ...files[index] };
+                fileReceived = 0;
+                await onFileStart?.(currentFile);
+              }).catch(reportFailure);
               return;
             }
-            if (msg.sessionId) {
-              currentSessionId = msg.sessionId;
+            writeQueue = writeQueue.then(async () => {
+              const file = currentFile;
+              if (!file || file.index !== index) {
+                throw new DropgateNetworkError("Sender sent the files out of order.");
+              }
+              if (fileReceived !== file.size) {
+                throw new DropgateNetworkError(`Transfer of ${file.path} ended before all of it was received.`);
+              }
+              currentFile = null;
+              await onFileEnd?.(file);
+            }).catch(reportFailure);
+            return;
+          }
+          if (msg.t === "meta" || msg.t === "manifest") {
+            if (state === "reconnecting") return;
+            if (!acceptSession(msg.sessionId)) return;
+            const encrypted = typeof msg.keyCommitment === "string";
+            let header = null;
+            try {
+              manifest = msg.t === "manifest" ? parseManifestFiles(msg.files) : null;
+              senderResumable = msg.resumable === true;
+              if (!encrypted && requireEncryption) {
+                throw new DropgateValidationError("The sender did not encrypt this transfer.");
+              }
+              if (encrypted && !transferCrypto?.subtle) {
+                throw new DropgateValidationError("Encrypted transfers need Web Crypto, which is not available here.");
+              }
+              if (encrypted && !manifest) {
+                header = parseStreamHeader(base64ToBytes(String(msg.header)));
+              }
+            } catch (err) {
+              reportFailure(err);
+              return;
             }
-            const name = String(msg.name || "file");
-            total = Number(msg.size) || 0;
+            nextFileIndex = 0;
+            currentFile = null;
+            total = manifest ? manifest.reduce((sum, f) => sum + f.size, 0) : Number(msg.size) || 0;
             received = 0;
             writeQueue = Promise.resolve();
-            const sendReady = () => {
-              state = "transferring";
-              resetWatchdog();
-              try {
-                conn.send({ t: "ready" });
-              } catch {
+            transferKey = null;
+            fileHeader = header;
+            const evt = manifest ? { name: manifestName(manifest), total, files: manifest } : { name: String(msg.name || "file"), total };
+            if (encrypted) {
+              const keys = await generateKeyExchangeKeys(transferCrypto);
+              keyExchange = { keys, commitment: String(msg.keyCommitment), evt };
+              conn.send({ t: "key", publicKey: bytesToBase64(keys.publicKey) });
+              return;
+            }
+            announce(evt);
+            return;
+          }
+          if (msg.t === "key") {
+            const exchange = keyExchange;
+            keyExchange = null;
+            if (!exchange || state !== "negotiating") return;
+            try {
+              const publicKey = base64ToBytes(String(msg.publicKey));
+              if (await sha256Hex(transferCrypto, publicKey.slice().buffer) !== exchange.commitment) {
+                throw new DropgateError("The sender's key does not match the one it committed to.", {
+                  code: "KEY_EXCHANGE_FAILED"
+                });
               }
-            };
-            if (autoReady) {
-              onMeta?.({ name, total });
-              onProgress?.({ processedBytes: received, totalBytes: total, percent: 0 });
-              sendReady();
-            } else {
-              onMeta?.({ name, total, sendReady });
-              onProgress?.({ processedBytes: received, totalBytes: total, percent: 0 });
+              const secrets = await deriveTransferSecrets(transferCrypto, exchange.keys, publicKey, false);
+              transferKey = secrets.key;
+              announce({ ...exchange.evt, authString: secrets.authString });
+            } catch (err) {
+              reportFailure(err);
             }
             return;
           }
+          if (msg.t === "resumed") {
+            if (state !== "reconnecting") return;
+            state = "transferring";
+            resetWatchdog();
+            onStatus?.({ phase: "transferring", message: "Reconnected. Resuming transfer..." });
+            return;
+          }
           if (msg.t === "ping") {
             try {
               conn.send({ t: "pong" });
@@ -1710,6 +4435,14 @@ async function startP2PReceive(opts) {
               }
               throw err;
             }
+            if (manifest && (nextFileIndex < manifest.length || currentFile)) {
+              const err = new DropgateNetworkError("Transfer ended before every file was received.");
+              try {
+                conn.send({ t: "error", message: err.message });
+              } catch {
+              }
+              throw err;
+            }
             try {
               conn.send({ t: "ack", phase: "end", received, total });
             } catch {
@@ -1729,6 +4462,7 @@ async function startP2PReceive(opts) {
           }
           return;
         }
+        if (state !== "transferring") return;
         let bufPromise;
         if (data instanceof ArrayBuffer) {
           bufPromise = Promise.resolve(new Uint8Array(data));
@@ -1742,7 +4476,20 @@ async function startP2PReceive(opts) {
           return;
         }
         writeQueue = writeQueue.then(async () => {
-          const buf = await bufPromise;
+          let buf = await bufPromise;
+          const file = currentFile;
+          if (manifest && !file) {
+            throw new DropgateNetworkError("Sender sent more data than its file manifest lists.");
+          }
+          if (transferKey) {
+            buf = file ? await decryptAt(buf, fileReceived, file.size) : await decryptAt(buf, received, total);
+          }
+          if (file) {
+            if (fileReceived + buf.byteLength > file.size) {
+              throw new DropgateNetworkError("Sender sent more data than its file manifest lists.");
+            }
+            fileReceived += buf.byteLength;
+          }
           if (onData) {
             await onData(buf);
           }
@@ -1757,16 +4504,7 @@ async function startP2PReceive(opts) {
             } catch {
             }
           }
-        }).catch((err) => {
-          try {
-            conn.send({
-              t: "error",
-              message: err?.message || "Receiver write failed."
-            });
-          } catch {
-          }
-          safeError(err);
-        });
+        }).catch(reportFailure);
       } catch (err) {
         safeError(err);
       }
@@ -1776,6 +4514,15 @@ async function startP2PReceive(opts) {
         cleanup();
         return;
       }
+      if (conn !== activeConn) return;
+      if (state === "reconnecting") {
+        retryReconnect();
+        return;
+      }
+      if (state === "transferring" && canResume()) {
+        startReconnect();
+        return;
+      }
       if (state === "transferring") {
         state = "cancelled";
         onCancel?.({ cancelledBy: "sender" });
@@ -1788,6 +4535,17 @@ async function startP2PReceive(opts) {
         safeError(new DropgateNetworkError("Sender disconnected before file details were received."));
       }
     });
+  };
+  peer.on("error", (err) => {
+    if (state === "reconnecting") {
+      retryReconnect();
+      return;
+    }
+    safeError(err);
+  });
+  peer.on("open", () => {
+    state = "connecting";
+    connect();
   });
   return {
     peer,
@@ -1805,43 +4563,72 @@ export {
   DropgateAbortError,
   DropgateClient,
   DropgateError,
+  DropgateIntegrityError,
   DropgateNetworkError,
   DropgateProtocolError,
   DropgateTimeoutError,
   DropgateValidationError,
+  ENCRYPTION_FORMAT_VERSION,
   ENCRYPTION_OVERHEAD_PER_CHUNK,
+  MAX_FILE_MESSAGE_LENGTH,
+  MAX_P2P_MANIFEST_FILES,
+  MAX_THUMBNAIL_DATA_URL_LENGTH,
+  MAX_UPLOAD_CONCURRENCY,
+  P2P_CODE_LENGTHS,
+  PASSPHRASE_KDF_ITERATIONS,
+  STREAM_HEADER_BYTES,
+  ZipWriter,
   arrayBufferToBase64,
   base64ToBytes,
   buildBaseUrl,
   buildPeerOptions,
   bytesToBase64,
+  crc32,
+  createIntegrityManifest,
+  createIntegrityVerifier,
+  createMemoryUploadStateStore,
   createPeerWithRetries,
+  createStreamHeader,
+  createWebStorageUploadStateStore,
   decryptChunk,
+  decryptFileDetailsFromBase64,
   decryptFilenameFromBase64,
+  decryptJsonFromBase64,
+  decryptStreamChunk,
+  derivePassphraseKeys,
+  deriveTransferSecrets,
   encryptFilenameToBase64,
+  encryptJsonToBase64,
+  encryptStreamChunk,
   encryptToBlob,
   estimateTotalUploadSizeBytes,
   exportKeyBase64,
   fetchJson,
   generateAesGcmKey,
+  generateKeyExchangeKeys,
   generateP2PCode,
   getDefaultBase64,
   getDefaultCrypto,
   getDefaultFetch,
   getServerInfo,
+  getUploadStateKey,
   importKeyFromBase64,
   isLocalhostHostname,
   isP2PCodeLike,
   isSecureContextForP2P,
   lifetimeToMs,
   makeAbortSignal,
+  normalizeP2PCode,
   parseSemverMajorMinor,
   parseServerUrl,
+  parseStreamHeader,
   resolvePeerConfig,
   sha256Hex,
   sleep,
   startP2PReceive,
   startP2PSend,
-  validatePlainFilename
+  unwrapKeyToBase64,
+  validatePlainFilename,
+  wrapKeyWithPassphrase
 };
 //# sourceMappingURL=index.js.map
\ No newline at end of file
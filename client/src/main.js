@@ -446,6 +446,7 @@ ipcMain.handle('get-settings', () => {
         serverURL: store.get('serverURL', ''),
         lifetimeValue: store.get('lifetimeValue', '24'),
         lifetimeUnit: store.get('lifetimeUnit', 'hours'),
+        apiKey: store.get('apiKey', ''),
     };
 });
 
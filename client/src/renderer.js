@@ -16,6 +16,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         const fileChosenSize = document.getElementById('file-chosen-size');
         const maxUploadHint = document.getElementById('max-upload-hint');
         const serverUrlInput = document.getElementById('server-url');
+        const apiKeyInput = document.getElementById('api-key');
         const testConnectionBtn = document.getElementById('test-connection-btn');
         const connectionStatus = document.getElementById('connection-status');
         const fileLifetimeValueInput = document.getElementById('file-lifetime-value');
@@ -24,6 +25,8 @@ document.addEventListener('DOMContentLoaded', async () => {
         const maxDownloadsSection = document.getElementById('max-downloads-section');
         const maxDownloadsValue = document.getElementById('max-downloads-value');
         const maxDownloadsHelp = document.getElementById('max-downloads-help');
+        const passphraseSection = document.getElementById('passphrase-section');
+        const passphraseValue = document.getElementById('passphrase-value');
 
         // Custom E2EE UI
         const securityStatus = document.getElementById('security-status');
@@ -38,12 +41,24 @@ document.addEventListener('DOMContentLoaded', async () => {
         const linkSection = document.getElementById('link-section');
         const downloadLinkInput = document.getElementById('download-link');
         const copyBtn = document.getElementById('copy-btn');
+        const manageBtn = document.getElementById('manage-btn');
+
+        // Manage upload modal
+        const manageUploadModal = document.getElementById('manage-upload-modal');
+        const manageStatus = document.getElementById('manage-status');
+        const manageLifetimeValue = document.getElementById('manage-lifetime-value');
+        const manageLifetimeUnit = document.getElementById('manage-lifetime-unit');
+        const manageMaxDownloads = document.getElementById('manage-max-downloads');
+        const manageSaveBtn = document.getElementById('manage-save-btn');
+        const manageDeleteBtn = document.getElementById('manage-delete-btn');
 
         let serverCapabilities = null;
         let selectedFile = null;
         /** @type {{compatible:boolean, message?:string}} */
         let lastServerCheck = { compatible: false, message: '' };
         let activeUploadSession = null;
+        /** @type {{serverUrl:string, fileId:string, ownerToken:string, lifetimeValue:string, lifetimeUnit:string}|null} */
+        let managedUpload = null;
 
         // --- Core client (shared logic for Electron + Web UI) ---
         const clientVersion = await window.electronAPI.getClientVersion();
@@ -92,6 +107,8 @@ document.addEventListener('DOMContentLoaded', async () => {
         // --- Initial Settings Load ---
         const settings = await window.electronAPI.getSettings();
         serverUrlInput.value = settings.serverURL || '';
+        apiKeyInput.value = settings.apiKey || '';
+        coreClient.apiKey = apiKeyInput.value.trim() || null;
 
         fileLifetimeValueInput.value = settings.lifetimeValue || 24;
         fileLifetimeUnitSelect.value = settings.lifetimeUnit || 'hours';
@@ -137,6 +154,12 @@ document.addEventListener('DOMContentLoaded', async () => {
         fileLifetimeUnitSelect.addEventListener('change', () => updateLifetimeSettings());
         maxDownloadsValue.addEventListener('input', () => updateMaxDownloadsSettings());
         maxDownloadsValue.addEventListener('blur', () => updateMaxDownloadsSettings());
+        apiKeyInput.addEventListener('change', async () => {
+            coreClient.apiKey = apiKeyInput.value.trim() || null;
+            saveSettings();
+            // The server reports the limits of the new key
+            await checkServerCompatibility();
+        });
 
         selectFileBtn.addEventListener('click', () => fileInput.click());
         fileInput.addEventListener('change', (e) => handleFile(e.target.files[0]));
@@ -217,6 +240,13 @@ document.addEventListener('DOMContentLoaded', async () => {
             document.execCommand('copy');
         });
 
+        manageBtn.addEventListener('click', openManageModal);
+        manageSaveBtn.addEventListener('click', saveManagedUpload);
+        manageDeleteBtn.addEventListener('click', deleteManagedUpload);
+        manageLifetimeUnit.addEventListener('change', () => {
+            manageLifetimeValue.disabled = manageLifetimeUnit.value === 'unlimited';
+        });
+
         // --- IPC Listeners (Communication from Main Process) ---
 
         // Listens for UI update commands from main.js
@@ -241,10 +271,14 @@ document.addEventListener('DOMContentLoaded', async () => {
                     }
                 case 'success':
                     {
-                        const { link } = event.data;
+                        const { link, manage, passphraseProtected } = event.data;
                         downloadLinkInput.value = link;
                         linkSection.style.display = 'block';
-                        uploadStatus.textContent = 'Upload successful!';
+                        managedUpload = manage || null;
+                        manageBtn.style.display = managedUpload ? 'block' : 'none';
+                        uploadStatus.textContent = passphraseProtected
+                            ? 'Upload successful! Send the passphrase separately from the link.'
+                            : 'Upload successful!';
                         uploadStatus.className = 'form-text mt-1 text-success';
                         resetUI();
                         break;
@@ -290,6 +324,8 @@ document.addEventListener('DOMContentLoaded', async () => {
                     return;
                 }
                 serverUrlInput.value = settings.serverURL;
+                apiKeyInput.value = settings.apiKey || '';
+                coreClient.apiKey = apiKeyInput.value.trim() || null;
 
                 console.log('Starting upload...');
                 // Trigger the centralised upload function
@@ -383,6 +419,7 @@ document.addEventListener('DOMContentLoaded', async () => {
             }
 
             const encrypt = hasE2EE; // Auto-set encryption based on capability
+            const passphrase = encrypt && serverCapabilities?.upload?.passphrase ? passphraseValue.value : '';
 
             const lifetimeMs = getLifetimeInMs();
             saveSettings();
@@ -398,6 +435,7 @@ document.addEventListener('DOMContentLoaded', async () => {
                         return (Number.isInteger(val) && val >= 0) ? val : 1;
                     })(),
                     encrypt: encrypt,
+                    ...(passphrase ? { passphrase } : {}),
                     onProgress: (evt) => {
                         const payload = {};
                         if (evt?.text) payload.text = evt.text;
@@ -436,8 +474,20 @@ document.addEventListener('DOMContentLoaded', async () => {
                 uploadBtn.style.display = 'block';
                 cancelUploadBtn.style.display = 'none';
                 activeUploadSession = null;
+                passphraseValue.value = '';
 
-                window.electronAPI.uploadFinished({ status: 'success', link: result.downloadUrl });
+                window.electronAPI.uploadFinished({
+                    status: 'success',
+                    link: result.downloadUrl,
+                    passphraseProtected: Boolean(passphrase),
+                    manage: result.ownerToken ? {
+                        serverUrl: serverUrlInput.value.trim(),
+                        fileId: result.fileId,
+                        ownerToken: result.ownerToken,
+                        lifetimeValue: fileLifetimeValueInput.value,
+                        lifetimeUnit: fileLifetimeUnitSelect.value,
+                    } : null,
+                });
             } catch (error) {
                 // Swap buttons back on error
                 uploadBtn.style.display = 'block';
@@ -451,6 +501,113 @@ document.addEventListener('DOMContentLoaded', async () => {
             }
         }
 
+        // --- Manage Upload ---
+
+        function setManageStatus(text, isError = false) {
+            manageStatus.textContent = text;
+            manageStatus.className = `small mb-3 ${isError ? 'text-danger' : 'text-body-secondary'}`;
+        }
+
+        function setManageBusy(busy) {
+            manageSaveBtn.disabled = busy;
+            manageDeleteBtn.disabled = busy;
+        }
+
+        function describeUploadSettings({ expiresAt, maxDownloads, downloadCount }) {
+            const expiry = expiresAt ? `Expires ${new Date(expiresAt).toLocaleString()}` : 'Never expires';
+            const downloads = maxDownloads === 0
+                ? `${downloadCount} downloads so far`
+                : `${downloadCount} of ${maxDownloads} downloads used`;
+            return `${expiry} • ${downloads}`;
+        }
+
+        function managedUploadRequest() {
+            return {
+                ...parseServerUrl(managedUpload.serverUrl),
+                fileId: managedUpload.fileId,
+                ownerToken: managedUpload.ownerToken,
+            };
+        }
+
+        // The upload is gone (deleted, expired or fully downloaded), so there is nothing left to manage
+        function handleManageError(error) {
+            if (error?.code === 'FILE_NOT_FOUND') {
+                setManageStatus('This upload no longer exists on the server.', true);
+                setManageBusy(true);
+                managedUpload = null;
+                manageBtn.style.display = 'none';
+                return;
+            }
+            setManageStatus(error?.message || 'Request failed.', true);
+        }
+
+        async function openManageModal() {
+            if (!managedUpload) return;
+
+            manageLifetimeUnit.value = managedUpload.lifetimeUnit;
+            manageLifetimeValue.value = managedUpload.lifetimeValue;
+            manageLifetimeValue.disabled = manageLifetimeUnit.value === 'unlimited';
+            setManageStatus('Loading...');
+            setManageBusy(true);
+            bootstrap.Modal.getOrCreateInstance(manageUploadModal).show();
+
+            try {
+                const settings = await coreClient.updateUpload(managedUploadRequest());
+                manageMaxDownloads.value = String(settings.maxDownloads);
+                setManageStatus(describeUploadSettings(settings));
+                setManageBusy(false);
+            } catch (error) {
+                handleManageError(error);
+            }
+        }
+
+        async function saveManagedUpload() {
+            if (!managedUpload) return;
+
+            const unit = manageLifetimeUnit.value;
+            const lifetimeMs = Math.round(lifetimeToMs(parseFloat(manageLifetimeValue.value), unit));
+            if (unit !== 'unlimited' && lifetimeMs <= 0) {
+                setManageStatus('Lifetime must be greater than 0.', true);
+                return;
+            }
+            const maxDownloads = parseInt(manageMaxDownloads.value, 10);
+            if (!Number.isInteger(maxDownloads) || maxDownloads < 0) {
+                setManageStatus('Max downloads must be a non-negative number.', true);
+                return;
+            }
+
+            setManageBusy(true);
+            try {
+                const settings = await coreClient.updateUpload({ ...managedUploadRequest(), lifetimeMs, maxDownloads });
+                managedUpload.lifetimeValue = manageLifetimeValue.value;
+                managedUpload.lifetimeUnit = unit;
+                setManageStatus(describeUploadSettings(settings));
+                setManageBusy(false);
+            } catch (error) {
+                handleManageError(error);
+                if (managedUpload) setManageBusy(false);
+            }
+        }
+
+        async function deleteManagedUpload() {
+            if (!managedUpload) return;
+            if (!window.confirm('Delete this upload now? The link will stop working immediately.')) return;
+
+            setManageBusy(true);
+            try {
+                await coreClient.deleteUpload(managedUploadRequest());
+                bootstrap.Modal.getOrCreateInstance(manageUploadModal).hide();
+                managedUpload = null;
+                manageBtn.style.display = 'none';
+                linkSection.style.display = 'none';
+                uploadStatus.textContent = 'Upload deleted from the server.';
+                uploadStatus.className = 'form-text mt-1 text-muted';
+            } catch (error) {
+                handleManageError(error);
+                if (managedUpload) setManageBusy(false);
+            }
+        }
+
         // --- Utility Functions ---
 
         /**
@@ -469,6 +626,9 @@ document.addEventListener('DOMContentLoaded', async () => {
             const isTargetSecure = serverUrl.startsWith('https://');
             const hasE2EE = serverCapabilities?.upload?.e2ee && isTargetSecure;
 
+            // Passphrases wrap the encryption key, so they are only offered for encrypted uploads
+            passphraseSection.style.display = hasE2EE && serverCapabilities?.upload?.passphrase ? 'block' : 'none';
+
             if (hasE2EE) {
                 // Green: Full E2EE
                 securityIcon.textContent = 'verified';
@@ -529,6 +689,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         function saveSettings() {
             window.electronAPI.setSettings({
                 serverURL: serverUrlInput.value,
+                apiKey: apiKeyInput.value.trim(),
                 lifetimeValue: fileLifetimeValueInput.value,
                 lifetimeUnit: fileLifetimeUnitSelect.value,
                 maxDownloads: maxDownloadsValue.value
@@ -610,6 +771,13 @@ document.addEventListener('DOMContentLoaded', async () => {
                     updateUploadabilityState(false, message);
                     lastServerCheck = { compatible: false, message };
                     return lastServerCheck;
+                } else if (serverCapabilities.upload?.authRequired && serverCapabilities.upload.authenticated !== true) {
+                    const message = serverCapabilities.upload.authenticated === false
+                        ? 'The server rejected this API key.'
+                        : 'This server requires an API key to upload. Enter it in the API Key field.';
+                    updateUploadabilityState(false, message);
+                    lastServerCheck = { compatible: false, message };
+                    return lastServerCheck;
                 } else {
                     updateUploadabilityState(true);
                 }
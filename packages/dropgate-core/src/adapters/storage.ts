@@ -0,0 +1,54 @@
+import type { FileSource, KeyValueStorage, PersistedUploadState, UploadStateStore } from '../types.js';
+
+/**
+ * Build the default key used to persist upload state for a file.
+ * Combines name, size and last modified time so a different file
+ * with the same name is not mistaken for the interrupted one.
+ */
+export function getUploadStateKey(file: FileSource): string {
+  const lastModified = Number.isFinite(file?.lastModified) ? file.lastModified : 0;
+  return `dropgate:upload:${file?.name ?? 'file'}:${file?.size ?? 0}:${lastModified}`;
+}
+
+/**
+ * Create an in-memory upload state store.
+ * State is lost when the process exits, so this is mainly useful for
+ * tests or for resuming after a dropped connection within one session.
+ */
+export function createMemoryUploadStateStore(): UploadStateStore {
+  const entries = new Map<string, PersistedUploadState>();
+  return {
+    get: (key) => entries.get(key) ?? null,
+    set: (key, state) => {
+      entries.set(key, { ...state });
+    },
+    delete: (key) => {
+      entries.delete(key);
+    },
+  };
+}
+
+/**
+ * Create an upload state store backed by a Web Storage compatible object
+ * (e.g. window.localStorage). State is serialised as JSON.
+ */
+export function createWebStorageUploadStateStore(storage: KeyValueStorage): UploadStateStore {
+  return {
+    get: (key) => {
+      const raw = storage.getItem(key);
+      if (!raw) return null;
+      try {
+        const parsed = JSON.parse(raw) as PersistedUploadState;
+        return parsed && parsed.version === 1 && typeof parsed.uploadId === 'string' ? parsed : null;
+      } catch {
+        return null;
+      }
+    },
+    set: (key, state) => {
+      storage.setItem(key, JSON.stringify(state));
+    },
+    delete: (key) => {
+      storage.removeItem(key);
+    },
+  };
+}
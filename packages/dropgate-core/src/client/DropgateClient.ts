@@ -1,4 +1,13 @@
-import { DEFAULT_CHUNK_SIZE, ENCRYPTION_OVERHEAD_PER_CHUNK, MAX_IN_MEMORY_DOWNLOAD_BYTES } from '../constants.js';
+import {
+  DEFAULT_CHUNK_SIZE,
+  ENCRYPTION_FORMAT_VERSION,
+  ENCRYPTION_OVERHEAD_PER_CHUNK,
+  MAX_FILE_MESSAGE_LENGTH,
+  MAX_IN_MEMORY_DOWNLOAD_BYTES,
+  MAX_THUMBNAIL_DATA_URL_LENGTH,
+  MAX_UPLOAD_CONCURRENCY,
+  STREAM_HEADER_BYTES,
+} from '../constants.js';
 import {
   DropgateError,
   DropgateValidationError,
@@ -13,12 +22,19 @@ import type {
   ServerInfo,
   CompatibilityResult,
   ShareTargetResult,
-  UploadResult,
+  BundleUploadResult,
   UploadSession,
   UploadProgressEvent,
   DropgateClientOptions,
   UploadOptions,
+  UploadFilesOptions,
   GetServerInfoOptions,
+  ManageUploadOptions,
+  UpdateUploadOptions,
+  UploadSettings,
+  UnlockOptions,
+  PassphraseParams,
+  PassphrasePromptContext,
   ValidateUploadOptions,
   FileSource,
   Base64Adapter,
@@ -26,25 +42,118 @@ import type {
   DownloadResult,
   DownloadProgressEvent,
   FileMetadata,
+  FileDetails,
+  IntegrityManifest,
+  BundleFileMetadata,
+  ScanStatus,
+  DownloadZipOptions,
+  DownloadZipResult,
+  PersistedUploadState,
+  PassphraseLock,
+  ResumeUploadOptions,
+  UploadStateStore,
+  RetryOptions,
 } from '../types.js';
 import { getDefaultCrypto, getDefaultFetch, getDefaultBase64 } from '../adapters/defaults.js';
+import { getUploadStateKey } from '../adapters/storage.js';
 import { makeAbortSignal, fetchJson, sleep, buildBaseUrl } from '../utils/network.js';
 import { parseSemverMajorMinor } from '../utils/semver.js';
 import { validatePlainFilename } from '../utils/filename.js';
-import { sha256Hex, generateAesGcmKey, exportKeyBase64, importKeyFromBase64, decryptChunk, decryptFilenameFromBase64 } from '../crypto/index.js';
-import { encryptToBlob, encryptFilenameToBase64 } from '../crypto/encrypt.js';
+import {
+  sha256Hex,
+  generateAesGcmKey,
+  exportKeyBase64,
+  importKeyFromBase64,
+  decryptChunk,
+  decryptFilenameFromBase64,
+  decryptFileDetailsFromBase64,
+} from '../crypto/index.js';
+import { isThumbnailDataUrl } from '../crypto/decrypt.js';
+import { encryptToBlob, encryptFilenameToBase64, encryptJsonToBase64 } from '../crypto/encrypt.js';
+import { createStreamHeader, parseStreamHeader, encryptStreamChunk, decryptStreamChunk } from '../crypto/stream.js';
+import type { StreamHeader } from '../crypto/stream.js';
+import {
+  createIntegrityManifest,
+  createIntegrityVerifier,
+  assertIntegrityManifest,
+  encryptIntegrityManifest,
+  decryptIntegrityManifest,
+} from '../crypto/integrity.js';
+import { derivePassphraseKeys, wrapKeyWithPassphrase, unwrapKeyToBase64 } from '../crypto/passphrase.js';
+import { bytesToBase64, base64ToBytes } from '../utils/base64.js';
+import { ZipWriter } from '../zip/index.js';
+
+type UploadStatus = ReturnType<UploadSession['getStatus']>;
+
+/** Hooks handed to an upload routine run by startUploadSession(). */
+interface UploadSessionContext {
+  signal?: AbortSignal;
+  setStatus: (status: UploadStatus) => void;
+  setTarget: (uploadId: string, baseUrl: string) => void;
+  /** Register extra best-effort cleanup to run if the user cancels. */
+  addCancelHook: (hook: () => Promise<void>) => void;
+}
+
+/** Fill in defaults for retry settings. */
+function resolveRetry(retry: RetryOptions = {}): Required<RetryOptions> {
+  return {
+    retries: Number.isFinite(retry.retries) ? retry.retries! : 5,
+    backoffMs: Number.isFinite(retry.backoffMs) ? retry.backoffMs! : 1000,
+    maxBackoffMs: Number.isFinite(retry.maxBackoffMs) ? retry.maxBackoffMs! : 30000,
+  };
+}
+
+/** Check the number of chunks to upload at once, capped at MAX_UPLOAD_CONCURRENCY. */
+function resolveConcurrency(concurrency: number = 1): number {
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new DropgateValidationError('Upload concurrency must be a positive integer.');
+  }
+  return Math.min(concurrency, MAX_UPLOAD_CONCURRENCY);
+}
+
+/** Refuse to download a file the server's virus scanner has not cleared. */
+function assertScanCleared(scanStatus?: ScanStatus): void {
+  if (scanStatus === 'scanning') {
+    throw new DropgateProtocolError('This file is still being scanned for viruses. Try again shortly.', { code: 'FILE_SCANNING' });
+  }
+  if (scanStatus === 'infected' || scanStatus === 'failed') {
+    throw new DropgateProtocolError('This file was blocked by the server\'s virus scanner.', { code: 'FILE_BLOCKED' });
+  }
+}
 
 /**
  * Estimate total upload size including encryption overhead.
+ * Version 2 encryption adds a header in front of the first chunk.
  */
 export function estimateTotalUploadSizeBytes(
   fileSizeBytes: number,
   totalChunks: number,
-  isEncrypted: boolean
+  isEncrypted: boolean,
+  encryptionVersion: number = ENCRYPTION_FORMAT_VERSION
 ): number {
   const base = Number(fileSizeBytes) || 0;
   if (!isEncrypted) return base;
-  return base + (Number(totalChunks) || 0) * ENCRYPTION_OVERHEAD_PER_CHUNK;
+  const header = encryptionVersion >= 2 ? STREAM_HEADER_BYTES : 0;
+  return base + header + (Number(totalChunks) || 0) * ENCRYPTION_OVERHEAD_PER_CHUNK;
+}
+
+/**
+ * Details of a file to store encrypted with it, or null if there is nothing to store.
+ */
+function describeFile(file: FileSource, message?: string, thumbnail?: string): FileDetails | null {
+  const details: FileDetails = {
+    ...(file.type ? { mimeType: file.type } : {}),
+    ...(Number.isFinite(file.lastModified) ? { lastModified: file.lastModified } : {}),
+    ...(message ? { message } : {}),
+    ...(thumbnail ? { thumbnail } : {}),
+  };
+  return Object.keys(details).length > 0 ? details : null;
+}
+
+/** Newest encryption format both this client and the server support. */
+function resolveEncryptionVersion(serverInfo?: ServerInfo | null): number {
+  const versions = serverInfo?.capabilities?.upload?.encryptionVersions;
+  return Array.isArray(versions) && versions.includes(ENCRYPTION_FORMAT_VERSION) ? ENCRYPTION_FORMAT_VERSION : 1;
 }
 
 /**
@@ -57,7 +166,7 @@ export function estimateTotalUploadSizeBytes(
 export async function getServerInfo(
   opts: GetServerInfoOptions
 ): Promise<{ baseUrl: string; serverInfo: ServerInfo }> {
-  const { host, port, secure, timeoutMs = 5000, signal, fetchFn: customFetch } = opts;
+  const { host, port, secure, timeoutMs = 5000, signal, fetchFn: customFetch, apiKey } = opts;
 
   const fetchFn = customFetch || getDefaultFetch();
   if (!fetchFn) {
@@ -74,7 +183,10 @@ export async function getServerInfo(
         method: 'GET',
         timeoutMs,
         signal,
-        headers: { Accept: 'application/json' },
+        headers: {
+          Accept: 'application/json',
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+        },
       }
     );
 
@@ -110,6 +222,8 @@ export class DropgateClient {
   readonly base64: Base64Adapter;
   /** Optional logger for debug output. */
   readonly logger: LoggerFn | null;
+  /** API key sent when starting uploads. Can be changed between uploads. */
+  apiKey: string | null;
 
   /**
    * Create a new DropgateClient instance.
@@ -142,6 +256,7 @@ export class DropgateClient {
 
     this.base64 = opts.base64 || getDefaultBase64();
     this.logger = opts.logger || null;
+    this.apiKey = opts.apiKey || null;
   }
 
   /**
@@ -206,7 +321,11 @@ export class DropgateClient {
     let serverInfo: ServerInfo;
 
     try {
-      const result = await getServerInfo({ ...opts, fetchFn: this.fetchFn });
+      const result = await getServerInfo({
+        ...opts,
+        apiKey: opts.apiKey ?? this.apiKey ?? undefined,
+        fetchFn: this.fetchFn,
+      });
       baseUrl = result.baseUrl;
       serverInfo = result.serverInfo;
     } catch (err) {
@@ -254,6 +373,19 @@ export class DropgateClient {
     };
   }
 
+  /**
+   * Resolve the chunk size to upload with on a server.
+   * The client's chunk size is clamped to the sizes the server accepts. Servers that do not
+   * advertise any only accept the default chunk size.
+   * @param serverInfo - Server info from getServerInfo() or checkCompatibility().
+   * @returns Chunk size in bytes.
+   */
+  resolveChunkSize(serverInfo?: ServerInfo | null): number {
+    const bounds = serverInfo?.capabilities?.upload?.chunkSize;
+    if (!bounds) return DEFAULT_CHUNK_SIZE;
+    return Math.min(Math.max(Math.floor(this.chunkSize), bounds.min), bounds.max);
+  }
+
   /**
    * Validate file and upload settings against server capabilities.
    * @param opts - Validation options containing file, settings, and server info.
@@ -261,13 +393,19 @@ export class DropgateClient {
    * @throws {DropgateValidationError} If any validation check fails.
    */
   validateUploadInputs(opts: ValidateUploadOptions): boolean {
-    const { file, lifetimeMs, encrypt, serverInfo } = opts;
+    const { file, lifetimeMs, encrypt, passphrase, webhook, message, thumbnail, serverInfo } = opts;
     const caps = serverInfo?.capabilities?.upload;
 
     if (!caps || !caps.enabled) {
       throw new DropgateValidationError('Server does not support file uploads.');
     }
 
+    if (caps.authRequired && caps.authenticated !== true) {
+      throw caps.authenticated === false
+        ? new DropgateValidationError('The server rejected the API key.', { code: 'AUTH_FAILED' })
+        : new DropgateValidationError('This server requires an API key to upload.', { code: 'AUTH_REQUIRED' });
+    }
+
     // Check file validity
     const fileSize = Number(file?.size || 0);
     if (!file || !Number.isFinite(fileSize) || fileSize <= 0) {
@@ -278,11 +416,12 @@ export class DropgateClient {
     const maxMB = Number(caps.maxSizeMB);
     if (Number.isFinite(maxMB) && maxMB > 0) {
       const limitBytes = maxMB * 1000 * 1000;
-      const totalChunks = Math.ceil(fileSize / this.chunkSize);
+      const totalChunks = Math.ceil(fileSize / this.resolveChunkSize(serverInfo));
       const estimatedBytes = estimateTotalUploadSizeBytes(
         fileSize,
         totalChunks,
-        Boolean(encrypt)
+        Boolean(encrypt),
+        resolveEncryptionVersion(serverInfo)
       );
       if (estimatedBytes > limitBytes) {
         const msg = encrypt
@@ -322,6 +461,41 @@ export class DropgateClient {
       );
     }
 
+    // Passphrases protect the encryption key, so they mean nothing without encryption
+    if (passphrase !== undefined) {
+      if (typeof passphrase !== 'string' || passphrase.length === 0) {
+        throw new DropgateValidationError('Passphrase must be a non-empty string.');
+      }
+      if (!encrypt) {
+        throw new DropgateValidationError('A passphrase can only be used with end-to-end encryption.');
+      }
+      if (!caps.passphrase) {
+        throw new DropgateValidationError('Passphrase-protected links are not supported on this server.');
+      }
+    }
+
+    if (webhook !== undefined && !caps.webhooks) {
+      throw new DropgateValidationError('This server does not accept upload webhooks.');
+    }
+
+    // Messages and thumbnails are only stored encrypted
+    if (message !== undefined || thumbnail !== undefined) {
+      if (message !== undefined && (typeof message !== 'string' || message.length > MAX_FILE_MESSAGE_LENGTH)) {
+        throw new DropgateValidationError(`Message must be a string of at most ${MAX_FILE_MESSAGE_LENGTH} characters.`);
+      }
+      if (thumbnail !== undefined && !isThumbnailDataUrl(thumbnail)) {
+        throw new DropgateValidationError(
+          `Thumbnail must be a PNG, JPEG, GIF or WebP data URL of at most ${MAX_THUMBNAIL_DATA_URL_LENGTH / 1024} KiB.`
+        );
+      }
+      if (!encrypt) {
+        throw new DropgateValidationError('A message or thumbnail can only be sent with end-to-end encryption.');
+      }
+      if (!caps.encryptedMetadata) {
+        throw new DropgateValidationError('This server cannot store messages or thumbnails with files.');
+      }
+    }
+
     return true;
   }
 
@@ -343,355 +517,802 @@ export class DropgateClient {
       lifetimeMs,
       encrypt,
       maxDownloads,
+      passphrase,
+      webhook,
+      message,
+      thumbnail,
       filenameOverride,
       onProgress,
       onCancel,
       signal,
+      stateStore,
+      stateKey,
       timeouts = {},
       retry = {},
+      concurrency,
     } = opts;
 
-    // Create internal AbortController if no signal provided
-    const internalController = signal ? null : new AbortController();
-    const effectiveSignal = signal || internalController?.signal;
+    const chunkConcurrency = resolveConcurrency(concurrency);
+    const effectiveStateKey = stateStore ? (stateKey ?? getUploadStateKey(file)) : null;
 
-    let uploadState: 'initializing' | 'uploading' | 'completing' | 'completed' | 'cancelled' | 'error' = 'initializing';
-    let currentUploadId: string | null = null;
-    let currentBaseUrl: string | null = null;
+    return this.startUploadSession({ signal, onCancel }, async (session) => {
+      const progress = (evt: UploadProgressEvent): void => {
+        try {
+          if (onProgress) onProgress(evt);
+        } catch {
+          // Ignore UI callback failures
+        }
+      };
 
-    const uploadPromise = (async (): Promise<UploadResult> => {
-      try {
+      if (!this.cryptoObj?.subtle) {
+        throw new DropgateValidationError(
+          'Web Crypto API not available (crypto.subtle).'
+        );
+      }
 
-        const progress = (evt: UploadProgressEvent): void => {
-          try {
-            if (onProgress) onProgress(evt);
-          } catch {
-            // Ignore UI callback failures
-          }
-        };
+      const fileSizeBytes = file.size;
+
+      // 0) Get server info + compat
+      progress({ phase: 'server-info', text: 'Checking server...', percent: 0, processedBytes: 0, totalBytes: fileSizeBytes });
+
+      const compat = await this.checkCompatibility({
+        host,
+        port,
+        secure,
+        timeoutMs: timeouts.serverInfoMs ?? 5000,
+        signal: session.signal,
+      });
+
+      const { baseUrl, serverInfo } = compat;
+      progress({ phase: 'server-compat', text: compat.message, percent: 0, processedBytes: 0, totalBytes: fileSizeBytes });
+      if (!compat.compatible) {
+        throw new DropgateValidationError(compat.message);
+      }
 
-        if (!this.cryptoObj?.subtle) {
-          throw new DropgateValidationError(
-            'Web Crypto API not available (crypto.subtle).'
+      // 1) Validate inputs
+      const filename = filenameOverride ?? file.name ?? 'file';
+
+      // Resolve encrypt option: default to true if server supports E2EE
+      const serverSupportsE2EE = Boolean(serverInfo?.capabilities?.upload?.e2ee);
+      const effectiveEncrypt = encrypt ?? serverSupportsE2EE;
+
+      if (!effectiveEncrypt) {
+        validatePlainFilename(filename);
+      }
+
+      this.validateUploadInputs({ file, lifetimeMs, encrypt: effectiveEncrypt, passphrase, webhook, message, thumbnail, serverInfo });
+
+      // 2) Encryption prep
+      let cryptoKey: CryptoKey | null = null;
+      let keyB64: string | null = null;
+      let transmittedFilename = filename;
+      let encryptedMetadata: string | null = null;
+      let passphraseLock: PassphraseLock | null = null;
+
+      if (effectiveEncrypt) {
+        progress({ phase: 'crypto', text: 'Generating encryption key...', percent: 0, processedBytes: 0, totalBytes: fileSizeBytes });
+        try {
+          cryptoKey = await generateAesGcmKey(this.cryptoObj);
+          keyB64 = await exportKeyBase64(this.cryptoObj, cryptoKey);
+          transmittedFilename = await encryptFilenameToBase64(
+            this.cryptoObj,
+            filename,
+            cryptoKey
           );
+          const details = describeFile(file, message, thumbnail);
+          if (details && serverInfo?.capabilities?.upload?.encryptedMetadata) {
+            encryptedMetadata = await encryptJsonToBase64(this.cryptoObj, details, cryptoKey);
+          }
+          if (passphrase !== undefined) {
+            passphraseLock = await wrapKeyWithPassphrase(this.cryptoObj, cryptoKey, passphrase, undefined, this.base64);
+          }
+        } catch (err) {
+          throw new DropgateError('Failed to prepare encryption.', {
+            code: 'CRYPTO_PREP_FAILED',
+            cause: err,
+          });
         }
+      }
 
-        const fileSizeBytes = file.size;
+      // 3) Compute reservation sizes
+      const chunkSize = this.resolveChunkSize(serverInfo);
+      const totalChunks = Math.ceil(file.size / chunkSize);
+      const streamHeader = effectiveEncrypt && resolveEncryptionVersion(serverInfo) >= 2
+        ? createStreamHeader(this.cryptoObj, chunkSize)
+        : null;
+      const totalUploadSize = estimateTotalUploadSizeBytes(
+        file.size,
+        totalChunks,
+        effectiveEncrypt,
+        streamHeader ? streamHeader.version : 1
+      );
 
-        // 0) Get server info + compat
-        progress({ phase: 'server-info', text: 'Checking server...', percent: 0, processedBytes: 0, totalBytes: fileSizeBytes });
+      // 4) Init
+      progress({ phase: 'init', text: 'Reserving server storage...', percent: 0, processedBytes: 0, totalBytes: fileSizeBytes });
 
-        const compat = await this.checkCompatibility({
-          host,
-          port,
-          secure,
-          timeoutMs: timeouts.serverInfoMs ?? 5000,
-          signal: effectiveSignal,
+      const initPayload = {
+        filename: transmittedFilename,
+        lifetime: lifetimeMs,
+        isEncrypted: effectiveEncrypt,
+        totalSize: totalUploadSize,
+        totalChunks,
+        chunkSize,
+        ...(streamHeader ? { encryptionVersion: streamHeader.version } : {}),
+        ...(encryptedMetadata ? { encryptedMetadata } : {}),
+        ...(maxDownloads !== undefined ? { maxDownloads } : {}),
+        ...(passphraseLock ? { passphrase: passphraseLock } : {}),
+        ...(webhook ? { webhook } : {}),
+      };
+
+      const uploadId = await this.initUpload(baseUrl, initPayload, timeouts.initMs ?? 15000, session.signal);
+
+      // Store uploadId and baseUrl for cancellation
+      session.setTarget(uploadId, baseUrl);
+      session.setStatus('uploading');
+
+      // Persist the session so it can be resumed if the client goes away
+      if (stateStore && effectiveStateKey && serverInfo?.capabilities?.upload?.resumable) {
+        session.addCancelHook(() => this.clearUploadState(stateStore, effectiveStateKey));
+        await this.saveUploadState(stateStore, effectiveStateKey, {
+          version: 1,
+          uploadId,
+          baseUrl,
+          fileName: file.name,
+          fileSize: file.size,
+          ...(Number.isFinite(file.lastModified) ? { fileLastModified: file.lastModified } : {}),
+          chunkSize,
+          totalChunks,
+          isEncrypted: effectiveEncrypt,
+          ...(effectiveEncrypt && keyB64 ? { keyB64 } : {}),
+          ...(streamHeader ? { streamHeaderB64: this.base64.encode(streamHeader.bytes) } : {}),
+          ...(passphraseLock ? { passphraseProtected: true } : {}),
+          createdAt: Date.now(),
         });
+      }
 
-        const { baseUrl, serverInfo } = compat;
-        progress({ phase: 'server-compat', text: compat.message, percent: 0, processedBytes: 0, totalBytes: fileSizeBytes });
-        if (!compat.compatible) {
-          throw new DropgateValidationError(compat.message);
-        }
+      // 5) Chunks
+      const plainHashes = await this.uploadChunks({
+        file,
+        baseUrl,
+        uploadId,
+        chunkIndexes: Array.from({ length: totalChunks }, (_, i) => i),
+        totalChunks,
+        chunkSize,
+        cryptoKey,
+        streamHeader,
+        signal: session.signal,
+        timeouts,
+        retry,
+        concurrency: chunkConcurrency,
+        progress,
+      });
 
-        // 1) Validate inputs
-        const filename = filenameOverride ?? file.name ?? 'file';
+      // 6) Complete
+      progress({ phase: 'complete', text: 'Finalising upload...', percent: 100, processedBytes: fileSizeBytes, totalBytes: fileSizeBytes });
 
-        // Resolve encrypt option: default to true if server supports E2EE
-        const serverSupportsE2EE = Boolean(serverInfo?.capabilities?.upload?.e2ee);
-        const effectiveEncrypt = encrypt ?? serverSupportsE2EE;
+      session.setStatus('completing');
+      const encryptedIntegrity = cryptoKey
+        ? await this.sealIntegrityManifest(file, chunkSize, totalChunks, plainHashes, cryptoKey)
+        : undefined;
+      const { id: fileId, ownerToken } = await this.completeUpload(
+        baseUrl, uploadId, timeouts.completeMs ?? 30000, session.signal, 'file', encryptedIntegrity
+      );
 
-        if (!effectiveEncrypt) {
-          validatePlainFilename(filename);
-        }
+      if (stateStore && effectiveStateKey) {
+        await this.clearUploadState(stateStore, effectiveStateKey);
+      }
 
-        this.validateUploadInputs({ file, lifetimeMs, encrypt: effectiveEncrypt, serverInfo });
-
-        // 2) Encryption prep
-        let cryptoKey: CryptoKey | null = null;
-        let keyB64: string | null = null;
-        let transmittedFilename = filename;
-
-        if (effectiveEncrypt) {
-          progress({ phase: 'crypto', text: 'Generating encryption key...', percent: 0, processedBytes: 0, totalBytes: fileSizeBytes });
-          try {
-            cryptoKey = await generateAesGcmKey(this.cryptoObj);
-            keyB64 = await exportKeyBase64(this.cryptoObj, cryptoKey);
-            transmittedFilename = await encryptFilenameToBase64(
-              this.cryptoObj,
-              filename,
-              cryptoKey
-            );
-          } catch (err) {
-            throw new DropgateError('Failed to prepare encryption.', {
-              code: 'CRYPTO_PREP_FAILED',
-              cause: err,
-            });
-          }
+      // Passphrase-protected links leave the key out; recipients unlock it from the server
+      let downloadUrl = `${baseUrl}/${fileId}`;
+      if (effectiveEncrypt && keyB64 && !passphraseLock) {
+        downloadUrl += `#${keyB64}`;
+      }
+
+      progress({ phase: 'done', text: 'Upload successful!', percent: 100, processedBytes: fileSizeBytes, totalBytes: fileSizeBytes });
+
+      session.setStatus('completed');
+      return {
+        downloadUrl,
+        fileId,
+        uploadId,
+        baseUrl,
+        ...(effectiveEncrypt && keyB64 && !passphraseLock ? { keyB64 } : {}),
+        ...(ownerToken ? { ownerToken } : {}),
+      };
+    });
+  }
+
+  /**
+   * Resume an interrupted upload from state saved by uploadFile().
+   * Asks the server which chunks it already holds and only sends the rest.
+   * The saved state is removed once the upload completes or the server
+   * reports that the session has expired.
+   * @param opts - Resume options including the original file and state store.
+   * @returns Upload session, as returned by uploadFile().
+   * @throws {DropgateValidationError} If there is no saved state or the file does not match it.
+   * @throws {DropgateNetworkError} If the server cannot be reached.
+   * @throws {DropgateProtocolError} If the server returns an error or the session has expired.
+   * @throws {DropgateAbortError} If the upload is cancelled.
+   */
+  async resumeUpload(opts: ResumeUploadOptions): Promise<UploadSession> {
+    const {
+      host,
+      port,
+      secure,
+      file,
+      stateStore,
+      stateKey,
+      onProgress,
+      onCancel,
+      signal,
+      timeouts = {},
+      retry = {},
+      concurrency,
+    } = opts;
+
+    if (!stateStore) {
+      throw new DropgateValidationError('resumeUpload requires a stateStore.');
+    }
+    const chunkConcurrency = resolveConcurrency(concurrency);
+
+    const effectiveStateKey = stateKey ?? getUploadStateKey(file);
+
+    return this.startUploadSession({ signal, onCancel }, async (session) => {
+      // The server session is gone after a cancel, so there is nothing left to resume
+      session.addCancelHook(() => this.clearUploadState(stateStore, effectiveStateKey));
+
+      const progress = (evt: UploadProgressEvent): void => {
+        try {
+          if (onProgress) onProgress(evt);
+        } catch {
+          // Ignore UI callback failures
         }
+      };
 
-        // 3) Compute reservation sizes
-        const totalChunks = Math.ceil(file.size / this.chunkSize);
-        const totalUploadSize = estimateTotalUploadSizeBytes(
-          file.size,
-          totalChunks,
-          effectiveEncrypt
+      if (!this.cryptoObj?.subtle) {
+        throw new DropgateValidationError(
+          'Web Crypto API not available (crypto.subtle).'
         );
+      }
 
-        // 4) Init
-        progress({ phase: 'init', text: 'Reserving server storage...', percent: 0, processedBytes: 0, totalBytes: fileSizeBytes });
-
-        const initPayload = {
-          filename: transmittedFilename,
-          lifetime: lifetimeMs,
-          isEncrypted: effectiveEncrypt,
-          totalSize: totalUploadSize,
-          totalChunks,
-          ...(maxDownloads !== undefined ? { maxDownloads } : {}),
-        };
+      const fileSizeBytes = file.size;
 
-        const initRes = await fetchJson(this.fetchFn, `${baseUrl}/upload/init`, {
-          method: 'POST',
-          timeoutMs: timeouts.initMs ?? 15000,
-          signal: effectiveSignal,
-          headers: {
-            'Content-Type': 'application/json',
-            Accept: 'application/json',
-          },
-          body: JSON.stringify(initPayload),
+      // 0) Load saved state and check it belongs to this file
+      const state = await stateStore.get(effectiveStateKey);
+      if (!state) {
+        throw new DropgateValidationError('No saved upload found for this file.', {
+          code: 'UPLOAD_STATE_NOT_FOUND',
         });
+      }
 
-        if (!initRes.res.ok) {
-          const errorJson = initRes.json as { error?: string } | null;
-          const msg =
-            errorJson?.error ||
-            `Server initialisation failed: ${initRes.res.status}`;
-          throw new DropgateProtocolError(msg, {
-            details: initRes.json || initRes.text,
-          });
-        }
+      const lastModifiedMismatch =
+        Number.isFinite(state.fileLastModified) &&
+        Number.isFinite(file.lastModified) &&
+        state.fileLastModified !== file.lastModified;
+      if (state.fileName !== file.name || state.fileSize !== file.size || lastModifiedMismatch) {
+        throw new DropgateValidationError('The selected file does not match the saved upload.', {
+          code: 'UPLOAD_STATE_MISMATCH',
+        });
+      }
 
-        const initJson = initRes.json as { uploadId?: string } | null;
-        const uploadId = initJson?.uploadId;
-        if (!uploadId || typeof uploadId !== 'string') {
-          throw new DropgateProtocolError(
-            'Server did not return a valid uploadId.'
-          );
-        }
+      // 1) Get server info + compat
+      progress({ phase: 'server-info', text: 'Checking server...', percent: 0, processedBytes: 0, totalBytes: fileSizeBytes });
 
-        // Store uploadId and baseUrl for cancellation
-        currentUploadId = uploadId;
-        currentBaseUrl = baseUrl;
-        uploadState = 'uploading';
-
-        // 5) Chunks
-        const retries = Number.isFinite(retry.retries) ? retry.retries! : 5;
-        const baseBackoffMs = Number.isFinite(retry.backoffMs)
-          ? retry.backoffMs!
-          : 1000;
-        const maxBackoffMs = Number.isFinite(retry.maxBackoffMs)
-          ? retry.maxBackoffMs!
-          : 30000;
-
-        for (let i = 0; i < totalChunks; i++) {
-          if (effectiveSignal?.aborted) {
-            throw effectiveSignal.reason || new DropgateAbortError();
-          }
+      const compat = await this.checkCompatibility({
+        host,
+        port,
+        secure,
+        timeoutMs: timeouts.serverInfoMs ?? 5000,
+        signal: session.signal,
+      });
 
-          const start = i * this.chunkSize;
-          const end = Math.min(start + this.chunkSize, file.size);
-          let chunkBlob: Blob | FileSource = file.slice(start, end);
+      const { baseUrl, serverInfo } = compat;
+      progress({ phase: 'server-compat', text: compat.message, percent: 0, processedBytes: 0, totalBytes: fileSizeBytes });
+      if (!compat.compatible) {
+        throw new DropgateValidationError(compat.message);
+      }
 
-          const percentComplete = (i / totalChunks) * 100;
-          const processedBytes = i * this.chunkSize;
-          progress({
-            phase: 'chunk',
-            text: `Uploading chunk ${i + 1} of ${totalChunks}...`,
-            percent: percentComplete,
-            processedBytes,
-            totalBytes: fileSizeBytes,
-            chunkIndex: i,
-            totalChunks,
-          });
+      if (state.baseUrl !== baseUrl) {
+        throw new DropgateValidationError('The saved upload belongs to a different server.', {
+          code: 'UPLOAD_STATE_MISMATCH',
+        });
+      }
 
-          // Get ArrayBuffer from the slice
-          const chunkBuffer = await chunkBlob.arrayBuffer();
+      if (!serverInfo?.capabilities?.upload?.resumable) {
+        throw new DropgateValidationError('Server does not support resuming uploads.');
+      }
 
-          // Encrypt if needed
-          let uploadBlob: Blob;
-          if (effectiveEncrypt && cryptoKey) {
-            uploadBlob = await encryptToBlob(this.cryptoObj, chunkBuffer, cryptoKey);
-          } else {
-            uploadBlob = new Blob([chunkBuffer]);
-          }
+      // 2) Ask the server which chunks it already has
+      progress({ phase: 'resume', text: 'Checking upload progress...', percent: 0, processedBytes: 0, totalBytes: fileSizeBytes });
 
-          // Server validates: chunk <= 5MB + 1024
-          if (uploadBlob.size > DEFAULT_CHUNK_SIZE + 1024) {
-            throw new DropgateValidationError(
-              'Chunk too large (client-side). Check chunk size settings.'
-            );
-          }
+      const statusRes = await fetchJson(this.fetchFn, `${baseUrl}/upload/status`, {
+        method: 'POST',
+        timeoutMs: timeouts.statusMs ?? 15000,
+        signal: session.signal,
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'application/json',
+          'X-Upload-ID': state.uploadId,
+        },
+        body: JSON.stringify({ uploadId: state.uploadId }),
+      });
 
-          // Hash encrypted/plain payload
-          const toHash = await uploadBlob.arrayBuffer();
-          const hashHex = await sha256Hex(this.cryptoObj, toHash);
+      if (statusRes.res.status === 404 || statusRes.res.status === 410) {
+        await this.clearUploadState(stateStore, effectiveStateKey);
+        throw new DropgateProtocolError('Upload session has expired. Please start the upload again.', {
+          code: 'UPLOAD_SESSION_EXPIRED',
+          details: statusRes.json || statusRes.text,
+        });
+      }
 
-          const headers: Record<string, string> = {
-            'Content-Type': 'application/octet-stream',
-            'X-Upload-ID': uploadId,
-            'X-Chunk-Index': String(i),
-            'X-Chunk-Hash': hashHex,
-          };
+      if (!statusRes.res.ok) {
+        const errorJson = statusRes.json as { error?: string } | null;
+        const msg = errorJson?.error || `Upload status request failed: ${statusRes.res.status}`;
+        throw new DropgateProtocolError(msg, {
+          details: statusRes.json || statusRes.text,
+        });
+      }
 
-          const chunkUrl = `${baseUrl}/upload/chunk`;
-          await this.attemptChunkUpload(
-            chunkUrl,
-            {
-              method: 'POST',
-              headers,
-              body: uploadBlob,
-            },
-            {
-              retries,
-              backoffMs: baseBackoffMs,
-              maxBackoffMs,
-              timeoutMs: timeouts.chunkMs ?? 60000,
-              signal: effectiveSignal,
-              progress,
-              chunkIndex: i,
-              totalChunks,
-              chunkSize: this.chunkSize,
-              fileSizeBytes,
-            }
-          );
-        }
+      const statusJson = statusRes.json as { receivedChunks?: unknown } | null;
+      if (!Array.isArray(statusJson?.receivedChunks)) {
+        throw new DropgateProtocolError('Server returned an invalid upload status.');
+      }
 
-        // 6) Complete
-        progress({ phase: 'complete', text: 'Finalising upload...', percent: 100, processedBytes: fileSizeBytes, totalBytes: fileSizeBytes });
+      const received = new Set(statusJson.receivedChunks as number[]);
+      const missingChunks: number[] = [];
+      for (let i = 0; i < state.totalChunks; i++) {
+        if (!received.has(i)) missingChunks.push(i);
+      }
 
-        uploadState = 'completing';
-        const completeRes = await fetchJson(
-          this.fetchFn,
-          `${baseUrl}/upload/complete`,
-          {
-            method: 'POST',
-            timeoutMs: timeouts.completeMs ?? 30000,
-            signal: effectiveSignal,
-            headers: {
-              'Content-Type': 'application/json',
-              Accept: 'application/json',
-            },
-            body: JSON.stringify({ uploadId }),
-          }
-        );
+      session.setTarget(state.uploadId, baseUrl);
+      session.setStatus('uploading');
 
-        if (!completeRes.res.ok) {
-          const errorJson = completeRes.json as { error?: string } | null;
-          const msg = errorJson?.error || 'Finalisation failed.';
-          throw new DropgateProtocolError(msg, {
-            details: completeRes.json || completeRes.text,
+      // 3) Restore the encryption key, and the header of version 2 encryption
+      let cryptoKey: CryptoKey | null = null;
+      let streamHeader: StreamHeader | null = null;
+      if (state.isEncrypted) {
+        if (!state.keyB64) {
+          throw new DropgateValidationError('Saved upload is missing its encryption key.');
+        }
+        try {
+          cryptoKey = await importKeyFromBase64(this.cryptoObj, state.keyB64, this.base64, ['encrypt', 'decrypt']);
+          // Uploads saved without a header were started in the legacy format and continue in it
+          if (state.streamHeaderB64) streamHeader = parseStreamHeader(this.base64.decode(state.streamHeaderB64));
+        } catch (err) {
+          throw new DropgateError('Failed to restore encryption key.', {
+            code: 'CRYPTO_PREP_FAILED',
+            cause: err,
           });
         }
+      }
 
-        const completeJson = completeRes.json as { id?: string } | null;
-        const fileId = completeJson?.id;
-        if (!fileId || typeof fileId !== 'string') {
-          throw new DropgateProtocolError(
-            'Server did not return a valid file id.'
-          );
-        }
+      // 4) Send the remaining chunks
+      const plainHashes = await this.uploadChunks({
+        file,
+        baseUrl,
+        uploadId: state.uploadId,
+        chunkIndexes: missingChunks,
+        totalChunks: state.totalChunks,
+        chunkSize: state.chunkSize,
+        cryptoKey,
+        streamHeader,
+        signal: session.signal,
+        timeouts,
+        retry,
+        concurrency: chunkConcurrency,
+        progress,
+      });
 
-        let downloadUrl = `${baseUrl}/${fileId}`;
-        if (effectiveEncrypt && keyB64) {
-          downloadUrl += `#${keyB64}`;
-        }
+      // 5) Complete
+      progress({ phase: 'complete', text: 'Finalising upload...', percent: 100, processedBytes: fileSizeBytes, totalBytes: fileSizeBytes });
 
-        progress({ phase: 'done', text: 'Upload successful!', percent: 100, processedBytes: fileSizeBytes, totalBytes: fileSizeBytes });
+      session.setStatus('completing');
+      const encryptedIntegrity = cryptoKey
+        ? await this.sealIntegrityManifest(file, state.chunkSize, state.totalChunks, plainHashes, cryptoKey)
+        : undefined;
+      const { id: fileId, ownerToken } = await this.completeUpload(
+        baseUrl, state.uploadId, timeouts.completeMs ?? 30000, session.signal, 'file', encryptedIntegrity
+      );
 
-        uploadState = 'completed';
-        return {
-          downloadUrl,
-          fileId,
-          uploadId,
-          baseUrl,
-          ...(effectiveEncrypt && keyB64 ? { keyB64 } : {}),
-        };
-      } catch (err) {
-        // Handle abort/cancellation
-        if (err instanceof Error && (err.name === 'AbortError' || err.message?.includes('abort'))) {
-          uploadState = 'cancelled';
-          onCancel?.();
-        } else {
-          uploadState = 'error';
-        }
-        throw err;
-      }
-    })();
+      await this.clearUploadState(stateStore, effectiveStateKey);
 
-    // Create cancel endpoint caller
-    const callCancelEndpoint = async (uploadId: string, baseUrl: string): Promise<void> => {
-      try {
-        await fetchJson(this.fetchFn, `${baseUrl}/upload/cancel`, {
-          method: 'POST',
-          timeoutMs: 5000,
-          headers: {
-            'Content-Type': 'application/json',
-            Accept: 'application/json',
-          },
-          body: JSON.stringify({ uploadId }),
-        });
-      } catch {
-        // Best effort - ignore cancellation endpoint errors
+      const linkKeyB64 = state.isEncrypted && !state.passphraseProtected ? state.keyB64 : undefined;
+      let downloadUrl = `${baseUrl}/${fileId}`;
+      if (linkKeyB64) {
+        downloadUrl += `#${linkKeyB64}`;
       }
-    };
-
-    // Return session object
-    return {
-      result: uploadPromise,
-      cancel: (reason?: string) => {
-        if (uploadState === 'completed' || uploadState === 'cancelled') return;
-        uploadState = 'cancelled';
 
-        // Call server cancel endpoint if uploadId exists
-        if (currentUploadId && currentBaseUrl) {
-          callCancelEndpoint(currentUploadId, currentBaseUrl).catch(() => { });
-        }
+      progress({ phase: 'done', text: 'Upload successful!', percent: 100, processedBytes: fileSizeBytes, totalBytes: fileSizeBytes });
 
-        // Abort the controller with a proper error object so AbortError checks work
-        internalController?.abort(new DropgateAbortError(reason || 'Upload cancelled by user.'));
-      },
-      getStatus: () => uploadState,
-    };
+      session.setStatus('completed');
+      return {
+        downloadUrl,
+        fileId,
+        uploadId: state.uploadId,
+        baseUrl,
+        ...(linkKeyB64 ? { keyB64: linkKeyB64 } : {}),
+        ...(ownerToken ? { ownerToken } : {}),
+      };
+    });
   }
 
   /**
-   * Download a file from the server with optional decryption.
-   *
-   * **Important:** For large files, you must provide an `onData` callback to stream
-   * data incrementally. Without it, the entire file is buffered in memory, which will
-   * cause memory exhaustion for large files. Files exceeding 100MB without an `onData`
-   * callback will throw a validation error.
-   *
-   * @param opts - Download options including file ID, server target, and optional key.
-   * @param opts.onData - Streaming callback that receives data chunks. Required for files > 100MB.
-   * @returns Download result containing filename and received bytes.
-   * @throws {DropgateValidationError} If input validation fails or file is too large without onData.
+   * Upload several files as a bundle that shares a single download link.
+   * All files are encrypted with the same key when encryption is enabled.
+   * @param opts - Upload options including the files, server target, and settings.
+   * @returns Upload session resolving to the bundle's download URL and file identifiers.
+   * @throws {DropgateValidationError} If input validation fails.
    * @throws {DropgateNetworkError} If the server cannot be reached.
    * @throws {DropgateProtocolError} If the server returns an error.
-   * @throws {DropgateAbortError} If the download is cancelled.
+   * @throws {DropgateAbortError} If the upload is cancelled.
    */
-  async downloadFile(opts: DownloadOptions): Promise<DownloadResult> {
+  async uploadFiles(opts: UploadFilesOptions): Promise<UploadSession<BundleUploadResult>> {
     const {
       host,
       port,
       secure,
-      fileId,
+      files,
+      lifetimeMs,
+      encrypt,
+      maxDownloads,
+      passphrase,
+      webhook,
+      onProgress,
+      onCancel,
+      signal,
+      timeouts = {},
+      retry = {},
+      concurrency,
+    } = opts;
+
+    if (!Array.isArray(files) || files.length === 0) {
+      throw new DropgateValidationError('At least one file is required.');
+    }
+    const chunkConcurrency = resolveConcurrency(concurrency);
+
+    return this.startUploadSession({ signal, onCancel }, async (session) => {
+      const progress = (evt: UploadProgressEvent): void => {
+        try {
+          if (onProgress) onProgress(evt);
+        } catch {
+          // Ignore UI callback failures
+        }
+      };
+
+      if (!this.cryptoObj?.subtle) {
+        throw new DropgateValidationError(
+          'Web Crypto API not available (crypto.subtle).'
+        );
+      }
+
+      const totalFiles = files.length;
+      const totalBytes = files.reduce((sum, f) => sum + (Number(f?.size) || 0), 0);
+
+      // 0) Get server info + compat
+      progress({ phase: 'server-info', text: 'Checking server...', percent: 0, processedBytes: 0, totalBytes, totalFiles });
+
+      const compat = await this.checkCompatibility({
+        host,
+        port,
+        secure,
+        timeoutMs: timeouts.serverInfoMs ?? 5000,
+        signal: session.signal,
+      });
+
+      const { baseUrl, serverInfo } = compat;
+      progress({ phase: 'server-compat', text: compat.message, percent: 0, processedBytes: 0, totalBytes, totalFiles });
+      if (!compat.compatible) {
+        throw new DropgateValidationError(compat.message);
+      }
+
+      // 1) Validate inputs
+      const serverSupportsE2EE = Boolean(serverInfo?.capabilities?.upload?.e2ee);
+      const effectiveEncrypt = encrypt ?? serverSupportsE2EE;
+
+      const filenames = files.map((file, i) => file?.name || `file-${i + 1}`);
+      for (let i = 0; i < totalFiles; i++) {
+        if (!effectiveEncrypt) {
+          validatePlainFilename(filenames[i]);
+        }
+        this.validateUploadInputs({ file: files[i], lifetimeMs, encrypt: effectiveEncrypt, passphrase, webhook, serverInfo });
+      }
+
+      // 2) Encryption prep - one key for the whole bundle
+      let cryptoKey: CryptoKey | null = null;
+      let keyB64: string | null = null;
+      let transmittedFilenames = filenames;
+      const encryptedMetadata: Array<string | null> = files.map(() => null);
+      let passphraseLock: PassphraseLock | null = null;
+
+      if (effectiveEncrypt) {
+        progress({ phase: 'crypto', text: 'Generating encryption key...', percent: 0, processedBytes: 0, totalBytes, totalFiles });
+        try {
+          cryptoKey = await generateAesGcmKey(this.cryptoObj);
+          keyB64 = await exportKeyBase64(this.cryptoObj, cryptoKey);
+          transmittedFilenames = [];
+          for (const filename of filenames) {
+            transmittedFilenames.push(await encryptFilenameToBase64(this.cryptoObj, filename, cryptoKey));
+          }
+          if (serverInfo?.capabilities?.upload?.encryptedMetadata) {
+            for (let i = 0; i < totalFiles; i++) {
+              const details = describeFile(files[i]);
+              if (details) encryptedMetadata[i] = await encryptJsonToBase64(this.cryptoObj, details, cryptoKey);
+            }
+          }
+          if (passphrase !== undefined) {
+            passphraseLock = await wrapKeyWithPassphrase(this.cryptoObj, cryptoKey, passphrase, undefined, this.base64);
+          }
+        } catch (err) {
+          throw new DropgateError('Failed to prepare encryption.', {
+            code: 'CRYPTO_PREP_FAILED',
+            cause: err,
+          });
+        }
+      }
+
+      // 3) Create the bundle
+      progress({ phase: 'init', text: 'Creating bundle...', percent: 0, processedBytes: 0, totalBytes, totalFiles });
+
+      const bundleRes = await fetchJson(this.fetchFn, `${baseUrl}/upload/bundle/init`, {
+        method: 'POST',
+        timeoutMs: timeouts.initMs ?? 15000,
+        signal: session.signal,
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'application/json',
+          ...this.authHeaders(),
+        },
+        body: JSON.stringify({
+          lifetime: lifetimeMs,
+          isEncrypted: effectiveEncrypt,
+          fileCount: totalFiles,
+          ...(maxDownloads !== undefined ? { maxDownloads } : {}),
+          ...(passphraseLock ? { passphrase: passphraseLock } : {}),
+          ...(webhook ? { webhook } : {}),
+        }),
+      });
+
+      if (!bundleRes.res.ok) {
+        const errorJson = bundleRes.json as { error?: string } | null;
+        const msg = errorJson?.error || `Bundle initialisation failed: ${bundleRes.res.status}`;
+        throw new DropgateProtocolError(msg, {
+          code: bundleRes.res.status === 401 ? 'AUTH_FAILED' : undefined,
+          details: bundleRes.json || bundleRes.text,
+        });
+      }
+
+      const uploadBundleId = (bundleRes.json as { bundleId?: string } | null)?.bundleId;
+      if (!uploadBundleId || typeof uploadBundleId !== 'string') {
+        throw new DropgateProtocolError('Server did not return a valid bundleId.');
+      }
+
+      session.addCancelHook(async () => {
+        await fetchJson(this.fetchFn, `${baseUrl}/upload/bundle/cancel`, {
+          method: 'POST',
+          timeoutMs: 5000,
+          headers: {
+            'Content-Type': 'application/json',
+            Accept: 'application/json',
+          },
+          body: JSON.stringify({ bundleId: uploadBundleId }),
+        });
+      });
+      session.setStatus('uploading');
+
+      // 4) Upload each file into the bundle
+      const uploadedFiles: BundleUploadResult['files'] = [];
+      const chunkSize = this.resolveChunkSize(serverInfo);
+      const encryptionVersion = resolveEncryptionVersion(serverInfo);
+      let bytesBefore = 0;
+
+      for (let f = 0; f < totalFiles; f++) {
+        const file = files[f];
+        const fileProgress = (evt: UploadProgressEvent): void => {
+          const processedBytes = bytesBefore + (evt.processedBytes || 0);
+          progress({
+            ...evt,
+            text: `File ${f + 1} of ${totalFiles}: ${evt.text ?? ''}`,
+            percent: totalBytes > 0 ? (processedBytes / totalBytes) * 100 : 0,
+            processedBytes,
+            totalBytes,
+            fileIndex: f,
+            totalFiles,
+          });
+        };
+
+        const totalChunks = Math.ceil(file.size / chunkSize);
+        const streamHeader = effectiveEncrypt && encryptionVersion >= 2
+          ? createStreamHeader(this.cryptoObj, chunkSize)
+          : null;
+        const uploadId = await this.initUpload(
+          baseUrl,
+          {
+            bundleId: uploadBundleId,
+            filename: transmittedFilenames[f],
+            isEncrypted: effectiveEncrypt,
+            totalSize: estimateTotalUploadSizeBytes(file.size, totalChunks, effectiveEncrypt, streamHeader ? streamHeader.version : 1),
+            totalChunks,
+            chunkSize,
+            ...(streamHeader ? { encryptionVersion: streamHeader.version } : {}),
+            ...(encryptedMetadata[f] ? { encryptedMetadata: encryptedMetadata[f] } : {}),
+          },
+          timeouts.initMs ?? 15000,
+          session.signal
+        );
+        session.setTarget(uploadId, baseUrl);
+
+        const plainHashes = await this.uploadChunks({
+          file,
+          baseUrl,
+          uploadId,
+          chunkIndexes: Array.from({ length: totalChunks }, (_, i) => i),
+          totalChunks,
+          chunkSize,
+          cryptoKey,
+          streamHeader,
+          signal: session.signal,
+          timeouts,
+          retry,
+          concurrency: chunkConcurrency,
+          progress: fileProgress,
+        });
+
+        const encryptedIntegrity = cryptoKey
+          ? await this.sealIntegrityManifest(file, chunkSize, totalChunks, plainHashes, cryptoKey)
+          : undefined;
+        const { id: fileId } = await this.completeUpload(
+          baseUrl, uploadId, timeouts.completeMs ?? 30000, session.signal, 'file', encryptedIntegrity
+        );
+        uploadedFiles.push({ fileId, name: filenames[f] });
+        bytesBefore += file.size;
+      }
+
+      // 5) Complete the bundle
+      progress({ phase: 'complete', text: 'Finalising bundle...', percent: 100, processedBytes: totalBytes, totalBytes, totalFiles });
+
+      session.setStatus('completing');
+      const { id: bundleId, ownerToken } = await this.completeUpload(baseUrl, uploadBundleId, timeouts.completeMs ?? 30000, session.signal, 'bundle');
+
+      let downloadUrl = `${baseUrl}/${bundleId}`;
+      if (effectiveEncrypt && keyB64 && !passphraseLock) {
+        downloadUrl += `#${keyB64}`;
+      }
+
+      progress({ phase: 'done', text: 'Upload successful!', percent: 100, processedBytes: totalBytes, totalBytes, totalFiles });
+
+      session.setStatus('completed');
+      return {
+        downloadUrl,
+        bundleId,
+        baseUrl,
+        files: uploadedFiles,
+        ...(effectiveEncrypt && keyB64 && !passphraseLock ? { keyB64 } : {}),
+        ...(ownerToken ? { ownerToken } : {}),
+      };
+    });
+  }
+
+  /**
+   * Fetch metadata for a shared file or bundle.
+   * For bundles, `files` lists the member files, each of which can be passed to downloadFile().
+   * @param fileId - The file or bundle ID.
+   * @param opts - Server target and request options.
+   * @returns The file metadata (filenames are still encrypted for encrypted files).
+   * @throws {DropgateNetworkError} If the server cannot be reached.
+   * @throws {DropgateProtocolError} If the file does not exist or the server returns an error.
+   */
+  async getFileMetadata(fileId: string, opts: GetServerInfoOptions): Promise<FileMetadata> {
+    const { timeoutMs = 5000, signal } = opts;
+
+    if (!fileId || typeof fileId !== 'string') {
+      throw new DropgateValidationError('File ID is required.');
+    }
+
+    const compat = await this.checkCompatibility(opts);
+    if (!compat.compatible) {
+      throw new DropgateValidationError(compat.message);
+    }
+
+    return this.fetchFileMetadata(compat.baseUrl, fileId, timeoutMs, signal);
+  }
+
+  /**
+   * Delete an upload (file or bundle) before it expires.
+   * @param opts - Server target, file ID and the owner token returned by the upload.
+   * @throws {DropgateValidationError} If input validation fails.
+   * @throws {DropgateProtocolError} If the token is rejected or the file no longer exists.
+   */
+  async deleteUpload(opts: ManageUploadOptions): Promise<void> {
+    await this.sendOwnerRequest('DELETE', opts);
+  }
+
+  /**
+   * Change the lifetime or download limit of an upload (file or bundle).
+   * Calling it without changes returns the current settings.
+   * @param opts - Server target, file ID, owner token and the settings to change.
+   * @returns The upload's settings after the change.
+   * @throws {DropgateValidationError} If input validation fails.
+   * @throws {DropgateProtocolError} If the token is rejected, the change exceeds server limits,
+   * or the file no longer exists.
+   */
+  async updateUpload(opts: UpdateUploadOptions): Promise<UploadSettings> {
+    const { lifetimeMs, maxDownloads } = opts;
+
+    if (lifetimeMs !== undefined && (!Number.isInteger(lifetimeMs) || lifetimeMs < 0)) {
+      throw new DropgateValidationError('Invalid lifetime. Must be a non-negative integer (milliseconds).');
+    }
+    if (maxDownloads !== undefined && (!Number.isInteger(maxDownloads) || maxDownloads < 0)) {
+      throw new DropgateValidationError('Invalid maxDownloads. Must be a non-negative integer.');
+    }
+
+    return await this.sendOwnerRequest('PATCH', opts, { lifetime: lifetimeMs, maxDownloads }) as UploadSettings;
+  }
+
+  /**
+   * Unlock a passphrase-protected share and return its decryption key.
+   * The key can then be passed as `keyB64` to downloadFile() or downloadBundleAsZip(),
+   * or used to decrypt the filenames of a bundle's files.
+   * @param opts - Server target, share ID and passphrase.
+   * @returns The base64-encoded decryption key.
+   * @throws {DropgateValidationError} If input validation fails or the share has no passphrase.
+   * @throws {DropgateProtocolError} If the passphrase is wrong (PASSPHRASE_INCORRECT) or
+   * the share is temporarily locked after too many attempts (PASSPHRASE_LOCKED).
+   */
+  async unlockWithPassphrase(opts: UnlockOptions): Promise<string> {
+    const { fileId, passphrase, timeoutMs = 5000, signal } = opts;
+
+    if (!fileId || typeof fileId !== 'string') {
+      throw new DropgateValidationError('File ID is required.');
+    }
+    if (!passphrase || typeof passphrase !== 'string') {
+      throw new DropgateValidationError('Passphrase is required.', { code: 'PASSPHRASE_REQUIRED' });
+    }
+
+    const compat = await this.checkCompatibility(opts);
+    if (!compat.compatible) {
+      throw new DropgateValidationError(compat.message);
+    }
+
+    const metadata = await this.fetchFileMetadata(compat.baseUrl, fileId, timeoutMs, signal);
+    if (!metadata.passphrase) {
+      throw new DropgateValidationError('This share is not passphrase-protected.', { code: 'PASSPHRASE_NOT_SET' });
+    }
+
+    return this.unlockKey(compat.baseUrl, fileId, metadata.passphrase, passphrase, timeoutMs, signal);
+  }
+
+  /**
+   * Download a file from the server with optional decryption.
+   *
+   * **Important:** For large files, you must provide an `onData` callback to stream
+   * data incrementally. Without it, the entire file is buffered in memory, which will
+   * cause memory exhaustion for large files. Files exceeding 100MB without an `onData`
+   * callback will throw a validation error.
+   *
+   * @param opts - Download options including file ID, server target, and optional key.
+   * @param opts.onData - Streaming callback that receives data chunks. Required for files > 100MB.
+   * @returns Download result containing filename and received bytes.
+   * @throws {DropgateValidationError} If input validation fails or file is too large without onData.
+   * @throws {DropgateNetworkError} If the server cannot be reached.
+   * @throws {DropgateProtocolError} If the server returns an error.
+   * @throws {DropgateIntegrityError} If the content does not match the file's integrity manifest.
+   * @throws {DropgateAbortError} If the download is cancelled.
+   */
+  async downloadFile(opts: DownloadOptions): Promise<DownloadResult> {
+    const {
+      host,
+      port,
+      secure,
+      fileId,
       keyB64,
+      passphrase,
+      onPassphrase,
       onProgress,
       onData,
       signal,
       timeoutMs = 60000,
+      retry,
+      confirm = false,
     } = opts;
 
     const progress = (evt: DownloadProgressEvent): void => {
@@ -726,245 +1347,1219 @@ export class DropgateClient {
     // 1) Fetch metadata
     progress({ phase: 'metadata', text: 'Fetching file info...', processedBytes: 0, totalBytes: 0, percent: 0 });
 
-    const { signal: metaSignal, cleanup: metaCleanup } = makeAbortSignal(signal, timeoutMs);
-    let metadata: FileMetadata;
+    const metadata = await this.fetchFileMetadata(baseUrl, fileId, timeoutMs, signal);
 
-    try {
-      const metaRes = await this.fetchFn(`${baseUrl}/api/file/${fileId}/meta`, {
-        method: 'GET',
-        headers: { Accept: 'application/json' },
-        signal: metaSignal,
+    if (metadata.isBundle) {
+      throw new DropgateValidationError(
+        'This link is a bundle of files. Use downloadBundleAsZip() or download each file by its ID.',
+        { code: 'BUNDLE_NOT_DOWNLOADABLE' }
+      );
+    }
+
+    assertScanCleared(metadata.scanStatus);
+
+    const isEncrypted = Boolean(metadata.isEncrypted);
+    const totalBytes = metadata.sizeBytes || 0;
+
+    // Check if file is too large to buffer in memory without streaming
+    if (!onData && totalBytes > MAX_IN_MEMORY_DOWNLOAD_BYTES) {
+      const sizeMB = Math.round(totalBytes / (1024 * 1024));
+      const limitMB = Math.round(MAX_IN_MEMORY_DOWNLOAD_BYTES / (1024 * 1024));
+      throw new DropgateValidationError(
+        `File is too large (${sizeMB}MB) to download without streaming. ` +
+        `Provide an onData callback to stream files larger than ${limitMB}MB.`
+      );
+    }
+
+    // Passphrase-protected shares keep the key on the server until the passphrase is proven
+    const effectiveKeyB64 = isEncrypted && !keyB64 && metadata.passphrase
+      ? await this.unlockShare(baseUrl, fileId, metadata.passphrase, { passphrase, onPassphrase, timeoutMs, signal })
+      : keyB64;
+
+    // 2) Decrypt filename (and the file details) if encrypted
+    let filename: string;
+    let cryptoKey: CryptoKey | undefined;
+    let details: FileDetails | undefined;
+
+    if (isEncrypted) {
+      if (!effectiveKeyB64) {
+        throw new DropgateValidationError('Decryption key is required for encrypted files.');
+      }
+
+      if (!this.cryptoObj?.subtle) {
+        throw new DropgateValidationError('Web Crypto API not available for decryption.');
+      }
+
+      progress({ phase: 'decrypting', text: 'Preparing decryption...', processedBytes: 0, totalBytes: 0, percent: 0 });
+
+      try {
+        cryptoKey = await importKeyFromBase64(this.cryptoObj, effectiveKeyB64, this.base64);
+        filename = await decryptFilenameFromBase64(
+          this.cryptoObj,
+          metadata.encryptedFilename!,
+          cryptoKey,
+          this.base64
+        );
+      } catch (err) {
+        throw new DropgateError('Failed to decrypt filename. Invalid key or corrupted data.', {
+          code: 'DECRYPT_FILENAME_FAILED',
+          cause: err,
+        });
+      }
+
+      if (metadata.encryptedMetadata) {
+        try {
+          details = await decryptFileDetailsFromBase64(this.cryptoObj, metadata.encryptedMetadata, cryptoKey, this.base64);
+        } catch (err) {
+          throw new DropgateError('Failed to decrypt the file details. Invalid key or corrupted data.', {
+            code: 'DECRYPT_METADATA_FAILED',
+            cause: err,
+          });
+        }
+      }
+    } else {
+      filename = metadata.filename || 'file';
+    }
+
+    // 3) Load the integrity manifest. Files stored without one are downloaded unchecked.
+    const manifest = await this.loadIntegrityManifest(metadata, isEncrypted, cryptoKey);
+
+    // 4) Download file content
+    progress({ phase: 'downloading', text: 'Starting download...', percent: 0, processedBytes: 0, totalBytes });
+
+    const dataChunks: Uint8Array[] = [];
+    const collectData = !onData;
+    const deliver = async (chunk: Uint8Array): Promise<void> => {
+      if (collectData) {
+        dataChunks.push(chunk);
+      } else {
+        await onData!(chunk);
+      }
+    };
+    // Chunks are held back until they match the manifest
+    const verifier = manifest ? createIntegrityVerifier(this.cryptoObj, manifest, deliver) : null;
+
+    const { receivedBytes, downloadToken } = await this.streamFileContent({
+      baseUrl,
+      fileId,
+      cryptoKey,
+      chunkSize: metadata.chunkSize,
+      encryptionVersion: metadata.encryptionVersion,
+      totalBytes,
+      signal,
+      timeoutMs,
+      retry: resolveRetry(retry),
+      confirm,
+      progress,
+      onChunk: (chunk) => (verifier ? verifier.write(chunk) : deliver(chunk)),
+    });
+    await verifier?.finish();
+
+    // Every chunk has been received, decrypted (which authenticates it) and checked
+    // against the manifest, so the server can now count the download. Servers without
+    // confirmation send no token.
+    const confirmed = downloadToken
+      ? await this.confirmDownload(baseUrl, fileId, downloadToken, timeoutMs, signal)
+      : false;
+
+    progress({ phase: 'complete', text: 'Download complete!', percent: 100, processedBytes: receivedBytes, totalBytes });
+
+    // Combine collected data if not using callback
+    let data: Uint8Array | undefined;
+    if (collectData && dataChunks.length > 0) {
+      const totalLength = dataChunks.reduce((sum, chunk) => sum + chunk.length, 0);
+      data = new Uint8Array(totalLength);
+      let offset = 0;
+      for (const chunk of dataChunks) {
+        data.set(chunk, offset);
+        offset += chunk.length;
+      }
+    }
+
+    return {
+      filename,
+      receivedBytes,
+      wasEncrypted: isEncrypted,
+      integrityVerified: Boolean(verifier),
+      ...(details ? { details } : {}),
+      ...(confirm ? { confirmed } : {}),
+      ...(data ? { data } : {}),
+    };
+  }
+
+  /**
+   * Download every file in a bundle as one ZIP archive.
+   * Files are fetched one at a time, decrypted locally (for encrypted shares) and
+   * written into the archive as they arrive, so neither the server nor memory
+   * ever holds the complete plaintext archive.
+   * @param opts - Download options including bundle ID, server target, and optional key.
+   * @param opts.onData - Streaming callback that receives the archive bytes.
+   * @returns Download result containing the archive entry names and sizes.
+   * @throws {DropgateValidationError} If input validation fails.
+   * @throws {DropgateIntegrityError} If a file does not match its integrity manifest.
+   * @throws {DropgateNetworkError} If the server cannot be reached.
+   * @throws {DropgateProtocolError} If the server returns an error.
+   * @throws {DropgateAbortError} If the download is cancelled.
+   */
+  async downloadBundleAsZip(opts: DownloadZipOptions): Promise<DownloadZipResult> {
+    const {
+      host,
+      port,
+      secure,
+      fileId,
+      keyB64,
+      passphrase,
+      onPassphrase,
+      onProgress,
+      onData,
+      signal,
+      timeoutMs = 60000,
+      retry,
+    } = opts;
+
+    const progress = (evt: DownloadProgressEvent): void => {
+      try {
+        if (onProgress) onProgress(evt);
+      } catch {
+        // Ignore UI callback failures
+      }
+    };
+
+    if (!fileId || typeof fileId !== 'string') {
+      throw new DropgateValidationError('File ID is required.');
+    }
+
+    if (typeof onData !== 'function') {
+      throw new DropgateValidationError('An onData callback is required to receive the ZIP archive.');
+    }
+
+    // 0) Get server info + compat
+    progress({ phase: 'server-info', text: 'Checking server...', processedBytes: 0, totalBytes: 0, percent: 0 });
+
+    const compat = await this.checkCompatibility({
+      host,
+      port,
+      secure,
+      timeoutMs,
+      signal,
+    });
+
+    const { baseUrl } = compat;
+    progress({ phase: 'server-compat', text: compat.message, processedBytes: 0, totalBytes: 0, percent: 0 });
+    if (!compat.compatible) {
+      throw new DropgateValidationError(compat.message);
+    }
+
+    // 1) Fetch metadata (a single file is treated as a one-entry bundle)
+    progress({ phase: 'metadata', text: 'Fetching file info...', processedBytes: 0, totalBytes: 0, percent: 0 });
+
+    const metadata = await this.fetchFileMetadata(baseUrl, fileId, timeoutMs, signal);
+    const isEncrypted = Boolean(metadata.isEncrypted);
+    const members: BundleFileMetadata[] = metadata.isBundle
+      ? metadata.files || []
+      : [{
+        id: fileId,
+        sizeBytes: metadata.sizeBytes,
+        filename: metadata.filename,
+        encryptedFilename: metadata.encryptedFilename,
+        encryptedMetadata: metadata.encryptedMetadata,
+        chunkSize: metadata.chunkSize,
+        encryptionVersion: metadata.encryptionVersion,
+        scanStatus: metadata.scanStatus,
+        integrity: metadata.integrity,
+        encryptedIntegrity: metadata.encryptedIntegrity,
+      }];
+    for (const member of members) assertScanCleared(member.scanStatus);
+    const totalBytes = members.reduce((sum, m) => sum + (m.sizeBytes || 0), 0);
+
+    const effectiveKeyB64 = isEncrypted && !keyB64 && metadata.passphrase
+      ? await this.unlockShare(baseUrl, fileId, metadata.passphrase, { passphrase, onPassphrase, timeoutMs, signal })
+      : keyB64;
+
+    // 2) Resolve filenames, and the modified times of encrypted files uploaded with them
+    let cryptoKey: CryptoKey | undefined;
+    const filenames: string[] = [];
+    const modifiedTimes: Array<number | undefined> = [];
+
+    if (isEncrypted) {
+      if (!effectiveKeyB64) {
+        throw new DropgateValidationError('Decryption key is required for encrypted files.');
+      }
+
+      if (!this.cryptoObj?.subtle) {
+        throw new DropgateValidationError('Web Crypto API not available for decryption.');
+      }
+
+      progress({ phase: 'decrypting', text: 'Preparing decryption...', processedBytes: 0, totalBytes: 0, percent: 0 });
+
+      try {
+        cryptoKey = await importKeyFromBase64(this.cryptoObj, effectiveKeyB64, this.base64);
+        for (const member of members) {
+          filenames.push(await decryptFilenameFromBase64(this.cryptoObj, member.encryptedFilename!, cryptoKey, this.base64));
+        }
+      } catch (err) {
+        throw new DropgateError('Failed to decrypt filename. Invalid key or corrupted data.', {
+          code: 'DECRYPT_FILENAME_FAILED',
+          cause: err,
+        });
+      }
+
+      try {
+        for (const member of members) {
+          const details = member.encryptedMetadata
+            ? await decryptFileDetailsFromBase64(this.cryptoObj, member.encryptedMetadata, cryptoKey, this.base64)
+            : null;
+          modifiedTimes.push(details?.lastModified);
+        }
+      } catch (err) {
+        throw new DropgateError('Failed to decrypt the file details. Invalid key or corrupted data.', {
+          code: 'DECRYPT_METADATA_FAILED',
+          cause: err,
+        });
+      }
+    } else {
+      for (const member of members) filenames.push(member.filename || 'file');
+    }
+
+    // 3) Stream each file into the archive
+    progress({ phase: 'downloading', text: 'Starting download...', percent: 0, processedBytes: 0, totalBytes });
+
+    const zip = new ZipWriter(onData);
+    const entryNames: string[] = [];
+    let receivedBefore = 0;
+    let integrityVerified = true;
+
+    for (let i = 0; i < members.length; i++) {
+      const member = members[i];
+      const manifest = await this.loadIntegrityManifest(member, isEncrypted, cryptoKey);
+      // Chunks only reach the archive once they match the manifest
+      const verifier = manifest ? createIntegrityVerifier(this.cryptoObj, manifest, (chunk) => zip.write(chunk)) : null;
+      if (!verifier) integrityVerified = false;
+      entryNames.push(await zip.startFile(filenames[i], { lastModified: modifiedTimes[i] }));
+
+      const { receivedBytes: fileReceived } = await this.streamFileContent({
+        baseUrl,
+        fileId: member.id,
+        cryptoKey,
+        chunkSize: member.chunkSize,
+        encryptionVersion: member.encryptionVersion,
+        totalBytes: member.sizeBytes || 0,
+        signal,
+        timeoutMs,
+        retry: resolveRetry(retry),
+        progress: (evt) => {
+          const processedBytes = receivedBefore + evt.processedBytes;
+          const percent = totalBytes > 0 ? Math.round((processedBytes / totalBytes) * 100) : 0;
+          progress({
+            ...evt,
+            text: `File ${i + 1} of ${members.length}: ${evt.text ?? ''}`,
+            percent,
+            processedBytes,
+            totalBytes,
+          });
+        },
+        onChunk: (chunk) => (verifier ? verifier.write(chunk) : zip.write(chunk)),
       });
 
-      if (!metaRes.ok) {
-        if (metaRes.status === 404) {
-          throw new DropgateProtocolError('File not found or has expired.');
+      await verifier?.finish();
+      await zip.endFile();
+      receivedBefore += fileReceived;
+    }
+
+    const archiveBytes = await zip.finish();
+
+    progress({ phase: 'complete', text: 'Download complete!', percent: 100, processedBytes: receivedBefore, totalBytes });
+
+    return {
+      filenames: entryNames,
+      receivedBytes: receivedBefore,
+      archiveBytes,
+      wasEncrypted: isEncrypted,
+      integrityVerified,
+    };
+  }
+
+  /**
+   * Load the integrity manifest of a file or bundle member, decrypting it for encrypted files.
+   * @returns The manifest, or null for files stored without one.
+   * @throws {DropgateIntegrityError} If the manifest does not decrypt or is malformed.
+   */
+  private async loadIntegrityManifest(
+    metadata: Pick<FileMetadata, 'integrity' | 'encryptedIntegrity'>,
+    isEncrypted: boolean,
+    cryptoKey?: CryptoKey
+  ): Promise<IntegrityManifest | null> {
+    if (cryptoKey && metadata.encryptedIntegrity) {
+      return decryptIntegrityManifest(this.cryptoObj, metadata.encryptedIntegrity, cryptoKey, this.base64);
+    }
+    if (!isEncrypted && metadata.integrity) {
+      assertIntegrityManifest(metadata.integrity);
+      return metadata.integrity;
+    }
+    return null;
+  }
+
+  /**
+   * Wrap an upload routine in an UploadSession with status tracking and cancellation.
+   */
+  private startUploadSession<T>(
+    opts: { signal?: AbortSignal; onCancel?: () => void },
+    run: (session: UploadSessionContext) => Promise<T>
+  ): UploadSession<T> {
+    const { signal, onCancel } = opts;
+
+    // Create internal AbortController if no signal provided
+    const internalController = signal ? null : new AbortController();
+    const effectiveSignal = signal || internalController?.signal;
+
+    let uploadState: UploadStatus = 'initializing';
+    let currentUploadId: string | null = null;
+    let currentBaseUrl: string | null = null;
+    const cancelHooks: Array<() => Promise<void>> = [];
+
+    const uploadPromise = (async (): Promise<T> => {
+      try {
+        return await run({
+          signal: effectiveSignal,
+          setStatus: (status) => {
+            uploadState = status;
+          },
+          setTarget: (uploadId, baseUrl) => {
+            currentUploadId = uploadId;
+            currentBaseUrl = baseUrl;
+          },
+          addCancelHook: (hook) => {
+            cancelHooks.push(hook);
+          },
+        });
+      } catch (err) {
+        // Handle abort/cancellation
+        if (err instanceof Error && (err.name === 'AbortError' || err.message?.includes('abort'))) {
+          uploadState = 'cancelled';
+          onCancel?.();
+        } else {
+          uploadState = 'error';
         }
-        throw new DropgateProtocolError(`Failed to fetch file metadata (status ${metaRes.status}).`);
+        throw err;
       }
+    })();
 
-      metadata = await metaRes.json() as FileMetadata;
-    } catch (err) {
-      if (err instanceof DropgateError) throw err;
-      if (err instanceof Error && err.name === 'AbortError') {
-        throw new DropgateAbortError('Download cancelled.');
+    // Create cancel endpoint caller
+    const callCancelEndpoint = async (uploadId: string, baseUrl: string): Promise<void> => {
+      try {
+        await fetchJson(this.fetchFn, `${baseUrl}/upload/cancel`, {
+          method: 'POST',
+          timeoutMs: 5000,
+          headers: {
+            'Content-Type': 'application/json',
+            Accept: 'application/json',
+          },
+          body: JSON.stringify({ uploadId }),
+        });
+      } catch {
+        // Best effort - ignore cancellation endpoint errors
       }
-      throw new DropgateNetworkError('Could not fetch file metadata.', { cause: err });
+    };
+
+    // Return session object
+    return {
+      result: uploadPromise,
+      cancel: (reason?: string) => {
+        if (uploadState === 'completed' || uploadState === 'cancelled') return;
+        uploadState = 'cancelled';
+
+        // Call server cancel endpoint if uploadId exists
+        if (currentUploadId && currentBaseUrl) {
+          callCancelEndpoint(currentUploadId, currentBaseUrl).catch(() => { });
+        }
+
+        for (const hook of cancelHooks) {
+          hook().catch(() => { });
+        }
+
+        // Abort the controller with a proper error object so AbortError checks work
+        internalController?.abort(new DropgateAbortError(reason || 'Upload cancelled by user.'));
+      },
+      getStatus: () => uploadState,
+    };
+  }
+
+  /**
+   * Encrypt (if needed), hash and upload the given chunks, up to `concurrency` at a time.
+   * Each worker holds one chunk in memory, so memory use is bounded by the concurrency.
+   * The first chunk that fails for good aborts the others, as does cancelling the session.
+   * @returns Plaintext hashes of the uploaded chunks by index, for the integrity manifest
+   * of encrypted uploads (empty for unencrypted ones, whose manifest the server builds).
+   */
+  private async uploadChunks(opts: {
+    file: FileSource;
+    baseUrl: string;
+    uploadId: string;
+    chunkIndexes: number[];
+    totalChunks: number;
+    chunkSize: number;
+    cryptoKey: CryptoKey | null;
+    /** Header of version 2 encryption; legacy chunks are encrypted without one. */
+    streamHeader: StreamHeader | null;
+    signal?: AbortSignal;
+    timeouts: NonNullable<UploadOptions['timeouts']>;
+    retry: NonNullable<UploadOptions['retry']>;
+    concurrency: number;
+    progress: (evt: UploadProgressEvent) => void;
+  }): Promise<string[]> {
+    const {
+      file,
+      baseUrl,
+      uploadId,
+      chunkIndexes,
+      totalChunks,
+      chunkSize,
+      cryptoKey,
+      streamHeader,
+      signal,
+      timeouts,
+      retry,
+      concurrency,
+      progress,
+    } = opts;
+
+    const fileSizeBytes = file.size;
+    const { retries, backoffMs: baseBackoffMs, maxBackoffMs } = resolveRetry(retry);
+    const chunkBytes = (i: number): number => Math.max(0, Math.min(chunkSize, fileSizeBytes - i * chunkSize));
+
+    // Only finished chunks count, so progress never goes backwards when chunks finish out
+    // of order. Chunks the server already holds (when resuming) count as done.
+    let completedChunks = totalChunks - chunkIndexes.length;
+    let processedBytes = chunkIndexes.reduce((sum, i) => sum - chunkBytes(i), fileSizeBytes);
+    const currentProgress = () => ({
+      percent: (completedChunks / totalChunks) * 100,
+      processedBytes,
+      totalBytes: fileSizeBytes,
+      totalChunks,
+    });
+
+    const controller = new AbortController();
+    const abortAll = (): void => controller.abort(signal?.reason);
+    if (signal?.aborted) abortAll();
+    else signal?.addEventListener('abort', abortAll, { once: true });
+
+    let next = 0;
+    let failure: unknown = null;
+    const plainHashes: string[] = [];
+
+    const uploadChunk = async (i: number): Promise<void> => {
+      progress({
+        phase: 'chunk',
+        text: `Uploading chunk ${i + 1} of ${totalChunks}...`,
+        ...currentProgress(),
+        chunkIndex: i,
+      });
+
+      const start = i * chunkSize;
+      const end = Math.min(start + chunkSize, file.size);
+      const chunkBlob: Blob | FileSource = file.slice(start, end);
+
+      // Get ArrayBuffer from the slice
+      const chunkBuffer = await chunkBlob.arrayBuffer();
+      if (cryptoKey) plainHashes[i] = await sha256Hex(this.cryptoObj, chunkBuffer);
+
+      // Encrypt if needed. The header travels in front of the first chunk.
+      let uploadBlob: Blob;
+      if (cryptoKey && streamHeader) {
+        const encrypted = await encryptStreamChunk(this.cryptoObj, cryptoKey, streamHeader, i, i === totalChunks - 1, chunkBuffer);
+        uploadBlob = i === 0 ? new Blob([streamHeader.bytes.slice(), encrypted]) : encrypted;
+      } else if (cryptoKey) {
+        uploadBlob = await encryptToBlob(this.cryptoObj, chunkBuffer, cryptoKey);
+      } else {
+        uploadBlob = new Blob([chunkBuffer]);
+      }
+
+      // Server validates: chunk <= chunk size + encryption overhead (+ header)
+      const headerBytes = i === 0 && streamHeader ? STREAM_HEADER_BYTES : 0;
+      if (uploadBlob.size > chunkSize + ENCRYPTION_OVERHEAD_PER_CHUNK + headerBytes) {
+        throw new DropgateValidationError(
+          'Chunk too large (client-side). Check chunk size settings.'
+        );
+      }
+
+      // Hash encrypted/plain payload
+      const toHash = await uploadBlob.arrayBuffer();
+      const hashHex = await sha256Hex(this.cryptoObj, toHash);
+
+      const headers: Record<string, string> = {
+        'Content-Type': 'application/octet-stream',
+        'X-Upload-ID': uploadId,
+        'X-Chunk-Index': String(i),
+        'X-Chunk-Hash': hashHex,
+      };
+
+      const chunkUrl = `${baseUrl}/upload/chunk`;
+      await this.attemptChunkUpload(
+        chunkUrl,
+        {
+          method: 'POST',
+          headers,
+          body: uploadBlob,
+        },
+        {
+          retries,
+          backoffMs: baseBackoffMs,
+          maxBackoffMs,
+          timeoutMs: timeouts.chunkMs ?? 60000,
+          signal: controller.signal,
+          progress,
+          currentProgress,
+          chunkIndex: i,
+        }
+      );
+
+      completedChunks += 1;
+      processedBytes += chunkBytes(i);
+    };
+
+    const worker = async (): Promise<void> => {
+      while (next < chunkIndexes.length && !controller.signal.aborted) {
+        try {
+          await uploadChunk(chunkIndexes[next++]);
+        } catch (err) {
+          // Keep the first error; the others are the aborts it caused
+          if (!controller.signal.aborted) {
+            failure = err;
+            controller.abort();
+          }
+        }
+      }
+    };
+
+    try {
+      const workers = Math.min(concurrency, chunkIndexes.length);
+      await Promise.all(Array.from({ length: workers }, () => worker()));
     } finally {
-      metaCleanup();
+      signal?.removeEventListener('abort', abortAll);
     }
 
-    const isEncrypted = Boolean(metadata.isEncrypted);
-    const totalBytes = metadata.sizeBytes || 0;
+    if (signal?.aborted) {
+      throw signal.reason || new DropgateAbortError();
+    }
+    if (failure) throw failure;
+    return plainHashes;
+  }
+
+  /**
+   * Build the integrity manifest of an encrypted upload and encrypt it with the file key.
+   * Chunks missing from `plainHashes` (sent before a resume) are hashed from the file.
+   */
+  private async sealIntegrityManifest(
+    file: FileSource,
+    chunkSize: number,
+    totalChunks: number,
+    plainHashes: string[],
+    cryptoKey: CryptoKey
+  ): Promise<string> {
+    const chunkHashes: string[] = [];
+    for (let i = 0; i < totalChunks; i++) {
+      chunkHashes.push(plainHashes[i] ?? await sha256Hex(
+        this.cryptoObj,
+        await file.slice(i * chunkSize, Math.min((i + 1) * chunkSize, file.size)).arrayBuffer()
+      ));
+    }
+    const manifest = await createIntegrityManifest(this.cryptoObj, chunkSize, chunkHashes);
+    return encryptIntegrityManifest(this.cryptoObj, manifest, cryptoKey);
+  }
+
+  /**
+   * Authorization header for the configured API key, if any.
+   */
+  private authHeaders(): Record<string, string> {
+    return this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
+  }
+
+  /**
+   * Reserve an upload session on the server and return its upload id.
+   */
+  private async initUpload(
+    baseUrl: string,
+    payload: Record<string, unknown>,
+    timeoutMs: number,
+    signal?: AbortSignal
+  ): Promise<string> {
+    const initRes = await fetchJson(this.fetchFn, `${baseUrl}/upload/init`, {
+      method: 'POST',
+      timeoutMs,
+      signal,
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json',
+        ...this.authHeaders(),
+      },
+      body: JSON.stringify(payload),
+    });
+
+    if (!initRes.res.ok) {
+      const errorJson = initRes.json as { error?: string } | null;
+      const msg =
+        errorJson?.error ||
+        `Server initialisation failed: ${initRes.res.status}`;
+      throw new DropgateProtocolError(msg, {
+        code: initRes.res.status === 401 ? 'AUTH_FAILED' : undefined,
+        details: initRes.json || initRes.text,
+      });
+    }
 
-    // Check if file is too large to buffer in memory without streaming
-    if (!onData && totalBytes > MAX_IN_MEMORY_DOWNLOAD_BYTES) {
-      const sizeMB = Math.round(totalBytes / (1024 * 1024));
-      const limitMB = Math.round(MAX_IN_MEMORY_DOWNLOAD_BYTES / (1024 * 1024));
-      throw new DropgateValidationError(
-        `File is too large (${sizeMB}MB) to download without streaming. ` +
-        `Provide an onData callback to stream files larger than ${limitMB}MB.`
+    const initJson = initRes.json as { uploadId?: string } | null;
+    const uploadId = initJson?.uploadId;
+    if (!uploadId || typeof uploadId !== 'string') {
+      throw new DropgateProtocolError(
+        'Server did not return a valid uploadId.'
       );
     }
 
-    // 2) Decrypt filename if encrypted
-    let filename: string;
-    let cryptoKey: CryptoKey | undefined;
+    return uploadId;
+  }
 
-    if (isEncrypted) {
-      if (!keyB64) {
-        throw new DropgateValidationError('Decryption key is required for encrypted files.');
+  /**
+   * Finalise an upload (or bundle) session and return the new file id,
+   * along with the owner token if the server issued one.
+   * Encrypted files send their encrypted integrity manifest along.
+   */
+  private async completeUpload(
+    baseUrl: string,
+    sessionId: string,
+    timeoutMs: number,
+    signal?: AbortSignal,
+    kind: 'file' | 'bundle' = 'file',
+    encryptedIntegrity?: string
+  ): Promise<{ id: string; ownerToken?: string }> {
+    const completeRes = await fetchJson(
+      this.fetchFn,
+      kind === 'bundle' ? `${baseUrl}/upload/bundle/complete` : `${baseUrl}/upload/complete`,
+      {
+        method: 'POST',
+        timeoutMs,
+        signal,
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'application/json',
+        },
+        body: JSON.stringify(kind === 'bundle'
+          ? { bundleId: sessionId }
+          : { uploadId: sessionId, ...(encryptedIntegrity ? { encryptedIntegrity } : {}) }),
       }
+    );
 
-      if (!this.cryptoObj?.subtle) {
-        throw new DropgateValidationError('Web Crypto API not available for decryption.');
-      }
+    if (!completeRes.res.ok) {
+      const errorJson = completeRes.json as { error?: string } | null;
+      const msg = errorJson?.error || 'Finalisation failed.';
+      throw new DropgateProtocolError(msg, {
+        details: completeRes.json || completeRes.text,
+      });
+    }
 
-      progress({ phase: 'decrypting', text: 'Preparing decryption...', processedBytes: 0, totalBytes: 0, percent: 0 });
+    const completeJson = completeRes.json as { id?: string; ownerToken?: string } | null;
+    const fileId = completeJson?.id;
+    if (!fileId || typeof fileId !== 'string') {
+      throw new DropgateProtocolError(
+        'Server did not return a valid file id.'
+      );
+    }
+
+    const ownerToken = typeof completeJson?.ownerToken === 'string' ? completeJson.ownerToken : undefined;
+    return { id: fileId, ...(ownerToken ? { ownerToken } : {}) };
+  }
+  /**
+   * Stream a stored file's content, decrypting it chunk by chunk when a key is given.
+   * If the connection drops, the download resumes with a Range request from the last
+   * byte handed to `onChunk`. For encrypted files that is always the end of a whole
+   * encrypted chunk, so decryption restarts cleanly and no data is emitted twice.
+   * Version 2 files are checked chunk by chunk against their position, and must end
+   * with their final chunk, so reordered or truncated content is rejected.
+   * @returns Bytes received from the server, and the token to confirm the download with
+   * when `confirm` was requested and the server supports it.
+   */
+  private async streamFileContent(opts: {
+    baseUrl: string;
+    fileId: string;
+    cryptoKey?: CryptoKey;
+    /** Chunk size the file was uploaded with, from its metadata. */
+    chunkSize?: number;
+    /** Encryption format of the file, from its metadata (default: 1). */
+    encryptionVersion?: number;
+    totalBytes: number;
+    signal?: AbortSignal;
+    timeoutMs: number;
+    retry: { retries: number; backoffMs: number; maxBackoffMs: number };
+    confirm?: boolean;
+    progress: (evt: DownloadProgressEvent) => void;
+    onChunk: (chunk: Uint8Array) => void | Promise<void>;
+  }): Promise<{ receivedBytes: number; downloadToken: string | null }> {
+    const {
+      baseUrl,
+      fileId,
+      cryptoKey,
+      chunkSize,
+      encryptionVersion = 1,
+      totalBytes,
+      signal,
+      timeoutMs,
+      retry,
+      confirm,
+      progress,
+      onChunk,
+    } = opts;
 
+    // Files stored before servers reported a chunk size were all uploaded with the default.
+    // Version 2 files replace it with the chunk size from their header.
+    let encryptedChunkSize = (chunkSize || DEFAULT_CHUNK_SIZE) + ENCRYPTION_OVERHEAD_PER_CHUNK;
+    const isStream = encryptionVersion >= 2;
+    let streamHeader: StreamHeader | null = null;
+    let chunkIndex = 0;
+    // Server bytes whose content has been passed to onChunk; a resumed request starts here
+    let committedBytes = 0;
+    let etag: string | null = null;
+    // Issued by the server with the first response; echoed on resume so the pieces count as one download
+    let downloadId: string | null = null;
+    let attemptsLeft = retry.retries;
+    let currentBackoff = retry.backoffMs;
+
+    // Failures of the connection itself are retried; anything else is final
+    const network = async <T>(op: () => Promise<T>): Promise<T> => {
       try {
-        cryptoKey = await importKeyFromBase64(this.cryptoObj, keyB64, this.base64);
-        filename = await decryptFilenameFromBase64(
-          this.cryptoObj,
-          metadata.encryptedFilename!,
-          cryptoKey,
-          this.base64
-        );
+        return await op();
       } catch (err) {
-        throw new DropgateError('Failed to decrypt filename. Invalid key or corrupted data.', {
-          code: 'DECRYPT_FILENAME_FAILED',
-          cause: err,
-        });
+        if (err instanceof Error && err.name === 'AbortError') {
+          throw new DropgateAbortError('Download cancelled.');
+        }
+        throw new DropgateNetworkError('Download interrupted.', { cause: err });
       }
-    } else {
-      filename = metadata.filename || 'file';
-    }
-
-    // 3) Download file content
-    progress({ phase: 'downloading', text: 'Starting download...', percent: 0, processedBytes: 0, totalBytes });
+    };
 
-    const { signal: downloadSignal, cleanup: downloadCleanup } = makeAbortSignal(signal, timeoutMs);
-    let receivedBytes = 0;
-    const dataChunks: Uint8Array[] = [];
-    const collectData = !onData;
+    while (true) {
+      const { signal: downloadSignal, cleanup: downloadCleanup } = makeAbortSignal(signal, timeoutMs);
 
-    try {
-      const downloadRes = await this.fetchFn(`${baseUrl}/api/file/${fileId}`, {
-        method: 'GET',
-        signal: downloadSignal,
-      });
+      try {
+        const headers: Record<string, string> = {};
+        if (confirm) headers['X-Download-Confirm'] = 'true';
+        if (committedBytes > 0) {
+          headers.Range = `bytes=${committedBytes}-`;
+          if (etag) headers['If-Range'] = etag;
+          if (downloadId) headers['X-Download-Id'] = downloadId;
+        }
 
-      if (!downloadRes.ok) {
-        throw new DropgateProtocolError(`Download failed (status ${downloadRes.status}).`);
-      }
+        const downloadRes = await network(() => this.fetchFn(`${baseUrl}/api/file/${fileId}`, {
+          method: 'GET',
+          headers,
+          signal: downloadSignal,
+        }));
 
-      if (!downloadRes.body) {
-        throw new DropgateProtocolError('Streaming response not available.');
-      }
+        if (committedBytes > 0 && downloadRes.status !== 206) {
+          throw new DropgateProtocolError(
+            `Download was interrupted and the server could not resume it (status ${downloadRes.status}).`
+          );
+        }
 
-      const reader = downloadRes.body.getReader();
+        if (!downloadRes.ok) {
+          throw new DropgateProtocolError(`Download failed (status ${downloadRes.status}).`);
+        }
 
-      if (isEncrypted && cryptoKey) {
-        // Encrypted: buffer and decrypt chunks
-        // Use a chunk array to avoid repeated array copying on each read
-        const ENCRYPTED_CHUNK_SIZE = this.chunkSize + ENCRYPTION_OVERHEAD_PER_CHUNK;
-        const pendingChunks: Uint8Array[] = [];
-        let pendingLength = 0;
+        if (!downloadRes.body) {
+          throw new DropgateProtocolError('Streaming response not available.');
+        }
 
-        // Helper to concatenate pending chunks into a single buffer
-        const flushPending = (): Uint8Array => {
-          if (pendingChunks.length === 0) return new Uint8Array(0);
-          if (pendingChunks.length === 1) {
-            const result = pendingChunks[0];
+        etag = etag ?? downloadRes.headers.get('ETag');
+        downloadId = downloadId ?? downloadRes.headers.get('X-Download-Id');
+        const reader = downloadRes.body.getReader();
+
+        if (cryptoKey) {
+          // Encrypted: buffer and decrypt chunks
+          // Use a chunk array to avoid repeated array copying on each read
+          const pendingChunks: Uint8Array[] = [];
+          let pendingLength = 0;
+
+          // Take the first `length` pending bytes, keeping the rest pending
+          const takePending = (length: number): Uint8Array => {
+            let buffer = pendingChunks[0];
+            if (pendingChunks.length > 1) {
+              buffer = new Uint8Array(pendingLength);
+              let offset = 0;
+              for (const chunk of pendingChunks) {
+                buffer.set(chunk, offset);
+                offset += chunk.length;
+              }
+            }
             pendingChunks.length = 0;
             pendingLength = 0;
-            return result;
-          }
-          const result = new Uint8Array(pendingLength);
-          let offset = 0;
-          for (const chunk of pendingChunks) {
-            result.set(chunk, offset);
-            offset += chunk.length;
-          }
-          pendingChunks.length = 0;
-          pendingLength = 0;
-          return result;
-        };
+            if (buffer.length > length) {
+              pendingChunks.push(buffer.subarray(length));
+              pendingLength = buffer.length - length;
+            }
+            return buffer.subarray(0, length);
+          };
 
-        while (true) {
-          if (signal?.aborted) {
-            throw new DropgateAbortError('Download cancelled.');
-          }
+          const decrypt = async (encryptedChunk: Uint8Array, isFinal: boolean): Promise<Uint8Array> => {
+            if (!streamHeader) return new Uint8Array(await decryptChunk(this.cryptoObj, encryptedChunk, cryptoKey));
+            try {
+              return new Uint8Array(await decryptStreamChunk(this.cryptoObj, cryptoKey, streamHeader, chunkIndex, isFinal, encryptedChunk));
+            } catch (err) {
+              throw new DropgateError('Failed to decrypt the file. It was modified, reordered or truncated.', {
+                code: 'DECRYPT_FAILED',
+                cause: err,
+              });
+            }
+          };
 
-          const { done, value } = await reader.read();
-          if (done) break;
+          while (true) {
+            if (signal?.aborted) {
+              throw new DropgateAbortError('Download cancelled.');
+            }
 
-          // Append to pending chunks (no copying yet)
-          pendingChunks.push(value);
-          pendingLength += value.length;
+            const { done, value } = await network(() => reader.read());
+            if (done) break;
 
-          // Process complete encrypted chunks when we have enough data
-          while (pendingLength >= ENCRYPTED_CHUNK_SIZE) {
-            const buffer = flushPending();
-            const encryptedChunk = buffer.subarray(0, ENCRYPTED_CHUNK_SIZE);
+            // Append to pending chunks (no copying yet)
+            pendingChunks.push(value);
+            pendingLength += value.length;
 
-            // Keep the remainder for next iteration
-            if (buffer.length > ENCRYPTED_CHUNK_SIZE) {
-              const remainder = buffer.subarray(ENCRYPTED_CHUNK_SIZE);
-              pendingChunks.push(remainder);
-              pendingLength = remainder.length;
+            // Version 2 files start with a header that fixes the chunk size
+            if (isStream && !streamHeader) {
+              if (pendingLength < STREAM_HEADER_BYTES) continue;
+              streamHeader = parseStreamHeader(takePending(STREAM_HEADER_BYTES));
+              encryptedChunkSize = streamHeader.chunkSize + ENCRYPTION_OVERHEAD_PER_CHUNK;
+              committedBytes += STREAM_HEADER_BYTES;
             }
 
-            const decryptedBuffer = await decryptChunk(this.cryptoObj, encryptedChunk, cryptoKey);
-            const decryptedData = new Uint8Array(decryptedBuffer);
-
-            if (collectData) {
-              dataChunks.push(decryptedData);
-            } else {
-              await onData!(decryptedData);
+            // Process complete encrypted chunks when we have enough data. A version 2 chunk
+            // is only known not to be the final one once data after it has arrived.
+            while (isStream ? pendingLength > encryptedChunkSize : pendingLength >= encryptedChunkSize) {
+              const decryptedData = await decrypt(takePending(encryptedChunkSize), false);
+              await onChunk(decryptedData);
+              committedBytes += encryptedChunkSize;
+              chunkIndex++;
             }
-          }
 
-          receivedBytes += value.length;
-          const percent = totalBytes > 0 ? Math.round((receivedBytes / totalBytes) * 100) : 0;
-          progress({
-            phase: 'decrypting',
-            text: `Downloading & decrypting... (${percent}%)`,
-            percent,
-            processedBytes: receivedBytes,
-            totalBytes,
-          });
-        }
+            const receivedBytes = committedBytes + pendingLength;
+            const percent = totalBytes > 0 ? Math.round((receivedBytes / totalBytes) * 100) : 0;
+            progress({
+              phase: 'decrypting',
+              text: `Downloading & decrypting... (${percent}%)`,
+              percent,
+              processedBytes: receivedBytes,
+              totalBytes,
+            });
+          }
 
-        // Process remaining buffer (final chunk)
-        if (pendingLength > 0) {
-          const buffer = flushPending();
-          const decryptedBuffer = await decryptChunk(this.cryptoObj, buffer, cryptoKey);
-          const decryptedData = new Uint8Array(decryptedBuffer);
+          if (totalBytes > 0 && committedBytes + pendingLength < totalBytes) {
+            throw new DropgateNetworkError('Download ended early.');
+          }
 
-          if (collectData) {
-            dataChunks.push(decryptedData);
-          } else {
-            await onData!(decryptedData);
+          if (isStream && (!streamHeader || pendingLength === 0)) {
+            throw new DropgateError('Failed to decrypt the file. It was truncated.', { code: 'DECRYPT_FAILED' });
           }
-        }
-      } else {
-        // Plain: stream through directly
-        while (true) {
-          if (signal?.aborted) {
-            throw new DropgateAbortError('Download cancelled.');
+
+          // Process remaining buffer (final chunk)
+          if (pendingLength > 0) {
+            const length = pendingLength;
+            const decryptedData = await decrypt(takePending(length), true);
+            await onChunk(decryptedData);
+            committedBytes += length;
           }
+        } else {
+          // Plain: stream through directly
+          while (true) {
+            if (signal?.aborted) {
+              throw new DropgateAbortError('Download cancelled.');
+            }
+
+            const { done, value } = await network(() => reader.read());
+            if (done) break;
 
-          const { done, value } = await reader.read();
-          if (done) break;
+            await onChunk(value);
+
+            committedBytes += value.length;
+            const percent = totalBytes > 0 ? Math.round((committedBytes / totalBytes) * 100) : 0;
+            progress({
+              phase: 'downloading',
+              text: `Downloading... (${percent}%)`,
+              percent,
+              processedBytes: committedBytes,
+              totalBytes,
+            });
+          }
 
-          if (collectData) {
-            dataChunks.push(value);
-          } else {
-            await onData!(value);
+          if (totalBytes > 0 && committedBytes < totalBytes) {
+            throw new DropgateNetworkError('Download ended early.');
           }
+        }
 
-          receivedBytes += value.length;
-          const percent = totalBytes > 0 ? Math.round((receivedBytes / totalBytes) * 100) : 0;
+        // Only the request that delivered the final byte is held for confirmation
+        return { receivedBytes: committedBytes, downloadToken: downloadRes.headers.get('X-Download-Token') };
+      } catch (err) {
+        if (err instanceof DropgateNetworkError && attemptsLeft > 0 && !signal?.aborted) {
+          attemptsLeft--;
+          const percent = totalBytes > 0 ? Math.round((committedBytes / totalBytes) * 100) : 0;
           progress({
-            phase: 'downloading',
-            text: `Downloading... (${percent}%)`,
+            phase: 'retry-wait',
+            text: `Connection lost. Resuming download in ${(currentBackoff / 1000).toFixed(1)}s... ` +
+              `(${retry.retries - attemptsLeft}/${retry.retries})`,
             percent,
-            processedBytes: receivedBytes,
+            processedBytes: committedBytes,
             totalBytes,
           });
+          await sleep(currentBackoff, signal).catch(() => {
+            throw new DropgateAbortError('Download cancelled.');
+          });
+          currentBackoff = Math.min(currentBackoff * 2, retry.maxBackoffMs);
+          continue;
+        }
+        if (err instanceof DropgateError) throw err;
+        if (err instanceof Error && err.name === 'AbortError') {
+          throw new DropgateAbortError('Download cancelled.');
+        }
+        throw new DropgateNetworkError('Download failed.', { cause: err });
+      } finally {
+        downloadCleanup();
+      }
+    }
+  }
+
+  /**
+   * Send a management request for an upload, authenticated by its owner token.
+   * @returns The parsed JSON response.
+   */
+  private async sendOwnerRequest(
+    method: 'DELETE' | 'PATCH',
+    opts: ManageUploadOptions,
+    body: Record<string, unknown> = {}
+  ): Promise<unknown> {
+    const { fileId, ownerToken, timeoutMs = 5000, signal } = opts;
+
+    if (!fileId || typeof fileId !== 'string') {
+      throw new DropgateValidationError('File ID is required.');
+    }
+    if (!ownerToken || typeof ownerToken !== 'string') {
+      throw new DropgateValidationError('Owner token is required.');
+    }
+
+    const compat = await this.checkCompatibility(opts);
+    if (!compat.compatible) {
+      throw new DropgateValidationError(compat.message);
+    }
+
+    const { res, json } = await fetchJson(this.fetchFn, `${compat.baseUrl}/api/file/${encodeURIComponent(fileId)}`, {
+      method,
+      timeoutMs,
+      signal,
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json',
+        'X-Owner-Token': ownerToken,
+      },
+      body: JSON.stringify(body),
+    });
+
+    if (!res.ok) {
+      const msg = (json as { error?: string } | null)?.error || `Request failed (status ${res.status}).`;
+      if (res.status === 401 || res.status === 403) {
+        throw new DropgateProtocolError(msg, { code: 'OWNER_TOKEN_INVALID', details: json });
+      }
+      if (res.status === 404) {
+        throw new DropgateProtocolError('File not found or has expired.', { code: 'FILE_NOT_FOUND', details: json });
+      }
+      throw new DropgateProtocolError(msg, { details: json });
+    }
+
+    return json;
+  }
+
+  /**
+   * Get the key of a passphrase-protected share, asking again through `onPassphrase`
+   * for as long as the passphrase is wrong and the caller keeps answering.
+   */
+  private async unlockShare(
+    baseUrl: string,
+    fileId: string,
+    params: PassphraseParams,
+    opts: {
+      passphrase?: string;
+      onPassphrase?: DownloadOptions['onPassphrase'];
+      timeoutMs: number;
+      signal?: AbortSignal;
+    }
+  ): Promise<string> {
+    const { onPassphrase, timeoutMs, signal } = opts;
+    let candidate = opts.passphrase;
+    let ctx: PassphrasePromptContext = { incorrect: false };
+
+    for (;;) {
+      if (!candidate && onPassphrase) {
+        candidate = (await onPassphrase(ctx)) || undefined;
+      }
+      if (!candidate) {
+        throw new DropgateValidationError('A passphrase is required to download this file.', {
+          code: 'PASSPHRASE_REQUIRED',
+        });
+      }
+
+      try {
+        return await this.unlockKey(baseUrl, fileId, params, candidate, timeoutMs, signal);
+      } catch (err) {
+        if (!onPassphrase || !(err instanceof DropgateError) || err.code !== 'PASSPHRASE_INCORRECT') throw err;
+        const attemptsLeft = (err.details as { attemptsLeft?: unknown } | undefined)?.attemptsLeft;
+        ctx = { incorrect: true, ...(typeof attemptsLeft === 'number' ? { attemptsLeft } : {}) };
+        candidate = undefined;
+      }
+    }
+  }
+
+  /**
+   * Prove a passphrase to the server and unwrap the key it releases.
+   * @returns The base64-encoded decryption key.
+   */
+  private async unlockKey(
+    baseUrl: string,
+    fileId: string,
+    params: PassphraseParams,
+    passphrase: string,
+    timeoutMs: number,
+    signal?: AbortSignal
+  ): Promise<string> {
+    if (!this.cryptoObj?.subtle) {
+      throw new DropgateValidationError('Web Crypto API not available for decryption.');
+    }
+
+    let derived: Awaited<ReturnType<typeof derivePassphraseKeys>>;
+    try {
+      derived = await derivePassphraseKeys(this.cryptoObj, passphrase, base64ToBytes(params.salt, this.base64), params.iterations);
+    } catch (err) {
+      throw new DropgateError('Failed to derive a key from the passphrase.', {
+        code: 'CRYPTO_PREP_FAILED',
+        cause: err,
+      });
+    }
+
+    const { res, json } = await fetchJson(this.fetchFn, `${baseUrl}/api/file/${encodeURIComponent(fileId)}/unlock`, {
+      method: 'POST',
+      timeoutMs,
+      signal,
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json',
+      },
+      body: JSON.stringify({ authKey: bytesToBase64(derived.authKey, this.base64) }),
+    });
+
+    if (!res.ok) {
+      const msg = (json as { error?: string } | null)?.error;
+      if (res.status === 403) {
+        throw new DropgateProtocolError(msg || 'Incorrect passphrase.', { code: 'PASSPHRASE_INCORRECT', details: json });
+      }
+      if (res.status === 429) {
+        throw new DropgateProtocolError(msg || 'Too many incorrect passphrases. Try again later.', { code: 'PASSPHRASE_LOCKED', details: json });
+      }
+      if (res.status === 404) {
+        throw new DropgateProtocolError('File not found or has expired.', { code: 'FILE_NOT_FOUND', details: json });
+      }
+      throw new DropgateProtocolError(msg || `Unlock failed (status ${res.status}).`, { details: json });
+    }
+
+    const wrappedKey = (json as { wrappedKey?: unknown } | null)?.wrappedKey;
+    if (typeof wrappedKey !== 'string') {
+      throw new DropgateProtocolError('Server did not return a wrapped key.');
+    }
+
+    try {
+      return await unwrapKeyToBase64(this.cryptoObj, wrappedKey, derived.wrappingKey, this.base64);
+    } catch (err) {
+      throw new DropgateError('Failed to unwrap the decryption key.', {
+        code: 'DECRYPT_KEY_FAILED',
+        cause: err,
+      });
+    }
+  }
+
+  /**
+   * Tell the server a download was received intact so it is counted now.
+   * Failures are not fatal: the server counts unconfirmed downloads after a timeout.
+   * @returns True if the server accepted the confirmation.
+   */
+  private async confirmDownload(
+    baseUrl: string,
+    fileId: string,
+    token: string,
+    timeoutMs: number,
+    signal?: AbortSignal
+  ): Promise<boolean> {
+    try {
+      const { res } = await fetchJson(this.fetchFn, `${baseUrl}/api/file/${fileId}/confirm`, {
+        method: 'POST',
+        timeoutMs,
+        signal,
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'application/json',
+        },
+        body: JSON.stringify({ token }),
+      });
+      if (!res.ok) this.logger?.('warn', `Download confirmation was rejected (status ${res.status}).`);
+      return res.ok;
+    } catch (err) {
+      this.logger?.('warn', 'Failed to confirm download.', err);
+      return false;
+    }
+  }
+
+  private async fetchFileMetadata(
+    baseUrl: string,
+    fileId: string,
+    timeoutMs: number,
+    signal?: AbortSignal
+  ): Promise<FileMetadata> {
+    const { signal: metaSignal, cleanup: metaCleanup } = makeAbortSignal(signal, timeoutMs);
+
+    try {
+      const metaRes = await this.fetchFn(`${baseUrl}/api/file/${fileId}/meta`, {
+        method: 'GET',
+        headers: { Accept: 'application/json' },
+        signal: metaSignal,
+      });
+
+      if (!metaRes.ok) {
+        if (metaRes.status === 404) {
+          throw new DropgateProtocolError('File not found or has expired.');
         }
+        throw new DropgateProtocolError(`Failed to fetch file metadata (status ${metaRes.status}).`);
       }
+
+      return await metaRes.json() as FileMetadata;
     } catch (err) {
       if (err instanceof DropgateError) throw err;
       if (err instanceof Error && err.name === 'AbortError') {
         throw new DropgateAbortError('Download cancelled.');
       }
-      throw new DropgateNetworkError('Download failed.', { cause: err });
+      throw new DropgateNetworkError('Could not fetch file metadata.', { cause: err });
     } finally {
-      downloadCleanup();
+      metaCleanup();
     }
+  }
 
-    progress({ phase: 'complete', text: 'Download complete!', percent: 100, processedBytes: receivedBytes, totalBytes });
-
-    // Combine collected data if not using callback
-    let data: Uint8Array | undefined;
-    if (collectData && dataChunks.length > 0) {
-      const totalLength = dataChunks.reduce((sum, chunk) => sum + chunk.length, 0);
-      data = new Uint8Array(totalLength);
-      let offset = 0;
-      for (const chunk of dataChunks) {
-        data.set(chunk, offset);
-        offset += chunk.length;
-      }
+  private async saveUploadState(
+    store: UploadStateStore,
+    key: string,
+    state: PersistedUploadState
+  ): Promise<void> {
+    try {
+      await store.set(key, state);
+    } catch (err) {
+      // Persisting is best effort - the upload itself can still succeed
+      this.logger?.('warn', 'Failed to save upload state.', err);
     }
+  }
 
-    return {
-      filename,
-      receivedBytes,
-      wasEncrypted: isEncrypted,
-      ...(data ? { data } : {}),
-    };
+  private async clearUploadState(store: UploadStateStore, key: string): Promise<void> {
+    try {
+      await store.delete(key);
+    } catch (err) {
+      this.logger?.('warn', 'Failed to clear upload state.', err);
+    }
   }
 
   private async attemptChunkUpload(
@@ -977,10 +2572,9 @@ export class DropgateClient {
       timeoutMs: number;
       signal?: AbortSignal;
       progress: (evt: UploadProgressEvent) => void;
+      /** Progress of the whole upload, reported with retry events. */
+      currentProgress: () => Pick<UploadProgressEvent, 'percent' | 'processedBytes' | 'totalBytes' | 'totalChunks'>;
       chunkIndex: number;
-      totalChunks: number;
-      chunkSize: number;
-      fileSizeBytes: number;
     }
   ): Promise<void> {
     const {
@@ -990,10 +2584,8 @@ export class DropgateClient {
       timeoutMs,
       signal,
       progress,
+      currentProgress,
       chunkIndex,
-      totalChunks,
-      chunkSize,
-      fileSizeBytes,
     } = opts;
 
     let attemptsLeft = retries;
@@ -1039,8 +2631,6 @@ export class DropgateClient {
         }
 
         const attemptNumber = maxRetries - attemptsLeft + 1;
-        const processedBytes = chunkIndex * chunkSize;
-        const percent = (chunkIndex / totalChunks) * 100;
         let remaining = currentBackoff;
         const tick = 100;
         while (remaining > 0) {
@@ -1048,11 +2638,8 @@ export class DropgateClient {
           progress({
             phase: 'retry-wait',
             text: `Chunk upload failed. Retrying in ${secondsLeft}s... (${attemptNumber}/${maxRetries})`,
-            percent,
-            processedBytes,
-            totalBytes: fileSizeBytes,
+            ...currentProgress(),
             chunkIndex,
-            totalChunks,
           });
           await sleep(Math.min(tick, remaining), signal);
           remaining -= tick;
@@ -1061,11 +2648,8 @@ export class DropgateClient {
         progress({
           phase: 'retry',
           text: `Chunk upload failed. Retrying now... (${attemptNumber}/${maxRetries})`,
-          percent,
-          processedBytes,
-          totalBytes: fileSizeBytes,
+          ...currentProgress(),
           chunkIndex,
-          totalChunks,
         });
 
         attemptsLeft -= 1;
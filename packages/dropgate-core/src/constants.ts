@@ -18,9 +18,56 @@ export const AES_GCM_TAG_BYTES = 16;
  */
 export const ENCRYPTION_OVERHEAD_PER_CHUNK = AES_GCM_IV_BYTES + AES_GCM_TAG_BYTES;
 
+/**
+ * Encryption format written by this client. Version 1 is the legacy format of independently
+ * encrypted chunks; version 2 adds a header and binds every chunk to its position.
+ */
+export const ENCRYPTION_FORMAT_VERSION = 2;
+
+/**
+ * Size in bytes of the header that starts every version 2 encrypted file
+ */
+export const STREAM_HEADER_BYTES = 16;
+
+/**
+ * Size in bytes of the random nonce prefix in a version 2 header
+ */
+export const STREAM_NONCE_PREFIX_BYTES = 7;
+
+/**
+ * Maximum length of the sender message stored with an encrypted file
+ */
+export const MAX_FILE_MESSAGE_LENGTH = 1000;
+
+/**
+ * Maximum length of the thumbnail data URL stored with an encrypted file
+ */
+export const MAX_THUMBNAIL_DATA_URL_LENGTH = 48 * 1024;
+
+/**
+ * Most chunks an upload sends at the same time. Higher `concurrency` values are lowered to this,
+ * since every chunk in flight is held in memory.
+ */
+export const MAX_UPLOAD_CONCURRENCY = 8;
+
 /**
  * Maximum file size (in bytes) that can be downloaded without an onData callback.
  * Files larger than this require streaming via onData to avoid memory exhaustion.
  * Default: 100MB
  */
 export const MAX_IN_MEMORY_DOWNLOAD_BYTES = 100 * 1024 * 1024;
+
+/**
+ * PBKDF2-SHA256 iteration count used when wrapping a key with a passphrase
+ */
+export const PASSPHRASE_KDF_ITERATIONS = 600000;
+
+/**
+ * Salt size in bytes for passphrase key derivation
+ */
+export const PASSPHRASE_SALT_BYTES = 16;
+
+/**
+ * Maximum number of files a receiver accepts in the manifest of a multi-file P2P transfer
+ */
+export const MAX_P2P_MANIFEST_FILES = 10000;
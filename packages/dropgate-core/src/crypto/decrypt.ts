@@ -1,5 +1,5 @@
-import { AES_GCM_IV_BYTES } from '../constants.js';
-import type { CryptoAdapter, Base64Adapter } from '../types.js';
+import { AES_GCM_IV_BYTES, MAX_FILE_MESSAGE_LENGTH, MAX_THUMBNAIL_DATA_URL_LENGTH } from '../constants.js';
+import type { CryptoAdapter, Base64Adapter, FileDetails } from '../types.js';
 import { getDefaultBase64 } from '../adapters/defaults.js';
 
 /**
@@ -7,12 +7,14 @@ import { getDefaultBase64 } from '../adapters/defaults.js';
  * @param cryptoObj - Crypto adapter for key import.
  * @param keyB64 - Base64-encoded key bytes.
  * @param base64 - Optional base64 adapter.
+ * @param usages - Key usages to grant (default: decrypt only).
  * @returns The imported CryptoKey.
  */
 export async function importKeyFromBase64(
   cryptoObj: CryptoAdapter,
   keyB64: string,
-  base64?: Base64Adapter
+  base64?: Base64Adapter,
+  usages: KeyUsage[] = ['decrypt']
 ): Promise<CryptoKey> {
   const adapter = base64 || getDefaultBase64();
   const keyBytes = adapter.decode(keyB64);
@@ -23,7 +25,7 @@ export async function importKeyFromBase64(
     keyBuffer,
     { name: 'AES-GCM' },
     true,
-    ['decrypt']
+    usages
   );
 }
 
@@ -68,3 +70,57 @@ export async function decryptFilenameFromBase64(
   const decryptedBuffer = await decryptChunk(cryptoObj, encryptedBytes, key);
   return new TextDecoder().decode(decryptedBuffer);
 }
+
+/**
+ * Decrypt a base64-encoded value encrypted with encryptJsonToBase64().
+ * @param cryptoObj - Crypto adapter for decryption.
+ * @param encryptedB64 - Base64-encoded encrypted JSON.
+ * @param key - The AES-GCM decryption key.
+ * @param base64 - Optional base64 adapter.
+ * @returns The decrypted value.
+ */
+export async function decryptJsonFromBase64(
+  cryptoObj: CryptoAdapter,
+  encryptedB64: string,
+  key: CryptoKey,
+  base64?: Base64Adapter
+): Promise<unknown> {
+  const adapter = base64 || getDefaultBase64();
+  const decryptedBuffer = await decryptChunk(cryptoObj, adapter.decode(encryptedB64), key);
+  return JSON.parse(new TextDecoder().decode(decryptedBuffer));
+}
+
+/**
+ * Decrypt the details stored with an encrypted file.
+ * Fields of the wrong type, and thumbnails that are not image data URLs, are left out,
+ * since they come from whoever uploaded the file.
+ * @param cryptoObj - Crypto adapter for decryption.
+ * @param encryptedB64 - Base64-encoded encrypted details.
+ * @param key - The AES-GCM decryption key.
+ * @param base64 - Optional base64 adapter.
+ * @returns The file details.
+ */
+export async function decryptFileDetailsFromBase64(
+  cryptoObj: CryptoAdapter,
+  encryptedB64: string,
+  key: CryptoKey,
+  base64?: Base64Adapter
+): Promise<FileDetails> {
+  const value = await decryptJsonFromBase64(cryptoObj, encryptedB64, key, base64);
+  const raw = (value && typeof value === 'object' ? value : {}) as Record<string, unknown>;
+  const details: FileDetails = {};
+  if (typeof raw.mimeType === 'string' && raw.mimeType.length <= 255) details.mimeType = raw.mimeType;
+  if (Number.isFinite(raw.lastModified)) details.lastModified = raw.lastModified as number;
+  if (typeof raw.message === 'string' && raw.message.length <= MAX_FILE_MESSAGE_LENGTH) details.message = raw.message;
+  if (isThumbnailDataUrl(raw.thumbnail)) details.thumbnail = raw.thumbnail;
+  return details;
+}
+
+/**
+ * Check that a value is an image data URL small enough to store as a thumbnail.
+ */
+export function isThumbnailDataUrl(value: unknown): value is string {
+  return typeof value === 'string' &&
+    value.length <= MAX_THUMBNAIL_DATA_URL_LENGTH &&
+    /^data:image\/(png|jpeg|gif|webp);base64,[A-Za-z0-9+/]+={0,2}$/.test(value);
+}
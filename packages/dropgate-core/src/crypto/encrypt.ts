@@ -33,3 +33,17 @@ export async function encryptFilenameToBase64(
   const buf = await blob.arrayBuffer();
   return arrayBufferToBase64(buf);
 }
+
+/**
+ * Encrypt a JSON-serialisable value using AES-GCM and return as base64.
+ * Layout: [IV (12 bytes)] + [encrypted JSON + tag], like encrypted filenames.
+ */
+export async function encryptJsonToBase64(
+  cryptoObj: CryptoAdapter,
+  value: unknown,
+  key: CryptoKey
+): Promise<string> {
+  const bytes = new TextEncoder().encode(JSON.stringify(value));
+  const blob = await encryptToBlob(cryptoObj, bytes.buffer, key);
+  return arrayBufferToBase64(await blob.arrayBuffer());
+}
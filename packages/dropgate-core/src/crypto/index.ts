@@ -42,4 +42,10 @@ export async function exportKeyBase64(
 }
 
 // Re-export decryption functions
-export { importKeyFromBase64, decryptChunk, decryptFilenameFromBase64 } from './decrypt.js';
+export {
+  importKeyFromBase64,
+  decryptChunk,
+  decryptFilenameFromBase64,
+  decryptJsonFromBase64,
+  decryptFileDetailsFromBase64,
+} from './decrypt.js';
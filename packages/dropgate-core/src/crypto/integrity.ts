@@ -0,0 +1,164 @@
+import { DropgateIntegrityError } from '../errors.js';
+import type { Base64Adapter, CryptoAdapter, IntegrityManifest } from '../types.js';
+import { decryptJsonFromBase64 } from './decrypt.js';
+import { encryptJsonToBase64 } from './encrypt.js';
+import { sha256Hex } from './index.js';
+
+/**
+ * Integrity manifests list the SHA-256 hash of every plaintext chunk of a file, plus a
+ * root hash over those hashes. Servers build them from the `X-Chunk-Hash` of unencrypted
+ * uploads; encrypted uploads send their own, encrypted with the file key, at completion.
+ */
+
+const HASH_PATTERN = /^[a-f0-9]{64}$/;
+
+/**
+ * Hash the concatenated raw bytes of the given hex chunk hashes.
+ */
+async function computeRoot(cryptoObj: CryptoAdapter, chunkHashes: string[]): Promise<string> {
+  const bytes = new Uint8Array(chunkHashes.length * 32);
+  chunkHashes.forEach((hash, i) => {
+    for (let b = 0; b < 32; b++) {
+      bytes[i * 32 + b] = parseInt(hash.slice(b * 2, b * 2 + 2), 16);
+    }
+  });
+  return sha256Hex(cryptoObj, bytes.buffer);
+}
+
+/**
+ * Build the manifest of a file from the hashes of its plaintext chunks.
+ * @param cryptoObj - Crypto adapter for hashing.
+ * @param chunkSize - Plaintext bytes per chunk.
+ * @param chunkHashes - Hex SHA-256 of each chunk, in order.
+ * @returns The manifest.
+ */
+export async function createIntegrityManifest(
+  cryptoObj: CryptoAdapter,
+  chunkSize: number,
+  chunkHashes: string[]
+): Promise<IntegrityManifest> {
+  return {
+    algorithm: 'SHA-256',
+    chunkSize,
+    chunks: chunkHashes,
+    root: await computeRoot(cryptoObj, chunkHashes),
+  };
+}
+
+/**
+ * Check that a value received from a server or decrypted from a file is a manifest.
+ * @throws {DropgateIntegrityError} If it is not.
+ */
+export function assertIntegrityManifest(value: unknown): asserts value is IntegrityManifest {
+  const manifest = value as Partial<IntegrityManifest> | null;
+  const valid = Boolean(manifest) &&
+    manifest!.algorithm === 'SHA-256' &&
+    Number.isInteger(manifest!.chunkSize) && manifest!.chunkSize! > 0 &&
+    Array.isArray(manifest!.chunks) && manifest!.chunks.every((h) => typeof h === 'string' && HASH_PATTERN.test(h)) &&
+    typeof manifest!.root === 'string' && HASH_PATTERN.test(manifest!.root);
+  if (!valid) {
+    throw new DropgateIntegrityError('The file\'s integrity manifest is malformed.');
+  }
+}
+
+/**
+ * Encrypt a manifest with the file key and return it as base64.
+ */
+export async function encryptIntegrityManifest(
+  cryptoObj: CryptoAdapter,
+  manifest: IntegrityManifest,
+  key: CryptoKey
+): Promise<string> {
+  return encryptJsonToBase64(cryptoObj, manifest, key);
+}
+
+/**
+ * Decrypt a manifest encrypted by encryptIntegrityManifest().
+ * @throws {DropgateIntegrityError} If it does not decrypt with the file key, or is malformed.
+ */
+export async function decryptIntegrityManifest(
+  cryptoObj: CryptoAdapter,
+  encryptedB64: string,
+  key: CryptoKey,
+  base64?: Base64Adapter
+): Promise<IntegrityManifest> {
+  let manifest: unknown;
+  try {
+    manifest = await decryptJsonFromBase64(cryptoObj, encryptedB64, key, base64);
+  } catch (err) {
+    throw new DropgateIntegrityError('The file\'s integrity manifest could not be decrypted.', { cause: err });
+  }
+  assertIntegrityManifest(manifest);
+  return manifest;
+}
+
+/**
+ * Checks streamed plaintext against a manifest, one chunk at a time.
+ */
+export interface IntegrityVerifier {
+  /** Add the next bytes of the file. Whole chunks are checked, then passed on. */
+  write: (data: Uint8Array) => Promise<void>;
+  /** Check the last chunk, and that no chunk is missing. */
+  finish: () => Promise<void>;
+}
+
+/**
+ * Create a verifier that holds back each chunk until its hash matches the manifest,
+ * so bytes only reach `onChunk` once they are known to be intact.
+ * @param cryptoObj - Crypto adapter for hashing.
+ * @param manifest - Manifest of the file.
+ * @param onChunk - Receives each verified chunk.
+ * @returns The verifier.
+ * @throws {DropgateIntegrityError} From write() or finish(), when the content does not match.
+ */
+export function createIntegrityVerifier(
+  cryptoObj: CryptoAdapter,
+  manifest: IntegrityManifest,
+  onChunk: (chunk: Uint8Array) => void | Promise<void>
+): IntegrityVerifier {
+  const { chunkSize, chunks } = manifest;
+  let buffer = new Uint8Array(chunkSize);
+  let filled = 0;
+  let chunkIndex = 0;
+
+  const flush = async (): Promise<void> => {
+    if (chunkIndex >= chunks.length) {
+      throw new DropgateIntegrityError('The file is longer than its integrity manifest.');
+    }
+    const chunk = filled === buffer.length ? buffer : buffer.slice(0, filled);
+    const hash = await sha256Hex(cryptoObj, chunk.buffer);
+    if (hash !== chunks[chunkIndex]) {
+      throw new DropgateIntegrityError(`Chunk ${chunkIndex + 1} of the file does not match its integrity manifest.`, {
+        details: { chunkIndex },
+      });
+    }
+    chunkIndex++;
+    buffer = new Uint8Array(chunkSize);
+    filled = 0;
+    await onChunk(chunk);
+  };
+
+  return {
+    write: async (data) => {
+      let offset = 0;
+      while (offset < data.length) {
+        const length = Math.min(data.length - offset, chunkSize - filled);
+        buffer.set(data.subarray(offset, offset + length), filled);
+        filled += length;
+        offset += length;
+        if (filled === chunkSize) await flush();
+      }
+    },
+    finish: async () => {
+      if (filled > 0) await flush();
+      if (chunkIndex !== chunks.length) {
+        throw new DropgateIntegrityError('The file is shorter than its integrity manifest.', {
+          details: { chunkIndex },
+        });
+      }
+      if (await computeRoot(cryptoObj, chunks) !== manifest.root) {
+        throw new DropgateIntegrityError('The file\'s integrity manifest does not match its root hash.');
+      }
+    },
+  };
+}
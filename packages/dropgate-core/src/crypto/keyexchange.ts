@@ -0,0 +1,136 @@
+import { DropgateError } from '../errors.js';
+import type { CryptoAdapter, ShortAuthString } from '../types.js';
+
+/**
+ * Ephemeral ECDH (P-256) key exchange for encrypted P2P transfers.
+ *
+ * Both sides generate a key pair per transfer and exchange raw public keys. HKDF-SHA256
+ * over the shared secret, salted with the sender's and then the receiver's public key,
+ * gives the AES-GCM key for the transfer and the bytes of its short authentication string.
+ * The sender commits to its public key (by hash) before it sees the receiver's, so
+ * someone relaying the exchange cannot search for keys whose strings would match.
+ */
+
+const DIGIT_WORDS = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine'];
+
+// The emoji set of the Matrix SAS verification spec, so strings are easy to tell apart aloud
+const SAS_EMOJI: [string, string][] = [
+  ['🐶', 'Dog'], ['🐱', 'Cat'], ['🦁', 'Lion'], ['🐎', 'Horse'], ['🦄', 'Unicorn'], ['🐷', 'Pig'],
+  ['🐘', 'Elephant'], ['🐰', 'Rabbit'], ['🐼', 'Panda'], ['🐓', 'Rooster'], ['🐧', 'Penguin'],
+  ['🐢', 'Turtle'], ['🐟', 'Fish'], ['🐙', 'Octopus'], ['🦋', 'Butterfly'], ['🌷', 'Flower'],
+  ['🌳', 'Tree'], ['🌵', 'Cactus'], ['🍄', 'Mushroom'], ['🌏', 'Globe'], ['🌙', 'Moon'],
+  ['☁️', 'Cloud'], ['🔥', 'Fire'], ['🍌', 'Banana'], ['🍎', 'Apple'], ['🍓', 'Strawberry'],
+  ['🌽', 'Corn'], ['🍕', 'Pizza'], ['🎂', 'Cake'], ['❤️', 'Heart'], ['😀', 'Smiley'],
+  ['🤖', 'Robot'], ['🎩', 'Hat'], ['👓', 'Glasses'], ['🔧', 'Spanner'], ['🎅', 'Santa'],
+  ['👍', 'Thumbs Up'], ['☂️', 'Umbrella'], ['⌛', 'Hourglass'], ['⏰', 'Clock'], ['🎁', 'Gift'],
+  ['💡', 'Light Bulb'], ['📕', 'Book'], ['✏️', 'Pencil'], ['📎', 'Paperclip'], ['✂️', 'Scissors'],
+  ['🔒', 'Lock'], ['🔑', 'Key'], ['🔨', 'Hammer'], ['☎️', 'Telephone'], ['🏁', 'Flag'],
+  ['🚂', 'Train'], ['🚲', 'Bicycle'], ['✈️', 'Aeroplane'], ['🚀', 'Rocket'], ['🏆', 'Trophy'],
+  ['⚽', 'Ball'], ['🎸', 'Guitar'], ['🎺', 'Trumpet'], ['🔔', 'Bell'], ['⚓', 'Anchor'],
+  ['🎧', 'Headphones'], ['📁', 'Folder'], ['📌', 'Pin'],
+];
+
+/** Bytes of a raw uncompressed P-256 public key. */
+const PUBLIC_KEY_BYTES = 65;
+
+/**
+ * Ephemeral key pair of one side of a key exchange.
+ */
+export interface KeyExchangeKeys {
+  /** Private key, which never leaves this side. */
+  privateKey: CryptoKey;
+  /** Raw public key to send to the other side. */
+  publicKey: Uint8Array;
+}
+
+/**
+ * Keys agreed by both sides of a key exchange.
+ */
+export interface TransferSecrets {
+  /** AES-GCM key for the transfer. */
+  key: CryptoKey;
+  /** String for the two users to compare. */
+  authString: ShortAuthString;
+}
+
+/**
+ * Generate a key pair for one transfer.
+ * @param cryptoObj - Crypto adapter for key generation.
+ * @returns The key pair.
+ */
+export async function generateKeyExchangeKeys(cryptoObj: CryptoAdapter): Promise<KeyExchangeKeys> {
+  const pair = await cryptoObj.subtle.generateKey({ name: 'ECDH', namedCurve: 'P-256' }, false, ['deriveBits']);
+  const publicKey = new Uint8Array(await cryptoObj.subtle.exportKey('raw', pair.publicKey));
+  return { privateKey: pair.privateKey, publicKey };
+}
+
+/**
+ * Derive the transfer key and short authentication string.
+ * @param cryptoObj - Crypto adapter for key derivation.
+ * @param ownKeys - This side's key pair.
+ * @param peerPublicKey - Raw public key received from the other side.
+ * @param isSender - Whether this side is the sender, which orders the public keys in the salt.
+ * @returns The agreed secrets.
+ * @throws {DropgateError} If the peer's public key is not a valid P-256 key.
+ */
+export async function deriveTransferSecrets(
+  cryptoObj: CryptoAdapter,
+  ownKeys: KeyExchangeKeys,
+  peerPublicKey: Uint8Array,
+  isSender: boolean
+): Promise<TransferSecrets> {
+  let sharedBits: ArrayBuffer;
+  try {
+    if (peerPublicKey.length !== PUBLIC_KEY_BYTES) throw new Error('Unexpected key length.');
+    const peerKey = await cryptoObj.subtle.importKey(
+      'raw',
+      peerPublicKey.slice(),
+      { name: 'ECDH', namedCurve: 'P-256' },
+      false,
+      []
+    );
+    sharedBits = await cryptoObj.subtle.deriveBits({ name: 'ECDH', public: peerKey }, ownKeys.privateKey, 256);
+  } catch (err) {
+    throw new DropgateError('The peer sent an invalid encryption key.', { code: 'KEY_EXCHANGE_FAILED', cause: err });
+  }
+
+  const [senderKey, receiverKey] = isSender ? [ownKeys.publicKey, peerPublicKey] : [peerPublicKey, ownKeys.publicKey];
+  const salt = new Uint8Array(senderKey.length + receiverKey.length);
+  salt.set(senderKey, 0);
+  salt.set(receiverKey, senderKey.length);
+
+  const material = await cryptoObj.subtle.importKey('raw', sharedBits, 'HKDF', false, ['deriveKey', 'deriveBits']);
+  const encoder = new TextEncoder();
+  const key = await cryptoObj.subtle.deriveKey(
+    { name: 'HKDF', hash: 'SHA-256', salt, info: encoder.encode('dropgate-p2p-key') },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+  const sasBytes = new Uint8Array(await cryptoObj.subtle.deriveBits(
+    { name: 'HKDF', hash: 'SHA-256', salt, info: encoder.encode('dropgate-p2p-sas') },
+    material,
+    80
+  ));
+
+  return { key, authString: toShortAuthString(sasBytes) };
+}
+
+/**
+ * Turn 10 derived bytes into six emoji (36 bits of the first 5 bytes)
+ * and six digits (the last 4 bytes, modulo one million).
+ */
+function toShortAuthString(bytes: Uint8Array): ShortAuthString {
+  let bits = 0;
+  for (let i = 0; i < 5; i++) bits = bits * 256 + bytes[i];
+  const emoji = Array.from({ length: 6 }, (_, i) => {
+    const [symbol, name] = SAS_EMOJI[Math.floor(bits / 2 ** (34 - i * 6)) % 64];
+    return { symbol, name };
+  });
+
+  const number = new DataView(bytes.buffer, bytes.byteOffset + 6, 4).getUint32(0) % 1000000;
+  const words = String(number).padStart(6, '0').split('').map((d) => DIGIT_WORDS[Number(d)]);
+
+  return { words, emoji };
+}
@@ -0,0 +1,96 @@
+import { PASSPHRASE_KDF_ITERATIONS, PASSPHRASE_SALT_BYTES } from '../constants.js';
+import type { CryptoAdapter, Base64Adapter, PassphraseLock } from '../types.js';
+import { bytesToBase64, base64ToBytes } from '../utils/base64.js';
+
+/**
+ * Derive the keys protecting a passphrase-locked share.
+ * One PBKDF2-SHA256 run yields 512 bits: the first half becomes an AES-KW key that
+ * wraps the file key, the second half is the proof sent to the server to release the
+ * wrapped key. Neither half reveals the other.
+ * @param cryptoObj - Crypto adapter for key derivation.
+ * @param passphrase - The passphrase entered by the user.
+ * @param salt - Random salt stored with the share.
+ * @param iterations - PBKDF2 iteration count stored with the share.
+ * @returns The wrapping key and the server proof bytes.
+ */
+export async function derivePassphraseKeys(
+  cryptoObj: CryptoAdapter,
+  passphrase: string,
+  salt: Uint8Array,
+  iterations: number
+): Promise<{ wrappingKey: CryptoKey; authKey: Uint8Array }> {
+  const material = await cryptoObj.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveBits']
+  );
+  const bits = new Uint8Array(await cryptoObj.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt: new Uint8Array(salt).buffer, iterations },
+    material,
+    512
+  ));
+  const wrappingKey = await cryptoObj.subtle.importKey(
+    'raw',
+    bits.slice(0, 32).buffer,
+    { name: 'AES-KW' },
+    false,
+    ['wrapKey', 'unwrapKey']
+  );
+  return { wrappingKey, authKey: bits.slice(32) };
+}
+
+/**
+ * Wrap a file key with a passphrase.
+ * @param cryptoObj - Crypto adapter for key derivation and wrapping.
+ * @param key - The extractable AES-GCM file key.
+ * @param passphrase - The passphrase protecting the share.
+ * @param iterations - PBKDF2 iteration count (default: PASSPHRASE_KDF_ITERATIONS).
+ * @param base64 - Optional base64 adapter.
+ * @returns Everything the server stores for the share. The file key itself is not included.
+ */
+export async function wrapKeyWithPassphrase(
+  cryptoObj: CryptoAdapter,
+  key: CryptoKey,
+  passphrase: string,
+  iterations: number = PASSPHRASE_KDF_ITERATIONS,
+  base64?: Base64Adapter
+): Promise<PassphraseLock> {
+  const salt = cryptoObj.getRandomValues(new Uint8Array(PASSPHRASE_SALT_BYTES));
+  const { wrappingKey, authKey } = await derivePassphraseKeys(cryptoObj, passphrase, salt, iterations);
+  const wrappedKey = await cryptoObj.subtle.wrapKey('raw', key, wrappingKey, 'AES-KW');
+  return {
+    salt: bytesToBase64(salt, base64),
+    iterations,
+    wrappedKey: bytesToBase64(new Uint8Array(wrappedKey), base64),
+    authKey: bytesToBase64(authKey, base64),
+  };
+}
+
+/**
+ * Unwrap a file key released by the server after a passphrase check.
+ * @param cryptoObj - Crypto adapter for unwrapping.
+ * @param wrappedKeyB64 - Base64-encoded wrapped key.
+ * @param wrappingKey - Wrapping key from derivePassphraseKeys().
+ * @param base64 - Optional base64 adapter.
+ * @returns The base64-encoded file key, as used in share link fragments.
+ */
+export async function unwrapKeyToBase64(
+  cryptoObj: CryptoAdapter,
+  wrappedKeyB64: string,
+  wrappingKey: CryptoKey,
+  base64?: Base64Adapter
+): Promise<string> {
+  const key = await cryptoObj.subtle.unwrapKey(
+    'raw',
+    new Uint8Array(base64ToBytes(wrappedKeyB64, base64)).buffer,
+    wrappingKey,
+    'AES-KW',
+    { name: 'AES-GCM' },
+    true,
+    ['decrypt']
+  );
+  const raw = await cryptoObj.subtle.exportKey('raw', key);
+  return bytesToBase64(new Uint8Array(raw), base64);
+}
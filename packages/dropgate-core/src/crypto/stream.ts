@@ -0,0 +1,143 @@
+import {
+  AES_GCM_IV_BYTES,
+  ENCRYPTION_FORMAT_VERSION,
+  STREAM_HEADER_BYTES,
+  STREAM_NONCE_PREFIX_BYTES,
+} from '../constants.js';
+import { DropgateError } from '../errors.js';
+import type { CryptoAdapter } from '../types.js';
+
+/**
+ * Version 2 encryption format, modelled on the STREAM construction.
+ *
+ * A file starts with a 16-byte header, followed by its chunks:
+ *
+ *     header: "DGSE" | version (1 byte) | chunk size (uint32 BE) | nonce prefix (7 random bytes)
+ *     chunk:  nonce (12 bytes) | ciphertext + tag
+ *
+ * The nonce of chunk `i` is `nonce prefix | i (uint32 BE) | final flag (1 byte)`, and its
+ * associated data is the header followed by the same index and flag. A chunk therefore only
+ * decrypts at its own position, and only the last chunk decrypts as final, so reordered,
+ * dropped or truncated chunks fail authentication. Chunks keep the nonce in front, like the
+ * legacy format, so both formats have the same size on the server.
+ */
+
+/** Bytes that open every version 2 header. */
+const STREAM_MAGIC = [0x44, 0x47, 0x53, 0x45]; // "DGSE"
+
+/**
+ * Parsed version 2 encryption header.
+ */
+export interface StreamHeader {
+  /** Raw header bytes, authenticated with every chunk. */
+  bytes: Uint8Array;
+  /** Format version. */
+  version: number;
+  /** Plaintext bytes per chunk. */
+  chunkSize: number;
+  /** Random per-file part of every chunk nonce. */
+  noncePrefix: Uint8Array;
+}
+
+/**
+ * Create the header for a new file, with a fresh random nonce prefix.
+ * @param cryptoObj - Crypto adapter for random bytes.
+ * @param chunkSize - Plaintext bytes per chunk.
+ * @returns The header.
+ */
+export function createStreamHeader(cryptoObj: CryptoAdapter, chunkSize: number): StreamHeader {
+  const bytes = new Uint8Array(STREAM_HEADER_BYTES);
+  bytes.set(STREAM_MAGIC, 0);
+  bytes[4] = ENCRYPTION_FORMAT_VERSION;
+  new DataView(bytes.buffer).setUint32(5, chunkSize);
+  bytes.set(cryptoObj.getRandomValues(new Uint8Array(STREAM_NONCE_PREFIX_BYTES)), 9);
+  return parseStreamHeader(bytes);
+}
+
+/**
+ * Parse the header at the start of a version 2 file.
+ * @param bytes - The first STREAM_HEADER_BYTES bytes of the file.
+ * @returns The parsed header.
+ * @throws {DropgateError} If the bytes are not a supported header.
+ */
+export function parseStreamHeader(bytes: Uint8Array): StreamHeader {
+  if (bytes.length !== STREAM_HEADER_BYTES || STREAM_MAGIC.some((b, i) => bytes[i] !== b)) {
+    throw new DropgateError('File does not start with a valid encryption header.', { code: 'DECRYPT_FAILED' });
+  }
+  if (bytes[4] !== ENCRYPTION_FORMAT_VERSION) {
+    throw new DropgateError(`Unsupported encryption format version ${bytes[4]}.`, { code: 'DECRYPT_FAILED' });
+  }
+  const chunkSize = new DataView(bytes.buffer, bytes.byteOffset, bytes.length).getUint32(5);
+  if (chunkSize === 0) {
+    throw new DropgateError('Encryption header has an invalid chunk size.', { code: 'DECRYPT_FAILED' });
+  }
+  const copy = new Uint8Array(bytes);
+  return { bytes: copy, version: copy[4], chunkSize, noncePrefix: copy.slice(9) };
+}
+
+/** Nonce and associated data of one chunk. */
+function chunkParams(header: StreamHeader, index: number, isFinal: boolean) {
+  const position = new Uint8Array(5);
+  new DataView(position.buffer).setUint32(0, index);
+  position[4] = isFinal ? 1 : 0;
+
+  const iv = new Uint8Array(AES_GCM_IV_BYTES);
+  iv.set(header.noncePrefix, 0);
+  iv.set(position, STREAM_NONCE_PREFIX_BYTES);
+
+  const additionalData = new Uint8Array(header.bytes.length + position.length);
+  additionalData.set(header.bytes, 0);
+  additionalData.set(position, header.bytes.length);
+  return { iv, additionalData };
+}
+
+/**
+ * Encrypt one chunk of a version 2 file.
+ * Layout: [nonce (12 bytes)] + [ciphertext + tag]
+ * @param cryptoObj - Crypto adapter for encryption.
+ * @param key - The AES-GCM key.
+ * @param header - Header of the file.
+ * @param index - Position of the chunk (0-based).
+ * @param isFinal - Whether this is the last chunk of the file.
+ * @param data - Plaintext of the chunk.
+ * @returns The encrypted chunk.
+ */
+export async function encryptStreamChunk(
+  cryptoObj: CryptoAdapter,
+  key: CryptoKey,
+  header: StreamHeader,
+  index: number,
+  isFinal: boolean,
+  data: ArrayBuffer
+): Promise<Blob> {
+  const { iv, additionalData } = chunkParams(header, index, isFinal);
+  const encrypted = await cryptoObj.subtle.encrypt({ name: 'AES-GCM', iv, additionalData }, key, data);
+  return new Blob([iv, new Uint8Array(encrypted)]);
+}
+
+/**
+ * Decrypt one chunk of a version 2 file. The nonce stored in front of the chunk is
+ * ignored; the expected one is derived from the chunk's position instead.
+ * @param cryptoObj - Crypto adapter for decryption.
+ * @param key - The AES-GCM key.
+ * @param header - Header of the file.
+ * @param index - Position the chunk was read from (0-based).
+ * @param isFinal - Whether the chunk was the last one received.
+ * @param encryptedData - The encrypted chunk, nonce included.
+ * @returns The decrypted data.
+ */
+export async function decryptStreamChunk(
+  cryptoObj: CryptoAdapter,
+  key: CryptoKey,
+  header: StreamHeader,
+  index: number,
+  isFinal: boolean,
+  encryptedData: Uint8Array
+): Promise<ArrayBuffer> {
+  const { iv, additionalData } = chunkParams(header, index, isFinal);
+  return cryptoObj.subtle.decrypt(
+    { name: 'AES-GCM', iv, additionalData },
+    key,
+    encryptedData.slice(AES_GCM_IV_BYTES)
+  );
+}
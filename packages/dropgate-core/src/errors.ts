@@ -55,6 +55,15 @@ export class DropgateProtocolError extends DropgateError {
   }
 }
 
+/**
+ * Integrity error for downloaded content that does not match its integrity manifest
+ */
+export class DropgateIntegrityError extends DropgateError {
+  constructor(message: string, opts: DropgateErrorOptions = {}) {
+    super(message, { ...opts, code: opts.code || 'INTEGRITY_CHECK_FAILED' });
+  }
+}
+
 /**
  * Abort error - replacement for DOMException with AbortError name
  * Used when operations are cancelled
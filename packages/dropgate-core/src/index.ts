@@ -4,6 +4,13 @@ export {
   AES_GCM_IV_BYTES,
   AES_GCM_TAG_BYTES,
   ENCRYPTION_OVERHEAD_PER_CHUNK,
+  ENCRYPTION_FORMAT_VERSION,
+  STREAM_HEADER_BYTES,
+  PASSPHRASE_KDF_ITERATIONS,
+  MAX_FILE_MESSAGE_LENGTH,
+  MAX_THUMBNAIL_DATA_URL_LENGTH,
+  MAX_P2P_MANIFEST_FILES,
+  MAX_UPLOAD_CONCURRENCY,
 } from './constants.js';
 
 // Errors
@@ -12,6 +19,7 @@ export {
   DropgateValidationError,
   DropgateNetworkError,
   DropgateProtocolError,
+  DropgateIntegrityError,
   DropgateAbortError,
   DropgateTimeoutError,
 } from './errors.js';
@@ -21,12 +29,14 @@ export type { DropgateErrorOptions } from './errors.js';
 export type {
   UploadCapabilities,
   P2PCapabilities,
+  P2PCodeFormat,
   WebUICapabilities,
   ServerCapabilities,
   ServerInfo,
   BaseProgressEvent,
   UploadProgressEvent,
   UploadResult,
+  BundleUploadResult,
   CompatibilityResult,
   ShareTargetResult,
   CryptoAdapter,
@@ -37,12 +47,33 @@ export type {
   DropgateClientOptions,
   ServerTarget,
   UploadOptions,
+  UploadWebhook,
+  RetryOptions,
+  UploadFilesOptions,
+  PersistedUploadState,
+  UploadStateStore,
+  KeyValueStorage,
+  ResumeUploadOptions,
   GetServerInfoOptions,
+  ManageUploadOptions,
+  UpdateUploadOptions,
+  UploadSettings,
+  UnlockOptions,
+  PassphraseParams,
+  PassphraseLock,
+  PassphrasePromptContext,
   ValidateUploadOptions,
   FileMetadata,
+  FileDetails,
+  IntegrityManifest,
+  ShortAuthString,
+  ScanStatus,
+  BundleFileMetadata,
   DownloadProgressEvent,
   DownloadOptions,
   DownloadResult,
+  DownloadZipOptions,
+  DownloadZipResult,
 } from './types.js';
 
 // Utils - Base64
@@ -70,21 +101,41 @@ export {
   importKeyFromBase64,
   decryptChunk,
   decryptFilenameFromBase64,
+  decryptJsonFromBase64,
+  decryptFileDetailsFromBase64,
 } from './crypto/index.js';
-export { encryptToBlob, encryptFilenameToBase64 } from './crypto/encrypt.js';
+export { encryptToBlob, encryptFilenameToBase64, encryptJsonToBase64 } from './crypto/encrypt.js';
+export { createStreamHeader, parseStreamHeader, encryptStreamChunk, decryptStreamChunk } from './crypto/stream.js';
+export type { StreamHeader } from './crypto/stream.js';
+export { createIntegrityManifest, createIntegrityVerifier } from './crypto/integrity.js';
+export type { IntegrityVerifier } from './crypto/integrity.js';
+export { generateKeyExchangeKeys, deriveTransferSecrets } from './crypto/keyexchange.js';
+export type { KeyExchangeKeys, TransferSecrets } from './crypto/keyexchange.js';
+export { derivePassphraseKeys, wrapKeyWithPassphrase, unwrapKeyToBase64 } from './crypto/passphrase.js';
+
+// ZIP
+export { ZipWriter, crc32 } from './zip/index.js';
+export type { ZipDataCallback, ZipEntryOptions } from './zip/index.js';
 
 // Client
 export { DropgateClient, estimateTotalUploadSizeBytes, getServerInfo } from './client/DropgateClient.js';
 
 // Adapters
 export { getDefaultBase64, getDefaultCrypto, getDefaultFetch } from './adapters/defaults.js';
+export {
+  getUploadStateKey,
+  createMemoryUploadStateStore,
+  createWebStorageUploadStateStore,
+} from './adapters/storage.js';
 
 // P2P - Re-export from p2p module for convenience
 export {
   startP2PSend,
   startP2PReceive,
   generateP2PCode,
+  normalizeP2PCode,
   isP2PCodeLike,
+  P2P_CODE_LENGTHS,
   isLocalhostHostname,
   isSecureContextForP2P,
   buildPeerOptions,
@@ -107,8 +158,13 @@ export type {
   P2PSendProgressEvent,
   P2PReceiveProgressEvent,
   P2PMetadataEvent,
+  P2PAuthStringEvent,
+  P2PReceiverInfo,
+  P2PFileEvent,
   P2PReceiveCompleteEvent,
   // P2P options and sessions
+  P2PSendFile,
+  P2PManifestFile,
   P2PSendOptions,
   P2PSendSession,
   P2PReceiveOptions,
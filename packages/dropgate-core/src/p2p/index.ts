@@ -1,7 +1,7 @@
 // P2P module exports
 export { startP2PSend } from './send.js';
 export { startP2PReceive } from './receive.js';
-export { generateP2PCode, isP2PCodeLike, isLocalhostHostname, isSecureContextForP2P } from './utils.js';
+export { generateP2PCode, normalizeP2PCode, isP2PCodeLike, isLocalhostHostname, isSecureContextForP2P, P2P_CODE_LENGTHS } from './utils.js';
 export { buildPeerOptions, createPeerWithRetries, resolvePeerConfig } from './helpers.js';
 
 // Re-export types
@@ -23,8 +23,13 @@ export type {
   P2PSendProgressEvent,
   P2PReceiveProgressEvent,
   P2PMetadataEvent,
+  P2PAuthStringEvent,
+  P2PReceiverInfo,
+  P2PFileEvent,
   P2PReceiveCompleteEvent,
   // P2P options and sessions
+  P2PSendFile,
+  P2PManifestFile,
   P2PSendOptions,
   P2PSendSession,
   P2PReceiveOptions,
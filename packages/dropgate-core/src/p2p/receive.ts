@@ -1,14 +1,76 @@
-import { DropgateValidationError, DropgateNetworkError } from '../errors.js';
-import type { P2PReceiveOptions, P2PReceiveSession, P2PReceiveState, DataConnection } from './types.js';
-import { isP2PCodeLike } from './utils.js';
+import { getDefaultCrypto } from '../adapters/defaults.js';
+import { ENCRYPTION_OVERHEAD_PER_CHUNK, MAX_P2P_MANIFEST_FILES } from '../constants.js';
+import { sha256Hex } from '../crypto/index.js';
+import { deriveTransferSecrets, generateKeyExchangeKeys } from '../crypto/keyexchange.js';
+import type { KeyExchangeKeys } from '../crypto/keyexchange.js';
+import { decryptStreamChunk, parseStreamHeader } from '../crypto/stream.js';
+import type { StreamHeader } from '../crypto/stream.js';
+import { DropgateError, DropgateValidationError, DropgateNetworkError } from '../errors.js';
+import type { ShortAuthString } from '../types.js';
+import { base64ToBytes, bytesToBase64 } from '../utils/base64.js';
+import type {
+  P2PReceiveOptions,
+  P2PReceiveSession,
+  P2PReceiveState,
+  DataConnection,
+  P2PFileEvent,
+  P2PManifestFile,
+} from './types.js';
+import { isP2PCodeLike, normalizeP2PCode, normalizeP2PPath } from './utils.js';
 import { buildPeerOptions, resolvePeerConfig } from './helpers.js';
 
+// Delay between attempts to reconnect to a sender after a dropped connection
+const RECONNECT_DELAY_MS = 2000;
+
+/**
+ * Validate the file list of a manifest sent by a peer.
+ * Paths are normalised, so they are safe to use below the receiver's folder.
+ */
+function parseManifestFiles(value: unknown): P2PManifestFile[] {
+  if (!Array.isArray(value) || value.length === 0 || value.length > MAX_P2P_MANIFEST_FILES) {
+    throw new DropgateValidationError('The sender\'s file manifest is invalid.');
+  }
+
+  const seen = new Set<string>();
+  return value.map((entry: { path?: unknown; size?: unknown; mime?: unknown } | null) => {
+    const path = normalizeP2PPath(String(entry?.path ?? ''));
+    const size = Number(entry?.size);
+    if (!path || seen.has(path) || !Number.isSafeInteger(size) || size < 0) {
+      throw new DropgateValidationError('The sender\'s file manifest is invalid.');
+    }
+    seen.add(path);
+    const mime = typeof entry?.mime === 'string' && entry.mime ? entry.mime.slice(0, 255) : 'application/octet-stream';
+    return { path, size, mime };
+  });
+}
+
+/**
+ * Name a multi-file transfer after the folder all of its paths share, if any.
+ */
+function manifestName(files: P2PManifestFile[]): string {
+  const roots = new Set(files.map((f) => f.path.split('/')[0]));
+  const [root] = roots;
+  return roots.size === 1 && files.every((f) => f.path.includes('/')) ? root : 'files';
+}
+
 /**
  * Start a direct transfer (P2P) receiver session.
  *
  * IMPORTANT: Consumer must provide the PeerJS Peer constructor and handle file writing.
  * This removes DOM coupling (no streamSaver).
  *
+ * Multi-file transfers pass the manifest to onMeta, which may reject it. Each file's
+ * data is then bracketed by onFileStart and onFileEnd, so it can be written to its own
+ * file or into a streamed archive.
+ *
+ * With `resumable` (and a resumable sender), a connection that drops mid-transfer is
+ * re-established with the same code, and the transfer continues from the bytes already
+ * passed to onData.
+ *
+ * When the sender encrypts the transfer, a key is agreed before onMeta, which then gets
+ * the short authentication string to compare with the sender's. Chunks are decrypted
+ * before they reach onData.
+ *
  * Example:
  * ```js
  * import Peer from 'peerjs';
@@ -47,8 +109,14 @@ export async function startP2PReceive(opts: P2PReceiveOptions): Promise<P2PRecei
     iceServers,
     autoReady = true,
     watchdogTimeoutMs = 15000,
+    resumable = false,
+    resumeTimeoutMs = 60000,
+    requireEncryption = false,
+    cryptoObj,
     onStatus,
     onMeta,
+    onFileStart,
+    onFileEnd,
     onData,
     onProgress,
     onComplete,
@@ -74,8 +142,9 @@ export async function startP2PReceive(opts: P2PReceiveOptions): Promise<P2PRecei
     throw new DropgateValidationError('Direct transfer is disabled on this server.');
   }
 
-  // Validate and normalize code
-  const normalizedCode = String(code).trim().replace(/\s+/g, '').toUpperCase();
+  // Validate and normalize code. Codes in other formats are accepted too, since the
+  // server may have changed its format since this one was handed out.
+  const normalizedCode = normalizeP2PCode(code, p2pCaps?.codeFormat);
   if (!isP2PCodeLike(normalizedCode)) {
     throw new DropgateValidationError('Invalid direct transfer code.');
   }
@@ -95,6 +164,8 @@ export async function startP2PReceive(opts: P2PReceiveOptions): Promise<P2PRecei
     iceServers: finalIceServers,
   });
 
+  const transferCrypto = cryptoObj || getDefaultCrypto();
+
   // Create peer (receiver doesn't need a specific ID)
   const peer = new Peer(undefined, peerOpts);
 
@@ -103,11 +174,22 @@ export async function startP2PReceive(opts: P2PReceiveOptions): Promise<P2PRecei
   let total = 0;
   let received = 0;
   let currentSessionId: string | null = null;
+  let manifest: P2PManifestFile[] | null = null;
+  let nextFileIndex = 0;
+  let currentFile: P2PFileEvent | null = null;
+  let fileReceived = 0;
   let lastProgressSentAt = 0;
   const progressIntervalMs = 120;
   let writeQueue = Promise.resolve();
   let watchdogTimer: ReturnType<typeof setTimeout> | null = null;
   let activeConn: DataConnection | null = null;
+  let senderResumable = false;
+  let reconnectDeadline = 0;
+  let reconnectTimer: ReturnType<typeof setTimeout> | null = null;
+  let transferKey: CryptoKey | null = null;
+  let fileHeader: StreamHeader | null = null;
+
+  const canResume = (): boolean => resumable && senderResumable;
 
   // Watchdog - detects dead connections during transfer
   const resetWatchdog = (): void => {
@@ -118,7 +200,9 @@ export async function startP2PReceive(opts: P2PReceiveOptions): Promise<P2PRecei
     }
 
     watchdogTimer = setTimeout(() => {
-      if (state === 'transferring') {
+      if (state === 'transferring' && canResume()) {
+        startReconnect();
+      } else if (state === 'transferring') {
         safeError(new DropgateNetworkError('Connection timed out (no data received).'));
       }
     }, watchdogTimeoutMs);
@@ -147,9 +231,37 @@ export async function startP2PReceive(opts: P2PReceiveOptions): Promise<P2PRecei
     cleanup();
   };
 
+  // Decrypt a chunk at its offset in the current file, which its nonce is bound to
+  const decryptAt = async (data: Uint8Array, offset: number, size: number): Promise<Uint8Array> => {
+    const header = fileHeader;
+    const length = data.byteLength - ENCRYPTION_OVERHEAD_PER_CHUNK;
+    if (!header || !transferKey || length < 0 || offset % header.chunkSize !== 0) {
+      throw new DropgateError('Received a chunk that cannot be decrypted.', { code: 'DECRYPT_FAILED' });
+    }
+    try {
+      return new Uint8Array(await decryptStreamChunk(
+        transferCrypto!,
+        transferKey,
+        header,
+        offset / header.chunkSize,
+        offset + length >= size,
+        data
+      ));
+    } catch (err) {
+      throw new DropgateError('A chunk failed to decrypt. It may have been altered in transit.', {
+        code: 'DECRYPT_FAILED',
+        cause: err,
+      });
+    }
+  };
+
   // Cleanup all resources
   const cleanup = (): void => {
     clearWatchdog();
+    if (reconnectTimer) {
+      clearTimeout(reconnectTimer);
+      reconnectTimer = null;
+    }
 
     // Remove beforeunload listener if in browser
     if (typeof window !== 'undefined') {
@@ -181,7 +293,7 @@ export async function startP2PReceive(opts: P2PReceiveOptions): Promise<P2PRecei
   const stop = (): void => {
     if (state === 'closed' || state === 'cancelled') return;
 
-    const wasActive = state === 'transferring';
+    const wasActive = state === 'transferring' || state === 'reconnecting';
     state = 'cancelled';
 
     // Notify peer before cleanup
@@ -201,21 +313,151 @@ export async function startP2PReceive(opts: P2PReceiveOptions): Promise<P2PRecei
     cleanup();
   };
 
-  peer.on('error', (err: Error) => {
-    safeError(err);
-  });
+  // The connection dropped mid-transfer: reconnect to the same code and ask to resume
+  const startReconnect = (): void => {
+    state = 'reconnecting';
+    clearWatchdog();
+    reconnectDeadline = Date.now() + resumeTimeoutMs;
+    onStatus?.({ phase: 'reconnecting', message: 'Connection lost. Reconnecting...' });
 
-  peer.on('open', () => {
-    state = 'connecting';
+    const dropped = activeConn;
+    activeConn = null;
+    try {
+      dropped?.close();
+    } catch {
+      // Ignore close errors
+    }
+
+    // Resume from the bytes that have been written, not those still in flight
+    writeQueue.then(() => retryReconnect(0));
+  };
+
+  const retryReconnect = (delayMs = RECONNECT_DELAY_MS): void => {
+    if (state !== 'reconnecting' || reconnectTimer) return;
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      if (state !== 'reconnecting') return;
+      if (Date.now() >= reconnectDeadline) {
+        safeError(new DropgateNetworkError('Could not reconnect to the sender.'));
+        return;
+      }
+      connect();
+    }, delayMs);
+  };
+
+  const connect = (): void => {
     const conn = peer.connect(normalizedCode, { reliable: true });
     activeConn = conn;
 
+    // Our key pair and the sender's commitment, while waiting for its public key
+    let keyExchange: {
+      keys: KeyExchangeKeys;
+      commitment: string;
+      evt: { name: string; total: number; files?: P2PManifestFile[] };
+    } | null = null;
+
     conn.on('open', () => {
+      if (state === 'reconnecting') {
+        try {
+          conn.send({
+            t: 'resume',
+            sessionId: currentSessionId,
+            received,
+            files: nextFileIndex,
+            fileOpen: currentFile !== null,
+          });
+        } catch {
+          // Ignore send errors
+        }
+        return;
+      }
       state = 'negotiating';
       onStatus?.({ phase: 'connected', message: 'Waiting for file details...' });
     });
 
+    // Report a failure to the sender, then end the session
+    const reportFailure = (err: unknown): void => {
+      try {
+        conn.send({
+          t: 'error',
+          message: (err as Error)?.message || 'Receiver write failed.',
+        });
+      } catch {
+        // Ignore send errors
+      }
+      safeError(err as Error);
+    };
+
+    // Session ID validation - reject if we're busy with a different session
+    const acceptSession = (sessionId?: string): boolean => {
+      if (currentSessionId && sessionId && sessionId !== currentSessionId) {
+        try {
+          conn.send({ t: 'error', message: 'Busy with another session.' });
+        } catch {
+          // Ignore send errors
+        }
+        return false;
+      }
+
+      // Store the session ID for this transfer
+      if (sessionId) {
+        currentSessionId = sessionId;
+      }
+      return true;
+    };
+
+    // Pass the file details or manifest to onMeta, and start the transfer unless it was rejected
+    const announce = (evt: {
+      name: string;
+      total: number;
+      files?: P2PManifestFile[];
+      authString?: ShortAuthString;
+    }): void => {
+      let rejected = false;
+
+      // Function to send ready signal - called automatically if autoReady is true,
+      // or passed to onMeta callback for manual invocation if autoReady is false
+      const sendReady = (): void => {
+        if (rejected) return;
+        state = 'transferring';
+        // Start watchdog once we're ready to receive data
+        resetWatchdog();
+        try {
+          conn.send({ t: 'ready' });
+        } catch {
+          // Ignore send errors
+        }
+      };
+
+      const reject = (reason?: string): void => {
+        if (state !== 'negotiating') return;
+        rejected = true;
+        state = 'cancelled';
+        try {
+          conn.send({ t: 'cancelled', message: reason || 'Receiver declined the transfer.' });
+        } catch {
+          // Best effort
+        }
+        cleanup();
+      };
+
+      if (autoReady) {
+        onMeta?.({ ...evt, reject });
+        if (rejected) return;
+        onProgress?.({ processedBytes: received, totalBytes: total, percent: 0 });
+        sendReady();
+      } else {
+        // Pass sendReady function to callback so consumer can trigger transfer start
+        onMeta?.({ ...evt, sendReady, reject });
+        if (rejected) return;
+        onProgress?.({ processedBytes: received, totalBytes: total, percent: 0 });
+      }
+    };
+
     conn.on('data', async (data: unknown) => {
+      // Data still arriving on a connection that has been given up on
+      if (conn !== activeConn) return;
+
       try {
         // Reset watchdog on any data received
         resetWatchdog();
@@ -233,54 +475,132 @@ export async function startP2PReceive(opts: P2PReceiveOptions): Promise<P2PRecei
             name?: string;
             size?: number;
             message?: string;
+            files?: unknown;
+            index?: number;
+            resumable?: boolean;
+            keyCommitment?: string;
+            header?: string;
+            publicKey?: string;
           };
 
-          if (msg.t === 'meta') {
-            // Session ID validation - reject if we're busy with a different session
-            if (currentSessionId && msg.sessionId && msg.sessionId !== currentSessionId) {
-              try {
-                conn.send({ t: 'error', message: 'Busy with another session.' });
-              } catch {
-                // Ignore send errors
+          // Start or end of one file of a multi-file transfer, in order with its data
+          if ((msg.t === 'meta' || msg.t === 'end') && manifest && msg.index !== undefined) {
+            const files = manifest;
+            const index = msg.index;
+
+            if (msg.t === 'meta') {
+              if (index !== nextFileIndex || !files[index]) {
+                reportFailure(new DropgateNetworkError('Sender sent the files out of order.'));
+                return;
               }
+              nextFileIndex++;
+              const header = msg.header;
+              writeQueue = writeQueue
+                .then(async () => {
+                  // Each file of an encrypted transfer has its own header
+                  fileHeader = transferKey ? parseStreamHeader(base64ToBytes(String(header))) : null;
+                  currentFile = { index, ...files[index] };
+                  fileReceived = 0;
+                  await onFileStart?.(currentFile);
+                })
+                .catch(reportFailure);
               return;
             }
 
-            // Store the session ID for this transfer
-            if (msg.sessionId) {
-              currentSessionId = msg.sessionId;
-            }
+            writeQueue = writeQueue
+              .then(async () => {
+                const file = currentFile;
+                if (!file || file.index !== index) {
+                  throw new DropgateNetworkError('Sender sent the files out of order.');
+                }
+                if (fileReceived !== file.size) {
+                  throw new DropgateNetworkError(`Transfer of ${file.path} ended before all of it was received.`);
+                }
+                currentFile = null;
+                await onFileEnd?.(file);
+              })
+              .catch(reportFailure);
+            return;
+          }
+
+          if (msg.t === 'meta' || msg.t === 'manifest') {
+            // A broadcast sender offers every new connection the transfer; we are resuming ours
+            if (state === 'reconnecting') return;
+            if (!acceptSession(msg.sessionId)) return;
 
-            const name = String(msg.name || 'file');
-            total = Number(msg.size) || 0;
+            const encrypted = typeof msg.keyCommitment === 'string';
+            let header: StreamHeader | null = null;
+            try {
+              manifest = msg.t === 'manifest' ? parseManifestFiles(msg.files) : null;
+              senderResumable = msg.resumable === true;
+              if (!encrypted && requireEncryption) {
+                throw new DropgateValidationError('The sender did not encrypt this transfer.');
+              }
+              if (encrypted && !transferCrypto?.subtle) {
+                throw new DropgateValidationError('Encrypted transfers need Web Crypto, which is not available here.');
+              }
+              if (encrypted && !manifest) {
+                header = parseStreamHeader(base64ToBytes(String(msg.header)));
+              }
+            } catch (err) {
+              reportFailure(err);
+              return;
+            }
+            nextFileIndex = 0;
+            currentFile = null;
+            total = manifest
+              ? manifest.reduce((sum, f) => sum + f.size, 0)
+              : Number(msg.size) || 0;
             received = 0;
             writeQueue = Promise.resolve();
+            transferKey = null;
+            fileHeader = header;
+
+            const evt = manifest
+              ? { name: manifestName(manifest), total, files: manifest }
+              : { name: String(msg.name || 'file'), total };
+
+            if (encrypted) {
+              // Send our public key; the sender answers with the one it committed to
+              const keys = await generateKeyExchangeKeys(transferCrypto!);
+              keyExchange = { keys, commitment: String(msg.keyCommitment), evt };
+              conn.send({ t: 'key', publicKey: bytesToBase64(keys.publicKey) });
+              return;
+            }
 
-            // Function to send ready signal - called automatically if autoReady is true,
-            // or passed to onMeta callback for manual invocation if autoReady is false
-            const sendReady = (): void => {
-              state = 'transferring';
-              // Start watchdog once we're ready to receive data
-              resetWatchdog();
-              try {
-                conn.send({ t: 'ready' });
-              } catch {
-                // Ignore send errors
+            announce(evt);
+            return;
+          }
+
+          if (msg.t === 'key') {
+            const exchange = keyExchange;
+            keyExchange = null;
+            if (!exchange || state !== 'negotiating') return;
+
+            try {
+              const publicKey = base64ToBytes(String(msg.publicKey));
+              if (await sha256Hex(transferCrypto!, publicKey.slice().buffer) !== exchange.commitment) {
+                throw new DropgateError('The sender\'s key does not match the one it committed to.', {
+                  code: 'KEY_EXCHANGE_FAILED',
+                });
               }
-            };
-
-            if (autoReady) {
-              onMeta?.({ name, total });
-              onProgress?.({ processedBytes: received, totalBytes: total, percent: 0 });
-              sendReady();
-            } else {
-              // Pass sendReady function to callback so consumer can trigger transfer start
-              onMeta?.({ name, total, sendReady });
-              onProgress?.({ processedBytes: received, totalBytes: total, percent: 0 });
+              const secrets = await deriveTransferSecrets(transferCrypto!, exchange.keys, publicKey, false);
+              transferKey = secrets.key;
+              announce({ ...exchange.evt, authString: secrets.authString });
+            } catch (err) {
+              reportFailure(err);
             }
             return;
           }
 
+          if (msg.t === 'resumed') {
+            if (state !== 'reconnecting') return;
+            state = 'transferring';
+            resetWatchdog();
+            onStatus?.({ phase: 'transferring', message: 'Reconnected. Resuming transfer...' });
+            return;
+          }
+
           if (msg.t === 'ping') {
             // Respond to heartbeat - keeps watchdog alive and confirms we're active
             try {
@@ -307,6 +627,16 @@ export async function startP2PReceive(opts: P2PReceiveOptions): Promise<P2PRecei
               throw err;
             }
 
+            if (manifest && (nextFileIndex < manifest.length || currentFile)) {
+              const err = new DropgateNetworkError('Transfer ended before every file was received.');
+              try {
+                conn.send({ t: 'error', message: err.message });
+              } catch {
+                // Ignore send errors
+              }
+              throw err;
+            }
+
             try {
               conn.send({ t: 'ack', phase: 'end', received, total });
             } catch {
@@ -332,7 +662,8 @@ export async function startP2PReceive(opts: P2PReceiveOptions): Promise<P2PRecei
           return;
         }
 
-        // Handle binary data
+        // Handle binary data, which only belongs to a transfer the receiver has accepted
+        if (state !== 'transferring') return;
         let bufPromise: Promise<Uint8Array>;
 
         if (data instanceof ArrayBuffer) {
@@ -349,7 +680,23 @@ export async function startP2PReceive(opts: P2PReceiveOptions): Promise<P2PRecei
 
         writeQueue = writeQueue
           .then(async () => {
-            const buf = await bufPromise;
+            let buf = await bufPromise;
+
+            const file = currentFile;
+            if (manifest && !file) {
+              throw new DropgateNetworkError('Sender sent more data than its file manifest lists.');
+            }
+
+            if (transferKey) {
+              buf = file ? await decryptAt(buf, fileReceived, file.size) : await decryptAt(buf, received, total);
+            }
+
+            if (file) {
+              if (fileReceived + buf.byteLength > file.size) {
+                throw new DropgateNetworkError('Sender sent more data than its file manifest lists.');
+              }
+              fileReceived += buf.byteLength;
+            }
 
             // Call consumer's onData handler
             if (onData) {
@@ -370,17 +717,7 @@ export async function startP2PReceive(opts: P2PReceiveOptions): Promise<P2PRecei
               }
             }
           })
-          .catch((err) => {
-            try {
-              conn.send({
-                t: 'error',
-                message: (err as Error)?.message || 'Receiver write failed.',
-              });
-            } catch {
-              // Ignore send errors
-            }
-            safeError(err as Error);
-          });
+          .catch(reportFailure);
       } catch (err) {
         safeError(err as Error);
       }
@@ -393,6 +730,20 @@ export async function startP2PReceive(opts: P2PReceiveOptions): Promise<P2PRecei
         return;
       }
 
+      // A connection that has already been replaced
+      if (conn !== activeConn) return;
+
+      if (state === 'reconnecting') {
+        // This attempt failed; try again until the deadline
+        retryReconnect();
+        return;
+      }
+
+      if (state === 'transferring' && canResume()) {
+        startReconnect();
+        return;
+      }
+
       // Sender disconnected or cancelled before transfer completed
       if (state === 'transferring') {
         // Connection closed during active transfer — the sender either cancelled
@@ -411,6 +762,20 @@ export async function startP2PReceive(opts: P2PReceiveOptions): Promise<P2PRecei
         safeError(new DropgateNetworkError('Sender disconnected before file details were received.'));
       }
     });
+  };
+
+  peer.on('error', (err: Error) => {
+    // The sender may not be reachable again yet
+    if (state === 'reconnecting') {
+      retryReconnect();
+      return;
+    }
+    safeError(err);
+  });
+
+  peer.on('open', () => {
+    state = 'connecting';
+    connect();
   });
 
   return {
@@ -1,9 +1,43 @@
+import { getDefaultCrypto } from '../adapters/defaults.js';
+import { sha256Hex } from '../crypto/index.js';
+import { deriveTransferSecrets, generateKeyExchangeKeys } from '../crypto/keyexchange.js';
+import type { KeyExchangeKeys } from '../crypto/keyexchange.js';
+import { createStreamHeader, encryptStreamChunk } from '../crypto/stream.js';
 import { DropgateValidationError, DropgateNetworkError } from '../errors.js';
+import { base64ToBytes, bytesToBase64 } from '../utils/base64.js';
 import { sleep } from '../utils/network.js';
-import type { P2PSendOptions, P2PSendSession, P2PSendState, DataConnection } from './types.js';
-import { generateP2PCode } from './utils.js';
+import type {
+  P2PSendOptions,
+  P2PSendSession,
+  P2PSendState,
+  P2PReceiverInfo,
+  DataConnection,
+} from './types.js';
+import { generateP2PCode, normalizeP2PPath } from './utils.js';
 import { buildPeerOptions, createPeerWithRetries, resolvePeerConfig } from './helpers.js';
 
+/** Where to start sending: a file, the offset in it, and whether the receiver has it open. */
+interface ResumePoint {
+  index: number;
+  offset: number;
+  open: boolean;
+}
+
+/** One receiver of the session, with its own connection, progress and key. */
+interface ReceiverTransfer {
+  peerId: string;
+  /** Session ID the receiver was given, which it resumes with. */
+  sessionId: string;
+  /** Current connection, or null while the receiver is reconnecting. */
+  conn: DataConnection | null;
+  state: P2PSendState;
+  sentBytes: number;
+  receivedBytes: number;
+  transferKey: CryptoKey | null;
+  resumeTimer: ReturnType<typeof setTimeout> | null;
+  error?: string;
+}
+
 /**
  * Generate a unique session ID for transfer tracking.
  * Uses crypto.randomUUID if available, falls back to timestamp + random.
@@ -22,6 +56,21 @@ function generateSessionId(): string {
  * IMPORTANT: Consumer must provide the PeerJS Peer constructor.
  * This removes DOM coupling (no script injection).
  *
+ * Pass `files` instead of `file` to send several files, e.g. a folder, in one session.
+ * The receiver is sent a manifest of every path and size before any data.
+ *
+ * With `resumable`, a receiver whose connection drops mid-transfer can reconnect to the
+ * same code and continue from the bytes it already has, for up to `resumeTimeoutMs`.
+ *
+ * With `encrypt`, the metadata exchange also agrees an ECDH key, and every chunk is
+ * encrypted with it in the stream format of uploads. Both sides get the same short
+ * authentication string; `confirmAuthString` holds the data back until the sender's
+ * user has compared it with the receiver's.
+ *
+ * With `broadcast`, the code stays open for any number of receivers, each served on its
+ * own connection with its own flow control, progress and key. `maxReceivers` ends the
+ * session once that many have completed. `getReceivers()` and `kick()` manage them.
+ *
  * Example:
  * ```js
  * import Peer from 'peerjs';
@@ -41,6 +90,7 @@ function generateSessionId(): string {
 export async function startP2PSend(opts: P2PSendOptions): Promise<P2PSendSession> {
   const {
     file,
+    files,
     Peer,
     serverInfo,
     host,
@@ -49,6 +99,7 @@ export async function startP2PSend(opts: P2PSendOptions): Promise<P2PSendSession
     secure = false,
     iceServers,
     codeGenerator,
+    codeFormat,
     cryptoObj,
     maxAttempts = 4,
     chunkSize = 256 * 1024,
@@ -56,6 +107,12 @@ export async function startP2PSend(opts: P2PSendOptions): Promise<P2PSendSession
     bufferHighWaterMark = 8 * 1024 * 1024,
     bufferLowWaterMark = 2 * 1024 * 1024,
     heartbeatIntervalMs = 5000,
+    resumable = false,
+    resumeTimeoutMs = 60000,
+    encrypt = false,
+    confirmAuthString = false,
+    broadcast = false,
+    maxReceivers = 0,
     onCode,
     onStatus,
     onProgress,
@@ -63,13 +120,56 @@ export async function startP2PSend(opts: P2PSendOptions): Promise<P2PSendSession
     onError,
     onDisconnect,
     onCancel,
+    onAuthString,
+    onReceiverUpdate,
   } = opts;
 
   // Validate required options
-  if (!file) {
+  if (files !== undefined && (!Array.isArray(files) || files.length === 0)) {
+    throw new DropgateValidationError('At least one file is required.');
+  }
+  if (!files && !file) {
     throw new DropgateValidationError('File is missing.');
   }
 
+  // A files list is sent as a manifest; a single file keeps the one-meta protocol
+  const isManifest = Boolean(files);
+  const entries = (files || [{ file: file! }]).map((entry) => {
+    if (!entry?.file) {
+      throw new DropgateValidationError('File is missing.');
+    }
+    return { file: entry.file, path: normalizeP2PPath(entry.path || entry.file.name) };
+  });
+
+  if (isManifest) {
+    const seen = new Set<string>();
+    for (const { path } of entries) {
+      if (!path) {
+        throw new DropgateValidationError('Every file needs a relative path.');
+      }
+      if (seen.has(path)) {
+        throw new DropgateValidationError(`Duplicate file path: ${path}`);
+      }
+      seen.add(path);
+    }
+  }
+
+  if (!Number.isInteger(maxReceivers) || maxReceivers < 0) {
+    throw new DropgateValidationError('maxReceivers must be a whole number of at least 0.');
+  }
+
+  const totalSize = entries.reduce((sum, entry) => sum + entry.file.size, 0);
+
+  const transferCrypto = cryptoObj || getDefaultCrypto();
+  if (encrypt && !transferCrypto?.subtle) {
+    throw new DropgateValidationError('Encrypted transfers need Web Crypto, which is not available here.');
+  }
+
+  // One header per file, so no two files share chunk nonces. Kept for resumed transfers.
+  const streamHeaders = encrypt ? entries.map(() => createStreamHeader(transferCrypto!, chunkSize)) : null;
+  const headerField = (index: number): { header?: string } =>
+    streamHeaders ? { header: bytesToBase64(streamHeaders[index].bytes) } : {};
+
   if (!Peer) {
     throw new DropgateValidationError(
       'PeerJS Peer constructor is required. Install peerjs and pass it as the Peer option.'
@@ -98,7 +198,8 @@ export async function startP2PSend(opts: P2PSendOptions): Promise<P2PSendSession
   });
 
   // Create the code generator
-  const finalCodeGenerator = codeGenerator || (() => generateP2PCode(cryptoObj));
+  const finalCodeFormat = codeFormat || p2pCaps?.codeFormat;
+  const finalCodeGenerator = codeGenerator || (() => generateP2PCode(cryptoObj, finalCodeFormat));
 
   // Create peer with retries
   const buildPeer = (id: string) => new Peer(id, peerOpts);
@@ -115,32 +216,123 @@ export async function startP2PSend(opts: P2PSendOptions): Promise<P2PSendSession
 
   // State machine - replaces boolean flags to prevent race conditions
   let state: P2PSendState = 'listening';
-  let activeConn: DataConnection | null = null;
-  let sentBytes = 0;
+  // Every receiver that has connected, in order. A single-receiver session only serves `current`.
+  const receivers: ReceiverTransfer[] = [];
+  let current: ReceiverTransfer | null = null;
+  let completedCount = 0;
   let heartbeatTimer: ReturnType<typeof setInterval> | null = null;
 
-  const reportProgress = (data: { received: number; total: number }): void => {
+  // Per-receiver status only goes to onStatus when there is a single receiver
+  const reportStatus = (evt: { phase: string; message: string }): void => {
+    if (!broadcast) onStatus?.(evt);
+  };
+
+  const toInfo = (rx: ReceiverTransfer): P2PReceiverInfo => ({
+    peerId: rx.peerId,
+    state: rx.state,
+    sentBytes: rx.sentBytes,
+    receivedBytes: rx.receivedBytes,
+    totalBytes: totalSize,
+    ...(rx.error ? { error: rx.error } : {}),
+  });
+
+  // A single receiver's state is also the session's
+  const setReceiverState = (rx: ReceiverTransfer, next: P2PSendState): void => {
+    rx.state = next;
+    if (!broadcast) state = next;
+    onReceiverUpdate?.(toInfo(rx));
+  };
+
+  const isDone = (rx: ReceiverTransfer): boolean =>
+    rx.state === 'completed' || rx.state === 'cancelled' || rx.state === 'closed';
+
+  const reportProgress = (rx: ReceiverTransfer, data: { received: number; total: number }): void => {
     const safeTotal =
-      Number.isFinite(data.total) && data.total > 0 ? data.total : file.size;
+      Number.isFinite(data.total) && data.total > 0 ? data.total : totalSize;
     const safeReceived = Math.min(Number(data.received) || 0, safeTotal || 0);
     const percent = safeTotal ? (safeReceived / safeTotal) * 100 : 0;
-    onProgress?.({ processedBytes: safeReceived, totalBytes: safeTotal, percent });
+    rx.receivedBytes = safeReceived;
+    onProgress?.({
+      processedBytes: safeReceived,
+      totalBytes: safeTotal,
+      percent,
+      ...(broadcast ? { peerId: rx.peerId } : {}),
+    });
   };
 
-  // Safe error handler - prevents calling onError after completion or cancellation
-  const safeError = (err: Error): void => {
-    if (state === 'closed' || state === 'completed' || state === 'cancelled') return;
-    state = 'closed';
-    onError?.(err);
-    cleanup();
+  const clearResumeTimer = (rx: ReceiverTransfer): void => {
+    if (rx.resumeTimer) {
+      clearTimeout(rx.resumeTimer);
+      rx.resumeTimer = null;
+    }
   };
 
-  // Safe complete handler - only fires from finishing state
-  const safeComplete = (): void => {
-    if (state !== 'finishing') return;
-    state = 'completed';
-    onComplete?.();
-    cleanup();
+  // Close a finished receiver's connection, leaving the session to the others
+  const releaseReceiver = (rx: ReceiverTransfer): void => {
+    clearResumeTimer(rx);
+    const conn = rx.conn;
+    rx.conn = null;
+    try {
+      conn?.close();
+    } catch {
+      // Ignore close errors
+    }
+  };
+
+  // Safe error handler - prevents calling onError after completion or cancellation.
+  // A failed receiver ends a single-receiver session, but not a broadcast.
+  const failReceiver = (rx: ReceiverTransfer, err: Error): void => {
+    if (isDone(rx) || isStopped()) return;
+    rx.error = err.message;
+    setReceiverState(rx, 'closed');
+    if (!broadcast) {
+      onError?.(err);
+      cleanup();
+      return;
+    }
+    releaseReceiver(rx);
+  };
+
+  // Safe complete handler - only fires from the receiver's finishing state
+  const completeReceiver = (rx: ReceiverTransfer): void => {
+    if (rx.state !== 'finishing') return;
+    setReceiverState(rx, 'completed');
+    if (!broadcast) {
+      onComplete?.();
+      cleanup();
+      return;
+    }
+    completedCount++;
+    releaseReceiver(rx);
+    if (maxReceivers > 0 && completedCount >= maxReceivers) {
+      state = 'completed';
+      onComplete?.();
+      cleanup();
+    }
+  };
+
+  // The receiver cancelled, or its connection closed mid-transfer
+  const cancelByReceiver = (rx: ReceiverTransfer, message?: string): void => {
+    if (isDone(rx) || isStopped()) return;
+    setReceiverState(rx, 'cancelled');
+    if (!broadcast) {
+      onCancel?.({ cancelledBy: 'receiver', message });
+      cleanup();
+      return;
+    }
+    releaseReceiver(rx);
+  };
+
+  // The receiver left before its transfer started
+  const disconnectReceiver = (rx: ReceiverTransfer): void => {
+    setReceiverState(rx, 'closed');
+    releaseReceiver(rx);
+    if (!broadcast) {
+      // Reset state to allow another receiver to connect
+      current = null;
+      state = 'listening';
+      onDisconnect?.();
+    }
   };
 
   // Cleanup all resources
@@ -156,10 +348,13 @@ export async function startP2PSend(opts: P2PSendOptions): Promise<P2PSendSession
       window.removeEventListener('beforeunload', handleUnload);
     }
 
-    try {
-      activeConn?.close();
-    } catch {
-      // Ignore close errors
+    for (const rx of receivers) {
+      clearResumeTimer(rx);
+      try {
+        rx.conn?.close();
+      } catch {
+        // Ignore close errors
+      }
     }
     try {
       peer.destroy();
@@ -170,10 +365,12 @@ export async function startP2PSend(opts: P2PSendOptions): Promise<P2PSendSession
 
   // Handle browser tab close/refresh
   const handleUnload = (): void => {
-    try {
-      activeConn?.send({ t: 'error', message: 'Sender closed the connection.' });
-    } catch {
-      // Best effort
+    for (const rx of receivers) {
+      try {
+        rx.conn?.send({ t: 'error', message: 'Sender closed the connection.' });
+      } catch {
+        // Best effort
+      }
     }
     stop();
   };
@@ -183,20 +380,27 @@ export async function startP2PSend(opts: P2PSendOptions): Promise<P2PSendSession
     window.addEventListener('beforeunload', handleUnload);
   }
 
+  const isTransferring = (rx: ReceiverTransfer): boolean =>
+    rx.state === 'transferring' || rx.state === 'finishing' || rx.state === 'reconnecting';
+
   const stop = (): void => {
     if (state === 'closed' || state === 'cancelled') return;
 
-    const wasActive = state === 'transferring' || state === 'finishing';
+    const wasActive = broadcast ? receivers.some(isTransferring) : current !== null && isTransferring(current);
     state = 'cancelled';
 
-    // Notify peer before cleanup
-    try {
-      // @ts-expect-error - open property may exist on PeerJS connections
-      if (activeConn && activeConn.open) {
-        activeConn.send({ t: 'cancelled', message: 'Sender cancelled the transfer.' });
+    // Notify peers before cleanup
+    for (const rx of receivers) {
+      if (isDone(rx)) continue;
+      rx.state = 'cancelled';
+      try {
+        // @ts-expect-error - open property may exist on PeerJS connections
+        if (rx.conn && rx.conn.open) {
+          rx.conn.send({ t: 'cancelled', message: 'Sender cancelled the transfer.' });
+        }
+      } catch {
+        // Best effort
       }
-    } catch {
-      // Best effort
     }
 
     if (wasActive && onCancel) {
@@ -206,66 +410,303 @@ export async function startP2PSend(opts: P2PSendOptions): Promise<P2PSendSession
     cleanup();
   };
 
+  // Remove one receiver. In a single-receiver session, this stops a transfer that has
+  // started, or lets another receiver connect if it has not.
+  const kick = (peerId: string): boolean => {
+    const rx = receivers.filter((r) => r.peerId === peerId && !isDone(r)).pop();
+    if (!rx || isStopped()) return false;
+
+    if (!broadcast && isTransferring(rx)) {
+      stop();
+      return true;
+    }
+    try {
+      rx.conn?.send({ t: 'cancelled', message: 'The sender removed you from the transfer.' });
+    } catch {
+      // Best effort
+    }
+    setReceiverState(rx, 'cancelled');
+    releaseReceiver(rx);
+    if (!broadcast) {
+      current = null;
+      state = 'listening';
+    }
+    return true;
+  };
+
   // Helper to check if session is stopped - bypasses TypeScript narrowing
   // which doesn't understand state can change asynchronously
   const isStopped = (): boolean => state === 'closed' || state === 'cancelled';
 
+  // Whether a connection is still the one data should be sent to a receiver over
+  const isSendingOn = (rx: ReceiverTransfer, conn: DataConnection): boolean =>
+    rx.conn === conn && (rx.state === 'transferring' || rx.state === 'finishing');
+
+  // Whether a broadcast may start another transfer without exceeding maxReceivers
+  const hasFreeSlot = (): boolean =>
+    !maxReceivers || completedCount + receivers.filter(isTransferring).length < maxReceivers;
+
+  // Ping every receiver, so their watchdogs keep quiet while data is being sent to others
+  const startHeartbeat = (): void => {
+    if (heartbeatTimer || heartbeatIntervalMs <= 0) return;
+    heartbeatTimer = setInterval(() => {
+      for (const rx of receivers) {
+        // Also while waiting for confirmation
+        if (rx.state === 'negotiating' || rx.state === 'transferring' || rx.state === 'finishing') {
+          try {
+            rx.conn?.send({ t: 'ping' });
+          } catch {
+            // Ignore ping errors
+          }
+        }
+      }
+    }, heartbeatIntervalMs);
+  };
+
+  // The connection dropped mid-transfer: keep the receiver's place for it to resume
+  const waitForResume = (rx: ReceiverTransfer): void => {
+    rx.conn = null;
+    setReceiverState(rx, 'reconnecting');
+    reportStatus({ phase: 'reconnecting', message: 'Connection lost. Waiting for the receiver to reconnect...' });
+    clearResumeTimer(rx);
+    rx.resumeTimer = setTimeout(() => {
+      if (rx.state === 'reconnecting') {
+        failReceiver(rx, new DropgateNetworkError('Receiver did not reconnect in time.'));
+      }
+    }, resumeTimeoutMs);
+  };
+
+  // Work out where to continue from a receiver's resume request
+  const getResumePoint = (msg: { received?: number; files?: number; fileOpen?: boolean }): ResumePoint => {
+    const received = Number(msg.received);
+    if (!Number.isSafeInteger(received) || received < 0 || received > totalSize) {
+      throw new DropgateValidationError('Invalid resume offset.');
+    }
+    if (!isManifest) {
+      if (streamHeaders && received % chunkSize !== 0 && received !== totalSize) {
+        throw new DropgateValidationError('Invalid resume offset.');
+      }
+      return { index: 0, offset: received, open: true };
+    }
+
+    // The receiver reports how many files it has started, and whether the last is still open
+    const started = Number(msg.files);
+    const open = msg.fileOpen === true;
+    const index = open ? started - 1 : started;
+    if (!Number.isInteger(started) || index < 0 || index > entries.length) {
+      throw new DropgateValidationError('Invalid resume offset.');
+    }
+    const offset = received - entries.slice(0, index).reduce((sum, entry) => sum + entry.file.size, 0);
+    const maxOffset = open ? entries[index].file.size : 0;
+    // Encrypted files can only be resumed from a chunk boundary, or their end
+    if (offset < 0 || offset > maxOffset || (streamHeaders && offset % chunkSize !== 0 && offset !== maxOffset)) {
+      throw new DropgateValidationError('Invalid resume offset.');
+    }
+    return { index, offset, open };
+  };
+
+  // Send the files to a receiver from a position, then wait for it to confirm them
+  const sendFrom = async (
+    rx: ReceiverTransfer,
+    conn: DataConnection,
+    ackPromise: Promise<unknown>,
+    from: ResumePoint
+  ): Promise<void> => {
+    const dc = conn._dc;
+
+    if (dc && Number.isFinite(bufferLowWaterMark)) {
+      try {
+        dc.bufferedAmountLowThreshold = bufferLowWaterMark;
+      } catch {
+        // Ignore threshold setting errors
+      }
+    }
+
+    // Send each file in chunks, framed by its own meta and end in a multi-file transfer
+    for (let index = from.index; index < entries.length; index++) {
+      const { file: entryFile, path } = entries[index];
+      const resumingFile = index === from.index;
+
+      if (isManifest && !(resumingFile && from.open)) {
+        conn.send({
+          t: 'meta',
+          index,
+          path,
+          size: entryFile.size,
+          mime: entryFile.type || 'application/octet-stream',
+          ...headerField(index),
+        });
+      }
+
+      for (let offset = resumingFile ? from.offset : 0; offset < entryFile.size; offset += chunkSize) {
+        if (!isSendingOn(rx, conn)) return;
+
+        const slice = entryFile.slice(offset, offset + chunkSize);
+        const plain = await slice.arrayBuffer();
+        const buf = rx.transferKey && streamHeaders
+          ? await (await encryptStreamChunk(
+            transferCrypto!,
+            rx.transferKey,
+            streamHeaders[index],
+            offset / chunkSize,
+            offset + chunkSize >= entryFile.size,
+            plain
+          )).arrayBuffer()
+          : plain;
+        if (!isSendingOn(rx, conn)) return;
+        conn.send(buf);
+        rx.sentBytes += plain.byteLength;
+
+        // Flow control, per receiver, so a slow one does not hold back the others
+        if (dc) {
+          while (dc.bufferedAmount > bufferHighWaterMark) {
+            await new Promise<void>((resolve) => {
+              const fallback = setTimeout(resolve, 60);
+              try {
+                dc.addEventListener(
+                  'bufferedamountlow',
+                  () => {
+                    clearTimeout(fallback);
+                    resolve();
+                  },
+                  { once: true }
+                );
+              } catch {
+                // Fallback only
+              }
+            });
+          }
+        }
+      }
+
+      if (!isSendingOn(rx, conn)) return;
+      if (isManifest) {
+        conn.send({ t: 'end', index });
+      }
+    }
+
+    if (!isSendingOn(rx, conn)) return;
+
+    setReceiverState(rx, 'finishing');
+    conn.send({ t: 'end' });
+
+    // Wait for acknowledgment
+    const ackTimeoutMs = Number.isFinite(endAckTimeoutMs)
+      ? Math.max(endAckTimeoutMs, Math.ceil(totalSize / (1024 * 1024)) * 1000)
+      : null;
+
+    const ackResult = await Promise.race([
+      ackPromise,
+      sleep(ackTimeoutMs || 15000).catch(() => null),
+    ]);
+
+    if (!isSendingOn(rx, conn)) return;
+
+    if (!ackResult || typeof ackResult !== 'object') {
+      throw new DropgateNetworkError('Receiver did not confirm completion.');
+    }
+
+    const ackData = ackResult as { total?: number; received?: number };
+    const ackTotal = Number(ackData.total) || totalSize;
+    const ackReceived = Number(ackData.received) || 0;
+
+    if (ackTotal && ackReceived < ackTotal) {
+      throw new DropgateNetworkError('Receiver reported an incomplete transfer.');
+    }
+
+    reportProgress(rx, { received: ackReceived || ackTotal, total: ackTotal });
+    completeReceiver(rx);
+  };
+
+  // Turn away a connection the session cannot serve
+  const refuse = (conn: DataConnection, message: string): void => {
+    try {
+      conn.send({ t: 'error', message });
+    } catch {
+      // Ignore send errors
+    }
+    try {
+      conn.close();
+    } catch {
+      // Ignore close errors
+    }
+  };
+
   peer.on('connection', (conn: DataConnection) => {
-    if (state === 'closed') return;
+    if (isStopped() || state === 'completed') return;
 
     // Connection replacement logic - allow new connections if old one is dead
-    if (activeConn) {
+    if (!broadcast && current?.conn) {
       // Check if existing connection is actually still open
       // @ts-expect-error - open property may exist on PeerJS connections
-      const isOldConnOpen = activeConn.open !== false;
+      const isOldConnOpen = current.conn.open !== false;
 
-      if (isOldConnOpen && state === 'transferring') {
+      if (isOldConnOpen && current.state === 'transferring') {
         // Actively transferring, reject new connection
-        try {
-          conn.send({ t: 'error', message: 'Transfer already in progress.' });
-        } catch {
-          // Ignore send errors
-        }
-        try {
-          conn.close();
-        } catch {
-          // Ignore close errors
-        }
+        refuse(conn, 'Transfer already in progress.');
         return;
       } else if (!isOldConnOpen) {
         // Old connection is dead, clean it up and accept new one
+        const old = current;
         try {
-          activeConn.close();
+          old.conn?.close();
         } catch {
           // Ignore
         }
-        activeConn = null;
-        // Reset state to allow new transfer
-        state = 'listening';
-        sentBytes = 0;
+        if (resumable && (old.state === 'transferring' || old.state === 'finishing')) {
+          // Its close event has not arrived yet, but this may be the receiver coming back
+          waitForResume(old);
+        } else {
+          old.conn = null;
+          old.state = 'closed';
+          current = null;
+          // Reset state to allow new transfer
+          state = 'listening';
+        }
       } else {
         // Connection exists but not transferring (maybe in negotiating state)
         // Reject to avoid confusion
-        try {
-          conn.send({ t: 'error', message: 'Another receiver is already connected.' });
-        } catch {
-          // Ignore send errors
-        }
-        try {
-          conn.close();
-        } catch {
-          // Ignore close errors
-        }
+        refuse(conn, 'Another receiver is already connected.');
         return;
       }
     }
 
-    activeConn = conn;
-    state = 'negotiating';
-    onStatus?.({ phase: 'waiting', message: 'Connected. Waiting for receiver to accept...' });
+    if (broadcast && !hasFreeSlot() && !receivers.some((r) => r.state === 'reconnecting')) {
+      refuse(conn, 'This transfer has reached its receiver limit.');
+      return;
+    }
+
+    // A reconnecting receiver asks to resume instead of being sent the metadata again.
+    // A broadcast cannot tell until the request arrives, so that receiver ignores the metadata.
+    let resuming = !broadcast && current?.state === 'reconnecting';
+    let rx: ReceiverTransfer;
+    if (resuming) {
+      // The connection only takes the receiver's place once its resume request checks out,
+      // so a peer that merely knows the code cannot block the receiver from coming back
+      rx = current!;
+    } else {
+      rx = {
+        // @ts-expect-error - peer property exists on PeerJS DataConnection
+        peerId: String(conn.peer || `receiver-${receivers.length + 1}`),
+        sessionId: broadcast ? generateSessionId() : sessionId,
+        conn,
+        state: 'negotiating',
+        sentBytes: 0,
+        receivedBytes: 0,
+        transferKey: null,
+        resumeTimer: null,
+      };
+      receivers.push(rx);
+      if (!broadcast) current = rx;
+      setReceiverState(rx, 'negotiating');
+      reportStatus({ phase: 'waiting', message: 'Connected. Waiting for receiver to accept...' });
+    }
 
     let readyResolve: (() => void) | null = null;
     let ackResolve: ((data: unknown) => void) | null = null;
+    let confirmResolve: (() => void) | null = null;
+    let ownKeys: KeyExchangeKeys | null = null;
+    let confirmed = !(encrypt && confirmAuthString);
 
     const readyPromise = new Promise<void>((resolve) => {
       readyResolve = resolve;
@@ -275,6 +716,48 @@ export async function startP2PSend(opts: P2PSendOptions): Promise<P2PSendSession
       ackResolve = resolve;
     });
 
+    const confirmedPromise = new Promise<void>((resolve) => {
+      confirmResolve = resolve;
+    });
+
+    // Errors of a connection that has since been replaced no longer matter
+    const failTransfer = (err: Error): void => {
+      if (rx.conn === conn) failReceiver(rx, err);
+    };
+
+    // The authentication strings differ: end the transfer without sending anything more
+    const rejectTransfer = (reason?: string): void => {
+      if (rx.conn !== conn || isDone(rx) || isStopped()) return;
+      try {
+        conn.send({ t: 'cancelled', message: reason || 'Sender declined the transfer.' });
+      } catch {
+        // Best effort
+      }
+      setReceiverState(rx, 'cancelled');
+      if (broadcast) {
+        releaseReceiver(rx);
+      } else {
+        cleanup();
+      }
+    };
+
+    // Answer the receiver's public key with ours, which the metadata committed to
+    const completeKeyExchange = async (keys: KeyExchangeKeys, peerPublicKey: string): Promise<void> => {
+      const secrets = await deriveTransferSecrets(transferCrypto!, keys, base64ToBytes(peerPublicKey), true);
+      if (rx.conn !== conn || isStopped()) return;
+      rx.transferKey = secrets.key;
+      conn.send({ t: 'key', publicKey: bytesToBase64(keys.publicKey) });
+      onAuthString?.({
+        authString: secrets.authString,
+        confirm: () => {
+          confirmed = true;
+          confirmResolve?.();
+        },
+        reject: rejectTransfer,
+        ...(broadcast ? { peerId: rx.peerId } : {}),
+      });
+    };
+
     conn.on('data', (data: unknown) => {
       if (
         !data ||
@@ -285,17 +768,90 @@ export async function startP2PSend(opts: P2PSendOptions): Promise<P2PSendSession
         return;
       }
 
-      const msg = data as { t?: string; received?: number; total?: number; phase?: string; message?: string };
+      const msg = data as {
+        t?: string;
+        received?: number;
+        total?: number;
+        phase?: string;
+        message?: string;
+        sessionId?: string;
+        files?: number;
+        fileOpen?: boolean;
+        publicKey?: string;
+      };
       if (!msg.t) return;
 
       if (msg.t === 'ready') {
-        onStatus?.({ phase: 'transferring', message: 'Receiver accepted. Starting transfer...' });
+        if (!confirmed) {
+          reportStatus({ phase: 'confirming', message: 'Receiver accepted. Confirm the security code to start...' });
+        }
         readyResolve?.();
         return;
       }
 
+      if (msg.t === 'key') {
+        // Only one key per negotiation, and only after our metadata committed to ours
+        const keys = ownKeys;
+        ownKeys = null;
+        if (!keys || rx.state !== 'negotiating') return;
+        completeKeyExchange(keys, String(msg.publicKey)).catch((err) => {
+          try {
+            conn.send({ t: 'error', message: (err as Error).message });
+          } catch {
+            // Ignore send errors
+          }
+          failTransfer(err as Error);
+        });
+        return;
+      }
+
+      if (msg.t === 'resume') {
+        // A broadcast finds the receiver by the session ID it was given
+        const target = broadcast
+          ? receivers.find((r) => r.state === 'reconnecting' && r.sessionId === msg.sessionId)
+          : rx;
+        if (
+          !resumable ||
+          !target ||
+          target.state !== 'reconnecting' ||
+          msg.sessionId !== target.sessionId
+        ) {
+          refuse(conn, 'This transfer cannot be resumed.');
+          return;
+        }
+
+        let from: ResumePoint;
+        try {
+          from = getResumePoint(msg);
+        } catch (err) {
+          refuse(conn, (err as Error).message);
+          failReceiver(target, err as Error);
+          return;
+        }
+
+        if (broadcast) {
+          // This connection was taken for a new receiver; it belongs to the one resuming
+          receivers.splice(receivers.indexOf(rx), 1);
+          rx = target;
+          resuming = true;
+        }
+        rx.conn = conn;
+
+        clearResumeTimer(rx);
+        rx.sentBytes = Number(msg.received);
+        setReceiverState(rx, 'transferring');
+        reportStatus({ phase: 'transferring', message: 'Receiver reconnected. Resuming transfer...' });
+        try {
+          conn.send({ t: 'resumed', received: rx.sentBytes });
+        } catch {
+          // Ignore send errors
+        }
+        sendFrom(rx, conn, ackPromise, from).catch(failTransfer);
+        return;
+      }
+
       if (msg.t === 'progress') {
-        reportProgress({ received: msg.received || 0, total: msg.total || 0 });
+        reportProgress(rx, { received: msg.received || 0, total: msg.total || 0 });
         return;
       }
 
@@ -310,154 +866,119 @@ export async function startP2PSend(opts: P2PSendOptions): Promise<P2PSendSession
       }
 
       if (msg.t === 'error') {
-        safeError(new DropgateNetworkError(msg.message || 'Receiver reported an error.'));
+        failTransfer(new DropgateNetworkError(msg.message || 'Receiver reported an error.'));
         return;
       }
 
       if (msg.t === 'cancelled') {
-        if (state === 'cancelled' || state === 'closed' || state === 'completed') return;
-        state = 'cancelled';
-        onCancel?.({ cancelledBy: 'receiver', message: msg.message });
-        cleanup();
+        cancelByReceiver(rx, msg.message);
       }
     });
 
     conn.on('open', async () => {
       try {
-        if (isStopped()) return;
+        if (isStopped() || resuming) return;
+
+        // Commit to our public key, which is only revealed once the receiver has sent its own
+        let keyCommitment: string | undefined;
+        if (encrypt) {
+          const keys = await generateKeyExchangeKeys(transferCrypto!);
+          keyCommitment = await sha256Hex(transferCrypto!, keys.publicKey.slice().buffer);
+          if (isStopped() || resuming || rx.conn !== conn) return;
+          ownKeys = keys;
+        }
 
         // Send metadata with sessionId
-        conn.send({
-          t: 'meta',
-          sessionId,
-          name: file.name,
-          size: file.size,
-          mime: file.type || 'application/octet-stream',
-        });
-
-        const total = file.size;
-        const dc = conn._dc;
-
-        if (dc && Number.isFinite(bufferLowWaterMark)) {
-          try {
-            dc.bufferedAmountLowThreshold = bufferLowWaterMark;
-          } catch {
-            // Ignore threshold setting errors
-          }
+        if (isManifest) {
+          conn.send({
+            t: 'manifest',
+            sessionId: rx.sessionId,
+            resumable,
+            keyCommitment,
+            files: entries.map((entry) => ({
+              path: entry.path,
+              size: entry.file.size,
+              mime: entry.file.type || 'application/octet-stream',
+            })),
+          });
+        } else {
+          conn.send({
+            t: 'meta',
+            sessionId: rx.sessionId,
+            resumable,
+            name: entries[0].file.name,
+            size: entries[0].file.size,
+            mime: entries[0].file.type || 'application/octet-stream',
+            keyCommitment,
+            ...headerField(0),
+          });
         }
 
         // Wait for ready signal
         await readyPromise;
-        if (isStopped()) return;
-
-        // Start heartbeat for long transfers
-        if (heartbeatIntervalMs > 0) {
-          heartbeatTimer = setInterval(() => {
-            if (state === 'transferring' || state === 'finishing') {
-              try {
-                conn.send({ t: 'ping' });
-              } catch {
-                // Ignore ping errors
-              }
-            }
-          }, heartbeatIntervalMs);
-        }
+        if (isStopped() || rx.conn !== conn) return;
 
-        state = 'transferring';
-
-        // Send file in chunks
-        for (let offset = 0; offset < total; offset += chunkSize) {
-          if (isStopped()) return;
-
-          const slice = file.slice(offset, offset + chunkSize);
-          const buf = await slice.arrayBuffer();
-          if (isStopped()) return;
-          conn.send(buf);
-          sentBytes += buf.byteLength;
-
-          // Flow control
-          if (dc) {
-            while (dc.bufferedAmount > bufferHighWaterMark) {
-              await new Promise<void>((resolve) => {
-                const fallback = setTimeout(resolve, 60);
-                try {
-                  dc.addEventListener(
-                    'bufferedamountlow',
-                    () => {
-                      clearTimeout(fallback);
-                      resolve();
-                    },
-                    { once: true }
-                  );
-                } catch {
-                  // Fallback only
-                }
-              });
-            }
+        if (encrypt && !rx.transferKey) {
+          try {
+            conn.send({ t: 'error', message: 'The sender only allows encrypted transfers.' });
+          } catch {
+            // Ignore send errors
           }
+          throw new DropgateNetworkError('The receiver does not support encrypted transfers.');
         }
 
-        if (isStopped()) return;
-
-        state = 'finishing';
-        conn.send({ t: 'end' });
-
-        // Wait for acknowledgment
-        const ackTimeoutMs = Number.isFinite(endAckTimeoutMs)
-          ? Math.max(endAckTimeoutMs, Math.ceil(file.size / (1024 * 1024)) * 1000)
-          : null;
-
-        const ackResult = await Promise.race([
-          ackPromise,
-          sleep(ackTimeoutMs || 15000).catch(() => null),
-        ]);
-
-        if (isStopped()) return;
+        // Start heartbeat for long transfers
+        startHeartbeat();
 
-        if (!ackResult || typeof ackResult !== 'object') {
-          throw new DropgateNetworkError('Receiver did not confirm completion.');
+        if (!confirmed) {
+          await confirmedPromise;
+          if (isStopped() || rx.conn !== conn) return;
         }
 
-        const ackData = ackResult as { total?: number; received?: number };
-        const ackTotal = Number(ackData.total) || file.size;
-        const ackReceived = Number(ackData.received) || 0;
-
-        if (ackTotal && ackReceived < ackTotal) {
-          throw new DropgateNetworkError('Receiver reported an incomplete transfer.');
+        if (broadcast && !hasFreeSlot()) {
+          try {
+            conn.send({ t: 'error', message: 'This transfer has reached its receiver limit.' });
+          } catch {
+            // Ignore send errors
+          }
+          throw new DropgateNetworkError('Receiver limit reached.');
         }
 
-        reportProgress({ received: ackReceived || ackTotal, total: ackTotal });
-        safeComplete();
+        reportStatus({ phase: 'transferring', message: 'Receiver accepted. Starting transfer...' });
+        setReceiverState(rx, 'transferring');
+        await sendFrom(rx, conn, ackPromise, { index: 0, offset: 0, open: false });
       } catch (err) {
-        safeError(err as Error);
+        failTransfer(err as Error);
       }
     });
 
     conn.on('error', (err: Error) => {
-      safeError(err);
+      failTransfer(err);
     });
 
     conn.on('close', () => {
-      if (state === 'closed' || state === 'completed' || state === 'cancelled') {
+      if (isStopped() || state === 'completed') {
         // Clean shutdown or already cancelled, ensure full cleanup
         cleanup();
         return;
       }
 
-      if (state === 'transferring' || state === 'finishing') {
+      // A connection that has already been replaced, or a receiver that has finished
+      if (rx.conn !== conn || isDone(rx)) return;
+
+      if (rx.state === 'reconnecting') {
+        // Closed before the receiver asked to resume; keep waiting for another attempt
+        rx.conn = null;
+      } else if ((rx.state === 'transferring' || rx.state === 'finishing') && resumable) {
+        waitForResume(rx);
+      } else if (rx.state === 'transferring' || rx.state === 'finishing') {
         // Connection closed during active transfer — the receiver either cancelled
         // or disconnected. Treat as a receiver-initiated cancellation so the UI
         // can reset cleanly instead of showing a raw error.
-        state = 'cancelled';
-        onCancel?.({ cancelledBy: 'receiver' });
-        cleanup();
+        cancelByReceiver(rx);
       } else {
         // Disconnected before transfer started (during waiting/negotiating phase)
-        // Reset state to allow reconnection
-        activeConn = null;
-        state = 'listening';
-        sentBytes = 0;
-        onDisconnect?.();
+        disconnectReceiver(rx);
       }
     });
   });
@@ -467,12 +988,15 @@ export async function startP2PSend(opts: P2PSendOptions): Promise<P2PSendSession
     code,
     sessionId,
     stop,
+    kick,
     getStatus: () => state,
-    getBytesSent: () => sentBytes,
+    getBytesSent: () =>
+      broadcast ? receivers.reduce((sum, rx) => sum + rx.sentBytes, 0) : current?.sentBytes ?? 0,
     getConnectedPeerId: () => {
-      if (!activeConn) return null;
+      if (!current?.conn) return null;
       // @ts-expect-error - peer property exists on PeerJS DataConnection
-      return activeConn.peer || null;
+      return current.conn.peer || null;
     },
+    getReceivers: () => receivers.map(toInfo),
   };
 }
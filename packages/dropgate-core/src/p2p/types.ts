@@ -1,4 +1,4 @@
-import type { FileSource, ServerInfo, CryptoAdapter, BaseProgressEvent } from '../types.js';
+import type { FileSource, ServerInfo, CryptoAdapter, BaseProgressEvent, ShortAuthString, P2PCodeFormat } from '../types.js';
 
 // ============================================================================
 // Session State Machine Types
@@ -14,6 +14,7 @@ export type P2PSendState =
   | 'negotiating'   // Connected, sending metadata, waiting for ready
   | 'transferring'  // Actively sending file data
   | 'finishing'     // Sent end message, waiting for ack
+  | 'reconnecting'  // Connection dropped, waiting for the receiver to resume (resumable only)
   | 'completed'     // Transfer successful
   | 'cancelled'     // Transfer cancelled by user
   | 'closed';       // Session ended (success, error, or stopped)
@@ -26,6 +27,7 @@ export type P2PReceiveState =
   | 'connecting'    // Connecting to sender
   | 'negotiating'   // Connected, waiting for metadata
   | 'transferring'  // Actively receiving file data
+  | 'reconnecting'  // Connection dropped, reconnecting to resume (resumable only)
   | 'completed'     // Transfer successful
   | 'cancelled'     // Transfer cancelled by user
   | 'closed';       // Session ended (success, error, or stopped)
@@ -140,17 +142,86 @@ export interface P2PStatusEvent {
 }
 
 /** Progress event for P2P send operations. */
-export interface P2PSendProgressEvent extends BaseProgressEvent {}
+export interface P2PSendProgressEvent extends BaseProgressEvent {
+  /** In broadcast mode, the receiver the progress is for. */
+  peerId?: string;
+}
 
 /** Progress event for P2P receive operations. */
 export interface P2PReceiveProgressEvent extends BaseProgressEvent {}
 
-/** Metadata event when receiving a file. */
+/** A file to send in a multi-file transfer. */
+export interface P2PSendFile {
+  /** File to send. */
+  file: FileSource;
+  /** Relative path of the file in the transfer, e.g. "src/index.ts" (default: the file's name). */
+  path?: string;
+}
+
+/** A file listed in the manifest of a multi-file transfer. */
+export interface P2PManifestFile {
+  /** Relative path, with "/" separators and no "." or ".." segments. */
+  path: string;
+  /** Size in bytes. */
+  size: number;
+  /** MIME type. */
+  mime: string;
+}
+
+/** Metadata event when receiving a file, or the manifest of a multi-file transfer. */
 export interface P2PMetadataEvent {
+  /** File name, or for a multi-file transfer the folder shared by all paths (else "files"). */
   name: string;
+  /** Total bytes of the transfer. */
   total: number;
+  /** Files of a multi-file transfer, in the order they will be sent. Absent for single files. */
+  files?: P2PManifestFile[];
+  /**
+   * For an encrypted transfer, the string to compare with the sender's before accepting.
+   * If the strings differ, someone is relaying the connection: reject the transfer.
+   */
+  authString?: ShortAuthString;
   /** Call this to signal the sender to begin transfer (when autoReady is false). */
   sendReady?: () => void;
+  /**
+   * Decline the transfer. The sender is told it was cancelled, and the session closes.
+   * Calling it from onMeta also stops autoReady from starting the transfer.
+   */
+  reject: (reason?: string) => void;
+}
+
+/** Short authentication string of an encrypted transfer, shown to the sender. */
+export interface P2PAuthStringEvent {
+  /** String to compare with the receiver's, e.g. over the phone. */
+  authString: ShortAuthString;
+  /** Allow the transfer to start once the receiver accepts (with `confirmAuthString`). */
+  confirm: () => void;
+  /** End the session because the strings differ. The receiver is told it was cancelled. */
+  reject: (reason?: string) => void;
+  /** In broadcast mode, the receiver the string is for. Rejecting only removes that receiver. */
+  peerId?: string;
+}
+
+/** Status of one receiver of a P2P send session. */
+export interface P2PReceiverInfo {
+  /** PeerJS ID of the receiver, as passed to kick(). */
+  peerId: string;
+  /** One of negotiating, transferring, finishing, reconnecting, completed, cancelled or closed. */
+  state: P2PSendState;
+  /** Bytes sent to the receiver. */
+  sentBytes: number;
+  /** Bytes the receiver has reported receiving. */
+  receivedBytes: number;
+  /** Total bytes of the transfer. */
+  totalBytes: number;
+  /** Why the receiver's transfer failed, if it did. */
+  error?: string;
+}
+
+/** Start or end of one file in a multi-file transfer. */
+export interface P2PFileEvent extends P2PManifestFile {
+  /** Position of the file in the manifest. */
+  index: number;
 }
 
 /** Completion event for P2P receive operations. */
@@ -175,14 +246,21 @@ export interface P2PCancellationEvent {
  * Options for starting a P2P send session.
  */
 export interface P2PSendOptions extends P2PServerConfig {
-  /** File to send. */
-  file: FileSource;
+  /** File to send. Ignored when `files` is given. */
+  file?: FileSource;
+  /**
+   * Files to send together, e.g. the contents of a folder. The receiver gets a manifest
+   * it can accept or reject as a whole, then each file framed by its own meta and end.
+   */
+  files?: P2PSendFile[];
   /** PeerJS Peer constructor - REQUIRED. */
   Peer: PeerConstructor;
   /** Server info (optional, for capability checking). */
   serverInfo?: ServerInfo;
   /** Custom code generator function. */
   codeGenerator?: (cryptoObj?: CryptoAdapter) => string;
+  /** Format of the generated code. Defaults to the format in serverInfo, then classic codes. */
+  codeFormat?: P2PCodeFormat;
   /** Crypto object for secure code generation. */
   cryptoObj?: CryptoAdapter;
   /** Max attempts to register a peer ID. */
@@ -197,6 +275,34 @@ export interface P2PSendOptions extends P2PServerConfig {
   bufferLowWaterMark?: number;
   /** Heartbeat interval in ms for long transfers (default: 5000, 0 to disable). */
   heartbeatIntervalMs?: number;
+  /**
+   * Let a receiver whose connection drops mid-transfer reconnect to the same code and
+   * continue where it stopped. Default: false.
+   */
+  resumable?: boolean;
+  /** How long to wait for the receiver to reconnect, in ms (default: 60000). */
+  resumeTimeoutMs?: number;
+  /**
+   * Agree a key with the receiver over the data channel and encrypt every chunk with it.
+   * File names and sizes are not encrypted. Default: false.
+   */
+  encrypt?: boolean;
+  /**
+   * Keep the code open for several receivers, each served on its own connection, e.g. to
+   * hand a build to everyone in a room. A failed receiver does not end the session.
+   * Default: false.
+   */
+  broadcast?: boolean;
+  /**
+   * In broadcast mode, end the session once this many receivers have completed. While this
+   * many are completed or in progress, further receivers are turned away. Default: 0 (no limit).
+   */
+  maxReceivers?: number;
+  /**
+   * With `encrypt`, hold the data back until `confirm` of onAuthString is called, so
+   * nothing is sent before the sender has compared the strings. Default: false.
+   */
+  confirmAuthString?: boolean;
   /** Callback when code is generated. */
   onCode?: (code: string, attempt: number) => void;
   /** Callback for status updates. */
@@ -211,6 +317,10 @@ export interface P2PSendOptions extends P2PServerConfig {
   onDisconnect?: () => void;
   /** Callback when transfer is cancelled by either party. */
   onCancel?: (evt: P2PCancellationEvent) => void;
+  /** Callback with the short authentication string of an encrypted transfer. */
+  onAuthString?: (evt: P2PAuthStringEvent) => void;
+  /** Callback when a receiver connects or its state changes. */
+  onReceiverUpdate?: (receiver: P2PReceiverInfo) => void;
 }
 
 /**
@@ -225,12 +335,20 @@ export interface P2PSendSession {
   sessionId: string;
   /** Stop the session and clean up resources. */
   stop: () => void;
+  /**
+   * Remove a receiver, which is told it was cancelled. Without broadcast, this stops a
+   * transfer that has started, or lets another receiver connect. Returns false if no
+   * such receiver is connected.
+   */
+  kick: (peerId: string) => boolean;
   /** Get the current session state. */
   getStatus: () => P2PSendState;
-  /** Get the number of bytes sent so far. */
+  /** Get the number of bytes sent so far, to all receivers. */
   getBytesSent: () => number;
-  /** Get the connected receiver's peer ID (if connected). */
+  /** Get the connected receiver's peer ID (if connected). Always null in broadcast mode. */
   getConnectedPeerId: () => string | null;
+  /** Get every receiver that has connected, in order. */
+  getReceivers: () => P2PReceiverInfo[];
 }
 
 // ============================================================================
@@ -241,7 +359,7 @@ export interface P2PSendSession {
  * Options for starting a P2P receive session.
  */
 export interface P2PReceiveOptions extends P2PServerConfig {
-  /** Sharing code to connect to. */
+  /** Sharing code to connect to, as typed. Normalised with the code format in serverInfo. */
   code: string;
   /** PeerJS Peer constructor - REQUIRED. */
   Peer: PeerConstructor;
@@ -259,6 +377,17 @@ export interface P2PReceiveOptions extends P2PServerConfig {
    * Default: 15000 (15 seconds). Set to 0 to disable.
    */
   watchdogTimeoutMs?: number;
+  /**
+   * Reconnect and continue from the bytes already received when the connection drops
+   * mid-transfer. Only used if the sender is resumable too. Default: false.
+   */
+  resumable?: boolean;
+  /** How long to keep trying to reconnect, in ms (default: 60000). */
+  resumeTimeoutMs?: number;
+  /** Refuse transfers the sender does not encrypt. Default: false. */
+  requireEncryption?: boolean;
+  /** Crypto object for encrypted transfers (default: globalThis.crypto). */
+  cryptoObj?: CryptoAdapter;
   /** Callback for status updates. */
   onStatus?: (evt: P2PStatusEvent) => void;
   /**
@@ -267,6 +396,10 @@ export interface P2PReceiveOptions extends P2PServerConfig {
    * that must be called to signal the sender to begin the transfer.
    */
   onMeta?: (evt: P2PMetadataEvent) => void;
+  /** Callback when a file of a multi-file transfer starts. Its data follows through onData. */
+  onFileStart?: (evt: P2PFileEvent) => Promise<void> | void;
+  /** Callback when all data of a file of a multi-file transfer has been passed to onData. */
+  onFileEnd?: (evt: P2PFileEvent) => Promise<void> | void;
   /** Callback when data chunk is received - consumer handles file writing. */
   onData?: (chunk: Uint8Array) => Promise<void> | void;
   /** Callback for progress updates. */
@@ -1,5 +1,6 @@
-import type { CryptoAdapter } from '../types.js';
+import type { CryptoAdapter, P2PCodeFormat } from '../types.js';
 import { getDefaultCrypto } from '../adapters/defaults.js';
+import { P2P_CODE_WORDS } from './wordlist.js';
 
 /**
  * Check if a hostname is localhost
@@ -19,46 +20,134 @@ export function isSecureContextForP2P(
   return Boolean(isSecureContext) || isLocalhostHostname(hostname || '');
 }
 
+const CLASSIC_LETTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ'; // Excluded I and O to avoid confusion
+const ALPHANUMERIC_SYMBOLS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // 32 symbols, so one byte picks one without bias
+const CLASSIC_PATTERN = /^[A-Z]{4}-\d{4}$/;
+const ALPHANUMERIC_PATTERN = /^[A-HJ-NP-Z2-9]{4}(?:-[A-HJ-NP-Z2-9]{4})*(?:-[A-HJ-NP-Z2-9]{1,3})?$/;
+const WORDS_PATTERN = /^[a-z]+(?:-[a-z]+)*$/;
+
+/** Allowed and default lengths, in characters or words, of the longer code formats. */
+export const P2P_CODE_LENGTHS = {
+  alphanumeric: { min: 8, max: 32, default: 12 },
+  words: { min: 3, max: 12, default: 5 },
+} as const;
+
 /**
- * Generate a P2P sharing code using cryptographically secure random.
- * Format: XXXX-0000 (4 letters + 4 digits)
+ * Length of codes of the given format, clamped to what the format allows.
  */
-export function generateP2PCode(cryptoObj?: CryptoAdapter): string {
-  const crypto = cryptoObj || getDefaultCrypto();
-  const letters = 'ABCDEFGHJKLMNPQRSTUVWXYZ'; // Excluded I and O to avoid confusion
+function resolveCodeLength(type: 'alphanumeric' | 'words', length?: number): number {
+  const bounds = P2P_CODE_LENGTHS[type];
+  if (!Number.isInteger(length)) return bounds.default;
+  return Math.min(bounds.max, Math.max(bounds.min, length!));
+}
 
+function randomBytes(count: number, cryptoObj?: CryptoAdapter): Uint8Array {
+  const crypto = cryptoObj || getDefaultCrypto();
+  const bytes = new Uint8Array(count);
   if (crypto) {
-    const randomBytes = new Uint8Array(8);
-    crypto.getRandomValues(randomBytes);
+    crypto.getRandomValues(bytes);
+  } else {
+    // Fallback to Math.random (less secure, but works everywhere)
+    for (let i = 0; i < count; i++) bytes[i] = Math.floor(Math.random() * 256);
+  }
+  return bytes;
+}
 
-    let letterPart = '';
-    for (let i = 0; i < 4; i++) {
-      letterPart += letters[randomBytes[i] % letters.length];
-    }
+function groupInFours(chars: string): string {
+  return (chars.match(/.{1,4}/g) || []).join('-');
+}
 
-    let numberPart = '';
-    for (let i = 4; i < 8; i++) {
-      numberPart += (randomBytes[i] % 10).toString();
-    }
+/**
+ * Generate a P2P sharing code using cryptographically secure random.
+ * Format: XXXX-0000 (4 letters + 4 digits) unless another format is given,
+ * usually the one advertised in the server's P2P capabilities.
+ */
+export function generateP2PCode(cryptoObj?: CryptoAdapter, format?: P2PCodeFormat): string {
+  const type = format?.type || 'classic';
 
-    return `${letterPart}-${numberPart}`;
+  if (type === 'alphanumeric') {
+    const bytes = randomBytes(resolveCodeLength(type, format?.length), cryptoObj);
+    return groupInFours(Array.from(bytes, (b) => ALPHANUMERIC_SYMBOLS[b % ALPHANUMERIC_SYMBOLS.length]).join(''));
   }
 
-  // Fallback to Math.random (less secure, but works everywhere)
-  let a = '';
-  for (let i = 0; i < 4; i++) {
-    a += letters[Math.floor(Math.random() * letters.length)];
+  if (type === 'words') {
+    const bytes = randomBytes(resolveCodeLength(type, format?.length), cryptoObj);
+    return Array.from(bytes, (b) => P2P_CODE_WORDS[b]).join('-');
   }
-  let b = '';
+
+  const bytes = randomBytes(8, cryptoObj);
+  let letterPart = '';
   for (let i = 0; i < 4; i++) {
-    b += Math.floor(Math.random() * 10);
+    letterPart += CLASSIC_LETTERS[bytes[i] % CLASSIC_LETTERS.length];
+  }
+  let numberPart = '';
+  for (let i = 4; i < 8; i++) {
+    numberPart += (bytes[i] % 10).toString();
+  }
+  return `${letterPart}-${numberPart}`;
+}
+
+/**
+ * Bring a typed or pasted sharing code into its canonical form. Groups may be separated
+ * by spaces, dots, underscores or hyphens; letter codes come back upper case in groups of
+ * 4, word codes lower case. Classic codes are recognised whatever the format, and so are
+ * codes of the other formats, such as ones handed out before a server changed its format
+ * or length.
+ * @param code - Code as entered.
+ * @param format - Format the code is expected in. Guessed from the code when absent, or when
+ * the code is not valid in this format.
+ * @returns The canonical code. Check it with isP2PCodeLike().
+ */
+export function normalizeP2PCode(code: string, format?: P2PCodeFormat): string {
+  const parts = String(code || '').trim().split(/[\s._-]+/).filter(Boolean);
+  const compact = parts.join('').toUpperCase();
+  if (/^[A-Z]{4}\d{4}$/.test(compact)) {
+    return `${compact.slice(0, 4)}-${compact.slice(4)}`;
+  }
+
+  const inFormat = (type: P2PCodeFormat['type']): string =>
+    type === 'words' ? parts.join('-').toLowerCase() : groupInFours(compact);
+  if (format?.type) {
+    const expected = inFormat(format.type);
+    if (isP2PCodeLike(expected, format)) return expected;
+  }
+  const isWords = parts.length > 1 && parts.every((part) => P2P_CODE_WORDS.includes(part.toLowerCase()));
+  return inFormat(isWords ? 'words' : 'alphanumeric');
+}
+
+/**
+ * Check if a string looks like a canonical P2P sharing code. Classic codes are always
+ * accepted, so codes handed out before a server changed its format keep working.
+ * @param code - Code to check, normalised with normalizeP2PCode().
+ * @param format - Only accept this format (and classic codes). Any known format when absent.
+ */
+export function isP2PCodeLike(code: string, format?: P2PCodeFormat): boolean {
+  const value = String(code || '').trim();
+  if (CLASSIC_PATTERN.test(value)) return true;
+
+  const type = format?.type;
+  if ((!type || type === 'alphanumeric') && ALPHANUMERIC_PATTERN.test(value)) {
+    const length = value.replace(/-/g, '').length;
+    const bounds = P2P_CODE_LENGTHS.alphanumeric;
+    return type ? length === resolveCodeLength(type, format?.length) : length >= bounds.min && length <= bounds.max;
+  }
+  if ((!type || type === 'words') && WORDS_PATTERN.test(value)) {
+    const length = value.split('-').length;
+    const bounds = P2P_CODE_LENGTHS.words;
+    return type ? length === resolveCodeLength(type, format?.length) : length >= bounds.min && length <= bounds.max;
   }
-  return `${a}-${b}`;
+  return false;
 }
 
 /**
- * Check if a string looks like a P2P sharing code
+ * Normalise a relative path of a multi-file transfer: forward slashes only, no absolute
+ * paths and no "." or ".." segments, so receivers cannot be made to write outside their folder.
+ * Returns an empty string if nothing is left.
  */
-export function isP2PCodeLike(code: string): boolean {
-  return /^[A-Z]{4}-\d{4}$/.test(String(code || '').trim());
+export function normalizeP2PPath(path: string): string {
+  return String(path || '')
+    .replace(/\\/g, '/')
+    .split('/')
+    .filter((part) => part && part !== '.' && part !== '..')
+    .join('/');
 }
@@ -0,0 +1,33 @@
+/**
+ * Words of the `words` sharing code format. There are exactly 256 of them, so one random
+ * byte picks a word without bias and each word adds 8 bits to the code. They are short,
+ * common, and use only the letters a-z.
+ */
+export const P2P_CODE_WORDS: readonly string[] = [
+  'acorn', 'actor', 'adobe', 'agent', 'album', 'alpha', 'amber', 'anchor', 'angle', 'apple',
+  'apron', 'arena', 'arrow', 'aspen', 'atlas', 'attic', 'autumn', 'badge', 'bagel', 'baker',
+  'bamboo', 'banjo', 'barley', 'basil', 'basin', 'beach', 'beacon', 'beaver', 'berry', 'bison',
+  'blade', 'blanket', 'blossom', 'bonnet', 'border', 'bottle', 'branch', 'bread', 'breeze', 'brick',
+  'bridge', 'bronze', 'brook', 'bucket', 'buffalo', 'bugle', 'bundle', 'butter', 'cabin', 'cactus',
+  'camel', 'canal', 'candle', 'canoe', 'canyon', 'carbon', 'carpet', 'castle', 'cedar', 'cello',
+  'chalk', 'cherry', 'chess', 'chimney', 'cider', 'circle', 'citrus', 'clover', 'cobalt', 'cocoa',
+  'comet', 'copper', 'coral', 'cotton', 'cougar', 'crane', 'crater', 'crayon', 'cricket', 'crown',
+  'cup', 'daisy', 'dancer', 'delta', 'denim', 'desert', 'diamond', 'dingo', 'dolphin', 'donkey',
+  'dragon', 'dream', 'drum', 'eagle', 'easel', 'echo', 'ember', 'engine', 'falcon', 'feather',
+  'fern', 'ferry', 'fiddle', 'finch', 'flame', 'flute', 'forest', 'fossil', 'fountain', 'fox',
+  'galaxy', 'garden', 'garlic', 'gecko', 'geyser', 'ginger', 'giraffe', 'glacier', 'globe', 'goose',
+  'granite', 'grape', 'gravel', 'guitar', 'hammer', 'harbor', 'harp', 'hazel', 'heron', 'hickory',
+  'honey', 'horizon', 'hornet', 'iceberg', 'igloo', 'indigo', 'iris', 'island', 'ivory', 'jacket',
+  'jaguar', 'jasmine', 'jelly', 'jewel', 'jungle', 'kayak', 'kettle', 'kiwi', 'koala', 'ladder',
+  'lagoon', 'lantern', 'lemon', 'lentil', 'library', 'lily', 'lime', 'linen', 'lion', 'lizard',
+  'lobster', 'locket', 'lotus', 'lunar', 'magnet', 'mango', 'maple', 'marble', 'meadow', 'melon',
+  'meteor', 'mint', 'mirror', 'mitten', 'moose', 'mosaic', 'mountain', 'muffin', 'nectar', 'needle',
+  'nickel', 'noodle', 'nutmeg', 'oasis', 'ocean', 'olive', 'onion', 'orbit', 'orchid', 'otter',
+  'owl', 'paddle', 'panda', 'paper', 'parrot', 'peach', 'pebble', 'pepper', 'piano', 'pillow',
+  'pine', 'planet', 'plum', 'pocket', 'pony', 'poppy', 'prairie', 'puzzle', 'quartz', 'quill',
+  'rabbit', 'radar', 'radish', 'raven', 'reef', 'ribbon', 'river', 'robin', 'rocket', 'saddle',
+  'salmon', 'sapphire', 'scarf', 'shell', 'silver', 'sketch', 'sparrow', 'spider', 'spruce', 'squash',
+  'stable', 'star', 'stone', 'sugar', 'summit', 'sunset', 'swan', 'tablet', 'tiger', 'timber',
+  'toast', 'tomato', 'topaz', 'tulip', 'tundra', 'turtle', 'velvet', 'violet', 'walnut', 'walrus',
+  'willow', 'window', 'winter', 'yacht', 'yogurt', 'zebra',
+];
@@ -12,6 +12,45 @@ export interface UploadCapabilities {
   maxFileDownloads?: number;
   /** Whether end-to-end encryption is supported. */
   e2ee?: boolean;
+  /** Encryption formats the server can store. Servers without it only store version 1. */
+  encryptionVersions?: number[];
+  /** Whether encrypted uploads can store encrypted file details (MIME type, message, ...). */
+  encryptedMetadata?: boolean;
+  /** Whether interrupted uploads can be resumed via /upload/status. */
+  resumable?: boolean;
+  /** How long an idle upload session is kept before the server discards it. */
+  sessionTimeoutMs?: number;
+  /** Chunk sizes in bytes the server accepts. Servers without it only accept the default chunk size. */
+  chunkSize?: {
+    /** Smallest allowed chunk size. */
+    min: number;
+    /** Largest allowed chunk size. */
+    max: number;
+  };
+  /** Whether encrypted uploads can be locked with a passphrase instead of a key in the link. */
+  passphrase?: boolean;
+  /** Whether uploads need an API key. */
+  authRequired?: boolean;
+  /** Whether the API key sent with the info request was accepted (only set when one was sent). */
+  authenticated?: boolean;
+  /** Whether uploads can register their own webhook. */
+  webhooks?: boolean;
+  /** Virus scanning policy for uploads. */
+  virusScan?: {
+    /** Whether unencrypted uploads are scanned before they can be downloaded. */
+    enabled: boolean;
+    /** What happens to infected files (only when enabled). */
+    onInfected?: 'delete' | 'quarantine';
+    /** Whether encrypted uploads skip the scan, since the server cannot read them. */
+    encryptedExempt?: boolean;
+  };
+  /** Storage quota of the API key sent with the info request, if it has one. */
+  storageQuota?: {
+    /** Quota in gigabytes. */
+    maxStorageGB: number;
+    /** Bytes currently stored with the key. */
+    usedBytes: number;
+  };
 }
 
 /**
@@ -24,6 +63,22 @@ export interface P2PCapabilities {
   peerjsPath?: string;
   /** ICE servers for WebRTC connectivity. */
   iceServers?: RTCIceServer[];
+  /** Format of the sharing codes senders should generate. Classic codes when absent. */
+  codeFormat?: P2PCodeFormat;
+}
+
+/**
+ * Format of P2P sharing codes.
+ * - `classic`: `ABCD-1234`, 4 letters and 4 digits.
+ * - `alphanumeric`: `length` characters from a 32 symbol alphabet without I, O, 0 and 1,
+ *   in groups of 4, e.g. `K7QM-R2XD-9HNP`.
+ * - `words`: `length` lowercase words joined by hyphens, e.g. `apple-river-comet-tiger`.
+ */
+export interface P2PCodeFormat {
+  /** Kind of code. */
+  type: 'classic' | 'alphanumeric' | 'words';
+  /** Characters (`alphanumeric`) or words (`words`) per code. Ignored for `classic`. */
+  length?: number;
 }
 
 /**
@@ -76,20 +131,24 @@ export interface BaseProgressEvent {
  */
 export interface UploadProgressEvent extends BaseProgressEvent {
   /** Current phase of the operation. */
-  phase: 'server-info' | 'server-compat' | 'crypto' | 'init' | 'chunk' | 'complete' | 'done' | 'retry-wait' | 'retry';
+  phase: 'server-info' | 'server-compat' | 'crypto' | 'init' | 'resume' | 'chunk' | 'complete' | 'done' | 'retry-wait' | 'retry';
   /** Human-readable status text. */
   text?: string;
   /** Current chunk index (0-based). */
   chunkIndex?: number;
   /** Total number of chunks. */
   totalChunks?: number;
+  /** Index of the file being uploaded (0-based, bundle uploads only). */
+  fileIndex?: number;
+  /** Total number of files (bundle uploads only). */
+  totalFiles?: number;
 }
 
 /**
  * Result of a successful file upload.
  */
 export interface UploadResult {
-  /** Full download URL including encryption key fragment if encrypted. */
+  /** Full download URL including encryption key fragment if encrypted (no fragment if passphrase-protected). */
   downloadUrl: string;
   /** Unique file identifier on the server. */
   fileId: string;
@@ -97,17 +156,37 @@ export interface UploadResult {
   uploadId: string;
   /** Server base URL used for the upload. */
   baseUrl: string;
-  /** Base64-encoded encryption key (only present if encrypted). */
+  /** Base64-encoded encryption key (only present if encrypted without a passphrase). */
   keyB64?: string;
+  /** Secret token for deleting or updating the upload later. Keep it private. */
+  ownerToken?: string;
+}
+
+/**
+ * Result of a successful multi-file bundle upload.
+ */
+export interface BundleUploadResult {
+  /** Full download URL for the bundle, including encryption key fragment if encrypted (no fragment if passphrase-protected). */
+  downloadUrl: string;
+  /** Share identifier of the bundle on the server. */
+  bundleId: string;
+  /** Server base URL used for the upload. */
+  baseUrl: string;
+  /** The uploaded files, in upload order. */
+  files: Array<{ fileId: string; name: string }>;
+  /** Base64-encoded encryption key shared by all files (only present if encrypted without a passphrase). */
+  keyB64?: string;
+  /** Secret token for deleting or updating the bundle later. Keep it private. */
+  ownerToken?: string;
 }
 
 /**
  * Upload session with cancellation support.
- * Returned by uploadFile() to allow cancelling uploads in progress.
+ * Returned by uploadFile() and uploadFiles() to allow cancelling uploads in progress.
  */
-export interface UploadSession {
+export interface UploadSession<T = UploadResult> {
   /** Promise that resolves with upload result when complete. */
-  result: Promise<UploadResult>;
+  result: Promise<T>;
   /** Cancel the upload. */
   cancel: (reason?: string) => void;
   /** Get current upload status. */
@@ -186,6 +265,8 @@ export interface FileSource {
   readonly size: number;
   /** MIME type of the file. */
   readonly type?: string;
+  /** Last modified timestamp in milliseconds (used to recognise a file when resuming). */
+  readonly lastModified?: number;
   /** Extract a slice of the file. */
   slice(start: number, end: number): FileSource;
   /** Read the entire file as an ArrayBuffer. */
@@ -210,7 +291,7 @@ export type LoggerFn = (
 export interface DropgateClientOptions {
   /** Client version string for compatibility checking with the server. */
   clientVersion: string;
-  /** Upload chunk size in bytes (default: 5MB). */
+  /** Preferred upload chunk size in bytes (default: 5MB). Clamped to the sizes the server accepts. */
   chunkSize?: number;
   /** Custom fetch implementation (uses global fetch by default). */
   fetchFn?: FetchFn;
@@ -220,6 +301,8 @@ export interface DropgateClientOptions {
   base64?: Base64Adapter;
   /** Custom logger function for debug output. */
   logger?: LoggerFn;
+  /** API key for servers that require authenticated uploads. */
+  apiKey?: string;
 }
 
 /**
@@ -234,6 +317,28 @@ export interface ServerTarget {
   secure?: boolean;
 }
 
+/**
+ * Retry settings with exponential backoff.
+ */
+export interface RetryOptions {
+  /** Maximum number of retries (default: 5). */
+  retries?: number;
+  /** Initial backoff delay in milliseconds (default: 1000ms). */
+  backoffMs?: number;
+  /** Maximum backoff delay in milliseconds (default: 30000ms). */
+  maxBackoffMs?: number;
+}
+
+/**
+ * Webhook registered with an upload.
+ */
+export interface UploadWebhook {
+  /** HTTPS URL the server POSTs events to. */
+  url: string;
+  /** Secret (16-256 characters) the server signs each event with, using HMAC-SHA256. */
+  secret: string;
+}
+
 /**
  * Options for uploading a file to the server.
  */
@@ -252,8 +357,36 @@ export interface UploadOptions extends ServerTarget {
   onCancel?: () => void;
   /** Max downloads before file is deleted (0 = unlimited). */
   maxDownloads?: number;
+  /**
+   * Lock the share with a passphrase. The encryption key is wrapped with a key derived
+   * from the passphrase and kept on the server, so the link carries no key fragment.
+   * Requires encryption.
+   */
+  passphrase?: string;
+  /**
+   * Webhook the server notifies when the upload completes, is downloaded, expires or is
+   * deleted. Requires a server that accepts upload webhooks.
+   */
+  webhook?: UploadWebhook;
+  /**
+   * Message for the recipients, stored encrypted with the file (up to 1000 characters).
+   * Requires encryption.
+   */
+  message?: string;
+  /**
+   * Image data URL (PNG, JPEG, GIF or WebP, up to 48 KiB) shown to recipients as a
+   * preview, stored encrypted with the file. Requires encryption.
+   */
+  thumbnail?: string;
   /** AbortSignal to cancel the upload. */
   signal?: AbortSignal;
+  /**
+   * Store used to persist the upload session so it can be continued with
+   * resumeUpload() if the client is interrupted. Omit to disable resuming.
+   */
+  stateStore?: UploadStateStore;
+  /** Key to persist the upload state under (default: getUploadStateKey(file)). */
+  stateKey?: string;
   /** Timeout settings for various upload phases. */
   timeouts?: {
     /** Timeout for fetching server info (default: 5000ms). */
@@ -264,16 +397,105 @@ export interface UploadOptions extends ServerTarget {
     chunkMs?: number;
     /** Timeout for upload completion (default: 30000ms). */
     completeMs?: number;
+    /** Timeout for querying upload status when resuming (default: 15000ms). */
+    statusMs?: number;
   };
   /** Retry settings for failed chunk uploads. */
-  retry?: {
-    /** Maximum number of retries per chunk (default: 5). */
-    retries?: number;
-    /** Initial backoff delay in milliseconds (default: 1000ms). */
-    backoffMs?: number;
-    /** Maximum backoff delay in milliseconds (default: 30000ms). */
-    maxBackoffMs?: number;
-  };
+  retry?: RetryOptions;
+  /**
+   * Number of chunks uploaded at the same time (default: 1, at most MAX_UPLOAD_CONCURRENCY = 8;
+   * higher values are lowered to it). Helps on high-latency links; each chunk in flight is
+   * held in memory.
+   */
+  concurrency?: number;
+}
+
+/**
+ * Options for uploading several files as one bundle behind a single share link.
+ */
+export interface UploadFilesOptions extends Omit<UploadOptions, 'file' | 'filenameOverride' | 'stateStore' | 'stateKey' | 'message' | 'thumbnail'> {
+  /** Files to upload. */
+  files: FileSource[];
+}
+
+/**
+ * Upload state persisted by an UploadStateStore so an interrupted upload
+ * can be resumed after the client restarts.
+ */
+export interface PersistedUploadState {
+  /** Format version of this record. */
+  version: 1;
+  /** Upload session identifier issued by /upload/init. */
+  uploadId: string;
+  /** Server base URL the session belongs to. */
+  baseUrl: string;
+  /** Name of the source file. */
+  fileName: string;
+  /** Size of the source file in bytes. */
+  fileSize: number;
+  /** Last modified timestamp of the source file, if known. */
+  fileLastModified?: number;
+  /** Chunk size the upload was started with. */
+  chunkSize: number;
+  /** Total number of chunks in the upload. */
+  totalChunks: number;
+  /** Whether the upload is end-to-end encrypted. */
+  isEncrypted: boolean;
+  /** Base64-encoded encryption key (only present if encrypted). */
+  keyB64?: string;
+  /** Base64-encoded encryption header (only present for version 2 encryption). */
+  streamHeaderB64?: string;
+  /** Whether the share is passphrase-protected, so its link must not carry the key. */
+  passphraseProtected?: boolean;
+  /** Time the upload was started (ms since epoch). */
+  createdAt: number;
+}
+
+/**
+ * Pluggable persistence for resumable upload state.
+ * Methods may be synchronous or return promises.
+ */
+export interface UploadStateStore {
+  /** Load the state stored under a key, or null if there is none. */
+  get(key: string): Promise<PersistedUploadState | null> | PersistedUploadState | null;
+  /** Store state under a key, replacing any existing value. */
+  set(key: string, state: PersistedUploadState): Promise<void> | void;
+  /** Remove the state stored under a key. */
+  delete(key: string): Promise<void> | void;
+}
+
+/**
+ * Minimal key/value storage interface compatible with the Web Storage API
+ * (localStorage, sessionStorage).
+ */
+export interface KeyValueStorage {
+  getItem(key: string): string | null;
+  setItem(key: string, value: string): void;
+  removeItem(key: string): void;
+}
+
+/**
+ * Options for resuming an interrupted upload.
+ */
+export interface ResumeUploadOptions extends ServerTarget {
+  /** The same file that was originally being uploaded. */
+  file: FileSource;
+  /** Store the upload state was persisted to. */
+  stateStore: UploadStateStore;
+  /** Key the state was stored under (default: getUploadStateKey(file)). */
+  stateKey?: string;
+  /** Callback for progress updates. */
+  onProgress?: (evt: UploadProgressEvent) => void;
+  /** Callback when upload is cancelled by user. */
+  onCancel?: () => void;
+  /** AbortSignal to cancel the upload. */
+  signal?: AbortSignal;
+  /** Timeout settings for various upload phases. */
+  timeouts?: UploadOptions['timeouts'];
+  /** Retry settings for failed chunk uploads. */
+  retry?: UploadOptions['retry'];
+  /** Number of chunks uploaded at the same time (default: 1). */
+  concurrency?: UploadOptions['concurrency'];
 }
 
 /**
@@ -286,6 +508,81 @@ export interface GetServerInfoOptions extends ServerTarget {
   signal?: AbortSignal;
   /** Custom fetch implementation (uses global fetch by default). */
   fetchFn?: FetchFn;
+  /** API key to send, so the server reports the limits that apply to it. */
+  apiKey?: string;
+}
+
+/**
+ * Options for managing an upload with its owner token.
+ */
+export interface ManageUploadOptions extends GetServerInfoOptions {
+  /** File or bundle ID returned by the upload. */
+  fileId: string;
+  /** Owner token returned by the upload. */
+  ownerToken: string;
+}
+
+/**
+ * Options for changing an upload's lifetime or download limit.
+ * Fields that are left out keep their current value.
+ */
+export interface UpdateUploadOptions extends ManageUploadOptions {
+  /** New lifetime in milliseconds, counted from when the upload completed (0 = unlimited). */
+  lifetimeMs?: number;
+  /** New maximum number of downloads (0 = unlimited). */
+  maxDownloads?: number;
+}
+
+/**
+ * Current settings of an upload, as seen by its owner.
+ */
+export interface UploadSettings {
+  /** Expiry time in milliseconds since the epoch, or null if it never expires. */
+  expiresAt: number | null;
+  /** Maximum number of downloads (0 = unlimited). */
+  maxDownloads: number;
+  /** Downloads so far (for bundles, of the most downloaded file). */
+  downloadCount: number;
+}
+
+/**
+ * Options for unlocking a passphrase-protected share.
+ */
+export interface UnlockOptions extends GetServerInfoOptions {
+  /** File or bundle ID of the share. */
+  fileId: string;
+  /** The share's passphrase. */
+  passphrase: string;
+}
+
+/**
+ * Public key derivation parameters of a passphrase-protected share.
+ */
+export interface PassphraseParams {
+  /** Base64-encoded PBKDF2 salt. */
+  salt: string;
+  /** PBKDF2-SHA256 iteration count. */
+  iterations: number;
+}
+
+/**
+ * Everything the server stores for a passphrase-protected share.
+ */
+export interface PassphraseLock extends PassphraseParams {
+  /** Base64-encoded file key, wrapped with AES-KW. */
+  wrappedKey: string;
+  /** Base64-encoded proof of the passphrase. The server only keeps its hash. */
+  authKey: string;
+}
+
+/**
+ * Passed to a passphrase prompt so it can explain why it is being asked.
+ */
+export interface PassphrasePromptContext {
+  /** Whether the previous passphrase was rejected. */
+  incorrect: boolean;
+  /** Attempts left before the server locks the share for a while, if it reported them. */
+  attemptsLeft?: number;
 }
 
 /**
@@ -298,6 +595,14 @@ export interface ValidateUploadOptions {
   lifetimeMs: number;
   /** Whether encryption will be used. Defaults to true if server supports E2EE. */
   encrypt?: boolean;
+  /** Passphrase the share will be locked with, if any. */
+  passphrase?: string;
+  /** Webhook the upload will register, if any. */
+  webhook?: UploadWebhook;
+  /** Message for the recipients, if any. */
+  message?: string;
+  /** Thumbnail data URL, if any. */
+  thumbnail?: string;
   /** Server info containing capabilities to validate against. */
   serverInfo: ServerInfo;
 }
@@ -314,6 +619,96 @@ export interface FileMetadata {
   filename?: string;
   /** Encrypted filename (only for encrypted files). */
   encryptedFilename?: string;
+  /** Encrypted file details (only for encrypted files uploaded with them). */
+  encryptedMetadata?: string;
+  /** Chunk size the file was uploaded with (only for encrypted files). */
+  chunkSize?: number;
+  /** Encryption format of the file (only for encrypted files, 1 if not set). */
+  encryptionVersion?: number;
+  /** Whether this share is a bundle of several files. */
+  isBundle?: boolean;
+  /** Files in the bundle (only for bundles). */
+  files?: BundleFileMetadata[];
+  /** Key derivation parameters (only for passphrase-protected shares). */
+  passphrase?: PassphraseParams;
+  /** Virus scan state (only for files the server scanned). */
+  scanStatus?: ScanStatus;
+  /** Integrity manifest (only for unencrypted files stored with one). */
+  integrity?: IntegrityManifest;
+  /** Encrypted integrity manifest (only for encrypted files stored with one). */
+  encryptedIntegrity?: string;
+}
+
+/**
+ * Details stored encrypted with a file, next to its encrypted filename.
+ */
+export interface FileDetails {
+  /** MIME type of the original file. */
+  mimeType?: string;
+  /** Last modified time of the original file, in milliseconds. */
+  lastModified?: number;
+  /** Message from the sender. */
+  message?: string;
+  /** Image data URL previewing the file. */
+  thumbnail?: string;
+}
+
+/**
+ * Hashes of a file's plaintext, checked when the file is downloaded.
+ * The file is split into chunks of `chunkSize` bytes (the last one may be shorter).
+ */
+export interface IntegrityManifest {
+  /** Hash algorithm of every entry. */
+  algorithm: 'SHA-256';
+  /** Plaintext bytes covered by each chunk hash. */
+  chunkSize: number;
+  /** Hex hash of each chunk, in order. */
+  chunks: string[];
+  /** Hex hash of the raw chunk hashes, concatenated in order. */
+  root: string;
+}
+
+/**
+ * Short authentication string of an encrypted P2P transfer. Both sides derive the same
+ * one from their key exchange; if the two users read out different strings, someone is
+ * relaying the connection.
+ */
+export interface ShortAuthString {
+  /** Six digits, spelled out in English. */
+  words: string[];
+  /** Six emoji, with the English name of each for reading aloud. */
+  emoji: { symbol: string; name: string }[];
+}
+
+/**
+ * Virus scan state of an unencrypted file. Only `clean` files can be downloaded.
+ */
+export type ScanStatus = 'scanning' | 'clean' | 'infected' | 'failed';
+
+/**
+ * Metadata for one file within a bundle.
+ */
+export interface BundleFileMetadata {
+  /** File identifier, usable with downloadFile(). */
+  id: string;
+  /** File size in bytes (encrypted size if encrypted). */
+  sizeBytes: number;
+  /** Original filename (only for unencrypted bundles). */
+  filename?: string;
+  /** Encrypted filename (only for encrypted bundles). */
+  encryptedFilename?: string;
+  /** Encrypted file details (only for encrypted bundles uploaded with them). */
+  encryptedMetadata?: string;
+  /** Chunk size the file was uploaded with (only for encrypted bundles). */
+  chunkSize?: number;
+  /** Encryption format of the file (only for encrypted bundles, 1 if not set). */
+  encryptionVersion?: number;
+  /** Virus scan state (only for files the server scanned). Blocked files are not listed. */
+  scanStatus?: ScanStatus;
+  /** Integrity manifest (only for unencrypted files stored with one). */
+  integrity?: IntegrityManifest;
+  /** Encrypted integrity manifest (only for encrypted files stored with one). */
+  encryptedIntegrity?: string;
 }
 
 /**
@@ -321,7 +716,7 @@ export interface FileMetadata {
  */
 export interface DownloadProgressEvent extends BaseProgressEvent {
   /** Current phase of the download. */
-  phase: 'server-info' | 'server-compat' | 'metadata' | 'downloading' | 'decrypting' | 'complete';
+  phase: 'server-info' | 'server-compat' | 'metadata' | 'downloading' | 'decrypting' | 'retry-wait' | 'complete';
   /** Human-readable status text. */
   text?: string;
 }
@@ -332,8 +727,15 @@ export interface DownloadProgressEvent extends BaseProgressEvent {
 export interface DownloadOptions extends ServerTarget {
   /** File ID to download. */
   fileId: string;
-  /** Base64-encoded decryption key (required for encrypted files). */
+  /** Base64-encoded decryption key (required for encrypted files without a passphrase). */
   keyB64?: string;
+  /** Passphrase for a passphrase-protected share (used when keyB64 is not given). */
+  passphrase?: string;
+  /**
+   * Called to ask for the passphrase when none was given, or when it was wrong.
+   * Return null to give up.
+   */
+  onPassphrase?: (ctx: PassphrasePromptContext) => Promise<string | null> | string | null;
   /** Callback for progress updates. */
   onProgress?: (evt: DownloadProgressEvent) => void;
   /** Callback for received data chunks. Consumer handles file writing. */
@@ -342,6 +744,14 @@ export interface DownloadOptions extends ServerTarget {
   signal?: AbortSignal;
   /** Request timeout in milliseconds (default: 60000ms). */
   timeoutMs?: number;
+  /** Retry settings for resuming after a dropped connection. */
+  retry?: RetryOptions;
+  /**
+   * Ask the server to count this download only once the client confirms it.
+   * The confirmation is sent after the content has been received and decrypted
+   * (default: false). Unconfirmed downloads are still counted after a server-side timeout.
+   */
+  confirm?: boolean;
 }
 
 /**
@@ -354,6 +764,55 @@ export interface DownloadResult {
   receivedBytes: number;
   /** Whether the file was encrypted. */
   wasEncrypted: boolean;
+  /** Whether the server accepted the download confirmation (only set when `confirm` was requested). */
+  confirmed?: boolean;
+  /** Whether the content was checked against the file's integrity manifest (false for files stored without one). */
+  integrityVerified: boolean;
+  /** Decrypted file details (only for encrypted files uploaded with them). */
+  details?: FileDetails;
   /** The file data (only if onData callback was not provided). */
   data?: Uint8Array;
 }
+
+/**
+ * Options for downloading a bundle as a single ZIP archive.
+ */
+export interface DownloadZipOptions extends ServerTarget {
+  /** Bundle ID to download (a single file ID is also accepted). */
+  fileId: string;
+  /** Base64-encoded decryption key (required for encrypted shares without a passphrase). */
+  keyB64?: string;
+  /** Passphrase for a passphrase-protected share (used when keyB64 is not given). */
+  passphrase?: string;
+  /**
+   * Called to ask for the passphrase when none was given, or when it was wrong.
+   * Return null to give up.
+   */
+  onPassphrase?: (ctx: PassphrasePromptContext) => Promise<string | null> | string | null;
+  /** Callback for progress updates. */
+  onProgress?: (evt: DownloadProgressEvent) => void;
+  /** Callback receiving the ZIP archive bytes in order. Consumer handles file writing. */
+  onData: (chunk: Uint8Array) => Promise<void> | void;
+  /** AbortSignal to cancel the download. */
+  signal?: AbortSignal;
+  /** Request timeout in milliseconds (default: 60000ms). */
+  timeoutMs?: number;
+  /** Retry settings for resuming after a dropped connection. */
+  retry?: RetryOptions;
+}
+
+/**
+ * Result of a ZIP archive download.
+ */
+export interface DownloadZipResult {
+  /** Entry names written to the archive, in order. */
+  filenames: string[];
+  /** Total bytes received from the server. */
+  receivedBytes: number;
+  /** Size of the produced archive in bytes. */
+  archiveBytes: number;
+  /** Whether the files were encrypted. */
+  wasEncrypted: boolean;
+  /** Whether every file was checked against its integrity manifest (false if any was stored without one). */
+  integrityVerified: boolean;
+}
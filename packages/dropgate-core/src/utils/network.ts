@@ -79,13 +79,13 @@ export function makeAbortSignal(
     }
   };
 
+  // Removed again on cleanup, so a long-lived parent does not collect one listener per request
+  const onParentAbort = (): void => abort(parentSignal?.reason);
   if (parentSignal) {
     if (parentSignal.aborted) {
       abort(parentSignal.reason);
     } else {
-      parentSignal.addEventListener('abort', () => abort(parentSignal.reason), {
-        once: true,
-      });
+      parentSignal.addEventListener('abort', onParentAbort, { once: true });
     }
   }
 
@@ -99,6 +99,7 @@ export function makeAbortSignal(
     signal: controller.signal,
     cleanup: () => {
       if (timeoutId) clearTimeout(timeoutId);
+      parentSignal?.removeEventListener('abort', onParentAbort);
     },
   };
 }
@@ -0,0 +1,309 @@
+import { DropgateValidationError } from '../errors.js';
+
+/** Callback that receives archive bytes as they are produced. */
+export type ZipDataCallback = (chunk: Uint8Array) => void | Promise<void>;
+
+/**
+ * Options for a single ZIP entry.
+ */
+export interface ZipEntryOptions {
+  /** Last modified timestamp in milliseconds (default: now). */
+  lastModified?: number;
+}
+
+interface ZipEntryRecord {
+  nameBytes: Uint8Array;
+  dosTime: number;
+  dosDate: number;
+  offset: number;
+  crc: number;
+  size: number;
+}
+
+const SIG_LOCAL_HEADER = 0x04034b50;
+const SIG_DATA_DESCRIPTOR = 0x08074b50;
+const SIG_CENTRAL_HEADER = 0x02014b50;
+const SIG_ZIP64_EOCD = 0x06064b50;
+const SIG_ZIP64_LOCATOR = 0x07064b50;
+const SIG_EOCD = 0x06054b50;
+
+// Bit 3: sizes/CRC follow the data in a descriptor. Bit 11: names are UTF-8.
+const FLAGS = 0x0808;
+const VERSION_DEFAULT = 20;
+const VERSION_ZIP64 = 45;
+const MAX_UINT16 = 0xffff;
+const MAX_UINT32 = 0xffffffff;
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * Compute (or continue) a CRC-32 checksum.
+ * @param data - Bytes to checksum.
+ * @param crc - Checksum of the preceding bytes, for incremental use.
+ * @returns The updated checksum as an unsigned 32-bit integer.
+ */
+export function crc32(data: Uint8Array, crc = 0): number {
+  let c = (crc ^ MAX_UINT32) >>> 0;
+  for (let i = 0; i < data.length; i++) {
+    c = CRC_TABLE[(c ^ data[i]) & 0xff] ^ (c >>> 8);
+  }
+  return (c ^ MAX_UINT32) >>> 0;
+}
+
+function toDosDateTime(timestamp: number): { dosTime: number; dosDate: number } {
+  const d = new Date(timestamp);
+  const year = Math.min(Math.max(d.getFullYear(), 1980), 2107);
+  return {
+    dosTime: (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1),
+    dosDate: ((year - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate(),
+  };
+}
+
+function setUint64(view: DataView, offset: number, value: number): void {
+  view.setUint32(offset, value % 0x100000000, true);
+  view.setUint32(offset + 4, Math.floor(value / 0x100000000), true);
+}
+
+/**
+ * Normalise an entry name: forward slashes only, no absolute paths and
+ * no "." or ".." segments, so the archive cannot write outside its folder.
+ */
+function sanitizeEntryName(name: string): string {
+  const parts = String(name || '')
+    .replace(/\\/g, '/')
+    .split('/')
+    .filter((part) => part && part !== '.' && part !== '..');
+  return parts.join('/') || 'file';
+}
+
+/**
+ * Streaming ZIP archive writer.
+ * Entries are stored uncompressed and written incrementally, so archives of
+ * any size can be produced without buffering whole files in memory.
+ * ZIP64 records are added automatically when sizes or offsets exceed 4 GB.
+ */
+export class ZipWriter {
+  private readonly onData: ZipDataCallback;
+  private readonly entries: ZipEntryRecord[] = [];
+  private readonly usedNames = new Set<string>();
+  private readonly encoder = new TextEncoder();
+  private current: ZipEntryRecord | null = null;
+  private offset = 0;
+  private finished = false;
+
+  /**
+   * Create a new ZipWriter.
+   * @param onData - Receives archive bytes in order as they are produced.
+   */
+  constructor(onData: ZipDataCallback) {
+    if (typeof onData !== 'function') {
+      throw new DropgateValidationError('ZipWriter requires an onData callback.');
+    }
+    this.onData = onData;
+  }
+
+  /** Total number of archive bytes emitted so far. */
+  get bytesWritten(): number {
+    return this.offset;
+  }
+
+  /**
+   * Start a new entry. Any open entry must be ended first.
+   * Duplicate names get a numeric suffix ("a.txt" becomes "a (1).txt").
+   * @param name - Entry name; "/" may be used for folders.
+   * @param opts - Entry options.
+   * @returns The name actually used in the archive.
+   */
+  async startFile(name: string, opts: ZipEntryOptions = {}): Promise<string> {
+    if (this.finished) {
+      throw new DropgateValidationError('ZIP archive is already finished.');
+    }
+    if (this.current) {
+      throw new DropgateValidationError('Previous ZIP entry has not been ended.');
+    }
+
+    const entryName = this.uniqueName(sanitizeEntryName(name));
+    const nameBytes = this.encoder.encode(entryName);
+    const { dosTime, dosDate } = toDosDateTime(
+      Number.isFinite(opts.lastModified) ? opts.lastModified! : Date.now()
+    );
+
+    this.current = { nameBytes, dosTime, dosDate, offset: this.offset, crc: 0, size: 0 };
+
+    const header = new Uint8Array(30 + nameBytes.length);
+    const view = new DataView(header.buffer);
+    view.setUint32(0, SIG_LOCAL_HEADER, true);
+    view.setUint16(4, VERSION_DEFAULT, true);
+    view.setUint16(6, FLAGS, true);
+    view.setUint16(8, 0, true); // Stored
+    view.setUint16(10, dosTime, true);
+    view.setUint16(12, dosDate, true);
+    // CRC and sizes are zero here and written in the data descriptor
+    view.setUint16(26, nameBytes.length, true);
+    header.set(nameBytes, 30);
+
+    await this.emit(header);
+    return entryName;
+  }
+
+  /**
+   * Append data to the current entry.
+   * @param chunk - File bytes.
+   */
+  async write(chunk: Uint8Array): Promise<void> {
+    if (!this.current) {
+      throw new DropgateValidationError('No ZIP entry has been started.');
+    }
+    if (chunk.length === 0) return;
+    this.current.crc = crc32(chunk, this.current.crc);
+    this.current.size += chunk.length;
+    await this.emit(chunk);
+  }
+
+  /**
+   * End the current entry by writing its data descriptor.
+   */
+  async endFile(): Promise<void> {
+    const entry = this.current;
+    if (!entry) {
+      throw new DropgateValidationError('No ZIP entry has been started.');
+    }
+
+    const zip64 = entry.size >= MAX_UINT32;
+    const descriptor = new Uint8Array(zip64 ? 24 : 16);
+    const view = new DataView(descriptor.buffer);
+    view.setUint32(0, SIG_DATA_DESCRIPTOR, true);
+    view.setUint32(4, entry.crc, true);
+    if (zip64) {
+      setUint64(view, 8, entry.size);
+      setUint64(view, 16, entry.size);
+    } else {
+      view.setUint32(8, entry.size, true);
+      view.setUint32(12, entry.size, true);
+    }
+
+    this.current = null;
+    this.entries.push(entry);
+    await this.emit(descriptor);
+  }
+
+  /**
+   * Write the central directory and close the archive.
+   * @returns Total size of the archive in bytes.
+   */
+  async finish(): Promise<number> {
+    if (this.current) {
+      await this.endFile();
+    }
+    if (this.finished) return this.offset;
+    this.finished = true;
+
+    const cdOffset = this.offset;
+    for (const entry of this.entries) {
+      await this.emit(this.centralHeader(entry));
+    }
+    const cdSize = this.offset - cdOffset;
+    const count = this.entries.length;
+
+    if (count >= MAX_UINT16 || cdOffset >= MAX_UINT32 || cdSize >= MAX_UINT32) {
+      const zip64EocdOffset = this.offset;
+      const record = new Uint8Array(56 + 20);
+      const view = new DataView(record.buffer);
+      view.setUint32(0, SIG_ZIP64_EOCD, true);
+      setUint64(view, 4, 44); // Size of the remaining record
+      view.setUint16(12, VERSION_ZIP64, true);
+      view.setUint16(14, VERSION_ZIP64, true);
+      setUint64(view, 24, count);
+      setUint64(view, 32, count);
+      setUint64(view, 40, cdSize);
+      setUint64(view, 48, cdOffset);
+      view.setUint32(56, SIG_ZIP64_LOCATOR, true);
+      setUint64(view, 64, zip64EocdOffset);
+      view.setUint32(72, 1, true); // Total number of disks
+      await this.emit(record);
+    }
+
+    const eocd = new Uint8Array(22);
+    const view = new DataView(eocd.buffer);
+    view.setUint32(0, SIG_EOCD, true);
+    view.setUint16(8, Math.min(count, MAX_UINT16), true);
+    view.setUint16(10, Math.min(count, MAX_UINT16), true);
+    view.setUint32(12, Math.min(cdSize, MAX_UINT32), true);
+    view.setUint32(16, Math.min(cdOffset, MAX_UINT32), true);
+    await this.emit(eocd);
+
+    return this.offset;
+  }
+
+  private centralHeader(entry: ZipEntryRecord): Uint8Array {
+    const sizeOverflow = entry.size >= MAX_UINT32;
+    const offsetOverflow = entry.offset >= MAX_UINT32;
+    const extraLength = sizeOverflow || offsetOverflow
+      ? 4 + (sizeOverflow ? 16 : 0) + (offsetOverflow ? 8 : 0)
+      : 0;
+
+    const header = new Uint8Array(46 + entry.nameBytes.length + extraLength);
+    const view = new DataView(header.buffer);
+    view.setUint32(0, SIG_CENTRAL_HEADER, true);
+    view.setUint16(4, VERSION_ZIP64, true);
+    view.setUint16(6, extraLength ? VERSION_ZIP64 : VERSION_DEFAULT, true);
+    view.setUint16(8, FLAGS, true);
+    view.setUint16(10, 0, true); // Stored
+    view.setUint16(12, entry.dosTime, true);
+    view.setUint16(14, entry.dosDate, true);
+    view.setUint32(16, entry.crc, true);
+    view.setUint32(20, sizeOverflow ? MAX_UINT32 : entry.size, true);
+    view.setUint32(24, sizeOverflow ? MAX_UINT32 : entry.size, true);
+    view.setUint16(28, entry.nameBytes.length, true);
+    view.setUint16(30, extraLength, true);
+    view.setUint32(42, offsetOverflow ? MAX_UINT32 : entry.offset, true);
+    header.set(entry.nameBytes, 46);
+
+    if (extraLength) {
+      let pos = 46 + entry.nameBytes.length;
+      view.setUint16(pos, 0x0001, true); // ZIP64 extended information
+      view.setUint16(pos + 2, extraLength - 4, true);
+      pos += 4;
+      if (sizeOverflow) {
+        setUint64(view, pos, entry.size);
+        setUint64(view, pos + 8, entry.size);
+        pos += 16;
+      }
+      if (offsetOverflow) {
+        setUint64(view, pos, entry.offset);
+      }
+    }
+
+    return header;
+  }
+
+  private uniqueName(name: string): string {
+    const slash = name.lastIndexOf('/');
+    const dot = name.lastIndexOf('.');
+    const hasExt = dot > slash + 1;
+    const base = hasExt ? name.slice(0, dot) : name;
+    const ext = hasExt ? name.slice(dot) : '';
+
+    let candidate = name;
+    for (let i = 1; this.usedNames.has(candidate.toLowerCase()); i++) {
+      candidate = `${base} (${i})${ext}`;
+    }
+    this.usedNames.add(candidate.toLowerCase());
+    return candidate;
+  }
+
+  private async emit(bytes: Uint8Array): Promise<void> {
+    this.offset += bytes.length;
+    await this.onData(bytes);
+  }
+}
@@ -0,0 +1,197 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DropgateClient,
+  generateAesGcmKey,
+  exportKeyBase64,
+  wrapKeyWithPassphrase,
+  encryptFilenameToBase64,
+  createStreamHeader,
+  parseStreamHeader,
+  encryptStreamChunk,
+  decryptStreamChunk,
+  sha256Hex,
+  createIntegrityManifest,
+  createIntegrityVerifier,
+  encryptJsonToBase64,
+  decryptFileDetailsFromBase64,
+} from '../src/index.js';
+import { DropgateValidationError } from '../src/errors.js';
+import { createFakeServer } from './helpers/fakeServer.js';
+
+describe('Passphrase-protected shares', () => {
+  it('rejects a wrong passphrase and unwraps the released key', async () => {
+    const key = await generateAesGcmKey(crypto);
+    const keyB64 = await exportKeyBase64(crypto, key);
+    const lock = await wrapKeyWithPassphrase(crypto, key, 'correct horse', 1000);
+
+    const { fetchFn } = createFakeServer({
+      meta: { isEncrypted: true, sizeBytes: 1, passphrase: { salt: lock.salt, iterations: lock.iterations } },
+      handle: ({ json }) => (json as { authKey: string }).authKey === lock.authKey
+        ? Response.json({ wrappedKey: lock.wrappedKey })
+        : Response.json({ error: 'Incorrect passphrase.', attemptsLeft: 2 }, { status: 403 }),
+    });
+
+    const client = new DropgateClient({ clientVersion: '2.2.1', fetchFn });
+    const target = { host: 'localhost', secure: false, fileId: 'abc' };
+
+    await expect(client.unlockWithPassphrase({ ...target, passphrase: 'wrong' }))
+      .rejects.toMatchObject({ code: 'PASSPHRASE_INCORRECT' });
+    expect(await client.unlockWithPassphrase({ ...target, passphrase: 'correct horse' })).toBe(keyB64);
+  });
+});
+
+describe('Encrypted file details', () => {
+  it('round-trips the details and drops fields that are not safe to show', async () => {
+    const key = await generateAesGcmKey(crypto);
+    const encrypted = await encryptJsonToBase64(crypto, {
+      mimeType: 'image/png',
+      lastModified: 1700000000000,
+      message: 'Holiday photos',
+      thumbnail: 'javascript:alert(1)',
+    }, key);
+
+    expect(await decryptFileDetailsFromBase64(crypto, encrypted, key)).toEqual({
+      mimeType: 'image/png',
+      lastModified: 1700000000000,
+      message: 'Holiday photos',
+    });
+  });
+
+  it('only accepts a message or thumbnail for encrypted uploads to servers that store them', () => {
+    const client = new DropgateClient({ clientVersion: '2.2.1' });
+    const file = { name: 'a.txt', size: 10, slice: () => new Blob() };
+    const serverInfo = { version: '2.2.1', capabilities: { upload: { enabled: true, e2ee: true, encryptedMetadata: true } } };
+    const thumbnail = 'data:image/png;base64,iVBORw0KGgo=';
+
+    expect(client.validateUploadInputs({ file, lifetimeMs: 1000, encrypt: true, message: 'Hi', thumbnail, serverInfo })).toBe(true);
+    expect(() => client.validateUploadInputs({ file, lifetimeMs: 1000, encrypt: false, message: 'Hi', serverInfo }))
+      .toThrow(DropgateValidationError);
+    expect(() => client.validateUploadInputs({ file, lifetimeMs: 1000, encrypt: true, thumbnail: 'data:text/html;base64,PGI+', serverInfo }))
+      .toThrow(DropgateValidationError);
+    expect(() => client.validateUploadInputs({
+      file,
+      lifetimeMs: 1000,
+      encrypt: true,
+      message: 'Hi',
+      serverInfo: { ...serverInfo, capabilities: { upload: { enabled: true, e2ee: true } } },
+    })).toThrow(DropgateValidationError);
+  });
+});
+
+describe('Streaming encryption', () => {
+  const encryptFile = async (key: CryptoKey, chunks: string[]): Promise<Uint8Array[]> => {
+    const header = createStreamHeader(crypto, 4);
+    const parts: Uint8Array[] = [header.bytes];
+    for (let i = 0; i < chunks.length; i++) {
+      const data = new TextEncoder().encode(chunks[i]).buffer;
+      const encrypted = await encryptStreamChunk(crypto, key, header, i, i === chunks.length - 1, data);
+      parts.push(new Uint8Array(await encrypted.arrayBuffer()));
+    }
+    return parts;
+  };
+
+  it('only decrypts a chunk at its own position', async () => {
+    const key = await generateAesGcmKey(crypto);
+    const parts = await encryptFile(key, ['abcd', 'efgh', 'ij']);
+    const header = parseStreamHeader(parts[0]);
+
+    expect(header.chunkSize).toBe(4);
+    expect(new TextDecoder().decode(await decryptStreamChunk(crypto, key, header, 1, false, parts[2]))).toBe('efgh');
+    await expect(decryptStreamChunk(crypto, key, header, 0, false, parts[2])).rejects.toThrow();
+    await expect(decryptStreamChunk(crypto, key, header, 1, true, parts[2])).rejects.toThrow();
+  });
+
+  it('rejects a truncated download', async () => {
+    const key = await generateAesGcmKey(crypto);
+    const keyB64 = await exportKeyBase64(crypto, key);
+    const encryptedFilename = await encryptFilenameToBase64(crypto, 'a.txt', key);
+    const parts = await encryptFile(key, ['abcd', 'efgh', 'ij']);
+
+    const downloadParts = async (served: Uint8Array[]): Promise<string> => {
+      const body = new Uint8Array(await new Blob(served).arrayBuffer());
+      const { fetchFn } = createFakeServer({
+        meta: { isEncrypted: true, sizeBytes: body.length, encryptedFilename, chunkSize: 4, encryptionVersion: 2 },
+        handle: () => new Response(body),
+      });
+      const client = new DropgateClient({ clientVersion: '2.2.1', fetchFn });
+      const result = await client.downloadFile({ host: 'localhost', secure: false, fileId: 'abc', keyB64 });
+      return new TextDecoder().decode(result.data);
+    };
+
+    expect(await downloadParts(parts)).toBe('abcdefghij');
+    await expect(downloadParts(parts.slice(0, 3))).rejects.toMatchObject({ code: 'DECRYPT_FAILED' });
+  });
+});
+
+describe('Integrity manifest', () => {
+  const manifestOf = async (chunks: string[]) => createIntegrityManifest(
+    crypto,
+    4,
+    await Promise.all(chunks.map((c) => sha256Hex(crypto, new TextEncoder().encode(c).buffer)))
+  );
+
+  it('passes on verified chunks and rejects a truncated file', async () => {
+    const manifest = await manifestOf(['abcd', 'efgh', 'ij']);
+    const received: string[] = [];
+    const verifier = createIntegrityVerifier(crypto, manifest, (chunk) => {
+      received.push(new TextDecoder().decode(chunk));
+    });
+
+    await verifier.write(new TextEncoder().encode('abcdef'));
+    expect(received).toEqual(['abcd']);
+    await verifier.write(new TextEncoder().encode('gh'));
+    await expect(verifier.finish()).rejects.toMatchObject({ code: 'INTEGRITY_CHECK_FAILED' });
+    expect(received).toEqual(['abcd', 'efgh']);
+  });
+
+  it('stops a download before handing over a modified chunk', async () => {
+    const integrity = await manifestOf(['abcd', 'efgh', 'ij']);
+
+    const download = async (content: string) => {
+      const body = new TextEncoder().encode(content);
+      const { fetchFn } = createFakeServer({
+        meta: { isEncrypted: false, sizeBytes: body.length, filename: 'a.txt', integrity },
+        handle: () => new Response(body),
+      });
+      const received: string[] = [];
+      const client = new DropgateClient({ clientVersion: '2.2.1', fetchFn });
+      const result = await client.downloadFile({
+        host: 'localhost',
+        secure: false,
+        fileId: 'abc',
+        onData: (chunk) => {
+          received.push(new TextDecoder().decode(chunk));
+        },
+      }).catch((err) => ({ err }));
+      return { result, received };
+    };
+
+    const intact = await download('abcdefghij');
+    expect(intact.result).toMatchObject({ integrityVerified: true });
+    expect(intact.received.join('')).toBe('abcdefghij');
+
+    const modified = await download('abcdefgXij');
+    expect(modified.result).toMatchObject({ err: { code: 'INTEGRITY_CHECK_FAILED' } });
+    expect(modified.received).toEqual(['abcd']);
+  });
+
+  it('checks every file of a bundle downloaded as a ZIP archive', async () => {
+    const files = [
+      { id: 'f1', filename: 'a.txt', sizeBytes: 6, integrity: await manifestOf(['abcd', 'ef']) },
+      { id: 'f2', filename: 'b.txt', sizeBytes: 4, integrity: await manifestOf(['wxyz']) },
+    ];
+
+    const download = async (contents: Record<string, string>) => {
+      const { fetchFn } = createFakeServer({
+        meta: { isEncrypted: false, isBundle: true, sizeBytes: 10, files },
+        handle: ({ path }) => new Response(new TextEncoder().encode(contents[path.split('/').pop()!])),
+      });
+      const client = new DropgateClient({ clientVersion: '2.2.1', fetchFn });
+      return client.downloadBundleAsZip({ host: 'localhost', secure: false, fileId: 'bundle', onData: () => { } })
+        .catch((err) => ({ err }));
+    };
+
+    expect(await download({ f1: 'abcdef', f2: 'wxyz' })).toMatchObject({ integrityVerified: true });
+    expect(await download({ f1: 'abcdef', f2: 'wxyZ' })).toMatchObject({ err: { code: 'INTEGRITY_CHECK_FAILED' } });
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import { DropgateClient } from '../src/index.js';
+import { createFakeServer } from './helpers/fakeServer.js';
+
+describe('Download resume', () => {
+  it('continues an interrupted download with a Range request', async () => {
+    const content = new TextEncoder().encode('0123456789abcdef');
+    const rangeHeaders: Array<string | undefined> = [];
+    const downloadIds: Array<string | undefined> = [];
+
+    const { fetchFn } = createFakeServer({
+      meta: { isEncrypted: false, sizeBytes: content.length, filename: 'a.txt' },
+      handle: ({ headers }) => {
+        const range = headers.get('Range') ?? undefined;
+        rangeHeaders.push(range);
+        downloadIds.push(headers.get('X-Download-Id') ?? undefined);
+        if (!range) {
+          // First attempt: deliver 6 bytes, then drop the connection
+          let pulls = 0;
+          const body = new ReadableStream<Uint8Array>({
+            pull(controller) {
+              if (pulls++ === 0) controller.enqueue(content.slice(0, 6));
+              else controller.error(new TypeError('terminated'));
+            },
+          });
+          return new Response(body, { headers: { ETag: '"a"', 'X-Download-Id': 'd1' } });
+        }
+        const start = Number(/bytes=(\d+)-/.exec(range)![1]);
+        return new Response(content.slice(start), { status: 206 });
+      },
+    });
+
+    const client = new DropgateClient({ clientVersion: '2.2.1', fetchFn });
+    const result = await client.downloadFile({
+      host: 'localhost',
+      secure: false,
+      fileId: 'abc',
+      retry: { backoffMs: 0 },
+    });
+
+    expect(rangeHeaders).toEqual([undefined, 'bytes=6-']);
+    // The resumed request carries the server's download ID, so both responses count as one download
+    expect(downloadIds).toEqual([undefined, 'd1']);
+    expect(new TextDecoder().decode(result.data)).toBe('0123456789abcdef');
+  });
+});
+
+describe('Download confirmation', () => {
+  it('confirms with the token of the completed response', async () => {
+    const { fetchFn, requests } = createFakeServer({
+      meta: { isEncrypted: false, sizeBytes: 5, filename: 'a.txt' },
+      handle: ({ path, headers }) => {
+        if (path === '/api/file/abc/confirm') return Response.json({ success: true });
+        const confirm = headers.get('X-Download-Confirm') === 'true';
+        return new Response('hello', { headers: confirm ? { 'X-Download-Token': 't1' } : {} });
+      },
+    });
+
+    const client = new DropgateClient({ clientVersion: '2.2.1', fetchFn });
+    const result = await client.downloadFile({ host: 'localhost', secure: false, fileId: 'abc', confirm: true });
+
+    const confirmations = requests.filter((r) => r.path === '/api/file/abc/confirm').map((r) => r.json);
+    expect(confirmations).toEqual([{ token: 't1' }]);
+    expect(result.confirmed).toBe(true);
+  });
+});
+
+describe('Virus scanning', () => {
+  it('does not download files the scanner has not cleared', async () => {
+    let downloads = 0;
+    const { fetchFn } = createFakeServer({
+      meta: (fileId) => ({ isEncrypted: false, sizeBytes: 5, filename: 'a.txt', scanStatus: fileId === 'bad' ? 'infected' : 'scanning' }),
+      handle: () => {
+        downloads++;
+        return new Response('hello');
+      },
+    });
+
+    const client = new DropgateClient({ clientVersion: '2.2.1', fetchFn });
+    await expect(client.downloadFile({ host: 'localhost', secure: false, fileId: 'abc' }))
+      .rejects.toMatchObject({ code: 'FILE_SCANNING' });
+    await expect(client.downloadFile({ host: 'localhost', secure: false, fileId: 'bad' }))
+      .rejects.toMatchObject({ code: 'FILE_BLOCKED' });
+    expect(downloads).toBe(0);
+  });
+});
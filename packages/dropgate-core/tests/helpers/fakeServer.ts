@@ -0,0 +1,61 @@
+import type { FetchFn } from '../../src/index.js';
+
+/**
+ * A request received by the fake server.
+ */
+export interface FakeRequest {
+  url: string;
+  /** URL path, e.g. `/api/file/abc/meta` */
+  path: string;
+  method: string;
+  headers: Headers;
+  /** Parsed JSON request body, or null when there is none */
+  json: unknown;
+}
+
+export interface FakeServerOptions {
+  /** Upload capabilities advertised by `/api/info`, on top of `{ enabled: true }` */
+  upload?: Record<string, unknown>;
+  /** Body of `/api/file/:id/meta` responses, or a function of the file ID */
+  meta?: object | ((fileId: string) => object);
+  /** Answers every other request. Unhandled requests get a 404. */
+  handle?: (request: FakeRequest) => Response | Promise<Response>;
+}
+
+export interface FakeServer {
+  fetchFn: FetchFn;
+  /** Every request received, `/api/info` included, in order */
+  requests: FakeRequest[];
+}
+
+/**
+ * Create a stand-in for a Dropgate Server, to pass to DropgateClient as `fetchFn`.
+ */
+export function createFakeServer({ upload = {}, meta, handle }: FakeServerOptions = {}): FakeServer {
+  const requests: FakeRequest[] = [];
+
+  const fetchFn: FetchFn = async (input, init) => {
+    const url = String(input);
+    const path = new URL(url).pathname;
+    const request: FakeRequest = {
+      url,
+      path,
+      method: init?.method || 'GET',
+      headers: new Headers(init?.headers),
+      json: typeof init?.body === 'string' ? JSON.parse(init.body) : null,
+    };
+    requests.push(request);
+
+    if (path === '/api/info') {
+      return Response.json({ name: 'Test', version: '2.2.1', capabilities: { upload: { enabled: true, ...upload } } });
+    }
+    const metaMatch = /^\/api\/file\/([^/]+)\/meta$/.exec(path);
+    if (metaMatch && meta) {
+      return Response.json(typeof meta === 'function' ? meta(metaMatch[1]) : meta);
+    }
+    if (handle) return handle(request);
+    return Response.json({ error: 'Not found.' }, { status: 404 });
+  };
+
+  return { fetchFn, requests };
+}
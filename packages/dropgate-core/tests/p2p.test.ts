@@ -0,0 +1,441 @@
+import { describe, it, expect } from 'vitest';
+import { generateP2PCode, startP2PSend, startP2PReceive } from '../src/index.js';
+import type { PeerConstructor, ShortAuthString } from '../src/index.js';
+
+describe('P2P transfers', () => {
+  // In-memory stand-in for PeerJS: peers find each other by ID and messages arrive in order
+  type Handler = (...args: unknown[]) => void;
+  const peers = new Map<string, FakePeer>();
+
+  class Emitter {
+    private handlers = new Map<string, Handler[]>();
+    on(event: string, cb: Handler): void {
+      this.handlers.set(event, [...(this.handlers.get(event) || []), cb]);
+    }
+    emit(event: string, ...args: unknown[]): void {
+      for (const cb of this.handlers.get(event) || []) cb(...args);
+    }
+  }
+
+  class FakeConnection extends Emitter {
+    open = false;
+    peer = '';
+    other!: FakeConnection;
+    send(data: unknown): void {
+      // Messages still in flight when the connection closes are lost
+      setTimeout(() => {
+        if (this.other.open) this.other.emit('data', data);
+      });
+    }
+    close(): void {
+      if (!this.open) return;
+      this.open = this.other.open = false;
+      setTimeout(() => {
+        this.emit('close');
+        this.other.emit('close');
+      });
+    }
+  }
+
+  class FakePeer extends Emitter {
+    connections: FakeConnection[] = [];
+    constructor(readonly id = `receiver-${peers.size}`) {
+      super();
+      peers.set(this.id, this);
+      setTimeout(() => this.emit('open', this.id));
+    }
+    connect(id: string): FakeConnection {
+      const local = new FakeConnection();
+      const remote = new FakeConnection();
+      local.other = remote;
+      remote.other = local;
+      local.peer = id;
+      remote.peer = this.id;
+      this.connections.push(local);
+      setTimeout(() => {
+        peers.get(id)!.emit('connection', remote);
+        local.open = remote.open = true;
+        remote.emit('open');
+        local.emit('open');
+      });
+      return local;
+    }
+    destroy(): void {
+      peers.delete(this.id);
+    }
+  }
+
+  const Peer = FakePeer as unknown as PeerConstructor;
+  const files = [
+    { file: new File(['hello'], 'a.txt'), path: 'project/a.txt' },
+    { file: new File([], 'empty'), path: 'project/src/../empty' },
+    { file: new File(['0123456789'], 'b.bin', { type: 'application/x-test' }), path: 'project\\src\\b.bin' },
+  ];
+
+  it('sends a manifest, then frames each file so the receiver can write them separately', async () => {
+    const written: Record<string, string> = {};
+    const events: string[] = [];
+    let current = '';
+    let meta: { name: string; total: number; paths?: string[] } | null = null;
+
+    let sendResult!: { resolve: () => void; reject: (err: Error) => void };
+    const sent = new Promise<void>((resolve, reject) => {
+      sendResult = { resolve, reject };
+    });
+    const session = await startP2PSend({
+      Peer,
+      files,
+      chunkSize: 4,
+      heartbeatIntervalMs: 0,
+      onComplete: () => sendResult.resolve(),
+      onError: (err) => sendResult.reject(err),
+    });
+
+    const received = new Promise<void>((resolve, reject) => {
+      startP2PReceive({
+        code: session.code,
+        Peer,
+        onMeta: ({ name, total, files: manifest }) => {
+          meta = { name, total, paths: manifest?.map((f) => f.path) };
+        },
+        onFileStart: ({ index, path }) => {
+          events.push(`start ${index}`);
+          current = path;
+          written[path] = '';
+        },
+        onData: (chunk) => {
+          written[current] += new TextDecoder().decode(chunk);
+        },
+        onFileEnd: ({ index }) => {
+          events.push(`end ${index}`);
+        },
+        onComplete: () => resolve(),
+        onError: reject,
+      }).catch(reject);
+    });
+    await Promise.all([sent, received]);
+
+    expect(meta).toEqual({ name: 'project', total: 15, paths: ['project/a.txt', 'project/src/empty', 'project/src/b.bin'] });
+    expect(events).toEqual(['start 0', 'end 0', 'start 1', 'end 1', 'start 2', 'end 2']);
+    expect(written).toEqual({ 'project/a.txt': 'hello', 'project/src/empty': '', 'project/src/b.bin': '0123456789' });
+  });
+
+  it('lets the receiver reject the whole manifest before any data is sent', async () => {
+    let dataChunks = 0;
+    let onCancel!: (evt: unknown) => void;
+    const cancelled = new Promise<unknown>((resolve) => {
+      onCancel = resolve;
+    });
+    const session = await startP2PSend({ Peer, files, heartbeatIntervalMs: 0, onCancel: (evt) => onCancel(evt) });
+    await startP2PReceive({
+      code: session.code,
+      Peer,
+      onMeta: ({ reject }) => reject('Too many files.'),
+      onData: () => {
+        dataChunks++;
+      },
+    });
+
+    expect(await cancelled).toEqual({ cancelledBy: 'receiver', message: 'Too many files.' });
+    expect(dataChunks).toBe(0);
+  });
+
+  it('resumes from the bytes already written when the connection drops mid-file', async () => {
+    const written: Record<string, string> = {};
+    const statuses: string[] = [];
+    let current = '';
+    let dropped = false;
+    let receiverPeer: FakePeer | null = null;
+
+    let sendResult!: { resolve: () => void; reject: (err: Error) => void };
+    const sent = new Promise<void>((resolve, reject) => {
+      sendResult = { resolve, reject };
+    });
+    const session = await startP2PSend({
+      Peer,
+      files,
+      chunkSize: 4,
+      heartbeatIntervalMs: 0,
+      resumable: true,
+      onStatus: ({ phase }) => statuses.push(`sender ${phase}`),
+      onComplete: () => sendResult.resolve(),
+      onError: (err) => sendResult.reject(err),
+    });
+
+    const received = new Promise<void>((resolve, reject) => {
+      startP2PReceive({
+        code: session.code,
+        Peer,
+        resumable: true,
+        onStatus: ({ phase }) => statuses.push(`receiver ${phase}`),
+        onFileStart: ({ path }) => {
+          current = path;
+          written[path] = '';
+        },
+        onData: (chunk) => {
+          written[current] += new TextDecoder().decode(chunk);
+          // Drop the connection after the first chunk of the last file
+          if (current === 'project/src/b.bin' && !dropped) {
+            dropped = true;
+            receiverPeer!.connections[0].close();
+          }
+        },
+        onComplete: () => resolve(),
+        onError: reject,
+      })
+        .then((receiver) => {
+          receiverPeer = receiver.peer as unknown as FakePeer;
+        })
+        .catch(reject);
+    });
+    await Promise.all([sent, received]);
+
+    expect(receiverPeer!.connections).toHaveLength(2);
+    expect(statuses).toContain('sender reconnecting');
+    expect(statuses).toContain('receiver reconnecting');
+    expect(written).toEqual({ 'project/a.txt': 'hello', 'project/src/empty': '', 'project/src/b.bin': '0123456789' });
+  });
+
+  it('turns away a peer that asks to resume without the session ID', async () => {
+    let written = '';
+    let dropped = false;
+    let receiverPeer: FakePeer | null = null;
+    let intruderConn: FakeConnection | null = null;
+
+    let sendResult!: { resolve: () => void; reject: (err: Error) => void };
+    const sent = new Promise<void>((resolve, reject) => {
+      sendResult = { resolve, reject };
+    });
+    const session = await startP2PSend({
+      Peer,
+      file: new File(['0123456789'], 'b.bin'),
+      chunkSize: 4,
+      heartbeatIntervalMs: 0,
+      resumable: true,
+      onStatus: ({ phase }) => {
+        // Someone who knows the code gets in before the receiver comes back
+        if (phase !== 'reconnecting' || intruderConn) return;
+        intruderConn = new FakePeer('intruder').connect(session.code);
+        intruderConn.on('open', () => intruderConn!.send({ t: 'resume', sessionId: 'guess', received: 0 }));
+      },
+      onComplete: () => sendResult.resolve(),
+      onError: (err) => sendResult.reject(err),
+    });
+
+    const received = new Promise<void>((resolve, reject) => {
+      startP2PReceive({
+        code: session.code,
+        Peer,
+        resumable: true,
+        onData: (chunk) => {
+          written += new TextDecoder().decode(chunk);
+          if (!dropped) {
+            dropped = true;
+            receiverPeer!.connections[0].close();
+          }
+        },
+        onComplete: () => resolve(),
+        onError: reject,
+      })
+        .then((receiver) => {
+          receiverPeer = receiver.peer as unknown as FakePeer;
+        })
+        .catch(reject);
+    });
+    await Promise.all([sent, received]);
+
+    expect(written).toBe('0123456789');
+    expect(intruderConn!.open).toBe(false);
+  });
+
+  it('agrees a key, shows both sides the same string, and sends nothing before the sender confirms', async () => {
+    const written: Record<string, string> = {};
+    let current = '';
+    let senderString: ShortAuthString | null = null;
+    let receiverString: ShortAuthString | undefined;
+    let confirmTransfer!: () => void;
+
+    let sendResult!: { resolve: () => void; reject: (err: Error) => void };
+    const sent = new Promise<void>((resolve, reject) => {
+      sendResult = { resolve, reject };
+    });
+    const session = await startP2PSend({
+      Peer,
+      files,
+      chunkSize: 4,
+      heartbeatIntervalMs: 0,
+      encrypt: true,
+      confirmAuthString: true,
+      onAuthString: ({ authString, confirm }) => {
+        senderString = authString;
+        confirmTransfer = confirm;
+      },
+      onStatus: ({ phase }) => {
+        // The receiver has accepted; check that it is still waiting before confirming
+        if (phase === 'confirming') setTimeout(() => {
+          expect(Object.keys(written)).toEqual([]);
+          confirmTransfer();
+        }, 20);
+      },
+      onComplete: () => sendResult.resolve(),
+      onError: (err) => sendResult.reject(err),
+    });
+
+    const received = new Promise<void>((resolve, reject) => {
+      startP2PReceive({
+        code: session.code,
+        Peer,
+        requireEncryption: true,
+        onMeta: ({ authString }) => {
+          receiverString = authString;
+        },
+        onFileStart: ({ path }) => {
+          current = path;
+          written[path] = '';
+        },
+        onData: (chunk) => {
+          written[current] += new TextDecoder().decode(chunk);
+        },
+        onComplete: () => resolve(),
+        onError: reject,
+      }).catch(reject);
+    });
+    await Promise.all([sent, received]);
+
+    expect(senderString).not.toBeNull();
+    expect(receiverString).toEqual(senderString);
+    expect(receiverString!.emoji).toHaveLength(6);
+    expect(receiverString!.words).toHaveLength(6);
+    expect(written).toEqual({ 'project/a.txt': 'hello', 'project/src/empty': '', 'project/src/b.bin': '0123456789' });
+  });
+
+  it('serves several receivers at once in broadcast mode and ends after maxReceivers', async () => {
+    const content = new File(['broadcast data'], 'build.zip');
+    const progressPeers = new Set<string>();
+
+    let sessionDone!: () => void;
+    const completed = new Promise<void>((resolve) => {
+      sessionDone = resolve;
+    });
+    const session = await startP2PSend({
+      Peer,
+      file: content,
+      chunkSize: 4,
+      heartbeatIntervalMs: 0,
+      broadcast: true,
+      maxReceivers: 3,
+      onProgress: ({ peerId }) => progressPeers.add(peerId!),
+      onComplete: () => sessionDone(),
+    });
+
+    const receive = () => new Promise<string>((resolve, reject) => {
+      let text = '';
+      startP2PReceive({
+        code: session.code,
+        Peer,
+        onData: (chunk) => {
+          text += new TextDecoder().decode(chunk);
+        },
+        onComplete: () => resolve(text),
+        onError: reject,
+      }).catch(reject);
+    });
+    const results = await Promise.all([receive(), receive(), receive()]);
+    await completed;
+
+    expect(results).toEqual(['broadcast data', 'broadcast data', 'broadcast data']);
+    expect(session.getStatus()).toBe('completed');
+    expect(session.getReceivers().map((r) => r.state)).toEqual(['completed', 'completed', 'completed']);
+    expect(progressPeers.size).toBe(3);
+    expect(session.getBytesSent()).toBe(3 * content.size);
+  });
+
+  it('lets a broadcast sender kick one receiver without affecting the others', async () => {
+    let kicked!: (evt: unknown) => void;
+    const kickedCancel = new Promise<unknown>((resolve) => {
+      kicked = resolve;
+    });
+    const session = await startP2PSend({
+      Peer,
+      file: files[2].file,
+      heartbeatIntervalMs: 0,
+      broadcast: true,
+      onReceiverUpdate: ({ peerId, state }) => {
+        // The second receiver is removed as soon as it connects
+        if (state === 'negotiating' && session.getReceivers().length === 2) {
+          expect(session.kick(peerId)).toBe(true);
+        }
+      },
+    });
+
+    const first = await new Promise<string>((resolve, reject) => {
+      let text = '';
+      startP2PReceive({
+        code: session.code,
+        Peer,
+        onData: (chunk) => {
+          text += new TextDecoder().decode(chunk);
+        },
+        onComplete: () => resolve(text),
+        onError: reject,
+      }).catch(reject);
+    });
+    await startP2PReceive({ code: session.code, Peer, autoReady: false, onCancel: (evt) => kicked(evt) });
+
+    expect(first).toBe('0123456789');
+    expect(await kickedCancel).toEqual({ cancelledBy: 'sender', message: 'The sender removed you from the transfer.' });
+    expect(session.getReceivers().map((r) => r.state)).toEqual(['completed', 'cancelled']);
+    expect(session.getStatus()).toBe('listening');
+    session.stop();
+  });
+
+  it('refuses an unencrypted transfer when encryption is required', async () => {
+    let senderError!: (err: Error) => void;
+    const failed = new Promise<Error>((resolve) => {
+      senderError = resolve;
+    });
+    const session = await startP2PSend({ Peer, file: files[0].file, heartbeatIntervalMs: 0, onError: (err) => senderError(err) });
+    const receiverError = new Promise<Error>((resolve) => {
+      startP2PReceive({ code: session.code, Peer, requireEncryption: true, onError: resolve });
+    });
+
+    expect((await receiverError).message).toBe('The sender did not encrypt this transfer.');
+    expect((await failed).message).toBe('The sender did not encrypt this transfer.');
+  });
+
+  it('never announces or writes an unencrypted meta when encryption is required', async () => {
+    // A sender that skips the key exchange and goes straight to the data
+    const code = generateP2PCode(crypto);
+    const sender = new FakePeer(code);
+    sender.on('connection', (conn) => {
+      const connection = conn as FakeConnection;
+      connection.on('open', () => {
+        connection.send({ t: 'meta', sessionId: 's1', name: 'evil.exe', size: 4 });
+        connection.send(new TextEncoder().encode('evil').buffer);
+      });
+    });
+
+    let announced = false;
+    let written = 0;
+    const error = await new Promise<Error>((resolve) => {
+      startP2PReceive({
+        code,
+        Peer,
+        requireEncryption: true,
+        onMeta: () => {
+          announced = true;
+        },
+        onData: (chunk) => {
+          written += chunk.byteLength;
+        },
+        onError: resolve,
+      });
+    });
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    sender.destroy();
+
+    expect(error.message).toBe('The sender did not encrypt this transfer.');
+    expect(announced).toBe(false);
+    expect(written).toBe(0);
+  });
+});
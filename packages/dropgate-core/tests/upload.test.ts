@@ -0,0 +1,224 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getUploadStateKey,
+  createMemoryUploadStateStore,
+  createWebStorageUploadStateStore,
+  DropgateClient,
+  DEFAULT_CHUNK_SIZE,
+  MAX_UPLOAD_CONCURRENCY,
+} from '../src/index.js';
+import type { FileSource, PersistedUploadState } from '../src/index.js';
+import { DropgateValidationError } from '../src/errors.js';
+import { createFakeServer } from './helpers/fakeServer.js';
+
+describe('Upload state stores', () => {
+  const fakeFile = (name: string, size: number, lastModified?: number): FileSource => ({
+    name,
+    size,
+    lastModified,
+    slice: () => fakeFile(name, 0, lastModified),
+    arrayBuffer: async () => new ArrayBuffer(0),
+  });
+
+  const sampleState: PersistedUploadState = {
+    version: 1,
+    uploadId: 'abc-123',
+    baseUrl: 'https://dropgate.link',
+    fileName: 'test.txt',
+    fileSize: 42,
+    chunkSize: 5 * 1024 * 1024,
+    totalChunks: 1,
+    isEncrypted: false,
+    createdAt: 0,
+  };
+
+  it('derives distinct keys for different files', () => {
+    expect(getUploadStateKey(fakeFile('a.txt', 10, 1))).toBe(getUploadStateKey(fakeFile('a.txt', 10, 1)));
+    expect(getUploadStateKey(fakeFile('a.txt', 10, 1))).not.toBe(getUploadStateKey(fakeFile('a.txt', 11, 1)));
+    expect(getUploadStateKey(fakeFile('a.txt', 10, 1))).not.toBe(getUploadStateKey(fakeFile('a.txt', 10, 2)));
+  });
+
+  it('stores and removes state in memory', () => {
+    const store = createMemoryUploadStateStore();
+    expect(store.get('k')).toBeNull();
+    store.set('k', sampleState);
+    expect(store.get('k')).toEqual(sampleState);
+    store.delete('k');
+    expect(store.get('k')).toBeNull();
+  });
+
+  it('round-trips state through web storage', () => {
+    const backing = new Map<string, string>();
+    const store = createWebStorageUploadStateStore({
+      getItem: (key) => backing.get(key) ?? null,
+      setItem: (key, value) => backing.set(key, value),
+      removeItem: (key) => backing.delete(key),
+    });
+    store.set('k', sampleState);
+    expect(store.get('k')).toEqual(sampleState);
+    backing.set('bad', 'not json');
+    expect(store.get('bad')).toBeNull();
+    store.delete('k');
+    expect(backing.has('k')).toBe(false);
+  });
+});
+
+describe('Upload management', () => {
+  it('sends the owner token and maps lifetimeMs to the server field', async () => {
+    const { fetchFn, requests } = createFakeServer({
+      handle: () => Response.json({ expiresAt: null, maxDownloads: 3, downloadCount: 0 }),
+    });
+
+    const client = new DropgateClient({ clientVersion: '2.2.1', fetchFn });
+    const settings = await client.updateUpload({
+      host: 'localhost',
+      secure: false,
+      fileId: 'abc',
+      ownerToken: 'secret',
+      lifetimeMs: 0,
+      maxDownloads: 3,
+    });
+
+    const updates = requests
+      .filter((r) => r.path !== '/api/info')
+      .map((r) => ({ method: r.method, token: r.headers.get('X-Owner-Token'), body: r.json }));
+    expect(updates).toEqual([{ method: 'PATCH', token: 'secret', body: { lifetime: 0, maxDownloads: 3 } }]);
+    expect(settings.maxDownloads).toBe(3);
+  });
+
+  it('reports a rejected owner token with its own code', async () => {
+    const { fetchFn } = createFakeServer({
+      handle: () => Response.json({ error: 'Invalid owner token.' }, { status: 403 }),
+    });
+
+    const client = new DropgateClient({ clientVersion: '2.2.1', fetchFn });
+    await expect(
+      client.deleteUpload({ host: 'localhost', secure: false, fileId: 'abc', ownerToken: 'wrong' })
+    ).rejects.toMatchObject({ code: 'OWNER_TOKEN_INVALID' });
+  });
+});
+
+describe('API key authentication', () => {
+  const file = { name: 'a.txt', size: 10, slice: () => new Blob() };
+
+  it('sends the API key with the server info request', async () => {
+    const { fetchFn, requests } = createFakeServer({
+      upload: { authRequired: true, authenticated: true, maxSizeMB: 500 },
+    });
+
+    const client = new DropgateClient({ clientVersion: '2.2.1', fetchFn, apiKey: 'secret-key' });
+    const { serverInfo } = await client.checkCompatibility({ host: 'localhost', secure: false });
+
+    expect(requests.map((r) => r.headers.get('Authorization'))).toEqual(['Bearer secret-key']);
+    expect(client.validateUploadInputs({ file, lifetimeMs: 1000, encrypt: false, serverInfo })).toBe(true);
+  });
+
+  it('requires an API key when the server asks for one', () => {
+    const client = new DropgateClient({ clientVersion: '2.2.1' });
+    const serverInfo = { version: '2.2.1', capabilities: { upload: { enabled: true, authRequired: true } } };
+
+    expect(() => client.validateUploadInputs({ file, lifetimeMs: 1000, encrypt: false, serverInfo }))
+      .toThrow(expect.objectContaining({ code: 'AUTH_REQUIRED' }));
+    expect(() => client.validateUploadInputs({
+      file,
+      lifetimeMs: 1000,
+      encrypt: false,
+      serverInfo: { ...serverInfo, capabilities: { upload: { enabled: true, authRequired: true, authenticated: false } } },
+    })).toThrow(expect.objectContaining({ code: 'AUTH_FAILED' }));
+  });
+});
+
+describe('Upload webhooks', () => {
+  it('rejects a webhook when the server does not accept them', () => {
+    const client = new DropgateClient({ clientVersion: '2.2.1' });
+    const file = { name: 'a.txt', size: 10, slice: () => new Blob() };
+    const webhook = { url: 'https://example.com/hook', secret: 'a-long-enough-secret' };
+    const serverInfo = { version: '2.2.1', capabilities: { upload: { enabled: true } } };
+
+    expect(() => client.validateUploadInputs({ file, lifetimeMs: 1000, encrypt: false, webhook, serverInfo }))
+      .toThrow(DropgateValidationError);
+    expect(client.validateUploadInputs({
+      file,
+      lifetimeMs: 1000,
+      encrypt: false,
+      webhook,
+      serverInfo: { ...serverInfo, capabilities: { upload: { enabled: true, webhooks: true } } },
+    })).toBe(true);
+  });
+});
+
+describe('Chunk size negotiation', () => {
+  it('clamps the chunk size to the server bounds and falls back to the default on older servers', () => {
+    const client = new DropgateClient({ clientVersion: '2.2.1', chunkSize: 64 * 1024 * 1024 });
+    const upload = { enabled: true, chunkSize: { min: 256 * 1024, max: 32 * 1024 * 1024 } };
+
+    expect(client.resolveChunkSize({ version: '2.2.1', capabilities: { upload } })).toBe(32 * 1024 * 1024);
+    expect(client.resolveChunkSize({ version: '2.2.1', capabilities: { upload: { enabled: true } } })).toBe(DEFAULT_CHUNK_SIZE);
+  });
+});
+
+describe('Parallel chunk uploads', () => {
+  // Chunks of 4 bytes; `onChunk` answers each chunk upload
+  const chunkServer = (onChunk: (index: string) => Promise<Response>) => createFakeServer({
+    upload: { e2ee: false, chunkSize: { min: 4, max: 4 } },
+    handle: ({ path, headers }) => {
+      if (path === '/upload/init') return Response.json({ uploadId: 'u1' });
+      if (path === '/upload/complete') return Response.json({ id: 'f1' });
+      return onChunk(headers.get('X-Chunk-Index')!);
+    },
+  });
+
+  it('keeps at most `concurrency` chunks in flight and reports progress in order', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const chunkIndexes: string[] = [];
+    const { fetchFn } = chunkServer(async (index) => {
+      chunkIndexes.push(index);
+      maxInFlight = Math.max(maxInFlight, ++inFlight);
+      // Later chunks finish first
+      await new Promise((resolve) => setTimeout(resolve, 40 - chunkIndexes.length * 5));
+      inFlight--;
+      return new Response('Chunk received.');
+    });
+
+    const percents: number[] = [];
+    const client = new DropgateClient({ clientVersion: '2.2.1', fetchFn, chunkSize: 4 });
+    const session = await client.uploadFile({
+      host: 'localhost',
+      secure: false,
+      file: new File(['0123456789abcdefghij'], 'a.txt'),
+      lifetimeMs: 0,
+      concurrency: 3,
+      onProgress: (evt) => percents.push(evt.percent),
+    });
+    await session.result;
+
+    expect(chunkIndexes.sort()).toEqual(['0', '1', '2', '3', '4']);
+    expect(maxInFlight).toBe(3);
+    expect(percents).toEqual([...percents].sort((a, b) => a - b));
+  });
+
+  it('caps the concurrency at MAX_UPLOAD_CONCURRENCY', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const { fetchFn } = chunkServer(async () => {
+      maxInFlight = Math.max(maxInFlight, ++inFlight);
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      inFlight--;
+      return new Response('Chunk received.');
+    });
+
+    const client = new DropgateClient({ clientVersion: '2.2.1', fetchFn, chunkSize: 4 });
+    const session = await client.uploadFile({
+      host: 'localhost',
+      secure: false,
+      file: new File(['x'.repeat(4 * (MAX_UPLOAD_CONCURRENCY + 4))], 'a.txt'),
+      lifetimeMs: 0,
+      concurrency: 64,
+    });
+    await session.result;
+
+    expect(MAX_UPLOAD_CONCURRENCY).toBe(8);
+    expect(maxInFlight).toBe(MAX_UPLOAD_CONCURRENCY);
+  });
+});
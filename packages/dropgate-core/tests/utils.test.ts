@@ -9,6 +9,7 @@ import {
   isLocalhostHostname,
   isSecureContextForP2P,
   generateP2PCode,
+  normalizeP2PCode,
   isP2PCodeLike,
   parseServerUrl,
   buildBaseUrl,
@@ -158,6 +159,36 @@ describe('P2P utilities', () => {
       // With cryptographic randomness, collisions should be extremely rare
       expect(codes.size).toBeGreaterThan(5);
     });
+
+    it('generates codes in the alphanumeric and words formats', () => {
+      const alphanumeric = generateP2PCode(undefined, { type: 'alphanumeric', length: 10 });
+      expect(alphanumeric).toMatch(/^[A-HJ-NP-Z2-9]{4}-[A-HJ-NP-Z2-9]{4}-[A-HJ-NP-Z2-9]{2}$/);
+      expect(isP2PCodeLike(alphanumeric, { type: 'alphanumeric', length: 10 })).toBe(true);
+
+      const words = generateP2PCode(undefined, { type: 'words', length: 4 });
+      expect(words).toMatch(/^[a-z]+(-[a-z]+){3}$/);
+      expect(isP2PCodeLike(words, { type: 'words', length: 4 })).toBe(true);
+      expect(isP2PCodeLike(words, { type: 'words', length: 5 })).toBe(false);
+    });
+  });
+
+  describe('normalizeP2PCode', () => {
+    it('brings typed codes into their canonical form', () => {
+      expect(normalizeP2PCode(' abcd 1234 ')).toBe('ABCD-1234');
+      expect(normalizeP2PCode('k7qmr2xd 9hnp')).toBe('K7QM-R2XD-9HNP');
+      expect(normalizeP2PCode('Apple River  comet.tiger')).toBe('apple-river-comet-tiger');
+      expect(normalizeP2PCode('ABCD-1234', { type: 'words' })).toBe('ABCD-1234');
+    });
+
+    it('keeps codes handed out before the format or length changed in their own format', () => {
+      const words = { type: 'words', length: 5 } as const;
+      const alphanumeric = { type: 'alphanumeric', length: 16 } as const;
+      expect(normalizeP2PCode('k7qm r2xd 9hnp', words)).toBe('K7QM-R2XD-9HNP');
+      expect(normalizeP2PCode('apple river comet tiger', alphanumeric)).toBe('apple-river-comet-tiger');
+      expect(normalizeP2PCode('k7qmr2xd9hnp', alphanumeric)).toBe('K7QM-R2XD-9HNP');
+      expect(normalizeP2PCode('apple river comet tiger', words)).toBe('apple-river-comet-tiger');
+      expect(isP2PCodeLike(normalizeP2PCode('k7qm r2xd 9hnp', words))).toBe(true);
+    });
   });
 
   describe('isP2PCodeLike', () => {
@@ -173,6 +204,12 @@ describe('P2P utilities', () => {
       expect(isP2PCodeLike('ABCD1234')).toBe(false);  // No dash
       expect(isP2PCodeLike('')).toBe(false);
     });
+
+    it('keeps accepting classic codes whatever the format', () => {
+      expect(isP2PCodeLike('ABCD-1234', { type: 'words', length: 4 })).toBe(true);
+      expect(isP2PCodeLike('apple-river-comet-tiger', { type: 'alphanumeric' })).toBe(false);
+      expect(isP2PCodeLike('apple-river-comet-tiger')).toBe(true);
+    });
   });
 });
 
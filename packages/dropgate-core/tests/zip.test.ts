@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import { crc32, ZipWriter } from '../src/index.js';
+
+describe('ZIP writer', () => {
+  const encoder = new TextEncoder();
+
+  const writeArchive = async (entries: Array<[string, string]>): Promise<Uint8Array> => {
+    const parts: Uint8Array[] = [];
+    const zip = new ZipWriter((chunk) => {
+      parts.push(chunk);
+    });
+    for (const [name, text] of entries) {
+      await zip.startFile(name, { lastModified: Date.UTC(2024, 0, 1) });
+      await zip.write(encoder.encode(text));
+      await zip.endFile();
+    }
+    const total = await zip.finish();
+    const out = new Uint8Array(total);
+    let offset = 0;
+    for (const part of parts) {
+      out.set(part, offset);
+      offset += part.length;
+    }
+    return out;
+  };
+
+  it('computes CRC-32 checksums incrementally', () => {
+    const data = encoder.encode('123456789');
+    expect(crc32(data)).toBe(0xcbf43926);
+    expect(crc32(data.subarray(4), crc32(data.subarray(0, 4)))).toBe(0xcbf43926);
+  });
+
+  it('writes a central directory that points at each entry', async () => {
+    const archive = await writeArchive([['a.txt', 'hello'], ['b.txt', 'world']]);
+    const view = new DataView(archive.buffer);
+    const eocd = archive.length - 22;
+    expect(view.getUint32(eocd, true)).toBe(0x06054b50);
+    expect(view.getUint16(eocd + 10, true)).toBe(2);
+
+    const cdOffset = view.getUint32(eocd + 16, true);
+    expect(view.getUint32(cdOffset, true)).toBe(0x02014b50);
+    expect(view.getUint32(cdOffset + 16, true)).toBe(crc32(encoder.encode('hello')));
+    expect(view.getUint32(cdOffset + 24, true)).toBe(5);
+    expect(view.getUint32(view.getUint32(cdOffset + 42, true), true)).toBe(0x04034b50);
+  });
+
+  it('sanitises and de-duplicates entry names', async () => {
+    const zip = new ZipWriter(() => { });
+    expect(await zip.startFile('../../etc/passwd')).toBe('etc/passwd');
+    await zip.endFile();
+    expect(await zip.startFile('photo.jpg')).toBe('photo.jpg');
+    await zip.endFile();
+    expect(await zip.startFile('PHOTO.jpg')).toBe('PHOTO (1).jpg');
+    await zip.endFile();
+    await zip.finish();
+  });
+});
@@ -0,0 +1,95 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+/**
+ * API keys for authenticated uploads.
+ *
+ * Keys are listed in a JSON file, one entry per key:
+ *
+ *     [{ "name": "ci", "key": "…", "maxStorageGB": 50, "maxFileSizeMB": 2000, "maxLifetimeHours": 168 }]
+ *
+ * `keySha256` (hex) may be given instead of `key`, so the file does not have to hold the secret.
+ * Limits left out of an entry fall back to the server-wide `UPLOAD_MAX_*` values, except
+ * `maxStorageGB`, which is only enforced when set. A limit of 0 means unlimited.
+ *
+ * @typedef {object} ApiKey
+ * @property {string} name - Label used to attribute uploads to the key
+ * @property {Buffer} hash - SHA-256 of the key
+ * @property {{ maxStorageGB?: number, maxFileSizeMB?: number, maxLifetimeHours?: number }} limits - Limits set for this key
+ */
+
+const KEY_LIMITS = ['maxStorageGB', 'maxFileSizeMB', 'maxLifetimeHours'];
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest();
+
+/**
+ * Validate one entry of the API key file.
+ * @param {unknown} entry - Entry from the file
+ * @param {number} index - Position in the file, for error messages
+ * @returns {ApiKey}
+ */
+const parseEntry = (entry, index) => {
+    const where = `API key #${index + 1}`;
+    if (!entry || typeof entry !== 'object') throw new Error(`${where} must be an object.`);
+
+    const { name, key, keySha256 } = entry;
+    if (typeof name !== 'string' || name.trim().length === 0) throw new Error(`${where} needs a name.`);
+
+    let hash;
+    if (typeof key === 'string' && key.length >= 16) {
+        hash = hashKey(key);
+    } else if (typeof keySha256 === 'string' && /^[a-f0-9]{64}$/i.test(keySha256)) {
+        hash = Buffer.from(keySha256, 'hex');
+    } else {
+        throw new Error(`${where} ("${name}") needs a "key" of at least 16 characters or a hex "keySha256".`);
+    }
+
+    const limits = {};
+    for (const limit of KEY_LIMITS) {
+        if (entry[limit] === undefined) continue;
+        if (typeof entry[limit] !== 'number' || !Number.isFinite(entry[limit]) || entry[limit] < 0) {
+            throw new Error(`${where} ("${name}") has an invalid ${limit}. Must be a non-negative number.`);
+        }
+        limits[limit] = entry[limit];
+    }
+
+    return { name: name.trim(), hash, limits };
+};
+
+/**
+ * Load the API keys from a JSON file.
+ * @param {string} file - Path of the key file
+ * @returns {{ size: number, authenticate: (credential: unknown) => ApiKey|null, get: (name: string) => ApiKey|null }}
+ */
+const loadApiKeys = (file) => {
+    const entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(entries) || entries.length === 0) {
+        throw new Error('Expected a non-empty array of API keys.');
+    }
+
+    const keys = entries.map(parseEntry);
+    const names = new Set();
+    for (const { name } of keys) {
+        if (names.has(name)) throw new Error(`Duplicate API key name "${name}".`);
+        names.add(name);
+    }
+
+    return {
+        size: keys.length,
+
+        // Every key is compared, so the time taken does not reveal which one matched
+        authenticate: (credential) => {
+            if (typeof credential !== 'string' || credential.length === 0) return null;
+            const hash = hashKey(credential);
+            let match = null;
+            for (const key of keys) {
+                if (crypto.timingSafeEqual(key.hash, hash)) match = key;
+            }
+            return match;
+        },
+
+        get: (name) => keys.find((key) => key.name === name) || null,
+    };
+};
+
+module.exports = { loadApiKeys };
@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+
+/**
+ * Tracks which bytes of a stored file have been sent, so a download only counts once a client
+ * has received the whole file.
+ *
+ * Range requests make single responses a poor measure: a `bytes=-1` probe, or a media player
+ * reading an index at the end of a file, ends with the last byte, while a client can fetch a
+ * file in pieces that never do. Each response that starts at the first byte gets a download ID,
+ * which a resuming client echoes so its pieces are merged together. Pieces sent without a known
+ * ID go into a pool shared by the whole file.
+ *
+ * A download counts when its own pieces cover the file, or when everything sent of the file
+ * since the last count does, so spreading the pieces over several IDs or addresses does not
+ * get around a download limit. Records are bounded: the oldest IDs are folded into the shared
+ * pool, and the closest pieces are merged (counting the gap between them as sent). A file's
+ * record is forgotten when nothing is sent of it for `ttlMs`.
+ *
+ * @typedef {object} DeliveryTracker
+ * @property {(fileId: string, downloadId: string|undefined, start: number) => string|null} open - The download ID a response belongs to: the echoed one if known, a new one if the response starts at the first byte, null otherwise
+ * @property {(fileId: string, downloadId: string|null, start: number, end: number) => void} add - Record that bytes `start` to `end` (exclusive) were sent
+ * @property {(fileId: string, downloadId: string|null, size: number) => boolean} complete - Whether a file of `size` bytes was sent in full. Clears what was counted when it was.
+ */
+
+/**
+ * Merge a half-open range into a sorted list of non-overlapping ranges.
+ * @param {Array<[number, number]>} ranges
+ * @param {[number, number]} range
+ * @returns {Array<[number, number]>}
+ */
+const mergeRange = (ranges, range) => {
+    const merged = [];
+    let next = range;
+    for (const existing of ranges) {
+        if (existing[1] < next[0] || existing[0] > next[1]) {
+            merged.push(existing);
+        } else {
+            next = [Math.min(existing[0], next[0]), Math.max(existing[1], next[1])];
+        }
+    }
+    merged.push(next);
+    return merged.sort((a, b) => a[0] - b[0]);
+};
+
+/**
+ * Whether sorted ranges cover the first `size` bytes.
+ * @param {Array<[number, number]>} ranges
+ * @param {number} size
+ * @returns {boolean}
+ */
+const covers = (ranges, size) => ranges.length > 0 && ranges[0][0] === 0 && ranges[0][1] >= size;
+
+/**
+ * Create a delivery tracker.
+ * @param {object} options
+ * @param {number} options.ttlMs - How long to remember a file's partial deliveries after its last bytes
+ * @param {number} [options.maxDownloadIds] - Download IDs kept per file before the oldest is folded into the shared pool
+ * @param {number} [options.maxRanges] - Separate pieces kept per download ID (and in the shared pool)
+ * @returns {DeliveryTracker}
+ */
+const createDeliveryTracker = ({ ttlMs, maxDownloadIds = 32, maxRanges = 16 }) => {
+    // fileId -> { downloads: Map<downloadId, ranges> in issue order, shared: ranges, timer }
+    const files = new Map();
+
+    const touch = (fileId) => {
+        const file = files.get(fileId) || { downloads: new Map(), shared: [], timer: null };
+        clearTimeout(file.timer);
+        file.timer = setTimeout(() => files.delete(fileId), ttlMs);
+        file.timer.unref();
+        files.set(fileId, file);
+        return file;
+    };
+
+    const forget = (fileId) => {
+        clearTimeout(files.get(fileId)?.timer);
+        files.delete(fileId);
+    };
+
+    // Keep a range list bounded by merging the two pieces with the smallest gap between them
+    const bound = (ranges) => {
+        while (ranges.length > maxRanges) {
+            let closest = 0;
+            for (let i = 1; i < ranges.length - 1; i++) {
+                if (ranges[i + 1][0] - ranges[i][1] < ranges[closest + 1][0] - ranges[closest][1]) closest = i;
+            }
+            ranges.splice(closest, 2, [ranges[closest][0], ranges[closest + 1][1]]);
+        }
+        return ranges;
+    };
+
+    const addRanges = (ranges, more) => bound(more.reduce(mergeRange, ranges));
+
+    const open = (fileId, downloadId, start) => {
+        if (downloadId && files.get(fileId)?.downloads.has(downloadId)) {
+            touch(fileId);
+            return downloadId;
+        }
+        if (start !== 0) return null;
+
+        const file = touch(fileId);
+        const id = crypto.randomBytes(16).toString('hex');
+        file.downloads.set(id, []);
+        if (file.downloads.size > maxDownloadIds) {
+            const [oldestId, oldest] = file.downloads.entries().next().value;
+            file.downloads.delete(oldestId);
+            file.shared = addRanges(file.shared, oldest);
+        }
+        return id;
+    };
+
+    const add = (fileId, downloadId, start, end) => {
+        if (end <= start) return;
+        const file = touch(fileId);
+        if (downloadId && file.downloads.has(downloadId)) {
+            file.downloads.set(downloadId, addRanges(file.downloads.get(downloadId), [[start, end]]));
+        } else {
+            file.shared = addRanges(file.shared, [[start, end]]);
+        }
+    };
+
+    const complete = (fileId, downloadId, size) => {
+        const file = files.get(fileId);
+        if (!file) return false;
+        if (downloadId && covers(file.downloads.get(downloadId) || [], size)) {
+            file.downloads.delete(downloadId);
+            return true;
+        }
+        const everything = [file.shared, ...file.downloads.values()].flat().reduce(mergeRange, []);
+        if (!covers(everything, size)) return false;
+        forget(fileId);
+        return true;
+    };
+
+    return { open, add, complete };
+};
+
+module.exports = { createDeliveryTracker };
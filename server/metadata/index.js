@@ -0,0 +1,40 @@
+/**
+ * Metadata stores for the file registry (stored files and bundles).
+ *
+ * Every store implements the same synchronous interface, so server.js does not need to know
+ * whether records are kept in memory or on disk:
+ *
+ * @typedef {object} MetadataStore
+ * @property {string} name - Store name, used in logs
+ * @property {(id: string) => object|undefined} get - Look up a record
+ * @property {(id: string, record: object) => void} set - Insert or replace a record
+ * @property {(id: string) => void} delete - Remove a record (no error if missing)
+ * @property {(id: string) => number|null} incrementDownloadCount - Atomically add one download, returning the new count (null if missing)
+ * @property {(now: number) => string[]} findExpired - IDs of records whose `expiresAt` is before `now`
+ * @property {() => string[]} bundleIds - IDs of all bundle records
+ * @property {(apiKey: string) => number} storedBytesFor - Total `sizeBytes` of the files uploaded with an API key
+ * @property {() => Array<[string, object]>} entries - Every record with its ID, e.g. for the admin dashboard
+ * @property {() => void} close - Release the store
+ */
+
+const METADATA_STORES = ['memory', 'sqlite'];
+
+/**
+ * Create the metadata store with the given name.
+ * Stores are loaded on demand so native modules are only required when used.
+ * @param {string} driver - One of METADATA_STORES
+ * @param {object} [options] - Store specific options
+ * @returns {MetadataStore}
+ */
+const createMetadataStore = (driver, options = {}) => {
+    switch (driver) {
+        case 'memory':
+            return require('./memory').createMemoryStore();
+        case 'sqlite':
+            return require('./sqlite').createSqliteStore(options);
+        default:
+            throw new Error(`Unknown metadata store "${driver}". Expected one of: ${METADATA_STORES.join(', ')}.`);
+    }
+};
+
+module.exports = { METADATA_STORES, createMetadataStore };
@@ -0,0 +1,59 @@
+/**
+ * In-memory metadata store. Records are lost when the process exits,
+ * which matches uploads being cleared on startup when they are not preserved.
+ * @returns {import('./index').MetadataStore}
+ */
+const createMemoryStore = () => {
+    const records = new Map();
+
+    return {
+        name: 'memory',
+
+        get: (id) => records.get(id),
+
+        set: (id, record) => {
+            records.set(id, { ...record });
+        },
+
+        delete: (id) => {
+            records.delete(id);
+        },
+
+        incrementDownloadCount: (id) => {
+            const record = records.get(id);
+            if (!record) return null;
+            record.downloadCount = (record.downloadCount || 0) + 1;
+            return record.downloadCount;
+        },
+
+        findExpired: (now) => {
+            const ids = [];
+            for (const [id, record] of records) {
+                if (record.expiresAt && record.expiresAt < now) ids.push(id);
+            }
+            return ids;
+        },
+
+        bundleIds: () => {
+            const ids = [];
+            for (const [id, record] of records) {
+                if (record.isBundle) ids.push(id);
+            }
+            return ids;
+        },
+
+        storedBytesFor: (apiKey) => {
+            let total = 0;
+            for (const record of records.values()) {
+                if (record.apiKey === apiKey) total += record.sizeBytes || 0;
+            }
+            return total;
+        },
+
+        entries: () => Array.from(records, ([id, record]) => [id, { ...record }]),
+
+        close: () => { },
+    };
+};
+
+module.exports = { createMemoryStore };
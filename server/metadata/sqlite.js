@@ -0,0 +1,142 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const SCHEMA_VERSION = 1;
+
+/**
+ * SQLite metadata store.
+ * Fields that are queried or updated on their own (expiry, download count, bundle flag)
+ * get their own columns; everything else is kept as JSON so new fields need no migration.
+ * @param {object} options
+ * @param {string} options.file - Path of the database file
+ * @param {string} [options.legacyJsonFile] - `file-system-db` JSON file to import once, if present
+ * @param {(level: string, message: string) => void} [options.log] - Logger
+ * @returns {import('./index').MetadataStore}
+ */
+const createSqliteStore = ({ file, legacyJsonFile, log = () => { } }) => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+
+    const db = new Database(file);
+    db.pragma('journal_mode = WAL');
+
+    if (db.pragma('user_version', { simple: true }) < SCHEMA_VERSION) {
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS files (
+                id TEXT PRIMARY KEY,
+                is_bundle INTEGER NOT NULL DEFAULT 0,
+                expires_at INTEGER,
+                download_count INTEGER NOT NULL DEFAULT 0,
+                data TEXT NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS files_expires_at ON files (expires_at);
+            CREATE INDEX IF NOT EXISTS files_is_bundle ON files (is_bundle) WHERE is_bundle = 1;
+        `);
+        db.pragma(`user_version = ${SCHEMA_VERSION}`);
+    }
+
+    const statements = {
+        get: db.prepare('SELECT * FROM files WHERE id = ?'),
+        upsert: db.prepare(`
+            INSERT INTO files (id, is_bundle, expires_at, download_count, data)
+            VALUES (@id, @isBundle, @expiresAt, @downloadCount, @data)
+            ON CONFLICT (id) DO UPDATE SET
+                is_bundle = excluded.is_bundle,
+                expires_at = excluded.expires_at,
+                download_count = excluded.download_count,
+                data = excluded.data
+        `),
+        insertIfMissing: db.prepare(`
+            INSERT OR IGNORE INTO files (id, is_bundle, expires_at, download_count, data)
+            VALUES (@id, @isBundle, @expiresAt, @downloadCount, @data)
+        `),
+        delete: db.prepare('DELETE FROM files WHERE id = ?'),
+        increment: db.prepare('UPDATE files SET download_count = download_count + 1 WHERE id = ? RETURNING download_count'),
+        expired: db.prepare('SELECT id FROM files WHERE expires_at < ?').pluck(),
+        bundles: db.prepare('SELECT id FROM files WHERE is_bundle = 1').pluck(),
+        storedBytes: db.prepare(`
+            SELECT COALESCE(SUM(json_extract(data, '$.sizeBytes')), 0) FROM files
+            WHERE json_extract(data, '$.apiKey') = ?
+        `).pluck(),
+        all: db.prepare('SELECT * FROM files'),
+    };
+
+    const toRow = (id, record) => {
+        const { isBundle, expiresAt, downloadCount, ...data } = record;
+        return {
+            id,
+            isBundle: isBundle ? 1 : 0,
+            expiresAt: Number.isFinite(expiresAt) ? expiresAt : null,
+            downloadCount: downloadCount || 0,
+            data: JSON.stringify(data),
+        };
+    };
+
+    const fromRow = (row) => {
+        const record = { ...JSON.parse(row.data), expiresAt: row.expires_at, downloadCount: row.download_count };
+        if (row.is_bundle) record.isBundle = true;
+        return record;
+    };
+
+    if (legacyJsonFile && fs.existsSync(legacyJsonFile)) {
+        const imported = importLegacyJson(db, statements.insertIfMissing, toRow, legacyJsonFile);
+        log('info', `Migrated ${imported} records from ${path.basename(legacyJsonFile)} to SQLite.`);
+    }
+
+    return {
+        name: 'sqlite',
+
+        get: (id) => {
+            const row = statements.get.get(id);
+            return row ? fromRow(row) : undefined;
+        },
+
+        set: (id, record) => {
+            statements.upsert.run(toRow(id, record));
+        },
+
+        delete: (id) => {
+            statements.delete.run(id);
+        },
+
+        incrementDownloadCount: (id) => {
+            const row = statements.increment.get(id);
+            return row ? row.download_count : null;
+        },
+
+        findExpired: (now) => statements.expired.all(now),
+
+        bundleIds: () => statements.bundles.all(),
+
+        storedBytesFor: (apiKey) => statements.storedBytes.get(apiKey),
+
+        entries: () => statements.all.all().map((row) => [row.id, fromRow(row)]),
+
+        close: () => {
+            db.close();
+        },
+    };
+};
+
+/**
+ * Import records from the old `file-system-db` JSON registry in one transaction,
+ * then rename the file so the import only ever runs once.
+ * @returns {number} Number of records imported
+ */
+const importLegacyJson = (db, insert, toRow, jsonFile) => {
+    const records = JSON.parse(fs.readFileSync(jsonFile, 'utf8') || '{}');
+    const entries = Object.entries(records).filter(([, record]) => record && typeof record === 'object');
+
+    db.transaction(() => {
+        for (const [id, record] of entries) {
+            // Stored file paths are now derived from the ID by the storage driver
+            const { path: _legacyPath, ...rest } = record;
+            insert.run(toRow(id, rest));
+        }
+    })();
+
+    fs.renameSync(jsonFile, `${jsonFile}.migrated`);
+    return entries.length;
+};
+
+module.exports = { createSqliteStore };
@@ -0,0 +1,86 @@
+/**
+ * Small Prometheus metrics registry.
+ *
+ * Counters are incremented where events happen; gauges are read from a callback when
+ * the metrics are scraped, so they never go stale. Output follows the Prometheus text
+ * exposition format (version 0.0.4).
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const escapeLabelValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+    const entries = Object.entries(labels || {});
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+};
+
+/**
+ * Create a metrics registry.
+ * @returns {{
+ *   counter: (name: string, help: string) => { inc: (labels?: object, value?: number) => void },
+ *   gauge: (name: string, help: string, collect: () => number|Array<[object, number]>|null) => void,
+ *   render: () => string,
+ *   contentType: string,
+ * }}
+ */
+const createMetricsRegistry = () => {
+    const metrics = [];
+    const names = new Set();
+
+    const register = (name, metric) => {
+        if (names.has(name)) throw new Error(`Metric "${name}" is already registered.`);
+        names.add(name);
+        metrics.push(metric);
+    };
+
+    return {
+        contentType: CONTENT_TYPE,
+
+        counter: (name, help) => {
+            const values = new Map(); // Label set -> value
+            register(name, {
+                name,
+                help,
+                type: 'counter',
+                samples: () => values.size === 0 ? [['', 0]] : Array.from(values),
+            });
+            return {
+                inc: (labels = {}, value = 1) => {
+                    const key = formatLabels(labels);
+                    values.set(key, (values.get(key) || 0) + value);
+                },
+            };
+        },
+
+        // `collect` returns a single value, [labels, value] pairs, or null to skip the gauge
+        gauge: (name, help, collect) => {
+            register(name, {
+                name,
+                help,
+                type: 'gauge',
+                samples: () => {
+                    const value = collect();
+                    if (value === null || value === undefined) return [];
+                    if (Array.isArray(value)) return value.map(([labels, v]) => [formatLabels(labels), v]);
+                    return [['', value]];
+                },
+            });
+        },
+
+        render: () => {
+            const lines = [];
+            for (const metric of metrics) {
+                const samples = metric.samples();
+                if (samples.length === 0) continue;
+                lines.push(`# HELP ${metric.name} ${metric.help}`);
+                lines.push(`# TYPE ${metric.name} ${metric.type}`);
+                for (const [labels, value] of samples) lines.push(`${metric.name}${labels} ${value}`);
+            }
+            return `${lines.join('\n')}\n`;
+        },
+    };
+};
+
+module.exports = { createMetricsRegistry };
@@ -0,0 +1,236 @@
+const TOKEN_KEY = 'dropgate-admin-token';
+const REFRESH_INTERVAL_MS = 15000;
+
+const loginCard = document.getElementById('login-card');
+const loginForm = document.getElementById('login-form');
+const tokenInput = document.getElementById('token-input');
+const loginSubmit = document.getElementById('login-submit');
+const loginFeedback = document.getElementById('login-feedback');
+const dashboard = document.getElementById('dashboard');
+const refreshButton = document.getElementById('refresh-button');
+const signOutButton = document.getElementById('sign-out-button');
+const storageText = document.getElementById('storage-text');
+const storageBar = document.getElementById('storage-bar');
+const storageCounts = document.getElementById('storage-counts');
+const uploadsBody = document.getElementById('uploads-body');
+const uploadsEmpty = document.getElementById('uploads-empty');
+const filesBody = document.getElementById('files-body');
+const filesEmpty = document.getElementById('files-empty');
+
+// Kept for the browser session only, so closing the tab signs the admin out
+let token = sessionStorage.getItem(TOKEN_KEY);
+let refreshTimer = null;
+
+class AuthError extends Error { }
+
+function formatBytes(bytes) {
+  if (!Number.isFinite(bytes)) return 'Unknown';
+  if (bytes === 0) return '0 bytes';
+  const k = 1000;
+  const sizes = ['bytes', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  const v = bytes / Math.pow(k, i);
+  return `${v.toFixed(v < 10 && i > 0 ? 2 : 1)} ${sizes[i]}`;
+}
+
+function formatTime(ms) {
+  return ms ? new Date(ms).toLocaleString() : 'Never';
+}
+
+async function api(path, method = 'GET') {
+  const res = await fetch(`/api/admin${path}`, {
+    method,
+    headers: { Accept: 'application/json', 'X-Admin-Token': token || '' },
+  });
+  const json = await res.json().catch(() => null);
+  if (res.status === 401) throw new AuthError(json?.error || 'Admin token required.');
+  if (!res.ok) throw new Error(json?.error || `Request failed (status ${res.status}).`);
+  return json;
+}
+
+function cell(content, className) {
+  const td = document.createElement('td');
+  if (content instanceof Node) td.appendChild(content);
+  else td.textContent = content;
+  if (className) td.className = className;
+  return td;
+}
+
+function nameCell(name, id, badges) {
+  const wrapper = document.createElement('div');
+  const nameEl = document.createElement('div');
+  nameEl.className = 'admin-file-name';
+  nameEl.textContent = name;
+  for (const badge of badges) {
+    const badgeEl = document.createElement('span');
+    badgeEl.className = 'badge text-bg-secondary admin-badge';
+    badgeEl.textContent = badge;
+    nameEl.appendChild(badgeEl);
+  }
+  const idEl = document.createElement('div');
+  idEl.className = 'admin-file-id';
+  idEl.textContent = id;
+  wrapper.append(nameEl, idEl);
+  return wrapper;
+}
+
+function actionButton(label, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'btn btn-outline-danger btn-sm';
+  button.textContent = label;
+  button.addEventListener('click', async () => {
+    button.disabled = true;
+    try {
+      await onClick();
+      await refresh();
+    } catch (err) {
+      if (err instanceof AuthError) return signOut(err.message);
+      alert(err.message);
+      button.disabled = false;
+    }
+  });
+  return button;
+}
+
+function renderOverview(overview) {
+  const { usedBytes, reservedBytes, maxBytes } = overview.storage;
+  const reservedText = reservedBytes > 0 ? ` (${formatBytes(reservedBytes)} reserved)` : '';
+  if (maxBytes) {
+    const percent = Math.min(100, ((usedBytes + reservedBytes) / maxBytes) * 100);
+    storageText.textContent = `${formatBytes(usedBytes)} of ${formatBytes(maxBytes)}${reservedText}`;
+    storageBar.style.width = `${percent}%`;
+    storageBar.classList.toggle('bg-danger', percent >= 90);
+  } else {
+    storageText.textContent = `${formatBytes(usedBytes)} used, no limit${reservedText}`;
+    storageBar.style.width = '0%';
+  }
+  storageCounts.textContent = `${overview.files} stored files, ${overview.bundles} bundles, `
+    + `${overview.uploads} uploads and ${overview.bundlesInProgress} bundles in progress.`;
+}
+
+function renderUploads(uploads) {
+  uploadsBody.replaceChildren(...uploads.map((upload) => {
+    const badges = [];
+    if (upload.isEncrypted) badges.push('Encrypted');
+    if (upload.bundleId) badges.push('Bundle');
+    if (upload.apiKey) badges.push(upload.apiKey);
+
+    const row = document.createElement('tr');
+    row.append(
+      cell(nameCell(upload.filename ?? 'Encrypted file', upload.id, badges)),
+      cell(formatBytes(upload.totalSize)),
+      cell(upload.finalizing ? 'Finalising' : `${upload.receivedChunks} / ${upload.totalChunks} chunks`),
+      cell(formatTime(upload.expiresAt)),
+      cell(upload.finalizing ? '' : actionButton('Cancel', async () => {
+        if (!confirm('Cancel this upload? The uploader will see it fail.')) return;
+        await api(`/uploads/${encodeURIComponent(upload.id)}`, 'DELETE');
+      }), 'text-end'),
+    );
+    return row;
+  }));
+  uploadsEmpty.style.display = uploads.length === 0 ? 'block' : 'none';
+}
+
+function renderFiles(files) {
+  filesBody.replaceChildren(...files.map((file) => {
+    const badges = [];
+    if (file.isEncrypted) badges.push('Encrypted');
+    if (file.passphrase) badges.push('Passphrase');
+    if (file.bundleId) badges.push('In bundle');
+    if (file.apiKey) badges.push(file.apiKey);
+    if (file.scanStatus === 'scanning') badges.push('Scanning');
+    if (file.scanStatus === 'infected') badges.push(file.scanSignature ? `Infected: ${file.scanSignature}` : 'Infected');
+    if (file.scanStatus === 'failed') badges.push('Scan failed');
+
+    let name = file.name ?? 'Encrypted file';
+    if (file.isBundle) name = `Bundle of ${file.fileCount} files`;
+
+    const downloads = file.isBundle
+      ? ''
+      : `${file.downloadCount} / ${file.maxDownloads === 0 ? 'unlimited' : file.maxDownloads}`;
+
+    const row = document.createElement('tr');
+    row.append(
+      cell(nameCell(name, file.id, badges)),
+      cell(formatBytes(file.sizeBytes)),
+      cell(formatTime(file.uploadedAt)),
+      cell(formatTime(file.expiresAt)),
+      cell(downloads),
+      cell(actionButton('Delete', async () => {
+        const what = file.isBundle ? 'this bundle and all of its files' : 'this file';
+        if (!confirm(`Delete ${what}? This cannot be undone.`)) return;
+        await api(`/files/${encodeURIComponent(file.id)}`, 'DELETE');
+      }), 'text-end'),
+    );
+    return row;
+  }));
+  filesEmpty.style.display = files.length === 0 ? 'block' : 'none';
+}
+
+async function refresh() {
+  const [overview, { uploads }, { files }] = await Promise.all([
+    api('/overview'),
+    api('/uploads'),
+    api('/files'),
+  ]);
+  renderOverview(overview);
+  renderUploads(uploads);
+  renderFiles(files);
+}
+
+function signOut(message = '') {
+  token = null;
+  sessionStorage.removeItem(TOKEN_KEY);
+  clearInterval(refreshTimer);
+  refreshTimer = null;
+  dashboard.style.display = 'none';
+  loginCard.style.display = 'block';
+  loginFeedback.textContent = message;
+  loginFeedback.style.display = message ? 'block' : 'none';
+}
+
+async function showDashboard() {
+  await refresh();
+  loginCard.style.display = 'none';
+  dashboard.style.display = 'block';
+  clearInterval(refreshTimer);
+  refreshTimer = setInterval(() => {
+    refresh().catch((err) => {
+      if (err instanceof AuthError) signOut(err.message);
+    });
+  }, REFRESH_INTERVAL_MS);
+}
+
+loginForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  token = tokenInput.value;
+  loginSubmit.disabled = true;
+  try {
+    await showDashboard();
+    sessionStorage.setItem(TOKEN_KEY, token);
+    tokenInput.value = '';
+  } catch (err) {
+    signOut(err.message);
+  } finally {
+    loginSubmit.disabled = false;
+  }
+});
+
+refreshButton.addEventListener('click', async () => {
+  refreshButton.disabled = true;
+  try {
+    await refresh();
+  } catch (err) {
+    if (err instanceof AuthError) signOut(err.message);
+    else alert(err.message);
+  } finally {
+    refreshButton.disabled = false;
+  }
+});
+
+signOutButton.addEventListener('click', () => signOut());
+
+if (token) {
+  showDashboard().catch((err) => signOut(err instanceof AuthError ? '' : err.message));
+}
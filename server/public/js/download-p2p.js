@@ -1,5 +1,5 @@
-import { getServerInfo, isSecureContextForP2P, startP2PReceive } from './dropgate-core.js';
-import { setStatusError, setStatusSuccess, StatusType, Icons, updateStatusCard, clearStatusBorder } from './status-card.js';
+import { getServerInfo, isSecureContextForP2P, startP2PReceive, ZipWriter } from './dropgate-core.js';
+import { setStatusError, setStatusSuccess, setStatusWarning, StatusType, Icons, updateStatusCard, clearStatusBorder } from './status-card.js';
 
 const elTitle = document.getElementById('title');
 const elMsg = document.getElementById('message');
@@ -11,7 +11,13 @@ const retryBtn = document.getElementById('retryBtn');
 const elFileDetails = document.getElementById('file-details');
 const elFileName = document.getElementById('file-name');
 const elFileSize = document.getElementById('file-size');
+const elBundleFiles = document.getElementById('bundle-files');
+const elBundleFileList = document.getElementById('bundle-file-list');
+const elAuthString = document.getElementById('auth-string');
+const elAuthEmoji = document.getElementById('auth-emoji');
+const elAuthWords = document.getElementById('auth-words');
 const elDownloadBtn = document.getElementById('download-button');
+const elRejectBtn = document.getElementById('reject-button');
 const elCancelBtn = document.getElementById('cancel-button');
 const elProgressContainer = document.getElementById('progress-container');
 const card = document.getElementById('status-card');
@@ -21,12 +27,18 @@ retryBtn?.addEventListener('click', () => location.reload());
 
 const code = document.body.dataset.code;
 
+// Longer manifests are summarised after this many files
+const MAX_LISTED_FILES = 100;
+
 let total = 0;
 let received = 0;
 let transferCompleted = false;
 let writer = null;
 let pendingSendReady = null;
+let pendingReject = null;
 let fileName = null;
+let manifestFiles = null;
+let zip = null;
 let p2pSession = null;
 
 function formatBytes(bytes) {
@@ -56,13 +68,53 @@ const showError = (title, message) => {
   });
   elMeta.hidden = true;
   elFileDetails.style.display = 'none';
+  elBundleFiles.style.display = 'none';
   elDownloadBtn.style.display = 'none';
+  elRejectBtn.style.display = 'none';
   elProgressContainer.style.display = 'none';
   elActions.hidden = false;
   elBytes.hidden = true;
   elBar.parentElement.hidden = true;
 };
 
+function renderManifest(files) {
+  const items = files.slice(0, MAX_LISTED_FILES).map((file) => {
+    const item = document.createElement('li');
+    item.className = 'list-group-item';
+    const name = document.createElement('div');
+    name.className = 'bundle-file-name';
+    name.textContent = file.path;
+    const size = document.createElement('div');
+    size.className = 'small text-body-secondary';
+    size.textContent = formatBytes(file.size);
+    item.append(name, size);
+    return item;
+  });
+  if (files.length > MAX_LISTED_FILES) {
+    const more = document.createElement('li');
+    more.className = 'list-group-item text-body-secondary';
+    more.textContent = `and ${files.length - MAX_LISTED_FILES} more files`;
+    items.push(more);
+  }
+  elBundleFileList.replaceChildren(...items);
+  elBundleFiles.style.display = 'block';
+}
+
+// Emoji and digit words that the sender sees too, unless someone is relaying the connection
+function renderAuthString(authString) {
+  elAuthEmoji.replaceChildren(...authString.emoji.map(({ symbol, name }) => {
+    const item = document.createElement('div');
+    item.className = 'auth-emoji-item';
+    const symbolEl = document.createElement('span');
+    symbolEl.className = 'auth-emoji-symbol';
+    symbolEl.textContent = symbol;
+    item.append(symbolEl, name);
+    return item;
+  }));
+  elAuthWords.textContent = authString.words.join(' ');
+  elAuthString.style.display = 'block';
+}
+
 async function loadServerInfo() {
   const { serverInfo } = await getServerInfo({
     host: location.hostname,
@@ -93,6 +145,8 @@ function startDownload() {
   if (!pendingSendReady) return;
 
   elDownloadBtn.style.display = 'none';
+  elRejectBtn.style.display = 'none';
+  elAuthString.style.display = 'none';
   elProgressContainer.style.display = 'block';
   elCancelBtn.style.display = 'inline-block';
 
@@ -107,11 +161,18 @@ function startDownload() {
     message: 'Keep this tab open until the transfer completes.',
   });
 
-  // Create streamSaver write stream
+  // Create streamSaver write stream. Multi-file transfers are streamed into a ZIP archive,
+  // whose size is not known in advance.
   if (window.streamSaver?.createWriteStream) {
-    const stream = window.streamSaver.createWriteStream(fileName, total ? { size: total } : undefined);
+    const size = !manifestFiles && total ? { size: total } : undefined;
+    const stream = window.streamSaver.createWriteStream(fileName, size);
     writer = stream.getWriter();
   }
+  if (manifestFiles) {
+    zip = new ZipWriter(async (bytes) => {
+      if (writer) await writer.write(bytes);
+    });
+  }
 
   // Wire up cancel button
   elCancelBtn.onclick = () => {
@@ -125,6 +186,17 @@ function startDownload() {
   // Signal the sender that we're ready to receive
   pendingSendReady();
   pendingSendReady = null;
+  pendingReject = null;
+}
+
+function rejectTransfer() {
+  if (!pendingReject) return;
+  pendingReject('The security codes did not match.');
+  pendingReject = null;
+  pendingSendReady = null;
+  p2pSession = null;
+  showError('Transfer Declined', 'The security codes did not match, so nothing was received. Someone may be intercepting the connection.');
+  elActions.hidden = true;
 }
 
 async function start() {
@@ -178,36 +250,92 @@ async function start() {
       peerjsPath,
       iceServers,
       autoReady: false, // We want to show preview before starting transfer
-      onStatus: () => {
+      resumable: true,
+      requireEncryption: true, // The web sender always encrypts; anything else is not who it claims to be
+      onStatus: ({ phase, message }) => {
+        if (phase === 'reconnecting') {
+          updateStatusCard({
+            card,
+            iconContainer,
+            titleEl: elTitle,
+            messageEl: elMsg,
+            status: StatusType.WARNING,
+            icon: Icons.LINK_OFF,
+            title: 'Reconnecting...',
+            message: 'The connection dropped. The transfer will continue where it stopped.',
+          });
+          return;
+        }
+        if (phase === 'transferring') {
+          updateStatusCard({
+            card,
+            iconContainer,
+            titleEl: elTitle,
+            messageEl: elMsg,
+            status: StatusType.PRIMARY,
+            icon: Icons.SYNC,
+            title: 'Receiving...',
+            message: 'Keep this tab open until the transfer completes.',
+          });
+          return;
+        }
         elTitle.textContent = 'Connected';
-        elMsg.textContent = 'Waiting for file details...';
+        elMsg.textContent = message;
       },
-      onMeta: ({ name, total: nextTotal, sendReady }) => {
+      onMeta: ({ name, total: nextTotal, files, authString, sendReady, reject }) => {
         total = nextTotal;
         received = 0;
-        fileName = name;
+        manifestFiles = files || null;
+        fileName = files ? `${name}.zip` : name;
 
         // Store the sendReady function to call when user clicks download
         pendingSendReady = sendReady;
+        pendingReject = reject;
 
         // Show file preview
         elTitle.textContent = 'Ready to Transfer';
-        elMsg.textContent = 'Review the file details below, then click Start Transfer.';
+        elMsg.textContent = files
+          ? `The sender is sharing ${files.length} files. They will be saved together as a ZIP archive.`
+          : 'Review the file details below, then click Start Transfer.';
 
-        elFileName.textContent = name;
+        elFileName.textContent = fileName;
         elFileSize.textContent = formatBytes(total);
         elFileDetails.style.display = 'block';
+        if (files) renderManifest(files);
         elDownloadBtn.style.display = 'inline-block';
 
-        // Clear border for neutral preview state
-        clearStatusBorder(card);
+        if (authString) {
+          renderAuthString(authString);
+          elRejectBtn.style.display = 'inline-block';
+          // Clear border for neutral preview state
+          clearStatusBorder(card);
+        } else {
+          // Without a security code there is no way to tell the sender from someone in between
+          setStatusWarning({
+            card,
+            iconContainer,
+            titleEl: elTitle,
+            messageEl: elMsg,
+            title: 'Unverified Sender',
+            message: 'This transfer has no security code, so the sender cannot be verified. Only continue if you trust this connection.',
+          });
+        }
 
         // Add click handler for download button
         elDownloadBtn.addEventListener('click', startDownload, { once: true });
+        elRejectBtn.addEventListener('click', rejectTransfer, { once: true });
+      },
+      onFileStart: async ({ path }) => {
+        await zip?.startFile(path);
+      },
+      onFileEnd: async () => {
+        await zip?.endFile();
       },
       onData: async (chunk) => {
-        // Write chunk to file via streamSaver
-        if (writer) {
+        // Write chunk to file (or the archive) via streamSaver
+        if (zip) {
+          await zip.write(chunk);
+        } else if (writer) {
           await writer.write(chunk);
         }
         received += chunk.byteLength;
@@ -222,7 +350,11 @@ async function start() {
       onComplete: async () => {
         transferCompleted = true;
 
-        // Close the writer
+        // Close the archive, then the writer
+        if (zip) {
+          await zip.finish();
+          zip = null;
+        }
         if (writer) {
           try {
             await writer.close();
@@ -240,9 +372,12 @@ async function start() {
           title: 'Transfer Complete',
           message: 'Success!',
         });
-        elMeta.textContent = 'The file has been saved to your downloads.';
+        elMeta.textContent = manifestFiles
+          ? `All ${manifestFiles.length} files have been saved to "${fileName}" in your downloads.`
+          : 'The file has been saved to your downloads.';
         elMeta.hidden = false;
         elFileDetails.style.display = 'none';
+        elBundleFiles.style.display = 'none';
         elCancelBtn.style.display = 'none';
         p2pSession = null;
       },
@@ -263,6 +398,10 @@ async function start() {
         elCancelBtn.style.display = 'none';
         p2pSession = null;
 
+        if (err?.message === 'The sender did not encrypt this transfer.') {
+          showError('Transfer Refused', 'The sender did not encrypt this transfer, so it was refused.');
+          return;
+        }
         if (err?.message?.startsWith('Could not connect to peer')) {
           showError('Connection Failed', 'Could not connect to the sender. Check the code, ensure the sender is online, and try again.');
           return;
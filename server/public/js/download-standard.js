@@ -1,4 +1,4 @@
-import { DropgateClient, importKeyFromBase64, decryptFilenameFromBase64 } from './dropgate-core.js';
+import { DropgateClient, importKeyFromBase64, decryptFilenameFromBase64, decryptFileDetailsFromBase64 } from './dropgate-core.js';
 import { setStatusError, setStatusSuccess, StatusType, Icons, updateStatusCard } from './status-card.js';
 
 const statusTitle = document.getElementById('status-title');
@@ -9,6 +9,13 @@ const fileNameEl = document.getElementById('file-name');
 const fileSizeEl = document.getElementById('file-size');
 const fileEncryptionEl = document.getElementById('file-encryption');
 const fileIdEl = document.getElementById('file-id');
+const fileThumbnailEl = document.getElementById('file-thumbnail');
+const fileTypeRow = document.getElementById('file-type-row');
+const fileTypeEl = document.getElementById('file-type');
+const fileModifiedRow = document.getElementById('file-modified-row');
+const fileModifiedEl = document.getElementById('file-modified');
+const fileMessageRow = document.getElementById('file-message-row');
+const fileMessageEl = document.getElementById('file-message');
 const progressContainer = document.getElementById('progress-container');
 const progressBar = document.getElementById('progress-bar');
 const progressText = document.getElementById('progress-text');
@@ -16,8 +23,15 @@ const iconContainer = document.getElementById('icon-container');
 const card = document.getElementById('status-card');
 const trustStatement = document.getElementById('trust-statement');
 const encryptionStatement = document.getElementById('encryption-statement');
+const bundleFiles = document.getElementById('bundle-files');
+const bundleFileList = document.getElementById('bundle-file-list');
+const passphraseForm = document.getElementById('passphrase-form');
+const passphraseInput = document.getElementById('passphrase-input');
+const passphraseSubmit = document.getElementById('passphrase-submit');
+const passphraseFeedback = document.getElementById('passphrase-feedback');
 
 const client = new DropgateClient({ clientVersion: '2.2.1' });
+const SCAN_POLL_INTERVAL_MS = 5000;
 
 const downloadState = {
   fileId: null,
@@ -25,6 +39,9 @@ const downloadState = {
   keyB64: null,
   fileName: null,
   sizeBytes: 0,
+  isBundle: false,
+  files: [], // Bundle contents: { id, name, sizeBytes }
+  busy: false,
 };
 
 function showError(title, message) {
@@ -50,19 +67,161 @@ function formatBytes(bytes) {
   return `${v.toFixed(v < 10 && i > 0 ? 2 : 1)} ${sizes[i]}`;
 }
 
-async function startDownload() {
+function setBundleButtonsDisabled(disabled) {
+  bundleFileList.querySelectorAll('button').forEach((btn) => { btn.disabled = disabled; });
+}
+
+function triggerDirectDownload(url) {
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = '';
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+}
+
+function serverTarget() {
+  return {
+    host: location.hostname,
+    port: location.port ? Number(location.port) : undefined,
+    secure: location.protocol === 'https:',
+  };
+}
+
+function showDownloadStarting() {
+  updateStatusCard({
+    card,
+    iconContainer,
+    status: StatusType.PRIMARY,
+    icon: downloadState.isEncrypted ? Icons.DOWNLOAD_ENCRYPTED : Icons.DOWNLOAD,
+  });
   downloadButton.style.display = 'none';
   progressContainer.style.display = 'block';
   progressBar.style.width = '0%';
   progressText.textContent = 'Starting...';
   downloadButton.disabled = true;
+}
 
-  updateStatusCard({
+function showReadyAgain(label) {
+  progressContainer.style.display = 'none';
+  downloadButton.textContent = label;
+  downloadButton.style.display = 'inline-block';
+  downloadButton.disabled = false;
+}
+
+function makeProgressHandler() {
+  return ({ percent, processedBytes, totalBytes }) => {
+    progressBar.style.width = `${percent}%`;
+    progressText.textContent = `${formatBytes(processedBytes)} / ${formatBytes(totalBytes)}`;
+    statusMessage.textContent = totalBytes
+      ? `Streaming directly to file... (${percent}%)`
+      : `Streaming directly to file... (${formatBytes(processedBytes)})`;
+  };
+}
+
+function showDownloadFailed(error) {
+  console.error(error);
+  showReadyAgain(downloadState.isBundle ? 'Retry Download All' : 'Retry Download');
+  const integrityFailed = error.code === 'INTEGRITY_CHECK_FAILED';
+  setStatusError({
     card,
     iconContainer,
-    status: StatusType.PRIMARY,
-    icon: downloadState.isEncrypted ? Icons.DOWNLOAD_ENCRYPTED : Icons.DOWNLOAD,
+    titleEl: statusTitle,
+    messageEl: statusMessage,
+    title: integrityFailed ? 'Integrity Check Failed' : 'Download Failed',
+    message: integrityFailed
+      ? 'The downloaded data does not match what was uploaded, so the download was stopped. The file may have been corrupted or tampered with on the server.'
+      : error.message || 'The link may be incorrect, expired, or the download failed.',
   });
+}
+
+// Shows the details the sender stored encrypted with the file, where present.
+function renderFileDetails(details) {
+  if (details.thumbnail) {
+    fileThumbnailEl.src = details.thumbnail; // Only image data URLs get this far
+    fileThumbnailEl.style.display = 'inline-block';
+  }
+  if (details.mimeType) {
+    fileTypeEl.textContent = details.mimeType;
+    fileTypeRow.style.display = 'block';
+  }
+  if (details.lastModified) {
+    fileModifiedEl.textContent = new Date(details.lastModified).toLocaleString();
+    fileModifiedRow.style.display = 'block';
+  }
+  if (details.message) {
+    fileMessageEl.textContent = details.message;
+    fileMessageRow.style.display = 'block';
+  }
+}
+
+// Asks for the passphrase until the server releases the key. Resolves to the decryption key.
+function unlockWithPassphrase() {
+  statusTitle.textContent = 'Passphrase Required';
+  statusMessage.textContent = 'This file is protected with a passphrase. Enter it to continue.';
+  passphraseForm.style.display = 'block';
+  passphraseInput.focus();
+
+  return new Promise((resolve) => {
+    passphraseForm.addEventListener('submit', async function onSubmit(event) {
+      event.preventDefault();
+      passphraseSubmit.disabled = true;
+      passphraseFeedback.style.display = 'none';
+
+      try {
+        const keyB64 = await client.unlockWithPassphrase({
+          ...serverTarget(),
+          fileId: downloadState.fileId,
+          passphrase: passphraseInput.value,
+          timeoutMs: 0, // Key derivation can be slow on older devices
+        });
+        passphraseForm.removeEventListener('submit', onSubmit);
+        passphraseForm.style.display = 'none';
+        resolve(keyB64);
+      } catch (error) {
+        const attemptsLeft = error.details?.attemptsLeft;
+        const retryAfterMs = error.details?.retryAfterMs;
+        if (error.code === 'PASSPHRASE_INCORRECT') {
+          passphraseFeedback.textContent = Number.isInteger(attemptsLeft)
+            ? `Incorrect passphrase. ${attemptsLeft} ${attemptsLeft === 1 ? 'attempt' : 'attempts'} left.`
+            : 'Incorrect passphrase.';
+        } else if (error.code === 'PASSPHRASE_LOCKED') {
+          const minutes = Math.max(1, Math.ceil((retryAfterMs || 0) / 60000));
+          passphraseFeedback.textContent = `Too many incorrect attempts. Try again in ${minutes} ${minutes === 1 ? 'minute' : 'minutes'}.`;
+        } else {
+          console.error(error);
+          passphraseFeedback.textContent = error.message || 'Could not unlock this file.';
+        }
+        passphraseFeedback.style.display = 'block';
+        passphraseInput.select();
+      } finally {
+        passphraseSubmit.disabled = false;
+      }
+    });
+  });
+}
+
+// Streams the response into a file chosen by the user, aborting the file on failure.
+async function saveWithStreamSaver(fileName, download) {
+  const fileStream = streamSaver.createWriteStream(fileName);
+  const writer = fileStream.getWriter();
+
+  try {
+    await download(async (chunk) => {
+      await writer.write(chunk);
+    });
+  } catch (error) {
+    writer.abort().catch(() => { });
+    throw error;
+  }
+
+  await writer.close();
+}
+
+async function startDownload(target = { id: downloadState.fileId, name: downloadState.fileName }) {
+  if (downloadState.busy) return;
+
+  showDownloadStarting();
 
   // For encrypted files, require secure context with streamSaver
   if (downloadState.isEncrypted) {
@@ -76,40 +235,37 @@ async function startDownload() {
   if (!downloadState.isEncrypted && (!window.isSecureContext || !window.streamSaver?.createWriteStream)) {
     statusTitle.textContent = 'Download Starting';
     statusMessage.textContent = 'Your download will start in a new request (completion can\'t be tracked on HTTP).';
-    window.location.href = `/api/file/${downloadState.fileId}`;
+    if (!downloadState.isBundle) {
+      window.location.href = `/api/file/${target.id}`;
+      return;
+    }
+    triggerDirectDownload(`/api/file/${target.id}`);
+    showReadyAgain('Download All as ZIP');
     return;
   }
 
+  downloadState.busy = true;
+  setBundleButtonsDisabled(true);
+
   try {
     statusTitle.textContent = 'Starting Download...';
-    statusMessage.textContent = `Your browser will now ask you where to save "${downloadState.fileName}".`;
-
-    const fileStream = streamSaver.createWriteStream(downloadState.fileName);
-    const writer = fileStream.getWriter();
-
-    statusTitle.textContent = downloadState.isEncrypted ? 'Downloading & Decrypting' : 'Downloading';
-    statusMessage.textContent = 'Streaming directly to file...';
-
-    await client.downloadFile({
-      host: location.hostname,
-      port: location.port ? Number(location.port) : undefined,
-      secure: location.protocol === 'https:',
-      fileId: downloadState.fileId,
-      keyB64: downloadState.keyB64,
-      timeoutMs: 0, // No timeout for large file downloads
-      onProgress: ({ percent, processedBytes, totalBytes }) => {
-        progressBar.style.width = `${percent}%`;
-        progressText.textContent = `${formatBytes(processedBytes)} / ${formatBytes(totalBytes)}`;
-        statusMessage.textContent = totalBytes
-          ? `Streaming directly to file... (${percent}%)`
-          : `Streaming directly to file... (${formatBytes(processedBytes)})`;
-      },
-      onData: async (chunk) => {
-        await writer.write(chunk);
-      },
-    });
+    statusMessage.textContent = `Your browser will now ask you where to save "${target.name}".`;
+
+    let result = null;
+    await saveWithStreamSaver(target.name, async (onData) => {
+      statusTitle.textContent = downloadState.isEncrypted ? 'Downloading & Decrypting' : 'Downloading';
+      statusMessage.textContent = 'Streaming directly to file...';
 
-    await writer.close();
+      result = await client.downloadFile({
+        ...serverTarget(),
+        fileId: target.id,
+        keyB64: downloadState.keyB64,
+        timeoutMs: 0, // No timeout for large file downloads
+        onProgress: makeProgressHandler(),
+        onData,
+        confirm: true, // Counted once every chunk has arrived and decrypted
+      });
+    });
 
     progressBar.style.width = '100%';
     setStatusSuccess({
@@ -118,26 +274,108 @@ async function startDownload() {
       titleEl: statusTitle,
       messageEl: statusMessage,
       title: 'Download Complete!',
-      message: downloadState.isEncrypted
-        ? `Your file "${downloadState.fileName}" has been successfully decrypted and saved.`
-        : `Your file "${downloadState.fileName}" has been successfully saved.`,
+      message: (downloadState.isEncrypted
+        ? `Your file "${target.name}" has been successfully decrypted and saved.`
+        : `Your file "${target.name}" has been successfully saved.`)
+        + (result.integrityVerified ? ' Its contents were verified against the uploaded file.' : ''),
     });
+
+    if (downloadState.isBundle) showReadyAgain('Download All as ZIP');
   } catch (error) {
-    console.error(error);
-    progressContainer.style.display = 'none';
-    downloadButton.textContent = 'Retry Download';
-    downloadButton.style.display = 'inline-block';
-    downloadButton.disabled = false;
+    showDownloadFailed(error);
+  } finally {
+    downloadState.busy = false;
+    setBundleButtonsDisabled(false);
+  }
+}
+
+async function startZipDownload() {
+  if (downloadState.busy) return;
+
+  const archiveName = `bundle-${downloadState.fileId.slice(0, 8)}.zip`;
+
+  // Plaintext bundles are zipped and streamed by the server
+  if (!downloadState.isEncrypted) {
+    statusTitle.textContent = 'Download Starting';
+    statusMessage.textContent = `Your browser will now download "${archiveName}".`;
+    triggerDirectDownload(`/api/file/${downloadState.fileId}/zip`);
+    return;
+  }
+
+  showDownloadStarting();
+
+  // Encrypted bundles are decrypted and zipped here, so the server never sees plaintext
+  if (!window.isSecureContext || !window.streamSaver?.createWriteStream) {
+    showError('Secure Context Required', 'Encrypted files must be downloaded and decrypted in a secure context (HTTPS).');
+    return;
+  }
+
+  downloadState.busy = true;
+  setBundleButtonsDisabled(true);
+
+  try {
+    statusTitle.textContent = 'Starting Download...';
+    statusMessage.textContent = `Your browser will now ask you where to save "${archiveName}".`;
+
+    let result = null;
+    await saveWithStreamSaver(archiveName, async (onData) => {
+      statusTitle.textContent = 'Downloading & Decrypting';
+      statusMessage.textContent = 'Streaming directly to file...';
+
+      result = await client.downloadBundleAsZip({
+        ...serverTarget(),
+        fileId: downloadState.fileId,
+        keyB64: downloadState.keyB64,
+        timeoutMs: 0, // No timeout for large file downloads
+        onProgress: makeProgressHandler(),
+        onData,
+      });
+    });
 
-    setStatusError({
+    progressBar.style.width = '100%';
+    setStatusSuccess({
       card,
       iconContainer,
       titleEl: statusTitle,
       messageEl: statusMessage,
-      title: 'Download Failed',
-      message: error.message || 'The link may be incorrect, expired, or the download failed.',
+      title: 'Download Complete!',
+      message: `All ${result.filenames.length} files have been successfully decrypted and saved to "${archiveName}".`
+        + (result.integrityVerified ? ' Their contents were verified against the uploaded files.' : ''),
     });
+    showReadyAgain('Download All as ZIP');
+  } catch (error) {
+    showDownloadFailed(error);
+  } finally {
+    downloadState.busy = false;
+    setBundleButtonsDisabled(false);
+  }
+}
+
+function renderBundleFiles() {
+  bundleFileList.replaceChildren();
+  for (const file of downloadState.files) {
+    const item = document.createElement('li');
+    item.className = 'list-group-item d-flex align-items-center justify-content-between';
+
+    const info = document.createElement('div');
+    const name = document.createElement('div');
+    name.className = 'bundle-file-name';
+    name.textContent = file.name;
+    const size = document.createElement('div');
+    size.className = 'small text-body-secondary';
+    size.textContent = formatBytes(file.sizeBytes);
+    info.append(name, size);
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'btn btn-sm btn-outline-primary';
+    button.textContent = 'Download';
+    button.addEventListener('click', () => startDownload(file));
+
+    item.append(info, button);
+    bundleFileList.appendChild(item);
   }
+  bundleFiles.style.display = 'block';
 }
 
 async function loadMetadata() {
@@ -158,6 +396,19 @@ async function loadMetadata() {
     }
 
     const metadata = await response.json();
+
+    // Unencrypted files can only be downloaded once the server's virus scanner has cleared them
+    if (metadata.scanStatus === 'infected' || metadata.scanStatus === 'failed') {
+      showError('File Blocked', 'This file was blocked by the server\'s virus scanner and cannot be downloaded.');
+      return;
+    }
+    if (metadata.scanStatus === 'scanning' || (metadata.files || []).some((f) => f.scanStatus === 'scanning')) {
+      statusTitle.textContent = 'Scanning for Viruses';
+      statusMessage.textContent = 'The server is checking this upload before it can be downloaded. This page will update when it is ready.';
+      setTimeout(loadMetadata, SCAN_POLL_INTERVAL_MS);
+      return;
+    }
+
     downloadState.isEncrypted = Boolean(metadata.isEncrypted);
     downloadState.sizeBytes = metadata.sizeBytes;
     fileEncryptionEl.textContent = metadata.isEncrypted ? 'End-to-End Encrypted' : 'None';
@@ -174,26 +425,48 @@ async function loadMetadata() {
       }
 
       const hash = window.location.hash.substring(1);
-      if (!hash) {
+      if (hash) {
+        downloadState.keyB64 = hash;
+      } else if (metadata.passphrase) {
+        downloadState.keyB64 = await unlockWithPassphrase();
+      } else {
         showError('Missing Decryption Key', 'The decryption key was not found in the URL.');
         return;
       }
+    }
 
-      downloadState.keyB64 = hash;
+    // Use dropgate-core to decrypt filenames for display
+    const key = metadata.isEncrypted ? await importKeyFromBase64(crypto, downloadState.keyB64) : null;
+    const resolveName = (entry) => (key
+      ? decryptFilenameFromBase64(crypto, entry.encryptedFilename, key)
+      : entry.filename);
 
-      // Use dropgate-core to decrypt the filename for display
-      const key = await importKeyFromBase64(crypto, hash);
-      downloadState.fileName = await decryptFilenameFromBase64(crypto, metadata.encryptedFilename, key);
+    if (metadata.isBundle) {
+      downloadState.isBundle = true;
+      downloadState.files = [];
+      for (const entry of metadata.files || []) {
+        downloadState.files.push({ id: entry.id, name: await resolveName(entry), sizeBytes: entry.sizeBytes });
+      }
+      downloadState.fileName = `${downloadState.files.length} files`;
     } else {
-      downloadState.fileName = metadata.filename;
+      downloadState.fileName = await resolveName(metadata);
+      if (key && metadata.encryptedMetadata) {
+        renderFileDetails(await decryptFileDetailsFromBase64(crypto, metadata.encryptedMetadata, key));
+      }
     }
 
     fileNameEl.textContent = downloadState.fileName || 'Unknown';
     fileDetails.style.display = 'block';
+    if (downloadState.isBundle) {
+      renderBundleFiles();
+      downloadButton.textContent = 'Download All as ZIP';
+    }
     downloadButton.style.display = 'inline-block';
-    downloadButton.addEventListener('click', startDownload);
+    downloadButton.addEventListener('click', () => (downloadState.isBundle ? startZipDownload() : startDownload()));
     statusTitle.textContent = 'Ready to Download';
-    statusMessage.textContent = 'Review the file details above, then click Start Download.';
+    statusMessage.textContent = downloadState.isBundle
+      ? 'Review the files above, then download them individually or all at once as a ZIP archive.'
+      : 'Review the file details above, then click Start Download.';
   } catch (error) {
     console.error(error);
     showError('Download Error', 'We could not load the file details. Please try again later.');
@@ -1,5 +1,4 @@
 import {
-  DEFAULT_CHUNK_SIZE,
   DropgateClient,
   estimateTotalUploadSizeBytes,
   getServerInfo,
@@ -33,6 +32,9 @@ const els = {
   maxDownloadsValue: $('maxDownloadsValue'),
   maxDownloadsHelp: $('maxDownloadsHelp'),
 
+  optPassphrase: $('optPassphrase'),
+  passphraseValue: $('passphraseValue'),
+
   securityStatus: $('securityStatus'),
   securityIcon: $('securityIcon'),
   securityText: $('securityText'),
@@ -60,6 +62,11 @@ const els = {
   p2pLink: $('p2pLink'),
   copyP2PLink: $('copyP2PLink'),
   qrP2PLink: $('qrP2PLink'),
+  p2pAuthString: $('p2pAuthString'),
+  p2pAuthEmoji: $('p2pAuthEmoji'),
+  p2pAuthWords: $('p2pAuthWords'),
+  confirmP2PAuth: $('confirmP2PAuth'),
+  rejectP2PAuth: $('rejectP2PAuth'),
   cancelP2P: $('cancelP2P'),
 
   shareCard: $('shareCard'),
@@ -70,6 +77,15 @@ const els = {
   copyShare: $('copyShare'),
   qrShare: $('qrShare'),
   newUpload: $('newUpload'),
+  manageUpload: $('manageUpload'),
+
+  manageModal: $('manageModal'),
+  manageStatus: $('manageStatus'),
+  manageLifetimeValue: $('manageLifetimeValue'),
+  manageLifetimeUnit: $('manageLifetimeUnit'),
+  manageMaxDownloads: $('manageMaxDownloads'),
+  manageSave: $('manageSave'),
+  manageDelete: $('manageDelete'),
 
   qrModal: $('qrModal'),
   qrCanvas: $('qrCanvas'),
@@ -88,16 +104,19 @@ const state = {
   mode: 'standard',
   encrypt: true,
   uploadEnabled: false,
+  uploadAuthRequired: false, // Standard uploads need an API key, which the Web UI does not ask for
   p2pEnabled: false,
   maxSizeMB: null,
   maxLifetimeHours: null,
   maxFileDownloads: 1,
   e2ee: false,
+  passphrase: false, // Server can keep passphrase-wrapped keys
   peerjsPath: '/peerjs',
   iceServers: [{ urls: ['stun:stun.cloudflare.com:3478'] }],
   p2pSession: null,
   p2pSecureOk: true,
   uploadSession: null,
+  managedUpload: null, // { fileId, ownerToken, lifetimeValue, lifetimeUnit } of the last upload
 };
 
 const coreClient = new DropgateClient({ clientVersion: '2.2.1' });
@@ -161,11 +180,8 @@ function normalizeCode(raw) {
   if (!s) return '';
   // If a full URL was pasted, keep it as-is
   if (/^https?:\/\//i.test(s)) return s;
-  // Strip spaces
-  const compact = s.replace(/\s+/g, '');
-  // Uppercase codes like abcd-1234
-  if (/^[a-z0-9-]{4,20}$/i.test(compact)) return compact.toUpperCase();
-  return compact;
+  // Keep inner spaces, which may separate the words of a sharing code; the server normalises codes
+  return s.replace(/\s+/g, ' ');
 }
 
 function showPanels(which) {
@@ -195,7 +211,7 @@ function isFileTooLargeForStandard(file) {
     ? state.maxSizeMB * 1000 * 1000
     : null;
   if (!maxBytes) return false;
-  const totalChunks = Math.ceil(file.size / DEFAULT_CHUNK_SIZE);
+  const totalChunks = Math.ceil(file.size / coreClient.resolveChunkSize(state.info));
   const estimatedBytes = estimateTotalUploadSizeBytes(file.size, totalChunks, Boolean(state.encrypt));
   return estimatedBytes > maxBytes;
 }
@@ -240,6 +256,7 @@ function setMode(mode) {
   // Options shown in Standard mode only
   setHidden(els.optLifetime, !isStandard);
   setHidden(els.optMaxDownloads, !isStandard || !state.uploadEnabled);
+  setHidden(els.optPassphrase, !isStandard || !state.encrypt || !state.passphrase);
   updateSecurityStatus();
   setHidden(els.p2pInfo, isStandard);
 
@@ -356,9 +373,12 @@ function updateCapabilitiesUI() {
       : maxText;
   } else {
     const p2pAvailable = state.p2pEnabled && state.p2pSecureOk;
+    const reason = state.uploadAuthRequired
+      ? 'Standard uploads on this server need an API key. Use the Dropgate Client or the API.'
+      : 'Standard uploads are disabled on this server.';
     els.maxUploadHint.textContent = p2pAvailable
-      ? 'Standard uploads are disabled on this server. Direct transfer (P2P) is available.'
-      : 'Uploads are disabled on this server.';
+      ? `${reason} Direct transfer (P2P) is available.`
+      : (state.uploadAuthRequired ? reason : 'Uploads are disabled on this server.');
   }
 
   // Lifetime
@@ -380,6 +400,9 @@ function updateCapabilitiesUI() {
   state.encrypt = canEncrypt; // Auto-set encryption based on capability
   updateSecurityStatus();
 
+  // Passphrases wrap the encryption key, so they are only offered for encrypted uploads
+  setHidden(els.optPassphrase, !canEncrypt || !state.passphrase || state.mode !== 'standard');
+
   // Mode toggle availability
   const p2pAvailable = state.p2pEnabled && state.p2pSecureOk;
   setDisabled(els.modeP2P, !p2pAvailable);
@@ -445,11 +468,13 @@ async function loadServerInfo() {
   state.info = info;
 
   const upload = info?.capabilities?.upload;
-  state.uploadEnabled = Boolean(upload?.enabled);
+  state.uploadAuthRequired = Boolean(upload?.enabled && upload?.authRequired);
+  state.uploadEnabled = Boolean(upload?.enabled) && !state.uploadAuthRequired;
   state.maxSizeMB = state.uploadEnabled ? (upload?.maxSizeMB ?? null) : null;
   state.maxLifetimeHours = state.uploadEnabled ? (upload?.maxLifetimeHours ?? null) : null;
   state.maxFileDownloads = state.uploadEnabled ? (upload?.maxFileDownloads ?? 1) : 1;
   state.e2ee = state.uploadEnabled ? Boolean(upload?.e2ee) : false;
+  state.passphrase = state.uploadEnabled ? Boolean(upload?.passphrase) : false;
 
   const p2p = info?.capabilities?.p2p;
   state.p2pEnabled = Boolean(p2p?.enabled);
@@ -572,8 +597,10 @@ function showProgress({ title, sub, percent, doneBytes, totalBytes, icon, iconCo
   }
 }
 
-function showShare({ link = '', title = 'Upload Complete', sub = 'Share this link with your recipient:', showLinkGroup = true } = {}) {
+function showShare({ link = '', title = 'Upload Complete', sub = 'Share this link with your recipient:', showLinkGroup = true, manage = null } = {}) {
   showPanels('share');
+  state.managedUpload = manage;
+  setHidden(els.manageUpload, !manage);
   if (els.shareTitle) els.shareTitle.textContent = title;
   if (els.shareSub) els.shareSub.textContent = sub;
   if (els.shareLinkGroup) setHidden(els.shareLinkGroup, !showLinkGroup);
@@ -631,6 +658,111 @@ function showQRModal(url) {
   modal.show();
 }
 
+function setManageStatus(text, isError = false) {
+  els.manageStatus.textContent = text;
+  els.manageStatus.className = `small mb-3 ${isError ? 'text-danger' : 'text-body-secondary'}`;
+}
+
+function describeUploadSettings({ expiresAt, maxDownloads, downloadCount }) {
+  const expiry = expiresAt ? `Expires ${new Date(expiresAt).toLocaleString()}` : 'Never expires';
+  const downloads = maxDownloads === 0
+    ? `${downloadCount} downloads so far`
+    : `${downloadCount} of ${maxDownloads} downloads used`;
+  return `${expiry} • ${downloads}`;
+}
+
+function managedUploadRequest() {
+  const { fileId, ownerToken } = state.managedUpload;
+  return {
+    host: location.hostname,
+    port: location.port ? Number(location.port) : undefined,
+    secure: location.protocol === 'https:',
+    fileId,
+    ownerToken,
+  };
+}
+
+function setManageBusy(busy) {
+  setDisabled(els.manageSave, busy);
+  setDisabled(els.manageDelete, busy);
+}
+
+// The upload is gone (deleted, expired or fully downloaded), so there is nothing left to manage
+function handleManageError(err) {
+  if (err?.code === 'FILE_NOT_FOUND') {
+    setManageStatus('This upload no longer exists on the server.', true);
+    setManageBusy(true);
+    state.managedUpload = null;
+    setHidden(els.manageUpload, true);
+    return;
+  }
+  setManageStatus(err?.message || 'Request failed.', true);
+}
+
+async function openManageModal() {
+  if (!state.managedUpload || !els.manageModal) return;
+
+  els.manageLifetimeUnit.value = state.managedUpload.lifetimeUnit;
+  els.manageLifetimeValue.value = state.managedUpload.lifetimeValue;
+  setDisabled(els.manageLifetimeValue, els.manageLifetimeUnit.value === 'unlimited');
+  setManageStatus('Loading...');
+  setManageBusy(true);
+  window.bootstrap.Modal.getOrCreateInstance(els.manageModal).show();
+
+  try {
+    const settings = await coreClient.updateUpload(managedUploadRequest());
+    els.manageMaxDownloads.value = String(settings.maxDownloads);
+    setManageStatus(describeUploadSettings(settings));
+    setManageBusy(false);
+  } catch (err) {
+    handleManageError(err);
+  }
+}
+
+async function saveManagedUpload() {
+  if (!state.managedUpload) return;
+
+  const unit = els.manageLifetimeUnit.value;
+  const lifetimeMs = Math.round(lifetimeToMs(parseFloat(els.manageLifetimeValue.value), unit));
+  if (unit !== 'unlimited' && lifetimeMs <= 0) {
+    setManageStatus('Lifetime must be greater than 0.', true);
+    return;
+  }
+  const maxDownloads = parseInt(els.manageMaxDownloads.value, 10);
+  if (!Number.isInteger(maxDownloads) || maxDownloads < 0) {
+    setManageStatus('Max downloads must be a non-negative number.', true);
+    return;
+  }
+
+  setManageBusy(true);
+  try {
+    const settings = await coreClient.updateUpload({ ...managedUploadRequest(), lifetimeMs, maxDownloads });
+    state.managedUpload.lifetimeValue = els.manageLifetimeValue.value;
+    state.managedUpload.lifetimeUnit = unit;
+    setManageStatus(describeUploadSettings(settings));
+    setManageBusy(false);
+    showToast('Upload updated.', 'success');
+  } catch (err) {
+    handleManageError(err);
+    if (state.managedUpload) setManageBusy(false);
+  }
+}
+
+async function deleteManagedUpload() {
+  if (!state.managedUpload) return;
+  if (!window.confirm('Delete this upload now? The link will stop working immediately.')) return;
+
+  setManageBusy(true);
+  try {
+    await coreClient.deleteUpload(managedUploadRequest());
+    window.bootstrap.Modal.getOrCreateInstance(els.manageModal).hide();
+    showShare({ title: 'Upload Deleted', sub: 'The file has been removed from the server.', showLinkGroup: false });
+  } catch (err) {
+    handleManageError(err);
+    if (state.managedUpload) setManageBusy(false);
+  }
+}
+
 function copyToClipboard(value) {
   return navigator.clipboard?.writeText(value).catch(() => {
     // fallback
@@ -671,7 +803,7 @@ async function startStandardUpload() {
     ? state.maxSizeMB * 1000 * 1000
     : null;
   if (maxBytes) {
-    const totalChunks = Math.ceil(file.size / DEFAULT_CHUNK_SIZE);
+    const totalChunks = Math.ceil(file.size / coreClient.resolveChunkSize(state.info));
     const estimatedBytes = estimateTotalUploadSizeBytes(file.size, totalChunks, encrypt);
     if (estimatedBytes > maxBytes) {
       if (state.p2pEnabled && state.p2pSecureOk) {
@@ -690,6 +822,7 @@ async function startStandardUpload() {
   }
 
   const lifetimeMs = lifetimeMsFromUI();
+  const passphrase = encrypt && state.passphrase ? els.passphraseValue.value : '';
 
   showProgress({ title: 'Uploading', sub: 'Preparing...', percent: 0, doneBytes: 0, totalBytes: file.size, icon: 'cloud_upload', iconColor: 'text-primary' });
 
@@ -705,6 +838,7 @@ async function startStandardUpload() {
         const val = parseInt(els.maxDownloadsValue.value, 10);
         return (Number.isInteger(val) && val >= 0) ? val : 1;
       })(),
+      ...(passphrase ? { passphrase } : {}),
       onProgress: ({ phase, text, percent }) => {
         const p = (typeof percent === 'number') ? percent : 0;
         showProgress({
@@ -741,7 +875,14 @@ async function startStandardUpload() {
     state.uploadSession = null;
 
     showProgress({ title: 'Uploading', sub: 'Upload successful!', percent: 100, doneBytes: file.size, totalBytes: file.size, icon: 'cloud_upload' });
-    showShare({ link: result.downloadUrl });
+    els.passphraseValue.value = '';
+    showShare({
+      link: result.downloadUrl,
+      ...(passphrase ? { sub: 'Share this link with your recipient, and send them the passphrase separately:' } : {}),
+      manage: result.ownerToken
+        ? { fileId: result.fileId, ownerToken: result.ownerToken, lifetimeValue: els.lifetimeValue.value, lifetimeUnit: els.lifetimeUnit.value }
+        : null,
+    });
   } catch (err) {
     // Hide cancel button on error
     els.cancelStandardUpload.style.display = 'none';
@@ -775,6 +916,20 @@ async function loadPeerJS() {
   });
 }
 
+// Emoji and digit words that the receiver sees too, unless someone is relaying the connection
+function renderAuthString(authString) {
+  els.p2pAuthEmoji.replaceChildren(...authString.emoji.map(({ symbol, name }) => {
+    const item = document.createElement('div');
+    item.className = 'auth-emoji-item';
+    const symbolEl = document.createElement('span');
+    symbolEl.className = 'auth-emoji-symbol';
+    symbolEl.textContent = symbol;
+    item.append(symbolEl, name);
+    return item;
+  }));
+  els.p2pAuthWords.textContent = authString.words.join(' ');
+}
+
 async function startP2PSendFlow() {
   if (!state.p2pEnabled) {
     showToast('Direct transfer is disabled on this server.');
@@ -801,10 +956,17 @@ async function startP2PSendFlow() {
     return;
   }
 
+  // Last reported progress, kept on screen while the receiver reconnects
+  let progress = { percent: 0, doneBytes: 0, totalBytes: file.size };
+
   els.tagline.textContent = 'Direct Transfer (P2P)';
   state.p2pSession = await startP2PSend({
     file,
     Peer,
+    resumable: true,
+    // Nothing is sent until the sender has compared the security code with the receiver
+    encrypt: true,
+    confirmAuthString: true,
     host: location.hostname,
     port: location.port ? Number(location.port) : undefined,
     secure: location.protocol === 'https:',
@@ -819,6 +981,7 @@ async function startP2PSendFlow() {
       setHidden(els.p2pLink, false);
       setHidden(els.copyP2PLink, false);
       setHidden(els.qrP2PLink, false);
+      setHidden(els.p2pAuthString, true);
       // Reset title/subtitle
       const waitTitle = els.p2pWaitCard?.querySelector('h5');
       const waitSub = els.p2pWaitCard?.querySelector('.text-body-secondary');
@@ -840,19 +1003,26 @@ async function startP2PSendFlow() {
         setHidden(els.p2pLink, true);
         setHidden(els.copyP2PLink, true);
         setHidden(els.qrP2PLink, true);
+      } else if (phase === 'confirming') {
+        // Stay on the security code until it is confirmed
+        const waitSub = els.p2pWaitCard?.querySelector('.text-body-secondary');
+        if (waitSub) waitSub.textContent = message;
       } else if (phase === 'transferring') {
-        // Switch to progress card when transfer actually starts
-        showProgress({ title: 'Sending...', sub: message, percent: 0, doneBytes: 0, totalBytes: file.size, icon: 'sync_alt', iconColor: 'text-primary' });
+        // Switch to progress card when transfer actually starts (or resumes)
+        showProgress({ title: 'Sending...', sub: message, ...progress, icon: 'sync_alt', iconColor: 'text-primary' });
         // Show P2P cancel button
         els.cancelP2PSend.style.display = 'inline-block';
         els.cancelStandardUpload.style.display = 'none';
+      } else if (phase === 'reconnecting') {
+        showProgress({ title: 'Reconnecting...', sub: message, ...progress, icon: 'link_off', iconColor: 'text-warning' });
       } else {
         // Default behavior for other statuses
         showProgress({ title: 'Sending...', sub: message, percent: 0, doneBytes: 0, totalBytes: file.size, icon: 'sync_alt', iconColor: 'text-primary' });
       }
     },
     onProgress: ({ processedBytes, totalBytes, percent }) => {
-      showProgress({ title: 'Sending...', sub: 'Keep this tab open until the transfer completes.', percent, doneBytes: processedBytes, totalBytes, icon: 'sync_alt', iconColor: 'text-primary' });
+      progress = { percent, doneBytes: processedBytes, totalBytes };
+      showProgress({ title: 'Sending...', sub: 'Keep this tab open until the transfer completes.', ...progress, icon: 'sync_alt', iconColor: 'text-primary' });
     },
     onComplete: () => {
       els.cancelP2PSend.style.display = 'none';
@@ -874,6 +1044,26 @@ async function startP2PSendFlow() {
       showProgress({ title: 'Receiver Disconnected', sub: 'The receiver closed their browser or cancelled the transfer.', percent: 0, doneBytes: 0, totalBytes: file.size, icon: 'link_off', iconColor: 'text-warning' });
       stopP2P();
     },
+    onAuthString: ({ authString, confirm, reject }) => {
+      const waitTitle = els.p2pWaitCard?.querySelector('h5');
+      const waitSub = els.p2pWaitCard?.querySelector('.text-body-secondary');
+      if (waitTitle) waitTitle.textContent = 'Check the security code';
+      if (waitSub) waitSub.textContent = 'Ask your recipient to read out the code on their screen. Only continue if it matches this one.';
+      renderAuthString(authString);
+      setHidden(els.p2pAuthString, false);
+      setHidden(els.confirmP2PAuth, false);
+      els.confirmP2PAuth.onclick = () => {
+        setHidden(els.confirmP2PAuth, true);
+        if (waitSub) waitSub.textContent = 'Code confirmed. Waiting for the receiver to start the transfer...';
+        confirm();
+      };
+      els.rejectP2PAuth.onclick = () => {
+        reject('The security codes did not match.');
+        state.p2pSession = null;
+        showToast('Transfer stopped: the security codes did not match.', 'warning');
+        resetToMain();
+      };
+    },
     onCancel: (evt) => {
       els.cancelP2PSend.style.display = 'none';
       stopP2P();
@@ -1002,6 +1192,12 @@ function wireUI() {
   els.copyShare?.addEventListener('click', () => copyToClipboard(els.shareLink.value).then(() => showToast('Copied link.')));
   els.qrShare?.addEventListener('click', () => showQRModal(els.shareLink.value));
   els.newUpload?.addEventListener('click', resetToMain);
+  els.manageUpload?.addEventListener('click', openManageModal);
+  els.manageSave?.addEventListener('click', saveManagedUpload);
+  els.manageDelete?.addEventListener('click', deleteManagedUpload);
+  els.manageLifetimeUnit?.addEventListener('change', () => {
+    setDisabled(els.manageLifetimeValue, els.manageLifetimeUnit.value === 'unlimited');
+  });
 
   // Enter code
   const goWithCode = async () => {
@@ -0,0 +1,151 @@
+const net = require('net');
+const { spawn } = require('child_process');
+
+/**
+ * Virus scanners for unencrypted uploads.
+ *
+ * Each scanner reads the stored file as a stream, so it works with every storage driver:
+ *
+ * - `clamd` sends the file to a ClamAV daemon with the INSTREAM command, over a Unix
+ *   socket (an absolute path) or TCP (`host:port`).
+ * - `command` runs a shell command with the file on stdin. Exit code 0 means clean and 1
+ *   means infected, as with `clamscan -`. Any other exit code is a failed scan.
+ *
+ * @typedef {object} ScanResult
+ * @property {boolean} infected - Whether the scanner found a threat
+ * @property {string|null} signature - Name of the threat, if the scanner reported one
+ *
+ * @typedef {object} Scanner
+ * @property {string} name - Scanner name, used in logs
+ * @property {(stream: import('stream').Readable) => Promise<ScanResult>} scan - Scan a file. Rejects if the scan could not be completed.
+ */
+
+const SCANNERS = ['clamd', 'command'];
+
+/**
+ * Scan files with a ClamAV daemon.
+ * @param {object} options
+ * @param {string} options.address - Unix socket path, or `host:port`
+ * @param {number} options.timeoutMs - Idle timeout of the connection
+ * @returns {Scanner}
+ */
+const createClamdScanner = ({ address, timeoutMs }) => {
+    const connect = () => {
+        if (address.startsWith('/')) return net.connect(address);
+        const separator = address.lastIndexOf(':');
+        const host = address.slice(0, separator).replace(/^\[|\]$/g, '');
+        return net.connect(Number(address.slice(separator + 1)), host);
+    };
+
+    const scan = (stream) => new Promise((resolve, reject) => {
+        const socket = connect();
+        let reply = '';
+        let settled = false;
+        const settle = (err, result) => {
+            if (settled) return;
+            settled = true;
+            stream.destroy();
+            socket.destroy();
+            if (err) reject(err);
+            else resolve(result);
+        };
+
+        socket.setTimeout(timeoutMs, () => settle(new Error('clamd did not respond in time.')));
+        socket.on('error', (e) => settle(e));
+        socket.on('data', (data) => { reply += data.toString(); });
+        socket.on('close', () => {
+            // Replies look like "stream: OK" or "stream: <signature> FOUND", ended by a null byte
+            const text = reply.replace(/\0/g, '').trim();
+            const found = /^stream: (.+) FOUND$/.exec(text);
+            if (text === 'stream: OK') settle(null, { infected: false, signature: null });
+            else if (found) settle(null, { infected: true, signature: found[1] });
+            else settle(new Error(`Unexpected clamd reply: ${text || '(empty)'}`));
+        });
+
+        socket.on('connect', () => {
+            socket.write('zINSTREAM\0');
+            stream.on('data', (chunk) => {
+                const length = Buffer.alloc(4);
+                length.writeUInt32BE(chunk.length);
+                if (!socket.write(Buffer.concat([length, chunk]))) {
+                    stream.pause();
+                    socket.once('drain', () => stream.resume());
+                }
+            });
+            stream.on('end', () => socket.write(Buffer.alloc(4))); // A zero length ends the stream
+            stream.on('error', (e) => settle(e));
+        });
+    });
+
+    return { name: 'clamd', scan };
+};
+
+/**
+ * Scan files with an external command.
+ * @param {object} options
+ * @param {string} options.command - Shell command that reads the file from stdin
+ * @param {number} options.timeoutMs - Time limit of each scan
+ * @returns {Scanner}
+ */
+const createCommandScanner = ({ command, timeoutMs }) => {
+    const scan = (stream) => new Promise((resolve, reject) => {
+        const child = spawn(command, { shell: true, stdio: ['pipe', 'pipe', 'ignore'] });
+        let output = '';
+        let settled = false;
+        const settle = (err, result) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            stream.destroy();
+            if (err) reject(err);
+            else resolve(result);
+        };
+
+        const timer = setTimeout(() => {
+            child.kill('SIGKILL');
+            settle(new Error('Scan command did not finish in time.'));
+        }, timeoutMs);
+
+        child.on('error', (e) => settle(e));
+        child.stdout.on('data', (data) => {
+            if (output.length < 4096) output += data.toString();
+        });
+        child.on('close', (code) => {
+            if (code === 0) return settle(null, { infected: false, signature: null });
+            if (code === 1) {
+                const found = /:\s*(.+?)\s+FOUND/.exec(output);
+                return settle(null, { infected: true, signature: found ? found[1] : null });
+            }
+            settle(new Error(`Scan command exited with code ${code}.`));
+        });
+
+        // Commands may stop reading once they have a verdict
+        child.stdin.on('error', () => { });
+        stream.on('error', (e) => {
+            child.kill('SIGKILL');
+            settle(e);
+        });
+        stream.pipe(child.stdin);
+    });
+
+    return { name: 'command', scan };
+};
+
+/**
+ * Create the scanner with the given name.
+ * @param {string} type - One of SCANNERS
+ * @param {object} options - Scanner specific options, plus `timeoutMs`
+ * @returns {Scanner}
+ */
+const createScanner = (type, options) => {
+    switch (type) {
+        case 'clamd':
+            return createClamdScanner(options);
+        case 'command':
+            return createCommandScanner(options);
+        default:
+            throw new Error(`Unknown scanner "${type}". Expected one of: ${SCANNERS.join(', ')}.`);
+    }
+};
+
+module.exports = { SCANNERS, createScanner };
@@ -1,3 +1,5 @@
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+
 const LOG_LEVELS = { NONE: -1, ERROR: 0, WARN: 1, INFO: 2, DEBUG: 3 };
 const normalizeLogLevel = (value) => {
     const upper = String(value || '').trim().toUpperCase();
@@ -12,11 +14,36 @@ const shouldLog = (level) => {
     return LOG_LEVELS[normalized] <= LOG_LEVEL_NUM;
 };
 
-const log = (level, message) => {
+const rawLogFormat = process.env.LOG_FORMAT;
+const LOG_FORMAT = String(rawLogFormat || 'text').trim().toLowerCase() === 'json' ? 'json' : 'text';
+const LOG_IDENTIFIERS = process.env.LOG_IDENTIFIERS === 'true';
+
+// Holds the request ID while a request is handled, so log lines can be correlated
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Write a log line.
+ * @param {string} level - error, warn, info or debug
+ * @param {string} message - Human-readable message. Must not contain identifiers.
+ * @param {object} [fields] - `event` name, plus `uploadId`, `fileId` or `bundleId`.
+ *   Identifiers (including the request ID) are only written when LOG_IDENTIFIERS=true.
+ */
+const log = (level, message, fields = {}) => {
     const normalized = normalizeLogLevel(level);
     if (!shouldLog(normalized)) return;
-    const prefix = `[${new Date().toISOString()}] [${normalized}]`;
-    const out = `${prefix} ${message}`;
+    const { event, ...ids } = fields;
+    const identifiers = LOG_IDENTIFIERS ? { requestId: requestContext.getStore()?.requestId, ...ids } : {};
+    for (const key of Object.keys(identifiers)) {
+        if (identifiers[key] === undefined || identifiers[key] === null) delete identifiers[key];
+    }
+
+    let out;
+    if (LOG_FORMAT === 'json') {
+        out = JSON.stringify({ timestamp: new Date().toISOString(), level: normalized, event, message, ...identifiers });
+    } else {
+        const suffix = Object.entries(identifiers).map(([key, value]) => `${key}=${value}`).join(' ');
+        out = `[${new Date().toISOString()}] [${normalized}] ${message}${suffix ? ` (${suffix})` : ''}`;
+    }
     if (normalized === 'ERROR') return console.error(out);
     if (normalized === 'WARN') return console.warn(out);
     if (normalized === 'INFO') return console.info(out);
@@ -27,21 +54,35 @@ if (rawLogLevel && normalizeLogLevel(rawLogLevel) === 'INFO' && String(rawLogLev
     log('warn', 'Invalid LOG_LEVEL value. Defaulting to INFO.');
 }
 
+if (rawLogFormat && LOG_FORMAT === 'text' && String(rawLogFormat).trim().toLowerCase() !== 'text') {
+    log('warn', 'Invalid LOG_FORMAT value. Defaulting to text.');
+}
+
 log('info', 'Dropgate Server is starting...');
 log('info', `Log level: ${LOG_LEVEL}`);
+log('info', `Log format: ${LOG_FORMAT}`);
+if (LOG_IDENTIFIERS) log('warn', 'LOG_IDENTIFIERS is enabled! Request, upload and file IDs will be written to the logs.');
 
 const { version } = require('./package.json');
 const path = require('path');
 const fs = require('fs');
 const crypto = require('crypto');
 const http = require('http');
+const { pipeline } = require('stream');
 const express = require('express');
 const rateLimit = require('express-rate-limit').default;
 const helmet = require('helmet').default;
 const cors = require('cors');
 const { ExpressPeerServer } = require('peer');
 const contentDisposition = require('content-disposition');
-const { FSDB } = require('file-system-db');
+const archiver = require('archiver');
+const { createStorage } = require('./storage');
+const { createMetadataStore } = require('./metadata');
+const { loadApiKeys } = require('./api-keys');
+const { createMetricsRegistry } = require('./metrics');
+const { createWebhookDispatcher, parseUploadWebhook } = require('./webhooks');
+const { SCANNERS, createScanner } = require('./scanner');
+const { createDeliveryTracker } = require('./downloads');
 const { v4: uuidv4 } = require('uuid');
 
 const port = process.env.SERVER_PORT || 52443;
@@ -60,6 +101,25 @@ log('info', `Upload Protocol Enabled: ${enableUpload}`);
 log('info', `Peer-to-Peer (P2P) Enabled: ${enableP2P}`);
 log('info', `Web UI Enabled: ${enableWebUI}`);
 
+// ===== Prometheus metrics, served at /metrics when enabled =====
+const enableMetrics = process.env.ENABLE_METRICS === 'true';
+const metricsToken = process.env.METRICS_TOKEN || null;
+log('info', `Metrics Enabled: ${enableMetrics}`);
+if (enableMetrics && !metricsToken) {
+    log('warn', 'METRICS_TOKEN is not set! Anyone who can reach /metrics can read them. Keep it off the public internet.');
+}
+
+// Counted even when the endpoint is disabled; it is cheaper than checking everywhere
+const metrics = createMetricsRegistry();
+const metricUploadsStarted = metrics.counter('dropgate_uploads_started_total', 'Uploads initialised.');
+const metricUploadsCompleted = metrics.counter('dropgate_uploads_completed_total', 'Uploads completed and stored.');
+const metricUploadsCancelled = metrics.counter('dropgate_uploads_cancelled_total', 'Uploads abandoned before completion, by reason (client, admin, expired).');
+const metricChunkIntegrityFailures = metrics.counter('dropgate_chunk_integrity_failures_total', 'Uploaded chunks rejected because their hash did not match.');
+const metricDownloadBytes = metrics.counter('dropgate_download_bytes_total', 'Bytes of stored files served by /api/file/:fileId.');
+const metricExpiredDeleted = metrics.counter('dropgate_expired_deleted_total', 'Files and bundles deleted by the expiry cleanup, by type.');
+const metricRateLimited = metrics.counter('dropgate_rate_limit_rejections_total', 'Requests rejected by the rate limiter.');
+const metricScans = metrics.counter('dropgate_scans_total', 'Virus scans of unencrypted uploads, by result (clean, infected, failed).');
+
 // ===== P2P (WebRTC) configuration exposed to clients via /api/info =====
 const PEERJS_MOUNT_PATH = '/peerjs';
 
@@ -113,6 +173,46 @@ const p2pStunUrls = process.env.P2P_STUN_SERVERS
 const p2pIceServers = [];
 if (p2pStunUrls.length) p2pIceServers.push({ urls: p2pStunUrls });
 
+// Format of the sharing codes senders generate. Sharing codes are read and checked with the
+// core library bundle the web pages use, so the server and browsers always agree on them.
+// Classic XXXX-0000 codes, and codes of the other formats and lengths, are accepted whatever
+// the format, so links handed out before a change keep working.
+const p2pCodeFormat = { type: String(process.env.P2P_CODE_FORMAT || 'classic').trim().toLowerCase() };
+let p2pCodes = null;
+const p2pCodesReady = import('./public/js/dropgate-core.js').then((core) => {
+    const bounds = core.P2P_CODE_LENGTHS[p2pCodeFormat.type];
+    if (p2pCodeFormat.type !== 'classic' && !bounds) {
+        log('error', 'Invalid P2P_CODE_FORMAT environment variable. It must be classic, alphanumeric or words.');
+        process.exit(1);
+    }
+    if (bounds) {
+        p2pCodeFormat.length = parseEnvInt('P2P_CODE_LENGTH', process.env.P2P_CODE_LENGTH, bounds.default);
+        if (p2pCodeFormat.length < bounds.min || p2pCodeFormat.length > bounds.max) {
+            log('error', `P2P_CODE_LENGTH must be between ${bounds.min} and ${bounds.max} for ${p2pCodeFormat.type} codes.`);
+            process.exit(1);
+        }
+    }
+    if (enableP2P) log('info', `P2P_CODE_FORMAT: ${p2pCodeFormat.type}${p2pCodeFormat.length ? ` (length ${p2pCodeFormat.length})` : ''}`);
+    p2pCodes = core;
+}).catch((e) => {
+    log('error', `Failed to load the core library: ${e.message}`);
+    process.exit(1);
+});
+
+/**
+ * Bring a typed P2P sharing code into its canonical form.
+ * @param {string} value - Code as entered
+ * @returns {string} Canonical code
+ */
+const normalizeP2PCode = (value) => p2pCodes.normalizeP2PCode(value, p2pCodeFormat);
+
+/**
+ * Check a canonical sharing code against every code format.
+ * @param {string} value - Code from normalizeP2PCode()
+ * @returns {boolean}
+ */
+const isP2PCode = (value) => p2pCodes.isP2PCodeLike(value);
+
 const uploadEnableE2EE = process.env.UPLOAD_ENABLE_E2EE !== 'false';
 if (enableUpload) log('info', `Upload End-to-End Encryption (E2EE) Enabled: ${uploadEnableE2EE}`);
 
@@ -133,8 +233,7 @@ const app = express();
 // to the same port/path (fixed mount: /peerjs).
 const server = http.createServer(app);
 
-const uploadDir = path.join(__dirname, 'uploads');
-const tmpDir = path.join(__dirname, 'uploads', 'tmp');
+const uploadDir = process.env.UPLOAD_STORAGE_DIR ? path.resolve(process.env.UPLOAD_STORAGE_DIR) : path.join(__dirname, 'uploads');
 
 const cleanupDir = (dirPath) => {
     if (fs.existsSync(dirPath)) {
@@ -146,44 +245,36 @@ const cleanupDir = (dirPath) => {
     }
 };
 
-const createDirIfNotExists = (dir) => {
-    if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
-    }
-};
-
-const getDirSize = (dirPath) => {
-    let size = 0;
-    if (fs.existsSync(dirPath)) {
-        const files = fs.readdirSync(dirPath);
-        for (const file of files) {
-            const filePath = path.join(dirPath, file);
-            const stats = fs.statSync(filePath);
-            if (stats.isDirectory()) size += getDirSize(filePath);
-            else size += stats.size;
-        }
-    }
-    return size;
-};
-
 let preserveUploads = false;
 let maxFileSizeMB = 0;
 let maxStorageGB = 0;
 let maxFileLifetimeHours = 0;
-let MAX_FILE_SIZE_BYTES = Infinity;
 let MAX_STORAGE_BYTES = Infinity;
-let MAX_FILE_LIFETIME_MS = Infinity;
 let maxFileDownloads = 1;
+let uploadSessionTimeoutMs = 6 * 60 * 60 * 1000;
+let minChunkSize = 0;
+let maxChunkSize = 0;
+let downloadConfirmTimeoutMs = 5 * 60 * 1000;
+let passphraseMaxAttempts = 5;
+let passphraseLockoutMs = 15 * 60 * 1000;
+let apiKeys = null;
+let adminTokenHash = null;
+let webhooks = null;
+let allowUploadWebhooks = false;
+let scanner = null;
+let scanOnInfected = 'delete';
 let currentDiskUsage = 0;
 let fileDatabase = null;
 let ongoingUploads = null;
+let ongoingBundles = null;
+let storage = null;
+let storageReady = Promise.resolve();
 
 if (enableUpload) {
     preserveUploads = process.env.UPLOAD_PRESERVE_UPLOADS === 'true';
     log('info', `UPLOAD_PRESERVE_UPLOADS: ${preserveUploads}`);
 
     maxFileSizeMB = parseEnvInt('UPLOAD_MAX_FILE_SIZE_MB', process.env.UPLOAD_MAX_FILE_SIZE_MB, 100);
-    MAX_FILE_SIZE_BYTES = maxFileSizeMB === 0 ? Infinity : maxFileSizeMB * 1000 * 1000;
     log('info', `UPLOAD_MAX_FILE_SIZE_MB: ${maxFileSizeMB} MB`);
     if (maxFileSizeMB === 0) {
         log('warn', 'UPLOAD_MAX_FILE_SIZE_MB is set to 0! Files of any size can be uploaded.');
@@ -201,7 +292,6 @@ if (enableUpload) {
     }
 
     maxFileLifetimeHours = parseEnvNumber('UPLOAD_MAX_FILE_LIFETIME_HOURS', process.env.UPLOAD_MAX_FILE_LIFETIME_HOURS, 24);
-    MAX_FILE_LIFETIME_MS = maxFileLifetimeHours === 0 ? Infinity : maxFileLifetimeHours * 60 * 60 * 1000;
     log('info', `UPLOAD_MAX_FILE_LIFETIME_HOURS: ${maxFileLifetimeHours} hours`);
     if (maxFileLifetimeHours === 0) {
         log('warn', 'UPLOAD_MAX_FILE_LIFETIME_HOURS is set to 0! Files will never expire.');
@@ -213,28 +303,175 @@ if (enableUpload) {
         log('warn', 'UPLOAD_MAX_FILE_DOWNLOADS is set to 0! Files can be downloaded unlimited times.');
     }
 
-    if (!preserveUploads) {
-        log('info', 'Clearing any existing uploads on startup...');
-        cleanupDir(uploadDir);
+    uploadSessionTimeoutMs = parseEnvInt('UPLOAD_SESSION_TIMEOUT_MS', process.env.UPLOAD_SESSION_TIMEOUT_MS, 6 * 60 * 60 * 1000);
+    log('info', `UPLOAD_SESSION_TIMEOUT_MS: ${uploadSessionTimeoutMs} ms`);
+    if (uploadSessionTimeoutMs === 0) {
+        log('error', 'UPLOAD_SESSION_TIMEOUT_MS must be greater than 0.');
+        process.exit(1);
     }
-    log('info', 'Clearing any zombie uploads and temp files...');
-    cleanupDir(tmpDir);
 
-    createDirIfNotExists(uploadDir);
-    createDirIfNotExists(tmpDir);
+    minChunkSize = parseEnvInt('UPLOAD_MIN_CHUNK_SIZE_KB', process.env.UPLOAD_MIN_CHUNK_SIZE_KB, 256) * 1024;
+    maxChunkSize = parseEnvInt('UPLOAD_MAX_CHUNK_SIZE_MB', process.env.UPLOAD_MAX_CHUNK_SIZE_MB, 32) * 1024 * 1024;
+    log('info', `UPLOAD_MIN_CHUNK_SIZE_KB: ${minChunkSize / 1024} KB`);
+    log('info', `UPLOAD_MAX_CHUNK_SIZE_MB: ${maxChunkSize / 1024 / 1024} MB`);
+    if (minChunkSize === 0 || maxChunkSize < minChunkSize) {
+        log('error', 'UPLOAD_MIN_CHUNK_SIZE_KB must be greater than 0 and no larger than UPLOAD_MAX_CHUNK_SIZE_MB.');
+        process.exit(1);
+    }
+
+    downloadConfirmTimeoutMs = parseEnvInt('UPLOAD_DOWNLOAD_CONFIRM_TIMEOUT_MS', process.env.UPLOAD_DOWNLOAD_CONFIRM_TIMEOUT_MS, 300000);
+    log('info', `UPLOAD_DOWNLOAD_CONFIRM_TIMEOUT_MS: ${downloadConfirmTimeoutMs} ms`);
+
+    passphraseMaxAttempts = parseEnvInt('UPLOAD_PASSPHRASE_MAX_ATTEMPTS', process.env.UPLOAD_PASSPHRASE_MAX_ATTEMPTS, 5);
+    passphraseLockoutMs = parseEnvInt('UPLOAD_PASSPHRASE_LOCKOUT_MS', process.env.UPLOAD_PASSPHRASE_LOCKOUT_MS, 900000);
+    log('info', `UPLOAD_PASSPHRASE_MAX_ATTEMPTS: ${passphraseMaxAttempts}`);
+    log('info', `UPLOAD_PASSPHRASE_LOCKOUT_MS: ${passphraseLockoutMs} ms`);
+    if (passphraseMaxAttempts === 0) {
+        log('warn', 'UPLOAD_PASSPHRASE_MAX_ATTEMPTS is set to 0! Passphrases can be guessed without limit.');
+    }
+
+    if (process.env.UPLOAD_API_KEYS_FILE) {
+        try {
+            apiKeys = loadApiKeys(process.env.UPLOAD_API_KEYS_FILE);
+        } catch (e) {
+            log('error', `Invalid UPLOAD_API_KEYS_FILE: ${e.message}`);
+            process.exit(1);
+        }
+        log('info', `UPLOAD_API_KEYS_FILE: ${apiKeys.size} API key(s) loaded. Uploads require an API key.`);
+    } else {
+        log('info', 'UPLOAD_API_KEYS_FILE not set. Anyone can upload.');
+    }
+
+    if (process.env.ADMIN_TOKEN) {
+        if (process.env.ADMIN_TOKEN.length < 16) {
+            log('error', 'ADMIN_TOKEN must be at least 16 characters long.');
+            process.exit(1);
+        }
+        adminTokenHash = crypto.createHash('sha256').update(process.env.ADMIN_TOKEN).digest();
+        log('info', 'ADMIN_TOKEN set. Admin dashboard enabled at /admin.');
+    }
+
+    const webhookUrls = parseList(process.env.WEBHOOK_URLS);
+    if (webhookUrls.some((url) => !/^https?:\/\//i.test(url))) {
+        log('error', 'Invalid WEBHOOK_URLS environment variable. Every URL must start with http:// or https://.');
+        process.exit(1);
+    }
+    if (webhookUrls.length > 0 && (process.env.WEBHOOK_SECRET || '').length < 16) {
+        log('error', 'WEBHOOK_SECRET must be set to at least 16 characters when WEBHOOK_URLS is set.');
+        process.exit(1);
+    }
+    allowUploadWebhooks = process.env.WEBHOOK_ALLOW_UPLOAD_URLS === 'true';
+    const webhookMaxAttempts = parseEnvInt('WEBHOOK_MAX_ATTEMPTS', process.env.WEBHOOK_MAX_ATTEMPTS, 5);
+    if (webhookMaxAttempts === 0) {
+        log('error', 'WEBHOOK_MAX_ATTEMPTS must be greater than 0.');
+        process.exit(1);
+    }
+    webhooks = createWebhookDispatcher({
+        endpoints: webhookUrls.map((url) => ({ url, secret: process.env.WEBHOOK_SECRET })),
+        maxAttempts: webhookMaxAttempts,
+        log,
+    });
+    log('info', `WEBHOOK_URLS: ${webhookUrls.length} webhook(s) configured.`);
+    log('info', `WEBHOOK_ALLOW_UPLOAD_URLS: ${allowUploadWebhooks}`);
+
+    const scanType = String(process.env.UPLOAD_SCAN || 'none').trim().toLowerCase();
+    log('info', `UPLOAD_SCAN: ${scanType}`);
+    if (scanType !== 'none') {
+        if (scanType === 'command' && !process.env.UPLOAD_SCAN_COMMAND) {
+            log('error', 'UPLOAD_SCAN_COMMAND must be set when UPLOAD_SCAN=command.');
+            process.exit(1);
+        }
+        scanOnInfected = String(process.env.UPLOAD_SCAN_ON_INFECTED || 'delete').trim().toLowerCase();
+        if (scanOnInfected !== 'delete' && scanOnInfected !== 'quarantine') {
+            log('error', 'Invalid UPLOAD_SCAN_ON_INFECTED environment variable. Expected delete or quarantine.');
+            process.exit(1);
+        }
+        try {
+            scanner = createScanner(scanType, {
+                address: process.env.UPLOAD_SCAN_CLAMD_ADDRESS || '127.0.0.1:3310',
+                command: process.env.UPLOAD_SCAN_COMMAND,
+                timeoutMs: parseEnvInt('UPLOAD_SCAN_TIMEOUT_MS', process.env.UPLOAD_SCAN_TIMEOUT_MS, 300000),
+            });
+        } catch (e) {
+            log('error', `Invalid UPLOAD_SCAN environment variable. Expected none or one of: ${SCANNERS.join(', ')}.`);
+            process.exit(1);
+        }
+        log('info', `UPLOAD_SCAN_ON_INFECTED: ${scanOnInfected}`);
+        if (uploadEnableE2EE) {
+            log('info', 'Encrypted uploads are not scanned, since the server cannot read them.');
+        }
+    }
 
-    currentDiskUsage = getDirSize(uploadDir);
-    setInterval(() => { currentDiskUsage = getDirSize(uploadDir); }, 300000); // Sync every 5 minutes in case of discrepancies
-    if (maxStorageGB !== 0) {
-        log('info', `Current server capacity: ${(currentDiskUsage / 1000 / 1000 / 1000).toFixed(2)} GB / ${maxStorageGB} GB`);
+    const storageDriver = String(process.env.UPLOAD_STORAGE_DRIVER || 'fs').trim().toLowerCase();
+    log('info', `UPLOAD_STORAGE_DRIVER: ${storageDriver}`);
+    try {
+        if (storageDriver === 's3') {
+            const s3Endpoint = process.env.UPLOAD_S3_ENDPOINT || undefined;
+            storage = createStorage('s3', {
+                bucket: process.env.UPLOAD_S3_BUCKET,
+                prefix: process.env.UPLOAD_S3_PREFIX || '',
+                region: process.env.UPLOAD_S3_REGION,
+                endpoint: s3Endpoint,
+                // Self-hosted services rarely support virtual-hosted bucket URLs
+                forcePathStyle: process.env.UPLOAD_S3_FORCE_PATH_STYLE
+                    ? process.env.UPLOAD_S3_FORCE_PATH_STYLE === 'true'
+                    : Boolean(s3Endpoint),
+                accessKeyId: process.env.UPLOAD_S3_ACCESS_KEY_ID,
+                secretAccessKey: process.env.UPLOAD_S3_SECRET_ACCESS_KEY,
+            });
+            log('info', `UPLOAD_S3_BUCKET: ${process.env.UPLOAD_S3_BUCKET}`);
+            if (s3Endpoint) log('info', `UPLOAD_S3_ENDPOINT: ${s3Endpoint}`);
+        } else {
+            storage = createStorage(storageDriver, { rootDir: uploadDir });
+            log('info', `UPLOAD_STORAGE_DIR: ${uploadDir}`);
+        }
+    } catch (e) {
+        log('error', `Invalid storage configuration: ${e.message}`);
+        process.exit(1);
     }
 
-    fileDatabase = preserveUploads ? new FSDB(path.join(__dirname, 'uploads', 'db', 'file-database.json')) : new Map();
+    storageReady = (async () => {
+        if (!preserveUploads) {
+            log('info', 'Clearing any existing uploads on startup...');
+            await storage.clear();
+        }
+        log('info', 'Clearing any zombie uploads and temp files...');
+        await storage.clearTemp();
+        await storage.init();
+
+        currentDiskUsage = await storage.totalSize();
+        if (maxStorageGB !== 0) {
+            log('info', `Current server capacity: ${(currentDiskUsage / 1000 / 1000 / 1000).toFixed(2)} GB / ${maxStorageGB} GB`);
+        }
+    })();
+
+    // Sync every 5 minutes in case of discrepancies
+    setInterval(() => {
+        storage.totalSize()
+            .then((size) => { currentDiskUsage = size; })
+            .catch((e) => log('warn', `Failed to sync storage usage: ${e.message}`));
+    }, 300000);
+
+    try {
+        const dbDir = path.join(__dirname, 'uploads', 'db');
+        fileDatabase = createMetadataStore(preserveUploads ? 'sqlite' : 'memory', {
+            file: path.join(dbDir, 'dropgate.sqlite'),
+            legacyJsonFile: path.join(dbDir, 'file-database.json'), // Imported once from older versions
+            log,
+        });
+    } catch (e) {
+        log('error', `Could not open the file database: ${e.message}`);
+        process.exit(1);
+    }
     ongoingUploads = new Map();
-    log('info', `File database is ready. (${preserveUploads ? 'persistent' : 'in-memory'})`);
+    ongoingBundles = new Map();
+    log('info', `File database is ready. (${fileDatabase.name})`);
 } else {
     log('info', 'Upload protocol disabled. Cleaning up upload directory...');
     cleanupDir(uploadDir);
+    if (process.env.ADMIN_TOKEN) {
+        log('warn', 'ADMIN_TOKEN is set, but the admin dashboard needs ENABLE_UPLOAD=true. Ignoring it.');
+    }
 }
 log('info', 'Configuring server endpoints and middleware...');
 
@@ -245,8 +482,20 @@ app.disable('x-powered-by');
 app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, 'views'));
 
-app.use(cors());
-app.use(express.json());
+// Tag every request with an ID, or keep the one set by a reverse proxy
+app.use((req, res, next) => {
+    const incoming = req.headers['x-request-id'];
+    const requestId = typeof incoming === 'string' && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+    res.setHeader('X-Request-Id', requestId);
+    requestContext.run({ requestId }, next);
+});
+
+// Expose the headers clients on other origins need to resume and confirm downloads
+app.use(cors({ exposedHeaders: ['ETag', 'Content-Range', 'X-Download-Token', 'X-Download-Id', 'X-Request-Id'] }));
+// Completing an encrypted upload carries its integrity manifest, which grows with the chunk count
+const jsonParser = express.json();
+const completeJsonParser = express.json({ limit: '16mb' });
+app.use((req, res, next) => (req.path === '/upload/complete' ? completeJsonParser : jsonParser)(req, res, next));
 app.use((req, res, next) => {
     res.locals.nonce = crypto.randomBytes(16).toString('base64');
     next();
@@ -330,6 +579,7 @@ if (Number(rateLimitMaxRequests) > 0 && Number(rateLimitWindowMs) > 0) {
         legacyHeaders: false,
         handler: (_req, res) => {
             log('warn', 'Rate limit triggered. Request blocked.');
+            metricRateLimited.inc();
             res.status(429).json({ error: 'Too many requests, please try again later.' });
         },
     });
@@ -340,6 +590,56 @@ const apiRouter = express.Router();
 const uploadRouter = express.Router();
 
 let uploadAuth = null;
+let bundleAuth = null;
+let deleteStoredFile = null;
+let discardBundle = null;
+
+// Upper bound on how many files a single bundle may group together.
+const MAX_BUNDLE_FILES = 1000;
+
+// Chunk size of clients that do not choose one, and of files stored before clients could.
+const LEGACY_CHUNK_SIZE = 5 * 1024 * 1024;
+
+// AES-GCM adds a 12-byte IV and a 16-byte tag to every encrypted chunk.
+const ENCRYPTION_OVERHEAD_PER_CHUNK = 28;
+
+// Bytes each encryption format writes in front of the first chunk. Version 1 is the legacy
+// format; version 2 starts with a header that binds every chunk to its position.
+const ENCRYPTION_HEADER_BYTES = { 1: 0, 2: 16 };
+
+// Encrypted file details (MIME type, modified time, message, thumbnail) are opaque to the
+// server. Clients keep thumbnails under 48 KiB, which fits comfortably.
+const MAX_ENCRYPTED_METADATA_LENGTH = 80 * 1024;
+
+/**
+ * Read the API key from an `Authorization: Bearer <key>` header.
+ * @param {import('express').Request} req - Incoming request
+ * @returns {string|null} The presented key, or null if there is none
+ */
+const readBearerToken = (req) => {
+    const match = /^Bearer\s+(\S+)\s*$/i.exec(req.headers.authorization || '');
+    return match ? match[1] : null;
+};
+
+/**
+ * Upload limits that apply to an API key. Limits the key does not set fall back to the
+ * server-wide ones. The storage quota is per key and only exists when the key sets one.
+ * @param {object|null} apiKey - Authenticated API key, or null for anonymous uploads
+ * @returns {{ maxFileSizeMB: number, maxFileSizeBytes: number, maxLifetimeHours: number, maxLifetimeMs: number, maxStorageGB: number|null, maxStorageBytes: number }}
+ */
+const uploadLimitsFor = (apiKey) => {
+    const sizeMB = apiKey?.limits.maxFileSizeMB ?? maxFileSizeMB;
+    const lifetimeHours = apiKey?.limits.maxLifetimeHours ?? maxFileLifetimeHours;
+    const storageGB = apiKey?.limits.maxStorageGB ?? null;
+    return {
+        maxFileSizeMB: sizeMB,
+        maxFileSizeBytes: sizeMB === 0 ? Infinity : sizeMB * 1000 * 1000,
+        maxLifetimeHours: lifetimeHours,
+        maxLifetimeMs: lifetimeHours === 0 ? Infinity : lifetimeHours * 60 * 60 * 1000,
+        maxStorageGB: storageGB,
+        maxStorageBytes: !storageGB ? Infinity : storageGB * 1000 * 1000 * 1000,
+    };
+};
 
 if (enableUpload) {
     uploadAuth = (req, res, next) => {
@@ -350,9 +650,497 @@ if (enableUpload) {
         return limiter(req, res, next);
     };
 
-    uploadRouter.post('/init', limiter, (req, res) => {
+    // Requests that belong to a live bundle (e.g. one /init per file) skip the rate limiter
+    bundleAuth = (req, res, next) => {
+        const bundleId = req.body?.bundleId;
+        if (bundleId && ongoingBundles.has(bundleId)) {
+            return next();
+        }
+        return limiter(req, res, next);
+    };
+
+    // Starting an upload needs a valid API key when keys are configured. Files joining a
+    // live bundle were already authorised when the bundle was created.
+    const apiKeyAuth = (req, res, next) => {
+        if (!apiKeys) return next();
+        const bundleId = req.body?.bundleId;
+        if (bundleId && ongoingBundles.has(bundleId)) return next();
+
+        const token = readBearerToken(req);
+        const apiKey = apiKeys.authenticate(token);
+        if (!apiKey) {
+            res.setHeader('WWW-Authenticate', 'Bearer');
+            return res.status(401).json({ error: token ? 'Invalid API key.' : 'An API key is required to upload to this server.' });
+        }
+        res.locals.apiKey = apiKey;
+        next();
+    };
+
+    /**
+     * Validate a requested file lifetime against the server or API key limit.
+     * @param {unknown} lifetime - Requested lifetime in milliseconds (0 = unlimited)
+     * @param {ReturnType<typeof uploadLimitsFor>} [limits] - Limits to check against (default: server-wide)
+     * @returns {string|null} Error message, or null if valid
+     */
+    const validateLifetime = (lifetime, limits = uploadLimitsFor(null)) => {
+        if (typeof lifetime !== 'number' || !Number.isInteger(lifetime) || lifetime < 0) {
+            return 'Invalid lifetime. Must be a non-negative integer (milliseconds).';
+        }
+        if (limits.maxLifetimeMs !== Infinity) {
+            if (lifetime === 0) {
+                return `Server does not allow unlimited file lifetime. Max: ${limits.maxLifetimeHours} hours.`;
+            }
+            if (lifetime > limits.maxLifetimeMs) {
+                return `File lifetime exceeds limit of ${limits.maxLifetimeHours} hours.`;
+            }
+        }
+        return null;
+    };
+
+    /**
+     * Bytes an API key is using: its stored files plus the uploads it has in progress.
+     * @param {string} name - Name of the API key
+     * @returns {number}
+     */
+    const apiKeyUsage = (name) => {
+        let used = fileDatabase.storedBytesFor(name);
+        ongoingUploads.forEach(u => { if (u.apiKey === name) used += u.reservedBytes || 0; });
+        return used;
+    };
+
+    /**
+     * Resolve the effective download limit from a client request and the server limit.
+     * @param {unknown} clientMaxDownloads - Requested limit, or undefined for the server default
+     * @returns {{ value?: number, error?: string }} Effective limit or an error message
+     */
+    const resolveMaxDownloads = (clientMaxDownloads) => {
+        if (clientMaxDownloads === undefined) return { value: maxFileDownloads }; // Server default
+
+        if (typeof clientMaxDownloads !== 'number' || !Number.isInteger(clientMaxDownloads) || clientMaxDownloads < 0) {
+            return { error: 'Invalid maxDownloads. Must be a non-negative integer.' };
+        }
+        // If server allows unlimited (0), client can choose anything
+        // If server has a limit, client must not exceed it (but can choose 0 for unlimited if server is 0)
+        if (maxFileDownloads === 1) {
+            // Server forces single-download, ignore client preference
+            return { value: 1 };
+        }
+        if (maxFileDownloads === 0) {
+            // Server allows unlimited, client can choose
+            return { value: clientMaxDownloads };
+        }
+        // Server has a limit > 1
+        if (clientMaxDownloads === 0) {
+            // Client wants unlimited but server has a limit
+            return { error: `Server does not allow unlimited downloads. Max: ${maxFileDownloads}.` };
+        }
+        if (clientMaxDownloads > maxFileDownloads) {
+            return { error: `Max downloads exceeds server limit of ${maxFileDownloads}.` };
+        }
+        return { value: clientMaxDownloads };
+    };
+
+    /**
+     * Validate the passphrase lock sent by a client. The wrapped key is only useful
+     * with the passphrase, and only a hash of the passphrase proof is kept.
+     * @param {unknown} lock - `{ salt, iterations, wrappedKey, authKey }` from the client
+     * @returns {{ value?: object, error?: string }} Record to store, or an error message
+     */
+    const resolvePassphraseLock = (lock) => {
+        const isBase64 = (value, maxLength) =>
+            typeof value === 'string' && value.length > 0 && value.length <= maxLength && /^[A-Za-z0-9+/]+={0,2}$/.test(value);
+
+        if (!lock || typeof lock !== 'object'
+            || !isBase64(lock.salt, 64) || !isBase64(lock.wrappedKey, 128) || !isBase64(lock.authKey, 128)
+            || !Number.isInteger(lock.iterations) || lock.iterations < 100000 || lock.iterations > 10000000) {
+            return { error: 'Invalid passphrase parameters.' };
+        }
+        return {
+            value: {
+                salt: lock.salt,
+                iterations: lock.iterations,
+                wrappedKey: lock.wrappedKey,
+                authKeyHash: crypto.createHash('sha256').update(lock.authKey).digest('hex'),
+                failedAttempts: 0,
+                lockedUntil: null,
+            }
+        };
+    };
+
+    /**
+     * Validate the webhook an uploader wants notified about their file.
+     * @param {unknown} webhook - `{ url, secret }` from the client, or undefined for none
+     * @returns {{ value?: object|null, error?: string }} Endpoint to store, or an error message
+     */
+    const resolveUploadWebhook = (webhook) => {
+        if (webhook === undefined) return { value: null };
+        if (!allowUploadWebhooks) return { error: 'This server does not accept upload webhooks.' };
+        return parseUploadWebhook(webhook);
+    };
+
+    /**
+     * Hash an owner token for storage and comparison. Only the hash is kept,
+     * so the database alone is not enough to manage anyone's files.
+     * @param {string} token - Owner token
+     * @returns {string} Hex encoded SHA-256 hash
+     */
+    const hashOwnerToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+    // Management requests must present the owner token issued when the upload completed
+    const ownerAuth = (req, res, next) => {
+        const fileInfo = fileDatabase.get(req.params.fileId);
+        if (!fileInfo) {
+            return res.status(404).json({ error: 'File not found.' });
+        }
+
+        const token = req.headers['x-owner-token'];
+        if (typeof token !== 'string' || token.length === 0) {
+            return res.status(401).json({ error: 'Owner token required.' });
+        }
+
+        // Bundle members and files from older versions have no owner token
+        const expected = fileInfo.ownerTokenHash ? Buffer.from(fileInfo.ownerTokenHash, 'hex') : null;
+        const actual = Buffer.from(hashOwnerToken(token), 'hex');
+        if (!expected || expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            return res.status(403).json({ error: 'Invalid owner token.' });
+        }
+
+        res.locals.fileInfo = fileInfo;
+        next();
+    };
+
+    /**
+     * Remove a stored file from storage and the database, releasing its space.
+     * @param {string} fileId - ID of the file to delete
+     * @returns {Promise<void>}
+     */
+    deleteStoredFile = async (fileId) => {
+        if (!fileDatabase.get(fileId)) return;
+        fileDatabase.delete(fileId);
+        try {
+            const size = await storage.size(fileId);
+            if (size !== null) {
+                currentDiskUsage = Math.max(0, currentDiskUsage - size);
+                await storage.delete(fileId);
+            }
+        } catch (e) {
+            log('warn', `Failed to delete a stored file: ${e.message}`, { event: 'file.delete_failed', fileId });
+        }
+    };
+
+    /**
+     * Count a completed download, deleting the file once it reaches its download limit.
+     * @param {string} fileId - ID of the downloaded file
+     * @param {object} fileInfo - Database record of the file
+     * @param {number} fileSize - Size of the stored file in bytes
+     */
+    const recordDownload = (fileId, fileInfo, fileSize) => {
+        // Increment download count
+        const newDownloadCount = fileDatabase.incrementDownloadCount(fileId);
+        if (newDownloadCount === null) return; // Deleted while it was being sent (e.g. expired)
+        const maxDl = fileInfo.maxDownloads ?? 1;
+        webhooks.emit('file.downloaded', { fileId, downloadCount: newDownloadCount, maxDownloads: maxDl }, fileInfo.webhook);
+
+        // Check if we should delete the file (maxDownloads reached, or maxDownloads is 1 for legacy behavior)
+        if (maxDl > 0 && newDownloadCount >= maxDl) {
+            // Update storage immediately
+            currentDiskUsage = Math.max(0, currentDiskUsage - fileSize);
+
+            storage.delete(fileId).catch((e) => log('warn', `Failed to delete a downloaded file: ${e.message}`, { event: 'file.delete_failed', fileId }));
+            fileDatabase.delete(fileId);
+            webhooks.emit('file.deleted', { fileId, reason: 'max_downloads' }, fileInfo.webhook);
+            log('debug', `[${fileInfo.isEncrypted ? 'Encrypted' : 'Simple'}] File data sent and deleted (${newDownloadCount}/${maxDl} downloads).${maxStorageGB !== 0 ? ` Server capacity: ${(currentDiskUsage / 1000 / 1000 / 1000).toFixed(2)} GB / ${maxStorageGB} GB.` : ''}`, { event: 'file.downloaded', fileId });
+        } else {
+            log('debug', `[${fileInfo.isEncrypted ? 'Encrypted' : 'Simple'}] File data sent (${newDownloadCount}/${maxDl === 0 ? 'unlimited' : maxDl} downloads).`, { event: 'file.downloaded', fileId });
+        }
+    };
+
+    // Bytes of each file sent to each download, so ranged downloads count once a client has the whole file
+    const deliveries = createDeliveryTracker({ ttlMs: 24 * 60 * 60 * 1000 });
+
+    // Downloads delivered to clients that asked to confirm them, keyed by download token.
+    // Each is counted when confirmed, or when the confirmation window runs out, so
+    // withholding a confirmation can never be used to get around a download limit.
+    const pendingDownloads = new Map();
+
+    /**
+     * Number of delivered downloads of a file still waiting for confirmation.
+     * @param {string} fileId - ID of the file
+     * @returns {number}
+     */
+    const pendingDownloadCount = (fileId) => {
+        let count = 0;
+        for (const pending of pendingDownloads.values()) {
+            if (pending.fileId === fileId) count++;
+        }
+        return count;
+    };
+
+    /**
+     * Hold a delivered download until the client confirms it, counting it anyway on timeout.
+     * @param {string} token - Download token sent to the client
+     * @param {string} fileId - ID of the downloaded file
+     * @param {object} fileInfo - Database record of the file
+     * @param {number} fileSize - Size of the stored file in bytes
+     */
+    const holdDownload = (token, fileId, fileInfo, fileSize) => {
+        const timer = setTimeout(() => {
+            pendingDownloads.delete(token);
+            log('debug', 'Download was not confirmed in time. Counting it anyway.', { event: 'download.confirm_timeout', fileId });
+            recordDownload(fileId, fileInfo, fileSize);
+        }, downloadConfirmTimeoutMs);
+        timer.unref();
+        pendingDownloads.set(token, { fileId, fileInfo, fileSize, timer });
+    };
+
+    /**
+     * Pick a ZIP entry name that is not already used in the archive ("a.txt" -> "a (1).txt").
+     * @param {string} name - Desired entry name
+     * @param {Set<string>} usedNames - Names already in the archive (updated in place)
+     * @returns {string} Unique entry name
+     */
+    const uniqueZipEntryName = (name, usedNames) => {
+        const dot = name.lastIndexOf('.');
+        const base = dot > 0 ? name.slice(0, dot) : name;
+        const ext = dot > 0 ? name.slice(dot) : '';
+        let candidate = name;
+        for (let i = 1; usedNames.has(candidate.toLowerCase()); i++) {
+            candidate = `${base} (${i})${ext}`;
+        }
+        usedNames.add(candidate.toLowerCase());
+        return candidate;
+    };
+
+    /**
+     * Abandon an unfinished bundle, deleting any member files and uploads it already has.
+     * @param {string} bundleId - ID of the pending bundle
+     * @param {string} reason - Why the bundle was abandoned, for metrics (e.g. 'client', 'expired')
+     */
+    discardBundle = (bundleId, reason) => {
+        const bundle = ongoingBundles.get(bundleId);
+        if (!bundle) return;
+        for (const fileId of bundle.files) deleteStoredFile(fileId);
+        for (const [id, session] of ongoingUploads.entries()) {
+            if (session.bundleId !== bundleId) continue;
+            storage.deleteTemp(id).catch(() => { });
+            ongoingUploads.delete(id);
+            metricUploadsCancelled.inc({ reason });
+        }
+        ongoingBundles.delete(bundleId);
+    };
+
+    // Scans run one at a time, so a burst of uploads cannot overload the scanner
+    let scanQueue = Promise.resolve();
+
+    /**
+     * Scan a stored file, then make it downloadable, or quarantine or delete it if infected.
+     * The file stays in the "scanning" state until then.
+     * @param {string} fileId - ID of the stored file
+     */
+    const queueScan = (fileId) => {
+        scanQueue = scanQueue.then(async () => {
+            if (!fileDatabase.get(fileId)) return; // Deleted or expired while waiting
+
+            let result = null;
+            try {
+                result = await scanner.scan(await storage.createReadStream(fileId));
+            } catch (e) {
+                log('error', `Virus scan failed: ${e.message}`, { event: 'scan.failed', fileId });
+            }
+
+            const fileInfo = fileDatabase.get(fileId);
+            if (!fileInfo) return;
+            metricScans.inc({ result: result ? (result.infected ? 'infected' : 'clean') : 'failed' });
+
+            if (result && !result.infected) {
+                fileDatabase.set(fileId, { ...fileInfo, scanStatus: 'clean' });
+                log('debug', 'File passed the virus scan.', { event: 'scan.clean', fileId });
+                webhooks.emit('file.uploaded', {
+                    fileId,
+                    sizeBytes: fileInfo.sizeBytes,
+                    isEncrypted: false,
+                    uploadedAt: fileInfo.uploadedAt,
+                    expiresAt: fileInfo.expiresAt,
+                    maxDownloads: fileInfo.maxDownloads,
+                }, fileInfo.webhook);
+                return;
+            }
+
+            // Failed scans are quarantined too, since the file could not be checked
+            if (!result) {
+                fileDatabase.set(fileId, { ...fileInfo, scanStatus: 'failed' });
+                return;
+            }
+
+            if (scanOnInfected === 'delete') await deleteStoredFile(fileId);
+            else fileDatabase.set(fileId, { ...fileInfo, scanStatus: 'infected', scanSignature: result.signature });
+            log('warn', `Virus scan found ${result.signature || 'a threat'} in an upload. File ${scanOnInfected === 'delete' ? 'deleted' : 'quarantined'}.`, { event: 'scan.infected', fileId });
+            webhooks.emit('file.infected', {
+                fileId,
+                signature: result.signature,
+                action: scanOnInfected === 'delete' ? 'deleted' : 'quarantined',
+            }, fileInfo.webhook);
+        });
+    };
+
+    // Pick up files that were still being scanned when the server stopped
+    if (scanner) {
+        storageReady.then(() => {
+            for (const [id, record] of fileDatabase.entries()) {
+                if (record.scanStatus === 'scanning') queueScan(id);
+            }
+        }).catch(() => { });
+    }
+
+    /**
+     * Reject a download of a file the virus scanner has not cleared.
+     * @param {import('express').Response} res
+     * @param {object} fileInfo - Database record of the file
+     * @returns {boolean} True if a response was sent
+     */
+    const rejectUnscanned = (res, fileInfo) => {
+        if (fileInfo.scanStatus === 'scanning') {
+            res.setHeader('Retry-After', 5);
+            res.status(409).json({ error: 'This file is still being scanned for viruses. Try again shortly.', scanStatus: 'scanning' });
+            return true;
+        }
+        if (fileInfo.scanStatus === 'infected' || fileInfo.scanStatus === 'failed') {
+            res.status(403).json({ error: 'This file was blocked by the server\'s virus scanner.', scanStatus: fileInfo.scanStatus });
+            return true;
+        }
+        return false;
+    };
+
+    uploadRouter.post('/bundle/init', limiter, apiKeyAuth, (req, res) => {
+        const { lifetime, isEncrypted, fileCount, maxDownloads: clientMaxDownloads, passphrase: clientPassphrase, webhook: clientWebhook } = req.body;
+        const apiKey = res.locals.apiKey || null;
+
+        if (isEncrypted && !uploadEnableE2EE) {
+            log('debug', 'Rejected an E2EE bundle attempt because upload E2EE is disabled on the server.');
+            return res.status(400).json({ error: 'End-to-end encryption is not supported on this server.' });
+        }
+
+        if (typeof isEncrypted !== 'boolean') {
+            return res.status(400).json({ error: 'Invalid isEncrypted. Must be a boolean.' });
+        }
+
+        if (typeof fileCount !== 'number' || !Number.isInteger(fileCount) || fileCount <= 0 || fileCount > MAX_BUNDLE_FILES) {
+            return res.status(400).json({ error: `Invalid fileCount. Must be an integer between 1 and ${MAX_BUNDLE_FILES}.` });
+        }
+
+        const lifetimeError = validateLifetime(lifetime, uploadLimitsFor(apiKey));
+        if (lifetimeError) return res.status(400).json({ error: lifetimeError });
+
+        const maxDownloads = resolveMaxDownloads(clientMaxDownloads);
+        if (maxDownloads.error) return res.status(400).json({ error: maxDownloads.error });
+
+        // Only the bundle is locked. Its members are ciphertext, useless without the key.
+        let passphrase = null;
+        if (clientPassphrase !== undefined) {
+            if (!isEncrypted) return res.status(400).json({ error: 'A passphrase requires end-to-end encryption.' });
+            const resolved = resolvePassphraseLock(clientPassphrase);
+            if (resolved.error) return res.status(400).json({ error: resolved.error });
+            passphrase = resolved.value;
+        }
+
+        const webhook = resolveUploadWebhook(clientWebhook);
+        if (webhook.error) return res.status(400).json({ error: webhook.error });
+
+        const bundleId = uuidv4();
+        ongoingBundles.set(bundleId, {
+            isEncrypted,
+            lifetime,
+            maxDownloads: maxDownloads.value,
+            passphrase,
+            apiKey: apiKey ? apiKey.name : null,
+            webhook: webhook.value,
+            fileCount,
+            files: [], // IDs of completed member files, in upload order
+            expiresAt: Date.now() + uploadSessionTimeoutMs
+        });
+
+        log('debug', `Initialised bundle of ${fileCount} files.`, { event: 'bundle.init', bundleId });
+        res.status(200).json({ bundleId });
+    });
+
+    uploadRouter.post('/bundle/complete', bundleAuth, (req, res) => {
+        const { bundleId } = req.body;
+        if (!ongoingBundles.has(bundleId)) return res.status(400).json({ error: 'Invalid bundle ID.' });
+
+        const bundle = ongoingBundles.get(bundleId);
+        if (bundle.files.length !== bundle.fileCount) {
+            return res.status(400).json({
+                error: `Bundle incomplete. Server received ${bundle.files.length} of ${bundle.fileCount} files.`
+            });
+        }
+
+        const shareId = uuidv4();
+        const ownerToken = crypto.randomBytes(32).toString('base64url');
+        const uploadedAt = Date.now();
+        fileDatabase.set(shareId, {
+            isBundle: true,
+            files: bundle.files,
+            isEncrypted: bundle.isEncrypted,
+            uploadedAt,
+            expiresAt: bundle.lifetime > 0 ? uploadedAt + bundle.lifetime : null,
+            ownerTokenHash: hashOwnerToken(ownerToken),
+            ...(bundle.passphrase ? { passphrase: bundle.passphrase } : {}),
+            ...(bundle.apiKey ? { apiKey: bundle.apiKey } : {}),
+            ...(bundle.webhook ? { webhook: bundle.webhook } : {}),
+        });
+
+        ongoingBundles.delete(bundleId);
+        log('debug', `[${bundle.isEncrypted ? 'Encrypted' : 'Simple'}] Bundle of ${bundle.fileCount} files received.`, { event: 'bundle.complete', bundleId, fileId: shareId });
+        res.status(200).json({ id: shareId, ownerToken });
+    });
+
+    uploadRouter.post('/bundle/cancel', bundleAuth, (req, res) => {
+        const { bundleId } = req.body;
+        if (!ongoingBundles.has(bundleId)) {
+            return res.status(404).json({ error: 'Bundle session not found or already expired.' });
+        }
+
+        discardBundle(bundleId, 'client');
+        log('debug', 'Bundle cancelled by client.', { event: 'bundle.cancel', bundleId });
+        res.status(200).json({ success: true });
+    });
+
+    uploadRouter.post('/init', bundleAuth, apiKeyAuth, async (req, res) => {
         const uploadId = uuidv4();
-        const { filename, lifetime, isEncrypted, totalSize, totalChunks, maxDownloads: clientMaxDownloads } = req.body;
+        const { filename, totalSize, totalChunks, bundleId, passphrase: clientPassphrase, webhook: clientWebhook } = req.body;
+        const { chunkSize: clientChunkSize, encryptionVersion = 1, encryptedMetadata } = req.body;
+        // Clients from before chunk size negotiation send none and always use the legacy size,
+        // which is accepted whatever the configured bounds so they keep working
+        const chunkSize = clientChunkSize ?? LEGACY_CHUNK_SIZE;
+        let { lifetime, isEncrypted, maxDownloads: clientMaxDownloads } = req.body;
+        let apiKey = res.locals.apiKey || null;
+
+        // Files that are part of a bundle inherit the bundle's settings
+        const bundle = bundleId !== undefined ? ongoingBundles.get(bundleId) : null;
+        if (bundleId !== undefined) {
+            if (!bundle) {
+                return res.status(404).json({ error: 'Bundle session not found or already expired.' });
+            }
+            if (isEncrypted !== undefined && isEncrypted !== bundle.isEncrypted) {
+                return res.status(400).json({ error: 'isEncrypted does not match the bundle.' });
+            }
+            if (clientPassphrase !== undefined) {
+                return res.status(400).json({ error: 'Files in a bundle share the bundle\'s passphrase.' });
+            }
+            if (clientWebhook !== undefined) {
+                return res.status(400).json({ error: 'Files in a bundle share the bundle\'s webhook.' });
+            }
+            let pendingUploads = 0;
+            ongoingUploads.forEach(u => { if (u.bundleId === bundleId) pendingUploads++; });
+            if (bundle.files.length + pendingUploads >= bundle.fileCount) {
+                return res.status(400).json({ error: 'Bundle already contains all of its files.' });
+            }
+            lifetime = bundle.lifetime;
+            isEncrypted = bundle.isEncrypted;
+            apiKey = bundle.apiKey ? apiKeys.get(bundle.apiKey) : null;
+            clientMaxDownloads = bundle.maxDownloads;
+            bundle.expiresAt = Date.now() + uploadSessionTimeoutMs;
+        }
 
         if (isEncrypted && !uploadEnableE2EE) {
             log('debug', 'Rejected an E2EE upload attempt because upload E2EE is disabled on the server.');
@@ -370,29 +1158,36 @@ if (enableUpload) {
         }
 
         // Validate file lifetime
-        if (typeof lifetime !== 'number' || !Number.isInteger(lifetime) || lifetime < 0) {
-            return res.status(400).json({ error: 'Invalid lifetime. Must be a non-negative integer (milliseconds).' });
-        }
+        const limits = uploadLimitsFor(apiKey);
+        const lifetimeError = validateLifetime(lifetime, limits);
+        if (lifetimeError) return res.status(400).json({ error: lifetimeError });
 
         // Validate Reservation Data
         const size = parseInt(totalSize);
         const chunks = parseInt(totalChunks);
         if (typeof size !== 'number' || !Number.isInteger(size) || size <= 0) return res.status(400).json({ error: 'Invalid total size. Must be a positive integer.' });
         if (typeof chunks !== 'number' || !Number.isInteger(chunks) || chunks <= 0) return res.status(400).json({ error: 'Invalid chunk count. Must be a positive integer.' });
+        if (clientChunkSize !== undefined && (!Number.isInteger(chunkSize) || chunkSize < minChunkSize || chunkSize > maxChunkSize)) {
+            return res.status(400).json({ error: `Invalid chunk size. Must be an integer between ${minChunkSize} and ${maxChunkSize} bytes.` });
+        }
+        if (!Number.isInteger(encryptionVersion) || !Object.hasOwn(ENCRYPTION_HEADER_BYTES, encryptionVersion) || (!isEncrypted && encryptionVersion !== 1)) {
+            return res.status(400).json({ error: `Invalid encryption version. Supported: ${Object.keys(ENCRYPTION_HEADER_BYTES).join(', ')}.` });
+        }
+        const headerBytes = ENCRYPTION_HEADER_BYTES[encryptionVersion];
+        const chunkOverhead = isEncrypted ? ENCRYPTION_OVERHEAD_PER_CHUNK : 0;
+        if (size <= headerBytes || chunks !== Math.ceil((size - headerBytes) / (chunkSize + chunkOverhead))) {
+            return res.status(400).json({ error: 'Chunk count does not match the total size and chunk size.' });
+        }
 
         // Check File Limit
-        if (size > MAX_FILE_SIZE_BYTES) {
-            return res.status(413).json({ error: `File exceeds limit of ${maxFileSizeMB} MB.` });
+        if (size > limits.maxFileSizeBytes) {
+            return res.status(413).json({ error: `File exceeds limit of ${limits.maxFileSizeMB} MB.` });
         }
 
-        // Validate lifetime against max
-        if (MAX_FILE_LIFETIME_MS !== Infinity) {
-            if (lifetime === 0) {
-                return res.status(400).json({ error: `Server does not allow unlimited file lifetime. Max: ${maxFileLifetimeHours} hours.` });
-            }
-            if (lifetime > MAX_FILE_LIFETIME_MS) {
-                return res.status(400).json({ error: `File lifetime exceeds limit of ${maxFileLifetimeHours} hours.` });
-            }
+        // Check API Key Quota
+        if (apiKey && (apiKeyUsage(apiKey.name) + size) > limits.maxStorageBytes) {
+            log('debug', 'Upload rejected because it would exceed the storage quota of its API key.');
+            return res.status(507).json({ error: `Upload exceeds the storage quota of this API key (${limits.maxStorageGB} GB).` });
         }
 
         // Check Storage Quota
@@ -412,50 +1207,62 @@ if (enableUpload) {
             }
         }
 
-        // Validate maxDownloads
-        let effectiveMaxDownloads = maxFileDownloads; // Server default
-        if (clientMaxDownloads !== undefined) {
-            if (typeof clientMaxDownloads !== 'number' || !Number.isInteger(clientMaxDownloads) || clientMaxDownloads < 0) {
-                return res.status(400).json({ error: 'Invalid maxDownloads. Must be a non-negative integer.' });
-            }
-            // If server allows unlimited (0), client can choose anything
-            // If server has a limit, client must not exceed it (but can choose 0 for unlimited if server is 0)
-            if (maxFileDownloads === 1) {
-                // Server forces single-download, ignore client preference
-                effectiveMaxDownloads = 1;
-            } else if (maxFileDownloads === 0) {
-                // Server allows unlimited, client can choose
-                effectiveMaxDownloads = clientMaxDownloads;
-            } else {
-                // Server has a limit > 1
-                if (clientMaxDownloads === 0) {
-                    // Client wants unlimited but server has a limit
-                    return res.status(400).json({ error: `Server does not allow unlimited downloads. Max: ${maxFileDownloads}.` });
-                }
-                if (clientMaxDownloads > maxFileDownloads) {
-                    return res.status(400).json({ error: `Max downloads exceeds server limit of ${maxFileDownloads}.` });
-                }
-                effectiveMaxDownloads = clientMaxDownloads;
+        // Validate encrypted file details
+        if (encryptedMetadata !== undefined) {
+            if (!isEncrypted) return res.status(400).json({ error: 'Encrypted metadata requires end-to-end encryption.' });
+            if (typeof encryptedMetadata !== 'string' || encryptedMetadata.length > MAX_ENCRYPTED_METADATA_LENGTH
+                || !/^[A-Za-z0-9+/]+={0,2}$/.test(encryptedMetadata)) {
+                return res.status(400).json({ error: `Invalid encryptedMetadata. Must be base64 of at most ${MAX_ENCRYPTED_METADATA_LENGTH} characters.` });
             }
         }
 
-        const tempFilePath = path.join(tmpDir, uploadId);
-        fs.writeFileSync(tempFilePath, '');
+        // Validate maxDownloads
+        const maxDownloads = resolveMaxDownloads(clientMaxDownloads);
+        if (maxDownloads.error) return res.status(400).json({ error: maxDownloads.error });
+
+        // Validate passphrase lock
+        let passphrase = null;
+        if (clientPassphrase !== undefined) {
+            if (!isEncrypted) return res.status(400).json({ error: 'A passphrase requires end-to-end encryption.' });
+            const resolved = resolvePassphraseLock(clientPassphrase);
+            if (resolved.error) return res.status(400).json({ error: resolved.error });
+            passphrase = resolved.value;
+        }
+
+        // Validate webhook
+        const webhook = bundle ? { value: bundle.webhook } : resolveUploadWebhook(clientWebhook);
+        if (webhook.error) return res.status(400).json({ error: webhook.error });
+
+        try {
+            await storage.createTemp(uploadId);
+        } catch (e) {
+            log('error', `Could not create temp file for upload: ${e.message}`, { event: 'upload.init_failed', uploadId });
+            return res.status(500).json({ error: 'Server error while preparing the upload.' });
+        }
 
         ongoingUploads.set(uploadId, {
             filename,
+            encryptedMetadata: encryptedMetadata ?? null,
             isEncrypted,
             lifetime: Number(lifetime) || 0,
-            maxDownloads: effectiveMaxDownloads,
-            tempFilePath,
+            maxDownloads: maxDownloads.value,
+            passphrase,
+            apiKey: apiKey ? apiKey.name : null,
+            webhook: webhook.value,
+            bundleId: bundle ? bundleId : null,
             totalSize: size, // Expected final size
             totalChunks: chunks, // Expected chunk count
+            chunkSize, // Plaintext bytes per chunk, before encryption
+            encryptionVersion,
+            headerBytes, // Sent in front of the first chunk
             receivedChunks: new Set(),
+            chunkHashes: [], // Hashes of unencrypted chunks by index, for the integrity manifest
             reservedBytes: size, // Amount to reserve
-            expiresAt: Date.now() + (2 * 60 * 1000) // 2 minute initial deadline
+            expiresAt: Date.now() + uploadSessionTimeoutMs // Initial deadline
         });
 
-        log('debug', `Initialised upload. Reserved ${(size / 1000 / 1000).toFixed(2)} MB.`);
+        metricUploadsStarted.inc();
+        log('debug', `Initialised upload. Reserved ${(size / 1000 / 1000).toFixed(2)} MB.`, { event: 'upload.init', uploadId, bundleId: bundle ? bundleId : null });
         res.status(200).json({ uploadId });
     });
 
@@ -468,19 +1275,37 @@ if (enableUpload) {
         const session = ongoingUploads.get(uploadId);
 
         // Clean up temp file
-        try {
-            fs.rmSync(session.tempFilePath, { force: true });
-        } catch (e) {
-            log('debug', `Failed to delete temp file during cancellation: ${e.message}`);
-        }
+        storage.deleteTemp(uploadId).catch((e) => {
+            log('debug', `Failed to delete temp file during cancellation: ${e.message}`, { uploadId });
+        });
 
         // Remove from ongoing uploads (releases reservation)
         ongoingUploads.delete(uploadId);
+        metricUploadsCancelled.inc({ reason: 'client' });
 
-        log('debug', `Upload cancelled by client. Released ${(session.reservedBytes / 1000 / 1000).toFixed(2)} MB.`);
+        log('debug', `Upload cancelled by client. Released ${(session.reservedBytes / 1000 / 1000).toFixed(2)} MB.`, { event: 'upload.cancel', uploadId });
         res.status(200).json({ success: true });
     });
 
+    // Lets a client that lost its in-memory state (crash, restart, sleep) find out
+    // which chunks the server already has, so it only re-sends the missing ones.
+    uploadRouter.post('/status', uploadAuth, (req, res) => {
+        const { uploadId } = req.body;
+        if (!ongoingUploads.has(uploadId)) {
+            return res.status(404).json({ error: 'Upload session not found or already expired.' });
+        }
+
+        const session = ongoingUploads.get(uploadId);
+        session.expiresAt = Date.now() + uploadSessionTimeoutMs; // Resuming counts as activity
+
+        log('debug', `Upload status requested. ${session.receivedChunks.size}/${session.totalChunks} chunks received.`, { event: 'upload.status', uploadId });
+        res.status(200).json({
+            totalChunks: session.totalChunks,
+            receivedChunks: Array.from(session.receivedChunks).sort((a, b) => a - b),
+            expiresAt: session.expiresAt,
+        });
+    });
+
     uploadRouter.post('/chunk', uploadAuth, (req, res) => {
         const uploadId = req.headers['x-upload-id'];
         let chunkIndex = req.headers['x-chunk-index'];
@@ -505,48 +1330,68 @@ if (enableUpload) {
 
         const chunks = [];
         req.on('data', (chunk) => chunks.push(chunk));
-        req.on('end', () => {
+        // Stream events lose the request context, so bind it for the log lines below
+        req.on('end', AsyncResource.bind(() => {
             const buffer = Buffer.concat(chunks);
-            log('debug', `Received chunk ${chunkIndex + 1}/${session.totalChunks}. Size: ${(buffer.length / 1000).toFixed(2)} KB`);
+            log('debug', `Received chunk ${chunkIndex + 1}/${session.totalChunks}. Size: ${(buffer.length / 1000).toFixed(2)} KB`, { event: 'upload.chunk', uploadId });
 
-            // 1. Verify Size (5MB + Overhead limit)
-            if (buffer.length > (5 * 1024 * 1024) + 1024) return res.status(413).send('Chunk too large.');
+            // 1. Verify Size (chunk size + encryption overhead, and the header for the first chunk)
+            const overhead = session.isEncrypted ? ENCRYPTION_OVERHEAD_PER_CHUNK : 0;
+            if (buffer.length > session.chunkSize + overhead + (chunkIndex === 0 ? session.headerBytes : 0)) {
+                log('debug', `Rejected chunk ${chunkIndex + 1}: too large.`, { event: 'upload.chunk_rejected', uploadId });
+                return res.status(413).send('Chunk too large.');
+            }
 
             // 2. Verify Integrity
             const serverHash = crypto.createHash('sha256').update(buffer).digest('hex');
-            if (serverHash !== clientHash) return res.status(400).send('Integrity check failed.');
+            if (serverHash !== clientHash) {
+                metricChunkIntegrityFailures.inc();
+                log('debug', `Rejected chunk ${chunkIndex + 1}: integrity check failed.`, { event: 'upload.chunk_rejected', uploadId });
+                return res.status(400).send('Integrity check failed.');
+            }
 
             // Calculate Offset
-            // If encrypted, every chunk (except last) is 5MB + 28 bytes. If plain, 5MB.
-            const CHUNK_BASE = 5 * 1024 * 1024;
-            const OVERHEAD = session.isEncrypted ? 28 : 0;
-            const OFFSET = chunkIndex * (CHUNK_BASE + OVERHEAD);
+            // Every chunk except the last holds the full chunk size, plus the overhead if encrypted.
+            // The header comes before the first chunk.
+            const offset = chunkIndex === 0 ? 0 : session.headerBytes + chunkIndex * (session.chunkSize + overhead);
 
             // Write
-            fs.open(session.tempFilePath, 'r+', (err, fd) => {
-                if (err) return res.status(500).send('File IO error.');
-                fs.write(fd, buffer, 0, buffer.length, OFFSET, (writeErr) => {
-                    fs.close(fd, () => { });
-                    if (writeErr) return res.status(500).send('Write failed.');
-
-                    session.receivedChunks.add(chunkIndex);
-                    session.expiresAt = Date.now() + (2 * 60 * 1000); // Reset timeout to 2 mins
-                    res.status(200).send('Chunk received.');
-                });
+            storage.writeTemp(uploadId, offset, buffer).then(() => {
+                session.receivedChunks.add(chunkIndex);
+                if (!session.isEncrypted) session.chunkHashes[chunkIndex] = serverHash;
+                session.expiresAt = Date.now() + uploadSessionTimeoutMs; // Reset idle timeout
+                res.status(200).send('Chunk received.');
+            }).catch((writeErr) => {
+                log('error', `Failed to write chunk: ${writeErr.message}`, { event: 'upload.chunk_failed', uploadId });
+                res.status(500).send('Write failed.');
             });
-        });
+        }));
     });
 
-    uploadRouter.post('/complete', uploadAuth, (req, res) => {
-        const { uploadId } = req.body;
+    uploadRouter.post('/complete', uploadAuth, async (req, res) => {
+        const { uploadId, encryptedIntegrity } = req.body;
         if (!ongoingUploads.has(uploadId)) return res.status(400).json({ error: 'Invalid upload ID.' });
 
         const session = ongoingUploads.get(uploadId);
+        if (session.finalizing) {
+            return res.status(409).json({ error: 'Upload is already being finalised.' });
+        }
+
+        // Encrypted uploads send their manifest encrypted; the server builds the others below
+        if (encryptedIntegrity !== undefined) {
+            if (!session.isEncrypted) {
+                return res.status(400).json({ error: 'An encrypted integrity manifest requires end-to-end encryption.' });
+            }
+            if (typeof encryptedIntegrity !== 'string' || encryptedIntegrity.length > session.totalChunks * 100 + 1024
+                || !/^[A-Za-z0-9+/]+={0,2}$/.test(encryptedIntegrity)) {
+                return res.status(400).json({ error: 'Invalid encryptedIntegrity. Expected the base64 encrypted manifest.' });
+            }
+        }
 
         // 1. Verify Chunk Count
         // We expect exactly N unique chunks.
         if (session.receivedChunks.size !== session.totalChunks) {
-            log('debug', `Upload incomplete: ${session.receivedChunks.size}/${session.totalChunks} chunks.`);
+            log('debug', `Upload incomplete: ${session.receivedChunks.size}/${session.totalChunks} chunks.`, { event: 'upload.complete_rejected', uploadId });
 
             return res.status(400).json({
                 error: `Upload incomplete. Server received ${session.receivedChunks.size} of ${session.totalChunks} chunks.`
@@ -555,50 +1400,124 @@ if (enableUpload) {
 
         const uploadInfo = ongoingUploads.get(uploadId);
         const fileId = uuidv4();
-        const finalPath = path.join(uploadDir, fileId);
+
+        // Storage calls are async, so stop a second /complete (or zombie cleanup) racing this one
+        uploadInfo.finalizing = true;
 
         try {
-            const stats = fs.statSync(uploadInfo.tempFilePath);
-            if (stats.size === 0) {
-                log('debug', 'Rejected 0-byte file upload.');
-                fs.rmSync(uploadInfo.tempFilePath, { force: true }); // Clean up the empty temp file
+            const tempSize = await storage.tempSize(uploadId);
+            if (tempSize === 0) {
+                log('debug', 'Rejected 0-byte file upload.', { event: 'upload.complete_rejected', uploadId });
+                storage.deleteTemp(uploadId).catch(() => { }); // Clean up the empty temp file
                 ongoingUploads.delete(uploadId);
                 return res.status(400).json({ error: 'Empty files (0 bytes) cannot be uploaded.' });
-            } else if (stats.size !== uploadInfo.totalSize) {
-                log('debug', `Upload size mismatch. Expected: ${uploadInfo.totalSize}, Actual: ${stats.size}`);
-                fs.rmSync(uploadInfo.tempFilePath, { force: true }); // Clean up the invalid temp file
+            } else if (tempSize !== uploadInfo.totalSize) {
+                log('debug', `Upload size mismatch. Expected: ${uploadInfo.totalSize}, Actual: ${tempSize}`, { event: 'upload.complete_rejected', uploadId });
+                storage.deleteTemp(uploadId).catch(() => { }); // Clean up the invalid temp file
                 ongoingUploads.delete(uploadId);
                 return res.status(400).json({ error: 'Uploaded rejected. File size does not match expected size.' });
             }
         } catch (e) {
-            log('error', `Could not stat temp file for size check: ${e.message}`);
+            log('error', `Could not read temp file size for size check: ${e.message}`, { event: 'upload.complete_failed', uploadId });
             ongoingUploads.delete(uploadId);
-            fs.rmSync(uploadInfo.tempFilePath, { force: true }); // Attempt to clean up
+            storage.deleteTemp(uploadId).catch(() => { }); // Attempt to clean up
             return res.status(500).json({ error: 'Server error during file validation.' });
         }
 
-        fs.renameSync(uploadInfo.tempFilePath, finalPath);
+        // The bundle may have been discarded or expired while this file was being stored,
+        // taking its temp file with it; a file written now would belong to nothing
+        const bundleGone = () => Boolean(uploadInfo.bundleId) && !ongoingBundles.has(uploadInfo.bundleId);
+        const rejectBundleGone = () => {
+            log('debug', 'Upload completed after its bundle was discarded.', { event: 'upload.complete_rejected', uploadId });
+            ongoingUploads.delete(uploadId);
+            return res.status(410).json({ error: 'Bundle session not found or already expired.' });
+        };
+
+        let finalSize;
+        try {
+            finalSize = await storage.finalize(uploadId, fileId);
+        } catch (e) {
+            if (bundleGone()) return rejectBundleGone();
+            log('error', `Could not move upload into storage: ${e.message}`, { event: 'upload.complete_failed', uploadId });
+            ongoingUploads.delete(uploadId);
+            storage.deleteTemp(uploadId).catch(() => { });
+            return res.status(500).json({ error: 'Server error while storing the file.' });
+        }
+
+        if (bundleGone()) {
+            storage.delete(fileId).catch((e) => log('warn', `Failed to delete an orphaned bundle file: ${e.message}`, { event: 'file.delete_failed', fileId }));
+            return rejectBundleGone();
+        }
+
+        currentDiskUsage += finalSize; // Update global usage
+
+        const uploadedAt = Date.now();
+        const expiresAt = uploadInfo.lifetime > 0 ? uploadedAt + uploadInfo.lifetime : null;
 
-        const stats = fs.statSync(finalPath); // Get final size
-        currentDiskUsage += stats.size; // Update global usage
+        // Bundle members are managed through the bundle, so only standalone files get a token
+        const ownerToken = uploadInfo.bundleId ? null : crypto.randomBytes(32).toString('base64url');
 
-        const expiresAt = uploadInfo.lifetime > 0 ? Date.now() + uploadInfo.lifetime : null;
+        // The server can only scan what it can read
+        const scan = Boolean(scanner) && !uploadInfo.isEncrypted;
+
+        // Every chunk was checked against its hash on arrival, so the hashes describe the stored file
+        const integrity = uploadInfo.isEncrypted ? null : {
+            algorithm: 'SHA-256',
+            chunkSize: uploadInfo.chunkSize,
+            chunks: uploadInfo.chunkHashes,
+            root: crypto.createHash('sha256')
+                .update(Buffer.concat(uploadInfo.chunkHashes.map((hash) => Buffer.from(hash, 'hex'))))
+                .digest('hex'),
+        };
 
         fileDatabase.set(fileId, {
             name: uploadInfo.filename,
-            path: finalPath,
+            uploadedAt,
             expiresAt: expiresAt,
             isEncrypted: uploadInfo.isEncrypted,
             maxDownloads: uploadInfo.maxDownloads,
             downloadCount: 0,
+            sizeBytes: finalSize,
+            ...(ownerToken ? { ownerTokenHash: hashOwnerToken(ownerToken) } : {}),
+            ...(uploadInfo.passphrase ? { passphrase: uploadInfo.passphrase } : {}),
+            ...(uploadInfo.apiKey ? { apiKey: uploadInfo.apiKey } : {}),
+            ...(uploadInfo.webhook ? { webhook: uploadInfo.webhook } : {}),
+            ...(scan ? { scanStatus: 'scanning' } : {}),
+            // Recipients need it to split the ciphertext back into chunks
+            ...(uploadInfo.isEncrypted ? { chunkSize: uploadInfo.chunkSize, encryptionVersion: uploadInfo.encryptionVersion } : {}),
+            ...(integrity ? { integrity } : {}),
+            ...(typeof encryptedIntegrity === 'string' ? { encryptedIntegrity } : {}),
+            ...(uploadInfo.encryptedMetadata ? { encryptedMetadata: uploadInfo.encryptedMetadata } : {}),
         });
+        if (scan) {
+            queueScan(fileId);
+        } else {
+            webhooks.emit('file.uploaded', {
+                fileId,
+                sizeBytes: finalSize,
+                isEncrypted: uploadInfo.isEncrypted,
+                uploadedAt,
+                expiresAt,
+                maxDownloads: uploadInfo.maxDownloads,
+            }, uploadInfo.webhook);
+        }
+
+        const bundle = uploadInfo.bundleId ? ongoingBundles.get(uploadInfo.bundleId) : null;
+        if (bundle) {
+            bundle.files.push(fileId);
+            bundle.expiresAt = Date.now() + uploadSessionTimeoutMs;
+        }
 
         ongoingUploads.delete(uploadId); // Remove the reservation
-        log('debug', `[${uploadInfo.isEncrypted ? 'Encrypted' : 'Simple'}] File received.${maxStorageGB !== 0 ? ` Server capacity: ${(currentDiskUsage / 1000 / 1000 / 1000).toFixed(2)} GB / ${maxStorageGB} GB.` : ''}`);
-        res.status(200).json({ id: fileId });
+        metricUploadsCompleted.inc();
+        log('debug', `[${uploadInfo.isEncrypted ? 'Encrypted' : 'Simple'}] File received.${maxStorageGB !== 0 ? ` Server capacity: ${(currentDiskUsage / 1000 / 1000 / 1000).toFixed(2)} GB / ${maxStorageGB} GB.` : ''}`, { event: 'upload.complete', uploadId, fileId });
+        res.status(200).json(ownerToken ? { id: fileId, ownerToken } : { id: fileId });
     });
 
-    apiRouter.get('/file/:fileId/meta', limiter, (req, res) => {
+    // Only what a recipient needs to derive keys from the passphrase; the wrapped key needs /unlock
+    const passphraseParams = ({ salt, iterations }) => ({ salt, iterations });
+
+    apiRouter.get('/file/:fileId/meta', limiter, async (req, res) => {
         const fileId = req.params.fileId;
         const fileInfo = fileDatabase.get(fileId);
 
@@ -610,10 +1529,45 @@ if (enableUpload) {
             return res.status(404).json({ error: 'File not found.' });
         }
 
-        let fileSize = 0;
-        try {
-            fileSize = fs.statSync(fileInfo.path).size;
-        } catch (error) {
+        if (fileInfo.isBundle) {
+            // List the member files that are still available
+            const members = await Promise.all(fileInfo.files.map(async (memberId) => {
+                const memberInfo = fileDatabase.get(memberId);
+                // Files blocked by the virus scanner are left out like deleted ones
+                if (!memberInfo || memberInfo.scanStatus === 'infected' || memberInfo.scanStatus === 'failed') return null;
+                const sizeBytes = await storage.size(memberId).catch(() => null);
+                if (sizeBytes === null) return null;
+                const entry = { id: memberId, sizeBytes };
+                if (fileInfo.isEncrypted) {
+                    entry.encryptedFilename = memberInfo.name;
+                    if (memberInfo.encryptedMetadata) entry.encryptedMetadata = memberInfo.encryptedMetadata;
+                    entry.chunkSize = memberInfo.chunkSize || LEGACY_CHUNK_SIZE;
+                    entry.encryptionVersion = memberInfo.encryptionVersion || 1;
+                } else {
+                    entry.filename = memberInfo.name;
+                }
+                if (memberInfo.integrity) entry.integrity = memberInfo.integrity;
+                if (memberInfo.encryptedIntegrity) entry.encryptedIntegrity = memberInfo.encryptedIntegrity;
+                if (memberInfo.scanStatus) entry.scanStatus = memberInfo.scanStatus;
+                return entry;
+            }));
+            const files = members.filter(Boolean);
+
+            if (files.length === 0) {
+                return res.status(404).json({ error: 'File not found.' });
+            }
+
+            return res.status(200).json({
+                isBundle: true,
+                isEncrypted: fileInfo.isEncrypted,
+                sizeBytes: files.reduce((sum, f) => sum + f.sizeBytes, 0),
+                files,
+                ...(fileInfo.passphrase ? { passphrase: passphraseParams(fileInfo.passphrase) } : {})
+            });
+        }
+
+        const fileSize = await storage.size(fileId).catch(() => null);
+        if (fileSize === null) {
             return res.status(404).json({ error: 'File not found.' });
         }
 
@@ -624,14 +1578,95 @@ if (enableUpload) {
 
         if (fileInfo.isEncrypted) {
             payload.encryptedFilename = fileInfo.name;
+            if (fileInfo.encryptedMetadata) payload.encryptedMetadata = fileInfo.encryptedMetadata;
+            payload.chunkSize = fileInfo.chunkSize || LEGACY_CHUNK_SIZE;
+            payload.encryptionVersion = fileInfo.encryptionVersion || 1;
         } else {
             payload.filename = fileInfo.name;
         }
 
+        if (fileInfo.passphrase) payload.passphrase = passphraseParams(fileInfo.passphrase);
+        if (fileInfo.scanStatus) payload.scanStatus = fileInfo.scanStatus;
+        if (fileInfo.integrity) payload.integrity = fileInfo.integrity;
+        if (fileInfo.encryptedIntegrity) payload.encryptedIntegrity = fileInfo.encryptedIntegrity;
+
         res.status(200).json(payload);
     });
 
-    apiRouter.get('/file/:fileId', limiter, (req, res) => {
+    // Streams a plaintext bundle as one ZIP archive. Encrypted bundles are zipped
+    // by the client after decryption, so the server never handles their plaintext.
+    apiRouter.get('/file/:fileId/zip', limiter, async (req, res) => {
+        const fileId = req.params.fileId;
+        const fileInfo = fileDatabase.get(fileId);
+
+        if (!fileInfo) {
+            return res.status(404).json({ error: 'File not found.' });
+        }
+
+        if (!fileInfo.isBundle) {
+            return res.status(400).json({ error: 'Only bundles can be downloaded as a ZIP archive.' });
+        }
+
+        if (fileInfo.isEncrypted) {
+            return res.status(400).json({ error: 'Encrypted bundles must be archived by the client.' });
+        }
+
+        const members = [];
+        for (const memberId of fileInfo.files) {
+            const memberInfo = fileDatabase.get(memberId);
+            if (!memberInfo || memberInfo.scanStatus === 'infected' || memberInfo.scanStatus === 'failed') continue;
+            if (memberInfo.scanStatus === 'scanning') {
+                res.setHeader('Retry-After', 5);
+                return res.status(409).json({ error: 'Some files are still being scanned for viruses. Try again shortly.', scanStatus: 'scanning' });
+            }
+            const size = await storage.size(memberId).catch(() => null);
+            if (size !== null) members.push({ id: memberId, info: memberInfo, size });
+        }
+
+        if (members.length === 0) {
+            return res.status(404).json({ error: 'File not found.' });
+        }
+
+        res.setHeader('Content-Type', 'application/zip');
+        res.setHeader('Content-Disposition', contentDisposition(`bundle-${fileId.slice(0, 8)}.zip`));
+
+        // Entries are stored rather than deflated to keep CPU use flat for large bundles
+        const archive = archiver('zip', { store: true });
+        const fail = (err) => {
+            log('error', `Failed to stream ZIP archive: ${err.message}`, { event: 'download.failed', fileId });
+            res.destroy(err);
+        };
+        archive.on('error', fail);
+
+        // Open one member at a time, so large bundles don't hold a stream per file
+        const usedNames = new Set();
+        let next = 0;
+        let current = null;
+        const appendNext = async () => {
+            if (res.destroyed) return;
+            if (next >= members.length) return archive.finalize();
+            const member = members[next++];
+            current = await storage.createReadStream(member.id);
+            archive.append(current, { name: uniqueZipEntryName(member.info.name, usedNames) });
+        };
+        archive.on('entry', () => appendNext().catch(fail));
+
+        // Stop reading members if the client goes away mid-archive
+        res.on('close', () => {
+            if (res.writableFinished) return;
+            archive.abort();
+            current?.destroy();
+        });
+
+        res.on('finish', () => {
+            for (const member of members) recordDownload(member.id, member.info, member.size);
+        });
+
+        archive.pipe(res);
+        appendNext().catch(fail);
+    });
+
+    apiRouter.get('/file/:fileId', limiter, async (req, res) => {
         const fileId = req.params.fileId;
         const fileInfo = fileDatabase.get(fileId);
 
@@ -643,50 +1678,380 @@ if (enableUpload) {
             return res.status(404).json({ error: 'File not found.' });
         }
 
+        if (fileInfo.isBundle) {
+            return res.status(400).json({ error: 'This link is a bundle. Download its files individually or as a ZIP archive.' });
+        }
+
+        if (rejectUnscanned(res, fileInfo)) return;
+
         // Capture size before streaming
-        const fileSize = fs.statSync(fileInfo.path).size;
-        res.setHeader('Content-Length', fileSize);
+        const fileSize = await storage.size(fileId).catch(() => null);
+        if (fileSize === null) {
+            return res.status(404).json({ error: 'File not found.' });
+        }
+
+        // Downloads awaiting confirmation already hold their share of the limit
+        const maxDl = fileInfo.maxDownloads ?? 1;
+        if (maxDl > 0 && (fileInfo.downloadCount || 0) + pendingDownloadCount(fileId) >= maxDl) {
+            return res.status(409).json({ error: 'This file is waiting for a download to be confirmed. Try again later.' });
+        }
+
+        // Stored files never change, so the ID is a strong validator for If-Range
+        const etag = `"${fileId}"`;
+        res.setHeader('Accept-Ranges', 'bytes');
+        res.setHeader('ETag', etag);
+
+        // Serve a single byte range so interrupted downloads can resume. Multiple ranges,
+        // malformed headers and a stale If-Range all fall back to the whole file.
+        let start = 0;
+        let end = fileSize - 1;
+        const ifRange = req.headers['if-range'];
+        const ranges = req.headers.range && (!ifRange || ifRange === etag)
+            ? req.range(fileSize, { combine: true })
+            : undefined;
+        if (ranges === -1) {
+            res.setHeader('Content-Range', `bytes */${fileSize}`);
+            return res.status(416).json({ error: 'Requested range not satisfiable.' });
+        }
+        if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+            ({ start, end } = ranges[0]);
+            res.status(206);
+            res.setHeader('Content-Range', `bytes ${start}-${end}/${fileSize}`);
+        }
+
+        res.setHeader('Content-Length', end - start + 1);
 
         if (!fileInfo.isEncrypted) {
             res.setHeader('Content-Disposition', contentDisposition(fileInfo.name));
             res.setHeader('Content-Type', 'application/octet-stream');
         }
 
-        const readStream = fs.createReadStream(fileInfo.path);
-        readStream.pipe(res);
+        // HEAD only asks for the headers and must not count as a download
+        if (req.method === 'HEAD') return res.end();
 
-        readStream.on('close', () => {
-            // Increment download count
-            const newDownloadCount = (fileInfo.downloadCount || 0) + 1;
-            const maxDl = fileInfo.maxDownloads ?? 1;
+        // Clients that verify what they download can ask to confirm it before it counts
+        const downloadToken = req.headers['x-download-confirm'] === 'true' ? crypto.randomBytes(16).toString('hex') : null;
+        if (downloadToken) res.setHeader('X-Download-Token', downloadToken);
 
-            // Check if we should delete the file (maxDownloads reached, or maxDownloads is 1 for legacy behavior)
-            if (maxDl > 0 && newDownloadCount >= maxDl) {
-                // Update storage immediately
-                currentDiskUsage = Math.max(0, currentDiskUsage - fileSize);
+        // Resuming clients echo the download ID, so their pieces are counted together
+        const downloadId = deliveries.open(fileId, req.headers['x-download-id'], start);
+        if (downloadId) res.setHeader('X-Download-Id', downloadId);
 
-                fs.rm(fileInfo.path, { force: true }, () => { });
-                fileDatabase.delete(fileId);
-                log('debug', `[${fileInfo.isEncrypted ? 'Encrypted' : 'Simple'}] File data sent and deleted (${newDownloadCount}/${maxDl} downloads).${maxStorageGB !== 0 ? ` Server capacity: ${(currentDiskUsage / 1000 / 1000 / 1000).toFixed(2)} GB / ${maxStorageGB} GB.` : ''}`);
-            } else {
-                // Update download count in database
-                fileDatabase.set(fileId, {
-                    ...fileInfo,
-                    downloadCount: newDownloadCount,
+        let readStream;
+        try {
+            readStream = await storage.createReadStream(fileId, { start, end });
+        } catch (e) {
+            log('error', `Could not open stored file: ${e.message}`, { event: 'download.failed', fileId });
+            res.removeHeader('Content-Range');
+            return res.status(500).json({ error: 'Server error while reading the file.' });
+        }
+
+        let sentBytes = 0;
+        readStream.on('data', (chunk) => {
+            sentBytes += chunk.length;
+            metricDownloadBytes.inc({}, chunk.length);
+        });
+
+        // pipeline() also tears down the read stream if the client disconnects early
+        pipeline(readStream, res, AsyncResource.bind((err) => {
+            if (err) {
+                if (err.code !== 'ERR_STREAM_PREMATURE_CLOSE') log('error', `Failed to stream file: ${err.message}`, { event: 'download.failed', fileId });
+                // The client may resume from where this response stopped
+                deliveries.add(fileId, downloadId, start, start + sentBytes);
+                return;
+            }
+            // A download completes once every byte has been sent, over one or more responses
+            deliveries.add(fileId, downloadId, start, end + 1);
+            if (!deliveries.complete(fileId, downloadId, fileSize)) return;
+            if (downloadToken) holdDownload(downloadToken, fileId, fileInfo, fileSize);
+            else recordDownload(fileId, fileInfo, fileSize);
+        }));
+    });
+
+    // Lets the uploader revoke a file or bundle before it expires
+    apiRouter.delete('/file/:fileId', limiter, ownerAuth, async (req, res) => {
+        const fileId = req.params.fileId;
+        const { fileInfo } = res.locals;
+
+        if (fileInfo.isBundle) {
+            for (const memberId of fileInfo.files) await deleteStoredFile(memberId);
+            fileDatabase.delete(fileId);
+        } else {
+            await deleteStoredFile(fileId);
+        }
+
+        log('debug', `[${fileInfo.isEncrypted ? 'Encrypted' : 'Simple'}] ${fileInfo.isBundle ? 'Bundle' : 'File'} deleted by its owner.`, { event: 'file.deleted', fileId });
+        res.status(200).json({ success: true });
+    });
+
+    // Lets the uploader change the lifetime or download limit. An empty body just reports the current values.
+    apiRouter.patch('/file/:fileId', limiter, ownerAuth, (req, res) => {
+        const fileId = req.params.fileId;
+        const { fileInfo } = res.locals;
+        const { lifetime, maxDownloads: clientMaxDownloads } = req.body || {};
+
+        // Bundle limits live on the member files, which are downloaded individually
+        const targets = fileInfo.isBundle
+            ? fileInfo.files.map((id) => [id, fileDatabase.get(id)]).filter(([, info]) => info)
+            : [[fileId, fileInfo]];
+        const downloadCount = Math.max(0, ...targets.map(([, info]) => info.downloadCount || 0));
+
+        let expiresAt = fileInfo.expiresAt ?? null;
+        if (lifetime !== undefined) {
+            // Files uploaded with an API key keep that key's lifetime ceiling
+            const apiKey = fileInfo.apiKey && apiKeys ? apiKeys.get(fileInfo.apiKey) : null;
+            const lifetimeError = validateLifetime(lifetime, uploadLimitsFor(apiKey));
+            if (lifetimeError) return res.status(400).json({ error: lifetimeError });
+
+            // Lifetimes count from the upload, so repeated changes can't outlast the server limit
+            expiresAt = lifetime > 0 ? (fileInfo.uploadedAt ?? Date.now()) + lifetime : null;
+            if (expiresAt !== null && expiresAt <= Date.now()) {
+                return res.status(400).json({ error: 'That lifetime has already passed. Delete the file instead.' });
+            }
+        }
+
+        let maxDownloads = targets[0]?.[1].maxDownloads ?? 1;
+        if (clientMaxDownloads !== undefined) {
+            const resolved = resolveMaxDownloads(clientMaxDownloads);
+            if (resolved.error) return res.status(400).json({ error: resolved.error });
+            if (resolved.value > 0 && resolved.value <= downloadCount) {
+                return res.status(400).json({
+                    error: `Already downloaded ${downloadCount === 1 ? 'once' : `${downloadCount} times`}. Choose a higher limit or delete the file instead.`
                 });
-                log('debug', `[${fileInfo.isEncrypted ? 'Encrypted' : 'Simple'}] File data sent (${newDownloadCount}/${maxDl === 0 ? 'unlimited' : maxDl} downloads).`);
             }
+            maxDownloads = resolved.value;
+        }
+
+        if (fileInfo.isBundle) fileDatabase.set(fileId, { ...fileInfo, expiresAt });
+        for (const [id, info] of targets) {
+            fileDatabase.set(id, { ...info, expiresAt, maxDownloads });
+        }
+
+        if (lifetime !== undefined || clientMaxDownloads !== undefined) {
+            log('debug', `[${fileInfo.isEncrypted ? 'Encrypted' : 'Simple'}] ${fileInfo.isBundle ? 'Bundle' : 'File'} settings changed by its owner.`, { event: 'file.updated', fileId });
+        }
+        res.status(200).json({ expiresAt, maxDownloads, downloadCount });
+    });
+
+    // Sent by clients once a download has been decrypted and verified
+    apiRouter.post('/file/:fileId/confirm', limiter, (req, res) => {
+        const token = req.body?.token;
+        const pending = typeof token === 'string' ? pendingDownloads.get(token) : undefined;
+
+        if (!pending || pending.fileId !== req.params.fileId) {
+            return res.status(404).json({ error: 'No download is waiting for confirmation.' });
+        }
+
+        clearTimeout(pending.timer);
+        pendingDownloads.delete(token);
+        recordDownload(pending.fileId, pending.fileInfo, pending.fileSize);
+        res.status(200).json({ success: true });
+    });
+
+    // Releases the wrapped key of a passphrase-protected share to clients that prove the passphrase.
+    // Failed attempts are counted on the record, and too many lock the share for a while.
+    apiRouter.post('/file/:fileId/unlock', limiter, (req, res) => {
+        const fileId = req.params.fileId;
+        const fileInfo = fileDatabase.get(fileId);
+
+        if (!fileInfo || (fileInfo.isEncrypted && !uploadEnableE2EE)) {
+            return res.status(404).json({ error: 'File not found.' });
+        }
+        if (!fileInfo.passphrase) {
+            return res.status(400).json({ error: 'This file is not passphrase protected.' });
+        }
+
+        const lock = fileInfo.passphrase;
+        const now = Date.now();
+        if (lock.lockedUntil && lock.lockedUntil > now) {
+            const retryAfterMs = lock.lockedUntil - now;
+            res.setHeader('Retry-After', Math.ceil(retryAfterMs / 1000));
+            return res.status(429).json({ error: 'Too many incorrect passphrases. Try again later.', retryAfterMs });
+        }
+
+        const authKey = req.body?.authKey;
+        const expected = Buffer.from(lock.authKeyHash, 'hex');
+        const actual = crypto.createHash('sha256').update(typeof authKey === 'string' ? authKey : '').digest();
+        if (typeof authKey === 'string' && crypto.timingSafeEqual(expected, actual)) {
+            if (lock.failedAttempts > 0 || lock.lockedUntil) {
+                fileDatabase.set(fileId, { ...fileInfo, passphrase: { ...lock, failedAttempts: 0, lockedUntil: null } });
+            }
+            return res.status(200).json({ wrappedKey: lock.wrappedKey });
+        }
+
+        const failedAttempts = lock.failedAttempts + 1;
+        const lockNow = passphraseMaxAttempts > 0 && failedAttempts >= passphraseMaxAttempts;
+        fileDatabase.set(fileId, {
+            ...fileInfo,
+            passphrase: {
+                ...lock,
+                failedAttempts: lockNow ? 0 : failedAttempts,
+                lockedUntil: lockNow ? now + passphraseLockoutMs : null,
+            },
+        });
+
+        if (lockNow) {
+            log('debug', 'Passphrase-protected file locked after too many incorrect attempts.', { event: 'file.passphrase_locked', fileId });
+            res.setHeader('Retry-After', Math.ceil(passphraseLockoutMs / 1000));
+            return res.status(429).json({ error: 'Too many incorrect passphrases. Try again later.', retryAfterMs: passphraseLockoutMs });
+        }
+        res.status(403).json({
+            error: 'Incorrect passphrase.',
+            ...(passphraseMaxAttempts > 0 ? { attemptsLeft: passphraseMaxAttempts - failedAttempts } : {}),
         });
     });
+
+    if (adminTokenHash) {
+        // Admin requests must present ADMIN_TOKEN. Only failed attempts count towards the rate limit,
+        // so the dashboard can refresh freely.
+        const adminAuth = (req, res, next) => {
+            const token = req.headers['x-admin-token'];
+            const actual = crypto.createHash('sha256').update(typeof token === 'string' ? token : '').digest();
+            if (typeof token === 'string' && token.length > 0 && crypto.timingSafeEqual(adminTokenHash, actual)) {
+                return next();
+            }
+            limiter(req, res, () => {
+                res.status(401).json({ error: typeof token === 'string' && token.length > 0 ? 'Invalid admin token.' : 'Admin token required.' });
+            });
+        };
+
+        apiRouter.get('/admin/overview', adminAuth, (req, res) => {
+            let reservedBytes = 0;
+            ongoingUploads.forEach(u => reservedBytes += u.reservedBytes || 0);
+            const records = fileDatabase.entries();
+
+            res.status(200).json({
+                storage: {
+                    usedBytes: currentDiskUsage,
+                    reservedBytes,
+                    maxBytes: MAX_STORAGE_BYTES === Infinity ? null : MAX_STORAGE_BYTES,
+                },
+                uploads: ongoingUploads.size,
+                bundlesInProgress: ongoingBundles.size,
+                files: records.filter(([, record]) => !record.isBundle).length,
+                bundles: records.filter(([, record]) => record.isBundle).length,
+            });
+        });
+
+        // Encrypted filenames are ciphertext, so they are left out
+        apiRouter.get('/admin/uploads', adminAuth, (req, res) => {
+            const uploads = Array.from(ongoingUploads, ([id, session]) => ({
+                id,
+                filename: session.isEncrypted ? null : session.filename,
+                isEncrypted: session.isEncrypted,
+                totalSize: session.totalSize,
+                receivedChunks: session.receivedChunks.size,
+                totalChunks: session.totalChunks,
+                bundleId: session.bundleId,
+                apiKey: session.apiKey,
+                expiresAt: session.expiresAt,
+                finalizing: Boolean(session.finalizing),
+            }));
+            res.status(200).json({ uploads });
+        });
+
+        apiRouter.delete('/admin/uploads/:uploadId', adminAuth, (req, res) => {
+            const uploadId = req.params.uploadId;
+            const session = ongoingUploads.get(uploadId);
+            if (!session) {
+                return res.status(404).json({ error: 'Upload session not found or already expired.' });
+            }
+            if (session.finalizing) {
+                return res.status(409).json({ error: 'Upload is already being finalised. Delete the file instead.' });
+            }
+
+            storage.deleteTemp(uploadId).catch((e) => {
+                log('debug', `Failed to delete temp file during cancellation: ${e.message}`, { uploadId });
+            });
+            ongoingUploads.delete(uploadId);
+            metricUploadsCancelled.inc({ reason: 'admin' });
+
+            log('info', `Upload cancelled by an admin. Released ${(session.reservedBytes / 1000 / 1000).toFixed(2)} MB.`, { event: 'admin.upload_cancelled', uploadId });
+            res.status(200).json({ success: true });
+        });
+
+        apiRouter.get('/admin/files', adminAuth, async (req, res) => {
+            const records = fileDatabase.entries();
+            const bundleOf = new Map();
+            for (const [id, record] of records) {
+                if (record.isBundle) record.files.forEach((memberId) => bundleOf.set(memberId, id));
+            }
+
+            // Records from older versions have no size, so ask the storage driver
+            const sizes = new Map(await Promise.all(records
+                .filter(([, record]) => !record.isBundle)
+                .map(async ([id, record]) => [id, record.sizeBytes ?? await storage.size(id).catch(() => null)])));
+
+            const files = records.map(([id, record]) => ({
+                id,
+                name: record.isEncrypted || record.isBundle ? null : record.name,
+                isBundle: Boolean(record.isBundle),
+                bundleId: bundleOf.get(id) || null,
+                fileCount: record.isBundle ? record.files.length : undefined,
+                isEncrypted: Boolean(record.isEncrypted),
+                passphrase: Boolean(record.passphrase),
+                apiKey: record.apiKey || null,
+                scanStatus: record.scanStatus || null,
+                scanSignature: record.scanSignature || null,
+                sizeBytes: record.isBundle
+                    ? record.files.reduce((sum, memberId) => sum + (sizes.get(memberId) || 0), 0)
+                    : sizes.get(id),
+                uploadedAt: record.uploadedAt ?? null,
+                expiresAt: record.expiresAt ?? null,
+                downloadCount: record.isBundle ? undefined : record.downloadCount || 0,
+                maxDownloads: record.isBundle ? undefined : record.maxDownloads ?? 1,
+            }));
+            files.sort((a, b) => (b.uploadedAt || 0) - (a.uploadedAt || 0));
+            res.status(200).json({ files });
+        });
+
+        apiRouter.delete('/admin/files/:fileId', adminAuth, async (req, res) => {
+            const fileId = req.params.fileId;
+            const fileInfo = fileDatabase.get(fileId);
+            if (!fileInfo) {
+                return res.status(404).json({ error: 'File not found.' });
+            }
+
+            if (fileInfo.isBundle) {
+                for (const memberId of fileInfo.files) await deleteStoredFile(memberId);
+                fileDatabase.delete(fileId);
+            } else {
+                await deleteStoredFile(fileId);
+            }
+
+            log('info', `[${fileInfo.isEncrypted ? 'Encrypted' : 'Simple'}] ${fileInfo.isBundle ? 'Bundle' : 'File'} deleted by an admin.`, { event: 'admin.file_deleted', fileId });
+            res.status(200).json({ success: true });
+        });
+    }
 }
 
 apiRouter.get('/info', limiter, (req, res) => {
+    // Clients that send their API key see the limits that apply to it
+    const token = enableUpload && apiKeys ? readBearerToken(req) : null;
+    const apiKey = token ? apiKeys.authenticate(token) : null;
+    const limits = uploadLimitsFor(apiKey);
+
     const uploadCapabilities = {
         enabled: enableUpload,
-        maxSizeMB: enableUpload ? maxFileSizeMB : undefined,
-        maxLifetimeHours: enableUpload ? maxFileLifetimeHours : undefined,
+        maxSizeMB: enableUpload ? limits.maxFileSizeMB : undefined,
+        maxLifetimeHours: enableUpload ? limits.maxLifetimeHours : undefined,
         maxFileDownloads: enableUpload ? maxFileDownloads : undefined,
         e2ee: enableUpload ? uploadEnableE2EE : undefined,
+        encryptionVersions: enableUpload && uploadEnableE2EE ? Object.keys(ENCRYPTION_HEADER_BYTES).map(Number) : undefined,
+        encryptedMetadata: enableUpload && uploadEnableE2EE ? true : undefined,
+        resumable: enableUpload ? true : undefined,
+        sessionTimeoutMs: enableUpload ? uploadSessionTimeoutMs : undefined,
+        chunkSize: enableUpload ? { min: minChunkSize, max: maxChunkSize } : undefined,
+        passphrase: enableUpload ? uploadEnableE2EE : undefined,
+        authRequired: enableUpload ? Boolean(apiKeys) : undefined,
+        webhooks: enableUpload ? allowUploadWebhooks : undefined,
+        virusScan: enableUpload
+            ? { enabled: Boolean(scanner), ...(scanner ? { onInfected: scanOnInfected } : {}), encryptedExempt: true }
+            : undefined,
+        authenticated: token ? Boolean(apiKey) : undefined,
+        storageQuota: apiKey && limits.maxStorageGB
+            ? { maxStorageGB: limits.maxStorageGB, usedBytes: fileDatabase.storedBytesFor(apiKey.name) }
+            : undefined,
     };
 
     const p2pCapabilities = {
@@ -694,6 +2059,7 @@ apiRouter.get('/info', limiter, (req, res) => {
         peerjsPath: enableP2P ? PEERJS_MOUNT_PATH : undefined,
         iceServers: enableP2P ? p2pIceServers : undefined,
         peerjsDebugLogging: enableP2P ? (process.env.PEERJS_DEBUG === 'true') : undefined,
+        codeFormat: enableP2P ? p2pCodeFormat : undefined,
     };
 
     res.status(200).json({
@@ -718,8 +2084,6 @@ apiRouter.post('/resolve', limiter, (req, res) => {
 
     const isUrl = /^https?:\/\//i.test(raw);
     const isUuid = (value) => /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/.test(value);
-    const isP2PCode = (value) => /^[A-Z]{4}-\d{4}$/.test(value);
-    const normalizeP2P = (value) => value.replace(/\s+/g, '').toUpperCase();
 
     if (isUrl) {
         try {
@@ -731,7 +2095,7 @@ apiRouter.post('/resolve', limiter, (req, res) => {
 
             const path = decodeURIComponent(url.pathname || '');
             if (path.startsWith('/p2p/')) {
-                const code = normalizeP2P(path.replace('/p2p/', ''));
+                const code = normalizeP2PCode(path.replace('/p2p/', ''));
                 if (!enableP2P) {
                     return res.status(200).json({ valid: false, reason: 'Direct transfer is disabled on this server.' });
                 }
@@ -767,7 +2131,7 @@ apiRouter.post('/resolve', limiter, (req, res) => {
         return res.status(200).json({ valid: true, type: 'file', target: `/${compact}` });
     }
 
-    const p2pCode = normalizeP2P(compact);
+    const p2pCode = normalizeP2PCode(raw);
     if (isP2PCode(p2pCode)) {
         if (!enableP2P) {
             return res.status(200).json({ valid: false, reason: 'Direct transfer is disabled on this server.' });
@@ -782,12 +2146,15 @@ app.use('/api', apiRouter);
 
 // ===== PeerJS signalling server (PeerServer) =====
 // Mounted at a fixed path: /peerjs
+let peerConnections = 0;
 if (enableP2P) {
     const peerServer = ExpressPeerServer(server, {
         path: '/',
         debug: process.env.PEERJS_DEBUG === 'true',
         proxied: true,
     });
+    peerServer.on('connection', () => peerConnections++);
+    peerServer.on('disconnect', () => peerConnections = Math.max(0, peerConnections - 1));
     app.use(PEERJS_MOUNT_PATH, peerServer);
     log('info', `PeerServer mounted at ${PEERJS_MOUNT_PATH}`);
 }
@@ -795,6 +2162,11 @@ if (enableP2P) {
 // P2P receiver page
 app.get('/p2p/:code', limiter, (req, res) => {
     if (!enableP2P) return res.status(404).render('pages/404', { serverName });
+    // Send hand-typed links such as /p2p/apple river comet tiger to the canonical code
+    const code = normalizeP2PCode(req.params.code);
+    if (isP2PCode(code) && code !== req.params.code) {
+        return res.redirect(302, `/p2p/${encodeURIComponent(code)}`);
+    }
     return res.status(200).render('pages/download-p2p', { code: req.params.code, serverName });
 });
 
@@ -804,6 +2176,43 @@ app.get('/', limiter, (req, res) => {
     return res.status(200).render('pages/index', { serverName });
 });
 
+// Admin dashboard. The page itself holds no data; it asks for the admin token and uses /api/admin.
+// Registered before the download page so /admin is never treated as a file ID.
+app.get('/admin', limiter, (req, res) => {
+    if (!enableWebUI || !adminTokenHash) return res.status(404).render('pages/404', { serverName });
+    return res.status(200).render('pages/admin', { serverName });
+});
+
+if (enableMetrics) {
+    metrics.gauge('dropgate_info', 'Server version.', () => [[{ version }, 1]]);
+    metrics.gauge('dropgate_peerjs_connections', 'Clients connected to the PeerJS signalling server.', () => enableP2P ? peerConnections : null);
+    metrics.gauge('dropgate_storage_used_bytes', 'Bytes used by stored files.', () => enableUpload ? currentDiskUsage : null);
+    metrics.gauge('dropgate_storage_reserved_bytes', 'Bytes reserved by uploads in progress.', () => {
+        if (!enableUpload) return null;
+        let reserved = 0;
+        ongoingUploads.forEach(u => reserved += u.reservedBytes || 0);
+        return reserved;
+    });
+    metrics.gauge('dropgate_storage_max_bytes', 'Storage limit (UPLOAD_MAX_STORAGE_GB). Absent when unlimited.',
+        () => enableUpload && MAX_STORAGE_BYTES !== Infinity ? MAX_STORAGE_BYTES : null);
+    metrics.gauge('dropgate_uploads_active', 'Uploads in progress.', () => enableUpload ? ongoingUploads.size : null);
+
+    // Scrapers poll on a schedule, so this is not rate limited. Registered before the download page.
+    const metricsTokenHash = metricsToken ? crypto.createHash('sha256').update(metricsToken).digest() : null;
+    app.get('/metrics', (req, res) => {
+        if (metricsTokenHash) {
+            const token = readBearerToken(req);
+            const actual = crypto.createHash('sha256').update(token || '').digest();
+            if (!token || !crypto.timingSafeEqual(metricsTokenHash, actual)) {
+                res.setHeader('WWW-Authenticate', 'Bearer');
+                return res.status(401).send('Unauthorized.');
+            }
+        }
+        res.setHeader('Content-Type', metrics.contentType);
+        res.status(200).send(metrics.render());
+    });
+}
+
 // Standard download page
 if (enableUpload) {
     app.use('/upload', uploadRouter);
@@ -836,17 +2245,28 @@ app.use((_req, res) => res.status(404).render('pages/404', { serverName }));
 
 if (enableUpload) {
     const cleanupExpiredFiles = () => {
-        const now = Date.now();
-        const allFiles = preserveUploads ? fileDatabase.getAll() : Array.from(fileDatabase.entries()).map(([k, v]) => ({ key: k, value: v }));
-        for (const record of allFiles) {
-            if (record.value?.expiresAt && record.value.expiresAt < now) {
-                log('debug', 'File expired. Deleting...');
-                try {
-                    const stats = fs.statSync(record.value.path);
-                    currentDiskUsage = Math.max(0, currentDiskUsage - stats.size);
-                    fs.rmSync(record.value.path, { force: true });
-                } catch (e) { }
-                fileDatabase.delete(record.key);
+        for (const id of fileDatabase.findExpired(Date.now())) {
+            const fileInfo = fileDatabase.get(id);
+            if (fileInfo?.isBundle) {
+                log('debug', 'Bundle expired. Deleting...', { event: 'file.expired', fileId: id });
+                fileDatabase.delete(id);
+                webhooks.emit('file.expired', { fileId: id, expiresAt: fileInfo.expiresAt }, fileInfo.webhook);
+                metricExpiredDeleted.inc({ type: 'bundle' });
+                continue;
+            }
+            log('debug', 'File expired. Deleting...', { event: 'file.expired', fileId: id });
+            deleteStoredFile(id);
+            if (fileInfo) webhooks.emit('file.expired', { fileId: id, expiresAt: fileInfo.expiresAt }, fileInfo.webhook);
+            metricExpiredDeleted.inc({ type: 'file' });
+        }
+
+        // Member files expire on their own; drop a bundle once they are all gone
+        for (const id of fileDatabase.bundleIds()) {
+            const bundle = fileDatabase.get(id);
+            if (bundle && !bundle.files.some((memberId) => fileDatabase.get(memberId))) {
+                log('debug', 'Bundle has no files left. Deleting...', { event: 'file.expired', fileId: id });
+                fileDatabase.delete(id);
+                webhooks.emit('file.expired', { fileId: id, expiresAt: bundle.expiresAt }, bundle.webhook);
             }
         }
     };
@@ -854,12 +2274,17 @@ if (enableUpload) {
     const cleanupZombieUploads = () => {
         const now = Date.now();
         for (const [id, session] of ongoingUploads.entries()) {
-            if (now > session.expiresAt) {
-                log('debug', 'Cleaning zombie upload.');
-                try {
-                    fs.rmSync(session.tempFilePath, { force: true });
-                } catch (e) { }
+            if (now > session.expiresAt && !session.finalizing) {
+                log('debug', 'Cleaning zombie upload.', { event: 'upload.expired', uploadId: id });
+                storage.deleteTemp(id).catch(() => { });
                 ongoingUploads.delete(id); // Removes reservation automatically
+                metricUploadsCancelled.inc({ reason: 'expired' });
+            }
+        }
+        for (const [id, bundle] of ongoingBundles.entries()) {
+            if (now > bundle.expiresAt) {
+                log('debug', 'Cleaning zombie bundle.', { event: 'bundle.expired', bundleId: id });
+                discardBundle(id, 'expired');
             }
         }
     };
@@ -880,18 +2305,30 @@ if (enableUpload) {
     }
 }
 
-server.listen(port, () => {
-    log('info', `Dropgate Server v${version} is running. | SERVER_PORT: ${port}`);
+// Only accept connections once upload storage has been cleaned up and checked,
+// and the sharing code rules are loaded
+Promise.all([storageReady, p2pCodesReady]).then(() => {
+    server.listen(port, () => {
+        log('info', `Dropgate Server v${version} is running. | SERVER_PORT: ${port}`);
+    });
+}).catch((e) => {
+    log('error', `Failed to prepare upload storage (${storage.name}): ${e.message}`);
+    process.exit(1);
 });
 
-const handleShutdown = () => {
+const handleShutdown = async () => {
     log('info', 'Dropgate Server is shutting down...');
     if (enableUpload && !preserveUploads) {
         log('info', 'Clearing uploads and temp files upon shutdown...');
-        cleanupDir(tmpDir);
-        cleanupDir(uploadDir);
-        log('info', 'Cleanup complete.');
+        try {
+            await storage.clearTemp();
+            await storage.clear();
+            log('info', 'Cleanup complete.');
+        } catch (e) {
+            log('error', `Cleanup failed: ${e.message}`);
+        }
     }
+    fileDatabase?.close();
     // Gracefully stop accepting new connections.
     try {
         server.close(() => process.exit(0));
@@ -0,0 +1,109 @@
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const { promisify } = require('util');
+
+const openFd = promisify(fs.open);
+
+/**
+ * Filesystem storage driver.
+ * Stored files live directly in `rootDir`; uploads in progress are written to `rootDir/tmp`
+ * so finalising is a same-volume rename.
+ * @param {{ rootDir: string }} options
+ * @returns {import('./index').StorageDriver}
+ */
+const createFsStorage = ({ rootDir }) => {
+    const tmpDir = path.join(rootDir, 'tmp');
+    const filePath = (fileId) => path.join(rootDir, fileId);
+    const tempPath = (uploadId) => path.join(tmpDir, uploadId);
+
+    const emptyDir = async (dirPath) => {
+        let entries;
+        try {
+            entries = await fsp.readdir(dirPath);
+        } catch (e) {
+            if (e.code === 'ENOENT') return;
+            throw e;
+        }
+        for (const entry of entries) {
+            await fsp.rm(path.join(dirPath, entry), { recursive: true, force: true });
+        }
+    };
+
+    const size = async (fileId) => {
+        try {
+            const stats = await fsp.stat(filePath(fileId));
+            return stats.isFile() ? stats.size : null;
+        } catch (e) {
+            if (e.code === 'ENOENT') return null;
+            throw e;
+        }
+    };
+
+    return {
+        name: 'fs',
+
+        init: async () => {
+            await fsp.mkdir(tmpDir, { recursive: true });
+        },
+
+        createTemp: async (uploadId) => {
+            await fsp.writeFile(tempPath(uploadId), '');
+        },
+
+        writeTemp: async (uploadId, offset, data) => {
+            const handle = await fsp.open(tempPath(uploadId), 'r+');
+            try {
+                await handle.write(data, 0, data.length, offset);
+            } finally {
+                await handle.close();
+            }
+        },
+
+        tempSize: async (uploadId) => (await fsp.stat(tempPath(uploadId))).size,
+
+        deleteTemp: async (uploadId) => {
+            await fsp.rm(tempPath(uploadId), { force: true });
+        },
+
+        finalize: async (uploadId, fileId) => {
+            await fsp.rename(tempPath(uploadId), filePath(fileId));
+            return (await fsp.stat(filePath(fileId))).size;
+        },
+
+        createReadStream: async (fileId, range) => {
+            // Open up front so a missing file rejects here instead of erroring mid-response.
+            // A plain descriptor is used because FileHandle streams can be closed by GC before 'close' fires.
+            const fd = await openFd(filePath(fileId), 'r');
+            return fs.createReadStream(filePath(fileId), { fd, ...(range ? { start: range.start, end: range.end } : {}) });
+        },
+
+        size,
+
+        delete: async (fileId) => {
+            await fsp.rm(filePath(fileId), { force: true });
+        },
+
+        totalSize: async () => {
+            let total = 0;
+            let entries;
+            try {
+                entries = await fsp.readdir(rootDir, { withFileTypes: true });
+            } catch (e) {
+                if (e.code === 'ENOENT') return 0;
+                throw e;
+            }
+            for (const entry of entries) {
+                if (!entry.isFile()) continue; // Skips tmp/ and any database folder
+                total += (await size(entry.name)) || 0;
+            }
+            return total;
+        },
+
+        clear: () => emptyDir(rootDir),
+
+        clearTemp: () => emptyDir(tmpDir),
+    };
+};
+
+module.exports = { createFsStorage };
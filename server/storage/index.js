@@ -0,0 +1,43 @@
+/**
+ * Storage drivers for uploaded files.
+ *
+ * Every driver implements the same promise-based interface, so server.js never
+ * touches the underlying medium directly:
+ *
+ * @typedef {object} StorageDriver
+ * @property {string} name - Driver name, used in logs
+ * @property {() => Promise<void>} init - Prepare the storage (create folders, check access)
+ * @property {(uploadId: string) => Promise<void>} createTemp - Start an empty temp file for an upload
+ * @property {(uploadId: string, offset: number, data: Buffer) => Promise<void>} writeTemp - Write bytes into a temp file at an offset
+ * @property {(uploadId: string) => Promise<number>} tempSize - Current size of a temp file in bytes
+ * @property {(uploadId: string) => Promise<void>} deleteTemp - Discard a temp file
+ * @property {(uploadId: string, fileId: string) => Promise<number>} finalize - Move a temp file into permanent storage, returning its size
+ * @property {(fileId: string, range?: { start: number, end: number }) => Promise<import('stream').Readable>} createReadStream - Open a stored file for reading, optionally only an inclusive byte range
+ * @property {(fileId: string) => Promise<number|null>} size - Size of a stored file in bytes, or null if it does not exist
+ * @property {(fileId: string) => Promise<void>} delete - Delete a stored file (no error if missing)
+ * @property {() => Promise<number>} totalSize - Combined size of all stored files in bytes
+ * @property {() => Promise<void>} clear - Delete all stored files
+ * @property {() => Promise<void>} clearTemp - Delete all temp files
+ */
+
+const STORAGE_DRIVERS = ['fs', 's3'];
+
+/**
+ * Create the storage driver with the given name.
+ * Drivers are loaded on demand so optional SDKs are only required when used.
+ * @param {string} driver - One of STORAGE_DRIVERS
+ * @param {object} options - Driver specific options
+ * @returns {StorageDriver}
+ */
+const createStorage = (driver, options) => {
+    switch (driver) {
+        case 'fs':
+            return require('./fs').createFsStorage(options);
+        case 's3':
+            return require('./s3').createS3Storage(options);
+        default:
+            throw new Error(`Unknown storage driver "${driver}". Expected one of: ${STORAGE_DRIVERS.join(', ')}.`);
+    }
+};
+
+module.exports = { STORAGE_DRIVERS, createStorage };
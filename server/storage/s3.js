@@ -0,0 +1,161 @@
+const { Readable } = require('stream');
+const {
+    S3Client,
+    HeadBucketCommand,
+    HeadObjectCommand,
+    GetObjectCommand,
+    PutObjectCommand,
+    DeleteObjectCommand,
+    ListObjectsV2Command,
+} = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
+
+// Temp object keys embed the write offset, zero padded so they list in file order
+const OFFSET_DIGITS = 16;
+
+const isNotFound = (err) => err?.name === 'NotFound' || err?.name === 'NoSuchKey' || err?.$metadata?.httpStatusCode === 404;
+
+/**
+ * S3-compatible object storage driver (AWS S3, MinIO, Cloudflare R2, ...).
+ * Object stores cannot write into the middle of an object, so each uploaded chunk is kept
+ * as its own temp object keyed by offset, and finalising streams them into one object.
+ * @param {object} options
+ * @param {string} options.bucket - Bucket to store files in
+ * @param {string} [options.prefix] - Key prefix, so a bucket can be shared
+ * @param {string} [options.region] - Bucket region
+ * @param {string} [options.endpoint] - Custom endpoint for S3-compatible services
+ * @param {boolean} [options.forcePathStyle] - Use path-style URLs (needed by most self-hosted services)
+ * @param {string} [options.accessKeyId] - Access key; falls back to the AWS default credential chain
+ * @param {string} [options.secretAccessKey] - Secret key for `accessKeyId`
+ * @returns {import('./index').StorageDriver}
+ */
+const createS3Storage = ({ bucket, prefix = '', region, endpoint, forcePathStyle, accessKeyId, secretAccessKey }) => {
+    if (!bucket) throw new Error('The S3 storage driver requires a bucket name.');
+
+    const client = new S3Client({
+        region: region || 'us-east-1',
+        endpoint: endpoint || undefined,
+        forcePathStyle: Boolean(forcePathStyle),
+        credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined,
+        // Only send checksums where S3 requires them; many compatible services reject the newer defaults
+        requestChecksumCalculation: 'WHEN_REQUIRED',
+        responseChecksumValidation: 'WHEN_REQUIRED',
+    });
+
+    const fileKey = (fileId) => `${prefix}files/${fileId}`;
+    const tempPrefix = (uploadId) => `${prefix}tmp/${uploadId}/`;
+
+    const listObjects = async (keyPrefix) => {
+        const objects = [];
+        let ContinuationToken;
+        do {
+            const page = await client.send(new ListObjectsV2Command({ Bucket: bucket, Prefix: keyPrefix, ContinuationToken }));
+            for (const item of page.Contents || []) objects.push({ key: item.Key, size: item.Size || 0 });
+            ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+        } while (ContinuationToken);
+        return objects;
+    };
+
+    const deleteObjects = async (keyPrefix) => {
+        const objects = await listObjects(keyPrefix);
+        await Promise.all(objects.map(({ key }) => client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }))));
+    };
+
+    const listTempParts = async (uploadId) => {
+        const keyPrefix = tempPrefix(uploadId);
+        const parts = (await listObjects(keyPrefix)).map((obj) => ({
+            ...obj,
+            offset: Number(obj.key.slice(keyPrefix.length)),
+        }));
+        return parts.sort((a, b) => a.offset - b.offset);
+    };
+
+    const getBody = async (key, range) => {
+        const { Body } = await client.send(new GetObjectCommand({
+            Bucket: bucket,
+            Key: key,
+            Range: range ? `bytes=${range.start}-${range.end}` : undefined,
+        }));
+        return Body;
+    };
+
+    return {
+        name: 's3',
+
+        init: async () => {
+            await client.send(new HeadBucketCommand({ Bucket: bucket }));
+        },
+
+        createTemp: async (uploadId) => {
+            // Nothing to allocate; clear anything left behind under the same ID
+            await deleteObjects(tempPrefix(uploadId));
+        },
+
+        writeTemp: async (uploadId, offset, data) => {
+            await client.send(new PutObjectCommand({
+                Bucket: bucket,
+                Key: `${tempPrefix(uploadId)}${String(offset).padStart(OFFSET_DIGITS, '0')}`,
+                Body: data,
+                ContentLength: data.length,
+            }));
+        },
+
+        tempSize: async (uploadId) => {
+            const parts = await listTempParts(uploadId);
+            return parts.reduce((end, part) => Math.max(end, part.offset + part.size), 0);
+        },
+
+        deleteTemp: (uploadId) => deleteObjects(tempPrefix(uploadId)),
+
+        finalize: async (uploadId, fileId) => {
+            const parts = await listTempParts(uploadId);
+
+            let expectedOffset = 0;
+            for (const part of parts) {
+                if (part.offset !== expectedOffset) {
+                    throw new Error(`Upload data is not contiguous at byte ${expectedOffset}.`);
+                }
+                expectedOffset += part.size;
+            }
+
+            // Parts are fetched one at a time while the multipart upload consumes them
+            const body = Readable.from((async function* () {
+                for (const part of parts) {
+                    for await (const chunk of await getBody(part.key)) yield chunk;
+                }
+            })());
+
+            await new Upload({
+                client,
+                params: { Bucket: bucket, Key: fileKey(fileId), Body: body },
+            }).done();
+
+            await deleteObjects(tempPrefix(uploadId));
+            return expectedOffset;
+        },
+
+        createReadStream: (fileId, range) => getBody(fileKey(fileId), range),
+
+        size: async (fileId) => {
+            try {
+                const head = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: fileKey(fileId) }));
+                return head.ContentLength ?? 0;
+            } catch (err) {
+                if (isNotFound(err)) return null;
+                throw err;
+            }
+        },
+
+        delete: async (fileId) => {
+            await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: fileKey(fileId) }));
+        },
+
+        totalSize: async () => (await listObjects(`${prefix}files/`)).reduce((sum, obj) => sum + obj.size, 0),
+
+        clear: () => deleteObjects(`${prefix}files/`),
+
+        clearTemp: () => deleteObjects(`${prefix}tmp/`),
+    };
+};
+
+module.exports = { createS3Storage };
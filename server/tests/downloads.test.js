@@ -0,0 +1,145 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('node:crypto');
+const { setTimeout: sleep } = require('node:timers/promises');
+const { createDeliveryTracker } = require('../downloads');
+const { startServer, uploadFile } = require('./helpers/server');
+
+describe('createDeliveryTracker', () => {
+    it('counts a download that was sent in one response', () => {
+        const deliveries = createDeliveryTracker({ ttlMs: 60000 });
+        const id = deliveries.open('file', undefined, 0);
+        deliveries.add('file', id, 0, 100);
+        assert.strictEqual(deliveries.complete('file', id, 100), true);
+        // The record is cleared once counted
+        assert.strictEqual(deliveries.complete('file', id, 100), false);
+    });
+
+    it('does not count a suffix range on its own', () => {
+        const deliveries = createDeliveryTracker({ ttlMs: 60000 });
+        // Range: bytes=-1
+        assert.strictEqual(deliveries.open('file', undefined, 99), null);
+        deliveries.add('file', null, 99, 100);
+        assert.strictEqual(deliveries.complete('file', null, 100), false);
+        // Range: bytes=-20, as a media player reading an index at the end
+        deliveries.add('file', null, 80, 100);
+        assert.strictEqual(deliveries.complete('file', null, 100), false);
+    });
+
+    it('counts a resumed download once, whatever order its pieces came in', () => {
+        const deliveries = createDeliveryTracker({ ttlMs: 60000 });
+        const id = deliveries.open('file', undefined, 0);
+        deliveries.add('file', id, 0, 50);
+        assert.strictEqual(deliveries.complete('file', id, 100), false);
+        assert.strictEqual(deliveries.open('file', id, 60), id);
+        deliveries.add('file', id, 60, 100);
+        assert.strictEqual(deliveries.complete('file', id, 100), false);
+        deliveries.add('file', id, 50, 60);
+        assert.strictEqual(deliveries.complete('file', id, 100), true);
+    });
+
+    it('counts concurrent downloads separately', () => {
+        const deliveries = createDeliveryTracker({ ttlMs: 60000 });
+        const a = deliveries.open('file', undefined, 0);
+        const b = deliveries.open('file', undefined, 0);
+        assert.notStrictEqual(a, b);
+
+        // a is interrupted halfway while b finishes; a then resumes and finishes too
+        deliveries.add('file', a, 0, 50);
+        deliveries.add('file', b, 0, 100);
+        assert.strictEqual(deliveries.complete('file', b, 100), true);
+        deliveries.add('file', a, 50, 100);
+        assert.strictEqual(deliveries.complete('file', a, 100), true);
+    });
+
+    it('counts a file spread over several downloads and unknown IDs', () => {
+        const deliveries = createDeliveryTracker({ ttlMs: 60000 });
+        const a = deliveries.open('file', undefined, 0);
+        deliveries.add('file', a, 0, 40);
+        const b = deliveries.open('file', undefined, 0);
+        deliveries.add('file', b, 0, 1);
+        assert.strictEqual(deliveries.open('file', 'made-up', 40), null);
+        deliveries.add('file', null, 40, 70);
+        deliveries.add('file', b, 70, 100);
+        assert.strictEqual(deliveries.complete('file', b, 100), true);
+
+        // Everything that was counted is forgotten
+        assert.strictEqual(deliveries.open('file', a, 40), null);
+        deliveries.add('file', null, 40, 100);
+        assert.strictEqual(deliveries.complete('file', null, 100), false);
+    });
+
+    it('keeps download IDs apart per file', () => {
+        const deliveries = createDeliveryTracker({ ttlMs: 60000 });
+        const id = deliveries.open('one', undefined, 0);
+        assert.strictEqual(deliveries.open('two', id, 50), null);
+    });
+
+    it('stays bounded without losing delivered bytes', () => {
+        const deliveries = createDeliveryTracker({ ttlMs: 60000, maxDownloadIds: 4, maxRanges: 4 });
+        const first = deliveries.open('file', undefined, 0);
+        deliveries.add('file', first, 0, 50);
+
+        // Probes push the first download out, into the shared pool
+        for (let i = 0; i < 10; i++) {
+            const probe = deliveries.open('file', undefined, 0);
+            deliveries.add('file', probe, 0, 1);
+        }
+        assert.strictEqual(deliveries.open('file', first, 50), null);
+        deliveries.add('file', null, 50, 100);
+        assert.strictEqual(deliveries.complete('file', null, 100), true);
+
+        // Many scattered pieces are merged with their neighbours, gaps and all
+        for (let i = 0; i < 10; i++) deliveries.add('file', null, i * 10, i * 10 + 5);
+        assert.strictEqual(deliveries.complete('file', null, 100), false);
+        deliveries.add('file', null, 65, 100);
+        assert.strictEqual(deliveries.complete('file', null, 100), true);
+    });
+});
+
+describe('ranged downloads', () => {
+    let server;
+    before(async () => {
+        server = await startServer({ ENABLE_UPLOAD: 'true' });
+    });
+    after(() => server.stop());
+
+    const get = (fileId, headers) => fetch(`${server.url}/api/file/${fileId}`, { headers });
+
+    it('counts a resumed download once it has every byte', async () => {
+        const data = crypto.randomBytes(1000);
+        const fileId = await uploadFile(server.url, data, { maxDownloads: 1 });
+
+        const first = await get(fileId, { Range: 'bytes=0-399' });
+        assert.strictEqual(first.status, 206);
+        const downloadId = first.headers.get('X-Download-Id');
+        assert.match(downloadId, /^[a-f0-9]{32}$/);
+        const head = Buffer.from(await first.arrayBuffer());
+
+        const rest = await get(fileId, { Range: 'bytes=400-', 'X-Download-Id': downloadId });
+        assert.strictEqual(rest.status, 206);
+        assert.strictEqual(rest.headers.get('X-Download-Id'), downloadId);
+        assert.ok(Buffer.concat([head, Buffer.from(await rest.arrayBuffer())]).equals(data));
+
+        assert.strictEqual((await get(fileId)).status, 404);
+    });
+
+    it('counts pieces fetched without a download ID', async () => {
+        const data = crypto.randomBytes(1000);
+        const fileId = await uploadFile(server.url, data, { maxDownloads: 1 });
+
+        const probe = await get(fileId, { Range: 'bytes=-1' });
+        assert.strictEqual(probe.status, 206);
+        assert.strictEqual(probe.headers.get('X-Download-Id'), null);
+        await probe.arrayBuffer();
+
+        // Each piece is fetched as a fresh download, as if from a different client
+        await (await get(fileId, { Range: 'bytes=0-499' })).arrayBuffer();
+        await (await get(fileId, { Range: 'bytes=0-0' })).arrayBuffer();
+        assert.strictEqual((await get(fileId, { Range: 'bytes=500-998' })).status, 206);
+
+        // Give the last response a moment to finish on the server
+        await sleep(100);
+        assert.strictEqual((await get(fileId)).status, 404);
+    });
+});
@@ -0,0 +1,132 @@
+const { spawn } = require('node:child_process');
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const net = require('node:net');
+const os = require('node:os');
+const path = require('node:path');
+
+/**
+ * Find a free local port by briefly listening on one the OS picks.
+ * @returns {Promise<number>}
+ */
+const freePort = () => new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.unref();
+    probe.on('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+        const { port } = probe.address();
+        probe.close(() => resolve(port));
+    });
+});
+
+/**
+ * Start Dropgate Server in a child process, with uploads kept in a throwaway directory.
+ * @param {Record<string, string>} [env] - Environment variables on top of the defaults
+ * @returns {Promise<{ url: string, stop: () => Promise<void> }>}
+ */
+const startServer = async (env = {}) => {
+    const port = await freePort();
+    const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dropgate-test-'));
+    const child = spawn(process.execPath, [path.join(__dirname, '..', '..', 'server.js')], {
+        env: {
+            ...process.env,
+            SERVER_PORT: String(port),
+            UPLOAD_STORAGE_DIR: storageDir,
+            LOG_LEVEL: 'INFO',
+            RATE_LIMIT_MAX_REQUESTS: '0',
+            ...env,
+        },
+        stdio: ['ignore', 'pipe', 'pipe'],
+    });
+
+    let output = '';
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`Server did not start in time:\n${output}`)), 10000);
+        const onData = (data) => {
+            output += data;
+            if (output.includes('is running')) {
+                clearTimeout(timer);
+                resolve();
+            }
+        };
+        child.stdout.on('data', onData);
+        child.stderr.on('data', onData);
+        child.on('exit', (code) => {
+            clearTimeout(timer);
+            reject(new Error(`Server exited with code ${code}:\n${output}`));
+        });
+    });
+
+    const stop = async () => {
+        if (child.exitCode === null) {
+            const exited = new Promise((resolve) => child.once('exit', resolve));
+            child.kill('SIGTERM');
+            await exited;
+        }
+        fs.rmSync(storageDir, { recursive: true, force: true });
+    };
+
+    return { url: `http://127.0.0.1:${port}`, stop };
+};
+
+/**
+ * POST a JSON body and parse the JSON response.
+ * @param {string} url
+ * @param {object} body
+ * @returns {Promise<{ status: number, body: any }>}
+ */
+const postJson = async (url, body) => {
+    const res = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+    });
+    return { status: res.status, body: await res.json().catch(() => null) };
+};
+
+/**
+ * Send one upload chunk.
+ * @param {string} url - Server URL
+ * @param {string} uploadId
+ * @param {number} index - Chunk index
+ * @param {Buffer} data - Chunk content
+ * @returns {Promise<Response>}
+ */
+const sendChunk = (url, uploadId, index, data) => fetch(`${url}/upload/chunk`, {
+    method: 'POST',
+    headers: {
+        'Content-Type': 'application/octet-stream',
+        'X-Upload-ID': uploadId,
+        'X-Chunk-Index': String(index),
+        'X-Chunk-Hash': crypto.createHash('sha256').update(data).digest('hex'),
+    },
+    body: data,
+});
+
+/**
+ * Upload an unencrypted file in a single chunk.
+ * @param {string} url - Server URL
+ * @param {Buffer} data - File content
+ * @param {object} [options] - Extra `/upload/init` fields, e.g. `maxDownloads`
+ * @returns {Promise<string>} The file ID
+ */
+const uploadFile = async (url, data, options = {}) => {
+    const init = await postJson(`${url}/upload/init`, {
+        filename: 'test.bin',
+        totalSize: data.length,
+        totalChunks: 1,
+        chunkSize: Math.max(data.length, 256 * 1024),
+        lifetime: 60 * 60 * 1000,
+        isEncrypted: false,
+        ...options,
+    });
+    if (init.status !== 200) throw new Error(`Upload init failed: ${JSON.stringify(init.body)}`);
+    const { uploadId } = init.body;
+    const chunk = await sendChunk(url, uploadId, 0, data);
+    if (chunk.status !== 200) throw new Error(`Chunk upload failed: ${await chunk.text()}`);
+    const complete = await postJson(`${url}/upload/complete`, { uploadId });
+    if (complete.status !== 200) throw new Error(`Upload completion failed: ${JSON.stringify(complete.body)}`);
+    return complete.body.id;
+};
+
+module.exports = { startServer, postJson, sendChunk, uploadFile };
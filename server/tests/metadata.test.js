@@ -0,0 +1,114 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { createMetadataStore } = require('../metadata');
+
+// Records as the old `file-system-db` registry wrote them, stored paths included
+const LEGACY_RECORDS = {
+    'a1b2c3': {
+        name: 'report.pdf',
+        path: '/usr/src/app/uploads/a1b2c3',
+        expiresAt: 1000,
+        isEncrypted: false,
+        maxDownloads: 1,
+        downloadCount: 0,
+    },
+    'd4e5f6': {
+        name: 'secret.bin',
+        path: '/usr/src/app/uploads/d4e5f6',
+        expiresAt: null,
+        isEncrypted: true,
+        maxDownloads: 0,
+        downloadCount: 3,
+    },
+};
+
+for (const driver of ['memory', 'sqlite']) {
+    describe(`${driver} metadata store`, () => {
+        let dir;
+        let store;
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dropgate-metadata-'));
+            store = createMetadataStore(driver, { file: path.join(dir, 'dropgate.sqlite') });
+        });
+        afterEach(() => {
+            store.close();
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        it('counts downloads one at a time', () => {
+            store.set('file', { name: 'a.txt', expiresAt: null, downloadCount: 0 });
+            assert.strictEqual(store.incrementDownloadCount('file'), 1);
+            assert.strictEqual(store.incrementDownloadCount('file'), 2);
+            assert.strictEqual(store.get('file').downloadCount, 2);
+            assert.strictEqual(store.incrementDownloadCount('missing'), null);
+        });
+
+        it('finds records that expired before a given time', () => {
+            store.set('old', { name: 'old.txt', expiresAt: 1000 });
+            store.set('new', { name: 'new.txt', expiresAt: 3000 });
+            store.set('forever', { name: 'forever.txt', expiresAt: null });
+            store.set('bundle', { isBundle: true, files: [], expiresAt: 500 });
+
+            assert.deepStrictEqual(store.findExpired(2000).sort(), ['bundle', 'old']);
+            assert.deepStrictEqual(store.findExpired(1000).sort(), ['bundle']);
+            assert.deepStrictEqual(store.findExpired(4000).sort(), ['bundle', 'new', 'old']);
+        });
+    });
+}
+
+describe('sqlite metadata store migration', () => {
+    let dir;
+    let legacyJsonFile;
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dropgate-metadata-'));
+        legacyJsonFile = path.join(dir, 'file-database.json');
+        fs.writeFileSync(legacyJsonFile, JSON.stringify(LEGACY_RECORDS));
+    });
+    afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const open = () => createMetadataStore('sqlite', { file: path.join(dir, 'dropgate.sqlite'), legacyJsonFile });
+
+    it('imports a legacy registry once and sets it aside', () => {
+        const store = open();
+        try {
+            assert.deepStrictEqual(store.get('a1b2c3'), {
+                name: 'report.pdf',
+                expiresAt: 1000,
+                isEncrypted: false,
+                maxDownloads: 1,
+                downloadCount: 0,
+            });
+            assert.strictEqual(store.get('d4e5f6').downloadCount, 3);
+            assert.strictEqual(store.get('d4e5f6').path, undefined);
+            assert.deepStrictEqual(store.findExpired(2000), ['a1b2c3']);
+        } finally {
+            store.close();
+        }
+        assert.strictEqual(fs.existsSync(legacyJsonFile), false);
+        assert.strictEqual(fs.existsSync(`${legacyJsonFile}.migrated`), true);
+    });
+
+    it('leaves the database alone on later starts', () => {
+        open().close();
+
+        const store = open();
+        try {
+            store.incrementDownloadCount('a1b2c3');
+            store.delete('d4e5f6');
+        } finally {
+            store.close();
+        }
+
+        const reopened = open();
+        try {
+            assert.strictEqual(reopened.get('a1b2c3').downloadCount, 1);
+            assert.strictEqual(reopened.get('d4e5f6'), undefined);
+        } finally {
+            reopened.close();
+        }
+        assert.deepStrictEqual(fs.readdirSync(dir).filter((f) => f.startsWith('file-database')), ['file-database.json.migrated']);
+    });
+});
@@ -0,0 +1,68 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, postJson } = require('./helpers/server');
+
+// Codes are generated with the same core library bundle the web pages use
+const loadCore = () => import('../public/js/dropgate-core.js');
+
+// A code as someone might type it: lower case, with spaces between the groups
+const typed = (code) => code.toLowerCase().replace(/-/g, ' ');
+
+const FORMATS = [
+    { type: 'classic' },
+    { type: 'alphanumeric', length: 12 },
+    { type: 'words', length: 5 },
+];
+
+const checkRoundTrip = async (url, code) => {
+    const resolved = await postJson(`${url}/api/resolve`, { value: typed(code) });
+    assert.deepStrictEqual(resolved.body, { valid: true, type: 'p2p', target: `/p2p/${code}` });
+
+    const link = await postJson(`${url}/api/resolve`, { value: `${url}/p2p/${encodeURIComponent(typed(code))}` });
+    assert.deepStrictEqual(link.body, { valid: true, type: 'p2p', target: `/p2p/${code}` });
+
+    const redirect = await fetch(`${url}/p2p/${encodeURIComponent(typed(code))}`, { redirect: 'manual' });
+    assert.strictEqual(redirect.status, 302);
+    assert.strictEqual(redirect.headers.get('Location'), `/p2p/${code}`);
+
+    const page = await fetch(`${url}/p2p/${code}`, { redirect: 'manual' });
+    assert.strictEqual(page.status, 200);
+};
+
+for (const format of FORMATS) {
+    describe(`${format.type} sharing codes`, () => {
+        let server;
+        before(async () => {
+            server = await startServer({ P2P_CODE_FORMAT: format.type, P2P_CODE_LENGTH: String(format.length || '') });
+        });
+        after(() => server.stop());
+
+        it('advertises the format', async () => {
+            const info = await (await fetch(`${server.url}/api/info`)).json();
+            assert.deepStrictEqual(info.capabilities.p2p.codeFormat, format);
+        });
+
+        it('round-trips codes through /api/resolve and /p2p/:code', async () => {
+            const { generateP2PCode } = await loadCore();
+            for (let i = 0; i < 5; i++) await checkRoundTrip(server.url, generateP2PCode(crypto, format));
+        });
+
+        it('rejects codes that are not in any format', async () => {
+            const resolved = await postJson(`${server.url}/api/resolve`, { value: 'not a code' });
+            assert.strictEqual(resolved.body.valid, false);
+        });
+    });
+}
+
+describe('sharing codes after a format change', () => {
+    let server;
+    before(async () => {
+        server = await startServer({ P2P_CODE_FORMAT: 'alphanumeric', P2P_CODE_LENGTH: '16' });
+    });
+    after(() => server.stop());
+
+    it('keeps resolving codes of the previous formats and lengths', async () => {
+        const { generateP2PCode } = await loadCore();
+        for (const format of FORMATS) await checkRoundTrip(server.url, generateP2PCode(crypto, format));
+    });
+});
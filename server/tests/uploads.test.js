@@ -0,0 +1,49 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('node:crypto');
+const { setTimeout: sleep } = require('node:timers/promises');
+const { startServer, postJson, sendChunk } = require('./helpers/server');
+
+describe('resumable uploads', () => {
+    let server;
+    before(async () => {
+        // Run the zombie cleanup often, so idling below lives through several passes
+        server = await startServer({ ENABLE_UPLOAD: 'true', UPLOAD_ZOMBIE_CLEANUP_INTERVAL_MS: '100' });
+    });
+    after(() => server.stop());
+
+    it('keeps idle sessions for hours by default', async () => {
+        const info = await (await fetch(`${server.url}/api/info`)).json();
+        assert.strictEqual(info.capabilities.upload.resumable, true);
+        assert.ok(info.capabilities.upload.sessionTimeoutMs >= 60 * 60 * 1000);
+    });
+
+    it('resumes a session that sat idle', async () => {
+        const chunkSize = 5 * 1024 * 1024;
+        const data = crypto.randomBytes(chunkSize + 1000);
+        const init = await postJson(`${server.url}/upload/init`, {
+            filename: 'idle.bin',
+            totalSize: data.length,
+            totalChunks: 2,
+            chunkSize,
+            lifetime: 60 * 60 * 1000,
+            isEncrypted: false,
+        });
+        assert.strictEqual(init.status, 200);
+        const { uploadId } = init.body;
+
+        assert.strictEqual((await sendChunk(server.url, uploadId, 0, data.subarray(0, chunkSize))).status, 200);
+        await sleep(500);
+
+        const status = await postJson(`${server.url}/upload/status`, { uploadId });
+        assert.strictEqual(status.status, 200);
+        assert.deepStrictEqual(status.body.receivedChunks, [0]);
+
+        assert.strictEqual((await sendChunk(server.url, uploadId, 1, data.subarray(chunkSize))).status, 200);
+        const complete = await postJson(`${server.url}/upload/complete`, { uploadId });
+        assert.strictEqual(complete.status, 200);
+
+        const download = await fetch(`${server.url}/api/file/${complete.body.id}`);
+        assert.ok(Buffer.from(await download.arrayBuffer()).equals(data));
+    });
+});
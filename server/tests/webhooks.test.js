@@ -0,0 +1,62 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('node:crypto');
+const http = require('node:http');
+const { setTimeout: sleep } = require('node:timers/promises');
+const { createWebhookDispatcher } = require('../webhooks');
+
+const SECRET = 'a-webhook-secret-of-some-length';
+
+describe('webhooks', () => {
+    let receiver;
+    let received;
+    let connections;
+    before(async () => {
+        received = [];
+        connections = 0;
+        receiver = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', (data) => { body += data; });
+            req.on('end', () => {
+                received.push({ headers: req.headers, body });
+                res.end();
+            });
+        });
+        receiver.on('connection', () => { connections++; });
+        await new Promise((resolve) => receiver.listen(0, '127.0.0.1', resolve));
+    });
+    after(() => new Promise((resolve) => receiver.close(resolve)));
+
+    const waitFor = async (check) => {
+        for (let i = 0; i < 50 && !check(); i++) await sleep(20);
+    };
+
+    it('signs deliveries to server webhooks', async () => {
+        const url = `http://127.0.0.1:${receiver.address().port}/hook`;
+        createWebhookDispatcher({ endpoints: [{ url, secret: SECRET }] }).emit('file.uploaded', { fileId: 'abc' });
+        await waitFor(() => received.length > 0);
+
+        const [{ headers, body }] = received.splice(0);
+        assert.strictEqual(headers['x-dropgate-event'], 'file.uploaded');
+        const expected = crypto.createHmac('sha256', SECRET).update(`${headers['x-dropgate-timestamp']}.${body}`).digest('hex');
+        assert.strictEqual(headers['x-dropgate-signature'], `sha256=${expected}`);
+        assert.deepStrictEqual(JSON.parse(body).data, { fileId: 'abc' });
+    });
+
+    it('never connects upload webhooks to private addresses', async () => {
+        const warnings = [];
+        const log = (level, message) => { if (level === 'warn') warnings.push(message); };
+        const dispatcher = createWebhookDispatcher({ log });
+        const { port } = receiver.address();
+        const before = connections;
+
+        for (const host of ['127.0.0.1', 'localhost', '[::ffff:127.0.0.1]']) {
+            dispatcher.emit('file.uploaded', { fileId: 'abc' }, { url: `https://${host}:${port}/hook`, secret: SECRET });
+        }
+        await waitFor(() => warnings.length === 3);
+
+        assert.strictEqual(warnings.length, 3);
+        assert.ok(warnings.every((message) => message.includes('private address')));
+        assert.strictEqual(connections, before);
+    });
+});
@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+/**
+ * Webhook notifications for file lifecycle events.
+ *
+ * Each event is POSTed as JSON to every server webhook, and to the webhook the uploader
+ * registered with the file, if any. Deliveries are signed with the endpoint's secret:
+ *
+ *     X-Dropgate-Signature: sha256=<hex HMAC-SHA256 of "<X-Dropgate-Timestamp>.<body>">
+ *
+ * Network errors, timeouts, 408, 429 and 5xx responses are retried with exponential backoff.
+ * Any other response ends the delivery. Redirects are not followed. Upload webhooks are only
+ * sent to public addresses.
+ *
+ * @typedef {object} WebhookEndpoint
+ * @property {string} url - Where to POST events
+ * @property {string} secret - HMAC key for the signature
+ */
+
+const MAX_BACKOFF_MS = 60000;
+
+// Uploader-supplied webhooks must not reach the server's own network
+const privateAddresses = new net.BlockList();
+for (const [address, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 4], ['240.0.0.0', 4],
+]) {
+    privateAddresses.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    privateAddresses.addSubnet(address, prefix, 'ipv6');
+}
+
+/**
+ * Whether an address is outside the server's own network.
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+const isPublicAddress = (address) => {
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address); // IPv4-mapped IPv6
+    if (mapped) return !privateAddresses.check(mapped[1], 'ipv4');
+    return !privateAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+};
+
+const privateAddressError = () => Object.assign(new Error('an upload webhook points at a private address.'), { code: 'EPRIVATEADDRESS' });
+
+/**
+ * DNS lookup for upload webhooks that fails unless every address is public. The request
+ * connects to the address checked here, so the host cannot resolve to a different one in between.
+ * @type {import('net').LookupFunction}
+ */
+const publicLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true, verbatim: true }, (err, addresses) => {
+        if (err) return callback(err);
+        if (addresses.length === 0 || !addresses.every(({ address }) => isPublicAddress(address))) {
+            return callback(privateAddressError());
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+};
+
+/**
+ * POST a body and discard the response.
+ * @param {URL} url - Where to send it
+ * @param {object} options
+ * @param {Record<string, string>} options.headers - Request headers
+ * @param {string} options.body - Request body
+ * @param {number} options.timeoutMs - Timeout of the whole request
+ * @param {import('net').LookupFunction} [options.lookup] - Host name resolver
+ * @returns {Promise<number>} Response status
+ */
+const post = (url, { headers, body, timeoutMs, lookup }) => new Promise((resolve, reject) => {
+    // Address literals are connected to without a lookup, so check them here
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    if (lookup && net.isIP(host) && !isPublicAddress(host)) return reject(privateAddressError());
+
+    const req = (url.protocol === 'https:' ? https : http).request(url, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        lookup,
+        signal: AbortSignal.timeout(timeoutMs),
+    }, (res) => {
+        res.resume();
+        resolve(res.statusCode);
+    });
+    req.on('error', reject);
+    req.end(body);
+});
+
+/**
+ * Validate a webhook sent by an uploader.
+ * @param {unknown} webhook - `{ url, secret }` from the client
+ * @returns {{ value?: WebhookEndpoint, error?: string }} Endpoint to store, or an error message
+ */
+const parseUploadWebhook = (webhook) => {
+    if (!webhook || typeof webhook !== 'object' || typeof webhook.url !== 'string' || webhook.url.length > 2048) {
+        return { error: 'Invalid webhook. Expected { url, secret }.' };
+    }
+
+    let url;
+    try {
+        url = new URL(webhook.url);
+    } catch {
+        return { error: 'Invalid webhook URL.' };
+    }
+    if (url.protocol !== 'https:' || url.username || url.password) {
+        return { error: 'Webhook URLs must use HTTPS and must not contain credentials.' };
+    }
+
+    if (typeof webhook.secret !== 'string' || webhook.secret.length < 16 || webhook.secret.length > 256) {
+        return { error: 'Invalid webhook secret. Must be between 16 and 256 characters.' };
+    }
+
+    return { value: { url: url.toString(), secret: webhook.secret } };
+};
+
+/**
+ * Create the webhook dispatcher.
+ * @param {object} options
+ * @param {WebhookEndpoint[]} [options.endpoints] - Server webhooks, which receive every event
+ * @param {number} [options.maxAttempts] - Delivery attempts per event and endpoint
+ * @param {number} [options.timeoutMs] - Timeout of each attempt
+ * @param {(level: string, message: string) => void} [options.log] - Logger
+ * @returns {{ emit: (event: string, data: object, uploadWebhook?: WebhookEndpoint|null) => void }}
+ */
+const createWebhookDispatcher = ({ endpoints = [], maxAttempts = 5, timeoutMs = 10000, log = () => { } }) => {
+    const deliver = (endpoint, event, deliveryId, body, isUploadWebhook) => {
+        const attempt = async (n) => {
+            try {
+                const timestamp = String(Math.floor(Date.now() / 1000));
+                const signature = crypto.createHmac('sha256', endpoint.secret).update(`${timestamp}.${body}`).digest('hex');
+                const status = await post(new URL(endpoint.url), {
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'User-Agent': 'Dropgate-Webhook',
+                        'X-Dropgate-Event': event,
+                        'X-Dropgate-Delivery': deliveryId,
+                        'X-Dropgate-Timestamp': timestamp,
+                        'X-Dropgate-Signature': `sha256=${signature}`,
+                    },
+                    body,
+                    timeoutMs,
+                    lookup: isUploadWebhook ? publicLookup : undefined,
+                });
+
+                if (status >= 200 && status < 300) return;
+                if (status !== 408 && status !== 429 && status < 500) {
+                    log('warn', `Webhook delivery rejected with status ${status}. Not retrying.`);
+                    return;
+                }
+                throw new Error(`status ${status}`);
+            } catch (e) {
+                if (e.code === 'EPRIVATEADDRESS') {
+                    log('warn', `Webhook not sent: ${e.message}`);
+                    return;
+                }
+                if (n >= maxAttempts) {
+                    log('warn', `Webhook delivery failed after ${n} attempts: ${e.message}`);
+                    return;
+                }
+                const delay = Math.min(MAX_BACKOFF_MS, 1000 * 2 ** (n - 1));
+                setTimeout(() => attempt(n + 1), delay).unref();
+            }
+        };
+        attempt(1);
+    };
+
+    return {
+        emit: (event, data, uploadWebhook = null) => {
+            if (endpoints.length === 0 && !uploadWebhook) return;
+            const deliveryId = crypto.randomUUID();
+            const body = JSON.stringify({ id: deliveryId, event, createdAt: Date.now(), data });
+            for (const endpoint of endpoints) deliver(endpoint, event, deliveryId, body, false);
+            if (uploadWebhook) deliver(uploadWebhook, event, deliveryId, body, true);
+        },
+    };
+};
+
+module.exports = { createWebhookDispatcher, parseUploadWebhook };